@@ -0,0 +1,197 @@
+import http from "node:http";
+import { UpstreamError } from "./providers/http.js";
+import { createProvider } from "./providers/index.js";
+import { createRateLimiter } from "./rateLimit.js";
+
+// 公開するエンドポイントと、それぞれに許可する操作
+const ROUTES = {
+  "/api/analyze": ["generate", "stream"],
+  "/api/chat": ["generate", "stream"],
+  "/api/spirit": ["generate", "image"],
+};
+
+class HttpError extends Error {
+  constructor(status, message, code, headers = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.headers = headers;
+  }
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, message, code, headers) {
+  sendJson(res, status, { error: { code: status, message, status: code } }, headers);
+}
+
+const sseEvent = (event, data) => `${event ? `event: ${event}\n` : ""}data: ${JSON.stringify(data)}\n\n`;
+
+// upstreamのストリームを { text } / { usage } のSSEとして中継する。
+// 途中で失敗した場合はステータスを変えられないので error イベントで通知する
+async function pipeStream(res, chunks, signal, headers) {
+  res.writeHead(200, {
+    ...headers,
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  try {
+    for await (const chunk of chunks) {
+      res.write(sseEvent(null, chunk));
+    }
+    res.write(sseEvent("done", {}));
+  } catch (error) {
+    if (!signal.aborted) {
+      console.error("Stream Error:", error);
+      res.write(sseEvent("error", { error: { message: error.message || "Stream interrupted", status: error.code } }));
+    }
+  }
+  res.end();
+}
+
+// 上限を超えた本文は捨てながら最後まで読む。途中で接続を切ると 413 を返せず、
+// クライアントには通信エラーに見えて同じ本文で再試行されてしまう
+function readJsonBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= limit) chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (size > limit) {
+        reject(new HttpError(413, "Request body too large", "PAYLOAD_TOO_LARGE", { Connection: "close" }));
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+      } catch {
+        reject(new HttpError(400, "Invalid JSON body", "INVALID_ARGUMENT"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function validateRequest(op, body) {
+  if (op === "image") {
+    if (typeof body.prompt !== "string" || !body.prompt.trim()) {
+      throw new HttpError(400, "prompt is required", "INVALID_ARGUMENT");
+    }
+    return;
+  }
+  const valid =
+    Array.isArray(body.messages) &&
+    body.messages.length > 0 &&
+    body.messages.every((message) => typeof message?.text === "string");
+  if (!valid) throw new HttpError(400, "messages must be a non-empty array of { role, text }", "INVALID_ARGUMENT");
+}
+
+function clientKey(req, trustProxy) {
+  if (trustProxy) {
+    const forwarded = req.headers["x-forwarded-for"];
+    if (typeof forwarded === "string" && forwarded) return forwarded.split(",")[0].trim();
+  }
+  return req.socket.remoteAddress || "unknown";
+}
+
+export function createProxyServer(config, { fetchImpl = fetch } = {}) {
+  const limiter = createRateLimiter(config.rateLimit);
+  const provider = createProvider(config, fetchImpl);
+
+  const corsHeaders = config.allowedOrigin
+    ? {
+        "Access-Control-Allow-Origin": config.allowedOrigin,
+        "Access-Control-Allow-Methods": "POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+        Vary: "Origin",
+      }
+    : {};
+
+  return http.createServer(async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url, "http://localhost");
+
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, corsHeaders);
+      res.end();
+      return;
+    }
+
+    const ops = ROUTES[pathname];
+    if (!ops) {
+      sendError(res, 404, "Not found", "NOT_FOUND", corsHeaders);
+      return;
+    }
+    if (req.method !== "POST") {
+      sendError(res, 405, "Method not allowed", "METHOD_NOT_ALLOWED", { ...corsHeaders, Allow: "POST, OPTIONS" });
+      return;
+    }
+
+    const op = searchParams.get("op") || ops[0];
+    if (!ops.includes(op)) {
+      sendError(res, 400, `Operation "${op}" is not allowed on ${pathname}`, "INVALID_ARGUMENT", corsHeaders);
+      return;
+    }
+    if (op === "image" && !provider.generateImage) {
+      sendError(res, 501, `Provider "${provider.name}" does not support image generation`, "UNIMPLEMENTED", corsHeaders);
+      return;
+    }
+
+    const limit = limiter.hit(clientKey(req, config.trustProxy));
+    if (!limit.allowed) {
+      sendError(res, 429, "Too many requests from this client", "RATE_LIMITED", {
+        ...corsHeaders,
+        "Retry-After": String(limit.retryAfter),
+      });
+      return;
+    }
+
+    if (!provider.isConfigured()) {
+      sendError(res, 500, `Provider "${provider.name}" is not configured on the proxy server`, "PROVIDER_NOT_CONFIGURED", corsHeaders);
+      return;
+    }
+
+    // クライアントが切断したらupstreamへのリクエスト（ストリームも含む）も止める
+    const controller = new AbortController();
+    res.on("close", () => controller.abort());
+
+    try {
+      const body = await readJsonBody(req, config.maxBodyBytes);
+      validateRequest(op, body);
+      if (op === "stream") {
+        const chunks = await provider.stream(body, { signal: controller.signal });
+        await pipeStream(res, chunks, controller.signal, {
+          ...corsHeaders,
+          "X-RateLimit-Remaining": String(limit.remaining),
+        });
+        return;
+      }
+      const options = { signal: controller.signal };
+      const result = op === "image" ? await provider.generateImage(body, options) : await provider.generate(body, options);
+      sendJson(res, 200, { provider: provider.name, ...result }, {
+        ...corsHeaders,
+        "X-RateLimit-Remaining": String(limit.remaining),
+      });
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      if (error instanceof HttpError) {
+        sendError(res, error.status, error.message, error.code, { ...corsHeaders, ...error.headers });
+        return;
+      }
+      if (error instanceof UpstreamError) {
+        sendError(res, error.status, error.message, error.code || "UPSTREAM_ERROR", {
+          ...corsHeaders,
+          ...(error.retryAfter !== undefined && { "Retry-After": String(error.retryAfter) }),
+        });
+        return;
+      }
+      console.error("Upstream Error:", error);
+      sendError(res, 502, "Failed to reach the model API", "UNAVAILABLE", corsHeaders);
+    }
+  });
+}
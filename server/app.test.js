@@ -0,0 +1,258 @@
+import http from "node:http";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createProxyServer } from "./app.js";
+import { loadConfig } from "./config.js";
+
+const servers = [];
+
+function listen(server) {
+  servers.push(server);
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+afterEach(async () => {
+  await Promise.all(
+    servers.splice(0).map(
+      (server) =>
+        new Promise((resolve) => {
+          server.closeAllConnections();
+          server.close(resolve);
+        })
+    )
+  );
+});
+
+// Gemini の代わりに応答する偽の upstream。受け取ったリクエストを requests に残す
+async function startFakeUpstream(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+      requests.push(request);
+      handler(request, res);
+    });
+  });
+  return { base: `${await listen(server)}/models/`, requests };
+}
+
+const jsonReply = (res, status, body, headers = {}) => {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+};
+
+async function startProxy(env = {}, options) {
+  const config = loadConfig({ GOOGLE_API_KEY: "test-key", GEMINI_MODEL: "test-model", IMAGEN_MODEL: "test-imagen", ...env });
+  return listen(createProxyServer(config, options));
+}
+
+const post = (url, body, headers = {}, signal) =>
+  fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: typeof body === "string" ? body : JSON.stringify(body),
+    signal,
+  });
+
+const chatBody = { system: "sys", messages: [{ role: "user", text: "hello" }] };
+
+describe("proxy against a fake Gemini upstream", () => {
+  it("forwards generate requests with the key in a header and returns text and usage", async () => {
+    const upstream = await startFakeUpstream((_, res) =>
+      jsonReply(res, 200, {
+        candidates: [{ content: { parts: [{ text: "Hi " }, { text: "there" }] } }],
+        usageMetadata: { promptTokenCount: 3, candidatesTokenCount: 2, totalTokenCount: 5 },
+      })
+    );
+    const proxy = await startProxy({ GEMINI_API_BASE: upstream.base });
+
+    const response = await post(`${proxy}/api/chat`, chatBody);
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({
+      provider: "gemini",
+      text: "Hi there",
+      usage: { promptTokens: 3, outputTokens: 2, totalTokens: 5 },
+    });
+
+    const [request] = upstream.requests;
+    expect(request.url).toBe("/models/test-model:generateContent");
+    expect(request.headers["x-goog-api-key"]).toBe("test-key");
+    expect(request.url).not.toContain("key=");
+    expect(request.body).toEqual({
+      systemInstruction: { parts: [{ text: "sys" }] },
+      contents: [{ role: "user", parts: [{ text: "hello" }] }],
+    });
+  });
+
+  it("converts the response schema to Gemini's format", async () => {
+    const upstream = await startFakeUpstream((_, res) => jsonReply(res, 200, { candidates: [{ content: { parts: [{ text: "{}" }] } }] }));
+    const proxy = await startProxy({ GEMINI_API_BASE: upstream.base });
+
+    await post(`${proxy}/api/analyze`, {
+      ...chatBody,
+      responseSchema: { type: "object", properties: { a: { type: "string" } }, additionalProperties: false },
+    });
+    expect(upstream.requests[0].body.generationConfig).toEqual({
+      responseMimeType: "application/json",
+      responseSchema: { type: "OBJECT", properties: { a: { type: "STRING" } } },
+    });
+  });
+
+  it("relays streamed chunks as Server-Sent Events", async () => {
+    const upstream = await startFakeUpstream((_, res) => {
+      res.writeHead(200, { "Content-Type": "text/event-stream" });
+      res.write(`data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text: "Hel" }] } }] })}\n\n`);
+      res.write(
+        `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text: "lo" }] } }], usageMetadata: { totalTokenCount: 7 } })}\n\n`
+      );
+      res.end();
+    });
+    const proxy = await startProxy({ GEMINI_API_BASE: upstream.base });
+
+    const response = await post(`${proxy}/api/chat?op=stream`, chatBody);
+    expect(response.headers.get("content-type")).toContain("text/event-stream");
+    expect(await response.text()).toBe(
+      'data: {"text":"Hel"}\n\ndata: {"text":"lo"}\n\ndata: {"usage":{"promptTokens":0,"outputTokens":0,"totalTokens":7}}\n\nevent: done\ndata: {}\n\n'
+    );
+    expect(upstream.requests[0].url).toBe("/models/test-model:streamGenerateContent?alt=sse");
+  });
+
+  it("returns generated images", async () => {
+    const upstream = await startFakeUpstream((_, res) =>
+      jsonReply(res, 200, { predictions: [{ bytesBase64Encoded: "AAAA", mimeType: "image/png" }] })
+    );
+    const proxy = await startProxy({ GEMINI_API_BASE: upstream.base });
+
+    const response = await post(`${proxy}/api/spirit?op=image`, { prompt: "a spirit" });
+    expect(await response.json()).toEqual({ provider: "gemini", images: [{ mimeType: "image/png", data: "AAAA" }] });
+    expect(upstream.requests[0].url).toBe("/models/test-imagen:predict");
+    expect(upstream.requests[0].body.instances).toEqual([{ prompt: "a spirit" }]);
+  });
+
+  it("marks a per-day 429 as QUOTA_EXHAUSTED and forwards Retry-After", async () => {
+    const upstream = await startFakeUpstream((_, res) =>
+      jsonReply(res, 429, {
+        error: {
+          code: 429,
+          message: "Quota exceeded",
+          status: "RESOURCE_EXHAUSTED",
+          details: [{ violations: [{ quotaId: "GenerateRequestsPerDayPerProjectPerModel-FreeTier" }] }, { retryDelay: "12.5s" }],
+        },
+      })
+    );
+    const proxy = await startProxy({ GEMINI_API_BASE: upstream.base });
+
+    const response = await post(`${proxy}/api/chat`, chatBody);
+    expect(response.status).toBe(429);
+    expect(response.headers.get("retry-after")).toBe("13");
+    expect(await response.json()).toEqual({ error: { code: 429, message: "Quota exceeded", status: "QUOTA_EXHAUSTED" } });
+  });
+
+  it.each([
+    ["generate", "/api/chat", chatBody],
+    ["image", "/api/spirit?op=image", { prompt: "a spirit" }],
+  ])("cancels a hanging upstream %s call when the client disconnects", async (_, path, body) => {
+    let received;
+    const upstreamReceived = new Promise((resolve) => (received = resolve));
+    let closed;
+    const upstreamClosed = new Promise((resolve) => (closed = resolve));
+    // 応答を返さずに待ち続け、proxy 側から接続が切られたことだけを記録する
+    const upstream = await startFakeUpstream((_, res) => {
+      res.on("close", closed);
+      received();
+    });
+    const proxy = await startProxy({ GEMINI_API_BASE: upstream.base });
+
+    const client = new AbortController();
+    const response = post(`${proxy}${path}`, body, {}, client.signal);
+    await upstreamReceived;
+    client.abort();
+    await expect(response).rejects.toMatchObject({ name: "AbortError" });
+    await upstreamClosed;
+    expect(upstream.requests).toHaveLength(1);
+  });
+
+  it("reports safety blocks with SAFETY_BLOCKED", async () => {
+    const upstream = await startFakeUpstream((_, res) => jsonReply(res, 200, { promptFeedback: { blockReason: "SAFETY" } }));
+    const proxy = await startProxy({ GEMINI_API_BASE: upstream.base });
+
+    const response = await post(`${proxy}/api/chat`, chatBody);
+    expect(response.status).toBe(422);
+    expect((await response.json()).error.status).toBe("SAFETY_BLOCKED");
+  });
+});
+
+describe("proxy request handling", () => {
+  const unusedUpstream = () => vi.fn(() => Promise.reject(new Error("upstream must not be called")));
+
+  it("answers an oversized body with 413 instead of dropping the connection", async () => {
+    const fetchImpl = unusedUpstream();
+    const proxy = await startProxy({ MAX_BODY_BYTES: "1024" }, { fetchImpl });
+
+    const response = await post(`${proxy}/api/analyze`, { messages: [{ role: "user", text: "x".repeat(256 * 1024) }] });
+    expect(response.status).toBe(413);
+    expect(response.headers.get("connection")).toBe("close");
+    expect(await response.json()).toEqual({ error: { code: 413, message: "Request body too large", status: "PAYLOAD_TOO_LARGE" } });
+    expect(fetchImpl).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ["invalid JSON", "/api/chat", "{", 400, "INVALID_ARGUMENT"],
+    ["missing messages", "/api/chat", { messages: [] }, 400, "INVALID_ARGUMENT"],
+    ["missing image prompt", "/api/spirit?op=image", { prompt: " " }, 400, "INVALID_ARGUMENT"],
+    ["an operation the route does not allow", "/api/chat?op=image", chatBody, 400, "INVALID_ARGUMENT"],
+    ["an unknown route", "/api/unknown", chatBody, 404, "NOT_FOUND"],
+  ])("rejects %s", async (_, path, body, status, code) => {
+    const fetchImpl = unusedUpstream();
+    const proxy = await startProxy({}, { fetchImpl });
+
+    const response = await post(`${proxy}${path}`, body);
+    expect(response.status).toBe(status);
+    expect((await response.json()).error.status).toBe(code);
+    expect(fetchImpl).not.toHaveBeenCalled();
+  });
+
+  it("allows only POST", async () => {
+    const proxy = await startProxy({}, { fetchImpl: unusedUpstream() });
+    const response = await fetch(`${proxy}/api/chat`);
+    expect(response.status).toBe(405);
+    expect(response.headers.get("allow")).toBe("POST, OPTIONS");
+  });
+
+  it("rate-limits each client and says when to retry", async () => {
+    const fetchImpl = vi.fn(async () => Response.json({ candidates: [{ content: { parts: [{ text: "ok" }] } }] }));
+    const proxy = await startProxy({ RATE_LIMIT_MAX: "1" }, { fetchImpl });
+
+    expect((await post(`${proxy}/api/chat`, chatBody)).status).toBe(200);
+    const limited = await post(`${proxy}/api/chat`, chatBody);
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers.get("retry-after"))).toBeGreaterThan(0);
+    expect((await limited.json()).error.status).toBe("RATE_LIMITED");
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+
+  it("fails with PROVIDER_NOT_CONFIGURED when no API key is configured", async () => {
+    const proxy = await startProxy({ GOOGLE_API_KEY: "" }, { fetchImpl: unusedUpstream() });
+    const response = await post(`${proxy}/api/chat`, chatBody);
+    expect(response.status).toBe(500);
+    expect((await response.json()).error.status).toBe("PROVIDER_NOT_CONFIGURED");
+  });
+
+  it("answers 502 UNAVAILABLE when the upstream cannot be reached", async () => {
+    const proxy = await startProxy({}, { fetchImpl: vi.fn(() => Promise.reject(new TypeError("fetch failed"))) });
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const response = await post(`${proxy}/api/chat`, chatBody);
+    expect(response.status).toBe(502);
+    expect((await response.json()).error.status).toBe("UNAVAILABLE");
+  });
+
+  it("adds CORS headers for the allowed origin", async () => {
+    const proxy = await startProxy({ ALLOWED_ORIGIN: "https://app.example" }, { fetchImpl: unusedUpstream() });
+    const response = await fetch(`${proxy}/api/chat`, { method: "OPTIONS" });
+    expect(response.status).toBe(204);
+    expect(response.headers.get("access-control-allow-origin")).toBe("https://app.example");
+  });
+});
@@ -0,0 +1,32 @@
+export function loadConfig(env = process.env) {
+  return {
+    port: Number(env.PORT) || 8787,
+    // gemini / openai / ollama のいずれか。呼び出し側はプロバイダを意識しない
+    provider: (env.MODEL_PROVIDER || "gemini").trim().toLowerCase(),
+    providers: {
+      gemini: {
+        apiKey: (env.GOOGLE_API_KEY || "").trim(),
+        // テスト時はローカルの偽upstreamに向けられるようにする
+        apiBase: env.GEMINI_API_BASE || "https://generativelanguage.googleapis.com/v1beta/models/",
+        model: env.GEMINI_MODEL || "gemini-2.5-flash-preview-09-2025",
+        imageModel: env.IMAGEN_MODEL || "imagen-4.0-fast-generate-001",
+      },
+      openai: {
+        apiKey: (env.OPENAI_API_KEY || "").trim(),
+        apiBase: (env.OPENAI_API_BASE || "https://api.openai.com/v1").replace(/\/+$/, ""),
+        model: env.OPENAI_MODEL || "gpt-4o-mini",
+      },
+      ollama: {
+        apiBase: (env.OLLAMA_API_BASE || "http://localhost:11434").replace(/\/+$/, ""),
+        model: env.OLLAMA_MODEL || "llava",
+      },
+    },
+    allowedOrigin: env.ALLOWED_ORIGIN || "",
+    trustProxy: env.TRUST_PROXY === "1",
+    maxBodyBytes: Number(env.MAX_BODY_BYTES) || 8 * 1024 * 1024,
+    rateLimit: {
+      windowMs: Number(env.RATE_LIMIT_WINDOW_MS) || 60_000,
+      max: Number(env.RATE_LIMIT_MAX) || 10,
+    },
+  };
+}
@@ -0,0 +1,15 @@
+import { createProxyServer } from "./app.js";
+import { loadConfig } from "./config.js";
+
+const config = loadConfig();
+
+if (config.provider === "gemini" && !config.providers.gemini.apiKey) {
+  console.warn("GOOGLE_API_KEY is not set. All /api requests will fail until it is configured.");
+}
+if (config.provider === "openai" && !config.providers.openai.apiKey) {
+  console.warn("OPENAI_API_KEY is not set. All /api requests will fail until it is configured.");
+}
+
+createProxyServer(config).listen(config.port, () => {
+  console.log(`API proxy (${config.provider}) listening on http://localhost:${config.port}`);
+});
@@ -0,0 +1,106 @@
+import { openStream, postJson, readSseData, safetyBlocked, UpstreamError } from "./http.js";
+
+const toContents = (messages) =>
+  messages.map((message) => ({
+    role: message.role === "model" ? "model" : "user",
+    parts: [
+      { text: message.text },
+      ...(message.images || []).map((image) => ({ inlineData: { mimeType: image.mimeType, data: image.data } })),
+    ],
+  }));
+
+// JSON Schema をGeminiのOpenAPIサブセットに変換する（型名は大文字、未対応キーは落とす）
+const toGeminiSchema = (schema) => {
+  if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+  if (!schema || typeof schema !== "object") return schema;
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === "additionalProperties" || key === "$schema") continue;
+    if (key === "type" && typeof value === "string") result.type = value.toUpperCase();
+    else if (key === "properties") {
+      result.properties = Object.fromEntries(Object.entries(value).map(([name, prop]) => [name, toGeminiSchema(prop)]));
+    } else result[key] = key === "items" ? toGeminiSchema(value) : value;
+  }
+  return result;
+};
+
+const toBody = ({ system, messages, responseSchema }) => ({
+  ...(system && { systemInstruction: { parts: [{ text: system }] } }),
+  contents: toContents(messages),
+  ...(responseSchema && {
+    generationConfig: { responseMimeType: "application/json", responseSchema: toGeminiSchema(responseSchema) },
+  }),
+});
+
+const textOf = (data) =>
+  (data?.candidates?.[0]?.content?.parts || []).map((part) => part.text || "").join("");
+
+const BLOCKED_FINISH_REASONS = new Set(["SAFETY", "PROHIBITED_CONTENT", "BLOCKLIST", "SPII", "IMAGE_SAFETY"]);
+
+// 入力が拒否された（promptFeedback）か、出力が安全フィルタで打ち切られた
+const isBlocked = (data) =>
+  Boolean(data?.promptFeedback?.blockReason) || BLOCKED_FINISH_REASONS.has(data?.candidates?.[0]?.finishReason);
+
+const toUsage = (meta) =>
+  meta && {
+    promptTokens: meta.promptTokenCount || 0,
+    outputTokens: meta.candidatesTokenCount || 0,
+    totalTokens: meta.totalTokenCount || 0,
+  };
+
+export function createGeminiProvider(config, fetchImpl) {
+  const { apiKey, apiBase, model, imageModel } = config;
+  const headers = { "x-goog-api-key": apiKey };
+  const call = (targetModel, method, body, signal) => postJson(fetchImpl, `${apiBase}${targetModel}:${method}`, body, headers, signal);
+
+  return {
+    name: "gemini",
+    isConfigured: () => Boolean(apiKey),
+
+    async generate(request, { signal } = {}) {
+      const data = await call(model, "generateContent", toBody(request), signal);
+      if (isBlocked(data) && !textOf(data)) throw safetyBlocked();
+      return { text: textOf(data), usage: toUsage(data?.usageMetadata) };
+    },
+
+    async stream(request, { signal } = {}) {
+      const response = await openStream(
+        fetchImpl,
+        `${apiBase}${model}:streamGenerateContent?alt=sse`,
+        toBody(request),
+        headers,
+        signal
+      );
+      return (async function* () {
+        let usage;
+        for await (const payload of readSseData(response.body)) {
+          const data = JSON.parse(payload);
+          if (isBlocked(data)) throw safetyBlocked();
+          const text = textOf(data);
+          if (text) yield { text };
+          // usageMetadata はチャンクごとに累積値で届くので最後のものを使う
+          if (data.usageMetadata) usage = toUsage(data.usageMetadata);
+        }
+        if (usage) yield { usage };
+      })();
+    },
+
+    async generateImage({ prompt }, { signal } = {}) {
+      const data = await call(
+        imageModel,
+        "predict",
+        {
+          instances: [{ prompt }],
+          parameters: { sampleCount: 1 },
+        },
+        signal
+      );
+      const prediction = data?.predictions?.[0];
+      if (prediction?.raiFilteredReason) throw safetyBlocked();
+      if (!prediction?.bytesBase64Encoded) throw new UpstreamError(502, "Image model returned no image");
+      return {
+        images: [{ mimeType: prediction.mimeType || "image/png", data: prediction.bytesBase64Encoded }],
+      };
+    },
+  };
+}
@@ -0,0 +1,101 @@
+// upstreamのHTTPエラー。ステータスと元のメッセージをそのままクライアントへ返す。
+// code はクライアントがエラーの種類を判別するための手がかり、retryAfter は再試行までの秒数
+export class UpstreamError extends Error {
+  constructor(status, message, { code, retryAfter } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+function extractMessage(data, status) {
+  if (typeof data?.error === "string") return data.error;
+  return data?.error?.message || `HTTP ${status}`;
+}
+
+// Gemini は details の reason / quotaId、OpenAI互換は error.code に種類が入る。
+// 日単位の無料枠の枯渇は分単位のレート制限と同じ 429 で返るので、quotaId で区別する
+function extractCode(data) {
+  const error = data?.error;
+  if (!error || typeof error !== "object") return undefined;
+  const details = Array.isArray(error.details) ? error.details : [];
+  const dailyQuota = details.some((detail) =>
+    (detail?.violations || []).some((violation) => /PerDay/i.test(violation?.quotaId || ""))
+  );
+  if (dailyQuota) return "QUOTA_EXHAUSTED";
+  const reason = details.find((detail) => typeof detail?.reason === "string")?.reason;
+  if (reason) return reason;
+  if (typeof error.status === "string") return error.status;
+  return typeof error.code === "string" ? error.code : undefined;
+}
+
+// Retry-After ヘッダー（秒数またはHTTP日付）か、Gemini の RetryInfo（"13s" など）から秒数を読む
+function extractRetryAfter(response, data) {
+  const header = response.headers?.get?.("retry-after");
+  if (header) {
+    const seconds = /^\d+$/.test(header.trim()) ? Number(header) : (Date.parse(header) - Date.now()) / 1000;
+    if (Number.isFinite(seconds) && seconds >= 0) return Math.ceil(seconds);
+  }
+  const delay = (data?.error?.details || []).find((detail) => typeof detail?.retryDelay === "string")?.retryDelay;
+  const seconds = Number.parseFloat(delay);
+  return Number.isFinite(seconds) ? Math.ceil(seconds) : undefined;
+}
+
+// 安全フィルタで応答が止められたことを、他のエラーと区別できる code で返す
+export const safetyBlocked = () => new UpstreamError(422, "Response blocked by safety filters", { code: "SAFETY_BLOCKED" });
+
+async function request(fetchImpl, url, body, headers, signal) {
+  const response = await fetchImpl(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new UpstreamError(response.status, extractMessage(data, response.status), {
+      code: extractCode(data),
+      retryAfter: extractRetryAfter(response, data),
+    });
+  }
+  return response;
+}
+
+export async function postJson(fetchImpl, url, body, headers = {}, signal) {
+  const response = await request(fetchImpl, url, body, headers, signal);
+  return response.json().catch(() => ({}));
+}
+
+// ストリーミング用。ステータスだけ確認してレスポンスをそのまま返す
+export function openStream(fetchImpl, url, body, headers = {}, signal) {
+  return request(fetchImpl, url, body, headers, signal);
+}
+
+export async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    yield* lines;
+  }
+  buffer += decoder.decode();
+  if (buffer) yield buffer;
+}
+
+// SSEの data フィールドだけを取り出す（OpenAIの終端 [DONE] は捨てる）
+export async function* readSseData(body) {
+  let data = [];
+  for await (const line of readLines(body)) {
+    if (line.startsWith("data:")) {
+      data.push(line.slice(5).trimStart());
+    } else if (line === "" && data.length) {
+      const payload = data.join("\n");
+      data = [];
+      if (payload !== "[DONE]") yield payload;
+    }
+  }
+  if (data.length && data.join("\n") !== "[DONE]") yield data.join("\n");
+}
@@ -0,0 +1,17 @@
+import { createGeminiProvider } from "./gemini.js";
+import { createOllamaProvider } from "./ollama.js";
+import { createOpenAiProvider } from "./openai.js";
+
+const FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAiProvider,
+  ollama: createOllamaProvider,
+};
+
+export function createProvider(config, fetchImpl = fetch) {
+  const factory = FACTORIES[config.provider];
+  if (!factory) {
+    throw new Error(`Unknown MODEL_PROVIDER "${config.provider}" (expected one of: ${Object.keys(FACTORIES).join(", ")})`);
+  }
+  return factory(config.providers[config.provider], fetchImpl);
+}
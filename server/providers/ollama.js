@@ -0,0 +1,67 @@
+import { openStream, postJson, readLines } from "./http.js";
+
+const toMessages = ({ system, messages }) => [
+  ...(system ? [{ role: "system", content: system }] : []),
+  ...messages.map((message) => ({
+    role: message.role === "model" ? "assistant" : "user",
+    content: message.text,
+    ...(message.images?.length && { images: message.images.map((image) => image.data) }),
+  })),
+];
+
+const toUsage = (data) => {
+  const promptTokens = data?.prompt_eval_count || 0;
+  const outputTokens = data?.eval_count || 0;
+  return { promptTokens, outputTokens, totalTokens: promptTokens + outputTokens };
+};
+
+// ローカルで動かすOllama互換サーバー（/api/chat）。キーは不要
+export function createOllamaProvider(config, fetchImpl) {
+  const { apiBase, model } = config;
+  const url = `${apiBase}/api/chat`;
+
+  return {
+    name: "ollama",
+    isConfigured: () => Boolean(apiBase && model),
+
+    async generate(request, { signal } = {}) {
+      const data = await postJson(
+        fetchImpl,
+        url,
+        {
+          model,
+          stream: false,
+          messages: toMessages(request),
+          ...(request.responseSchema && { format: request.responseSchema }),
+        },
+        {},
+        signal
+      );
+      return { text: data?.message?.content || "", usage: toUsage(data) };
+    },
+
+    // ストリームはSSEではなく1行1JSONで返ってくる
+    async stream(request, { signal } = {}) {
+      const response = await openStream(
+        fetchImpl,
+        url,
+        {
+          model,
+          stream: true,
+          messages: toMessages(request),
+          ...(request.responseSchema && { format: request.responseSchema }),
+        },
+        {},
+        signal
+      );
+      return (async function* () {
+        for await (const line of readLines(response.body)) {
+          if (!line.trim()) continue;
+          const data = JSON.parse(line);
+          if (data?.message?.content) yield { text: data.message.content };
+          if (data.done) yield { usage: toUsage(data) };
+        }
+      })();
+    },
+  };
+}
@@ -0,0 +1,82 @@
+import { openStream, postJson, readSseData, safetyBlocked } from "./http.js";
+
+const toContent = (message) => {
+  if (!message.images?.length) return message.text;
+  return [
+    { type: "text", text: message.text },
+    ...message.images.map((image) => ({
+      type: "image_url",
+      image_url: { url: `data:${image.mimeType};base64,${image.data}` },
+    })),
+  ];
+};
+
+const toMessages = ({ system, messages }) => [
+  ...(system ? [{ role: "system", content: system }] : []),
+  ...messages.map((message) => ({
+    role: message.role === "model" ? "assistant" : "user",
+    content: toContent(message),
+  })),
+];
+
+const toOptions = ({ responseSchema }) =>
+  responseSchema
+    ? { response_format: { type: "json_schema", json_schema: { name: "response", schema: responseSchema, strict: false } } }
+    : {};
+
+const toUsage = (usage) =>
+  usage && {
+    promptTokens: usage.prompt_tokens || 0,
+    outputTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || 0,
+  };
+
+// OpenAI互換の chat/completions エンドポイント（vision対応モデルを想定）
+export function createOpenAiProvider(config, fetchImpl) {
+  const { apiKey, apiBase, model } = config;
+  const headers = { Authorization: `Bearer ${apiKey}` };
+  const url = `${apiBase}/chat/completions`;
+
+  return {
+    name: "openai",
+    isConfigured: () => Boolean(apiKey),
+
+    async generate(request, { signal } = {}) {
+      const data = await postJson(
+        fetchImpl,
+        url,
+        { model, messages: toMessages(request), ...toOptions(request) },
+        headers,
+        signal
+      );
+      const choice = data?.choices?.[0];
+      if (choice?.finish_reason === "content_filter" && !choice.message?.content) throw safetyBlocked();
+      return { text: choice?.message?.content || "", usage: toUsage(data?.usage) };
+    },
+
+    async stream(request, { signal } = {}) {
+      const response = await openStream(
+        fetchImpl,
+        url,
+        {
+          model,
+          messages: toMessages(request),
+          stream: true,
+          stream_options: { include_usage: true },
+          ...toOptions(request),
+        },
+        headers,
+        signal
+      );
+      return (async function* () {
+        for await (const payload of readSseData(response.body)) {
+          const data = JSON.parse(payload);
+          const text = data?.choices?.[0]?.delta?.content;
+          if (text) yield { text };
+          if (data?.choices?.[0]?.finish_reason === "content_filter") throw safetyBlocked();
+          if (data.usage) yield { usage: toUsage(data.usage) };
+        }
+      })();
+    },
+  };
+}
@@ -0,0 +1,31 @@
+// クライアントごとの固定ウィンドウ方式レートリミッタ
+export function createRateLimiter({ windowMs, max, now = Date.now }) {
+  const buckets = new Map();
+
+  const sweep = (time) => {
+    for (const [key, bucket] of buckets) {
+      if (bucket.resetAt <= time) buckets.delete(key);
+    }
+  };
+
+  return {
+    hit(key) {
+      const time = now();
+      if (buckets.size > 10_000) sweep(time);
+
+      let bucket = buckets.get(key);
+      if (!bucket || bucket.resetAt <= time) {
+        bucket = { count: 0, resetAt: time + windowMs };
+        buckets.set(key, bucket);
+      }
+      bucket.count += 1;
+
+      const allowed = bucket.count <= max;
+      return {
+        allowed,
+        remaining: Math.max(0, max - bucket.count),
+        retryAfter: allowed ? 0 : Math.ceil((bucket.resetAt - time) / 1000),
+      };
+    },
+  };
+}
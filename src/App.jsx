@@ -1,176 +1,191 @@
 import { useEffect, useMemo, useRef, useState } from "react";
-
-const CONFIG = {
-  geminiModel: "gemini-2.5-flash-preview-09-2025",
-  imagenModel: "imagen-4.0-fast-generate-001",
-  apiBase: "https://generativelanguage.googleapis.com/v1beta/models/",
-  maxImageDimension: 1600,
-};
-
+import { isMockApi, secureApiCall, streamApiCall } from "./lib/api";
+import { isAbortError } from "./lib/apiError";
+import { buildChatRequest, buildFollowUpRequest, parseFollowUps } from "./lib/chatHistory";
+import {
+  clearReadings,
+  createReadingId,
+  deleteReading,
+  getReading,
+  getSpiritGallery,
+  isHistoryEnabled,
+  listReadings,
+  renameReading,
+  saveReading,
+  saveSpiritGallery,
+  setHistoryEnabled,
+} from "./lib/historyStore";
+import { applyPhotoEdits, compressAndResizeImage, createThumbnail, DEFAULT_PHOTO_EDITS } from "./lib/image";
+import { createFakeMediaDevices, isCameraSupported } from "./lib/camera";
+import { getLocale, honorific, LOCALES, setLocale, t } from "./lib/i18n";
+import { certificateToPdf, certificateToPng, downloadBlob, renderCertificate } from "./lib/certificate";
+import { applyPrivacyMasks, detectFingertips } from "./lib/privacy";
+import { assessPhotoQuality, measurePhotoQuality, palmCheckPrompt, palmCheckSchema, parsePalmCheck } from "./lib/quality";
+import {
+  compatibilitySchema,
+  dualReportSchema,
+  handLabel,
+  hasAnnotations,
+  isReportComplete,
+  normalizeCompatibilityReport,
+  normalizeReport,
+  pairTitle,
+  parsePartialJson,
+  parseReport,
+  readingTitle,
+  reportSchema,
+  reportToMarkdown,
+} from "./lib/report";
+import {
+  createSpiritId,
+  GALLERY_THUMB_DIMENSION,
+  galleryForStorage,
+  MAX_GALLERY,
+  normalizeSpirit,
+  pairSpiritSchema,
+  parsePairSpirits,
+  parseSpirit,
+  spiritSchema,
+  toAttachedSpirit,
+  VARIATION_COUNT,
+} from "./lib/spirit";
+import {
+  DEFAULT_READING_TYPE,
+  READING_TYPES,
+  readingTypeLabel,
+  readingTypeOf,
+  readingTypePrompt,
+  spiritStylePrompt,
+  withReadingType,
+} from "./lib/readingType";
+import { activePromptVersion, renderPrompt } from "./lib/promptTemplates";
+import { parseRoute, VIEWS, writeRoute } from "./lib/router";
+import { generateSpiritImage } from "./lib/spiritImage";
+import { getTodayUsage, getUsageLimits, setUsageLimits, subscribeUsage, usageStatus } from "./lib/usage";
+import CameraCapture from "./components/CameraCapture";
+import CompatibilityCards from "./components/CompatibilityCards";
+import HistoryView from "./components/HistoryView";
+import Markdown from "./components/Markdown";
+import PalmAnnotation from "./components/PalmAnnotation";
+import PhotoEditor from "./components/PhotoEditor";
+import PhotoSlot from "./components/PhotoSlot";
+import PrivacyReview from "./components/PrivacyReview";
+import PromptEditor from "./components/PromptEditor";
+import ReportCards from "./components/ReportCards";
+import SettingsView from "./components/SettingsView";
+import SpiritPanel from "./components/SpiritPanel";
+
+// 案内文は表示言語を切り替えても追従するよう、文言ではなくキーで持つ
 const initialChatLogs = [
   {
     sender: "system",
-    text: "鑑定結果についてさらに詳しく質問できます。",
+    messageKey: "chat.intro",
   },
 ];
 
-const VIEWS = {
-  INPUT: "input",
-  LOADING: "loading",
-  RESULT: "result",
+// VITE_PALM_CHECK=true のときだけ、鑑定前に「手のひらが写っているか」をモデルに問い合わせる
+const PALM_CHECK_ENABLED = import.meta.env.VITE_PALM_CHECK === "true";
+const PALM_CHECK_DIMENSION = 384;
+// 判定は補助なので、応答が遅ければ打ち切って鑑定に進む
+const PALM_CHECK_TIMEOUT = 8000;
+
+// 開発サーバーでは ?fakeCamera を付けて開くと、実カメラの代わりに偽の映像で撮影の流れを確認できる（本番のビルドでは使えない）
+const fakeMediaDevices =
+  import.meta.env.DEV && new URLSearchParams(window.location.search).has("fakeCamera") ? createFakeMediaDevices() : undefined;
+
+// 片手鑑定は main、両手鑑定は left / right、相性鑑定は first / second の枠に画像を入れる
+const READING_MODES = {
+  SINGLE: "single",
+  DUAL: "dual",
+  PAIR: "pair",
 };
 
-const apiKey = (import.meta.env.VITE_GOOGLE_API_KEY || "").trim();
-
-const escapeHtml = (str = "") =>
-  str
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#39;");
-
-function renderSafeMarkdown(md = "") {
-  const safe = escapeHtml(md);
-  return safe
-    .replace(/^# (.*$)/gm, '<h2 class="text-2xl font-black mb-4">$1</h2>')
-    .replace(/^(\d\.\s\*\*(.*?)\*\*)/gm, "<h3>$2</h3>")
-    .replace(/\*\*(.*?)\*\*/g, "<strong>$1</strong>")
-    .replace(/^[*-] (.*)/gm, "<li>$1</li>")
-    .split("\n\n")
-    .map((p) => {
-      if (p.includes("<li>")) return `<ul class="space-y-1 mb-4">${p}</ul>`;
-      return `<p class="mb-4">${p.replace(/\n/g, "<br>")}</p>`;
-    })
-    .join("");
-}
-
-function compressAndResizeImage(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const img = new Image();
-      img.onload = () => {
-        const canvas = document.createElement("canvas");
-        let width = img.width;
-        let height = img.height;
-
-        if (width > height) {
-          if (width > CONFIG.maxImageDimension) {
-            height *= CONFIG.maxImageDimension / width;
-            width = CONFIG.maxImageDimension;
-          }
-        } else if (height > CONFIG.maxImageDimension) {
-          width *= CONFIG.maxImageDimension / height;
-          height = CONFIG.maxImageDimension;
-        }
-
-        canvas.width = width;
-        canvas.height = height;
-        const ctx = canvas.getContext("2d");
-        ctx.drawImage(img, 0, 0, width, height);
-
-        const compressedBase64 = canvas.toDataURL("image/jpeg", 0.8);
-        resolve(compressedBase64);
-      };
-      img.onerror = reject;
-      img.src = e.target.result;
-    };
-    reader.onerror = reject;
-    reader.readAsDataURL(file);
-  });
-}
-
-function ensureApiKey() {
-  if (!apiKey) {
-    throw new Error("APIキーが設定されていません。VITE_GOOGLE_API_KEY を設定してください。");
-  }
-  return apiKey;
+const PAIR_SLOTS = ["first", "second"];
+
+const slotLabel = (slot) =>
+  slot === "left" || slot === "right"
+    ? handLabel(slot)
+    : PAIR_SLOTS.includes(slot)
+      ? t("common.personLabel", { n: PAIR_SLOTS.indexOf(slot) + 1 })
+      : undefined;
+
+// 元画像 → 編集 → 指先のぼかし の順に作り直す。送信・保存に使う preview / data は常にぼかし後の画像。
+// masks を省略すると編集後の画像から指先を検出し直す
+async function preparePhoto(original, edits, masks) {
+  const edited = await applyPhotoEdits(original, edits);
+  const nextMasks = masks ?? (await detectFingertips(edited).catch(() => []));
+  const masked = await applyPrivacyMasks(edited, nextMasks);
+  return {
+    preview: masked,
+    data: masked.split(",")[1],
+    mimeType: "image/jpeg",
+    // 編集はいつでもやり直せるよう、元画像・編集内容・ぼかし範囲を分けて持つ
+    original,
+    edits,
+    edited,
+    masks: nextMasks,
+  };
 }
 
-async function secureApiCall(payload, endpoint = "generateContent", retries, delay = 2000, options = {}) {
-  const { onQuota } = options;
-  const key = ensureApiKey();
-  const isPredict = endpoint === "predict";
-  const model = isPredict ? CONFIG.imagenModel : CONFIG.geminiModel;
-  const url = `${CONFIG.apiBase}${model}:${endpoint}?key=${key}`;
-  const remainingRetries = typeof retries === "number" ? retries : isPredict ? 0 : 2;
-
-  try {
-    const response = await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      const rawMessage = errorData.error?.message || `HTTP ${response.status}`;
-      const lower = rawMessage.toLowerCase();
-      const status = response.status;
-      const isQuota =
-        status === 429 ||
-        status === 403 ||
-        lower.includes("quota") ||
-        lower.includes("exceed") ||
-        lower.includes("exhausted") ||
-        lower.includes("insufficient tokens") ||
-        lower.includes("billing") ||
-        lower.includes("billed users") ||
-        lower.includes("daily limit");
-
-      // 429は指数バックオフでリトライ
-      if (status === 429 && remainingRetries > 0) {
-        await new Promise((res) => setTimeout(res, delay));
-        return secureApiCall(payload, endpoint, remainingRetries - 1, delay * 2, options);
-      }
-
-      // その他のエラーはモーダルを出して中断
-      if (isQuota) {
-        onQuota?.();
-        throw new Error("無料枠を使い切ったため、本日はご利用いただけません。明日以降か、課金設定後にお試しください。");
-      }
-      const isBillingRequired =
-        lower.includes("billed users") ||
-        lower.includes("billing account") ||
-        lower.includes("billing required") ||
-        lower.includes("enable billing");
-      if (isBillingRequired) {
-        throw new Error("Imagenは現在有料アカウント専用です。Google AI Studioで課金設定を有効にすると精霊生成が利用できます。");
-      }
-      throw new Error(rawMessage);
-    }
+const usageMessage = (status) => {
+  if (status.blocked) return t("usage.blocked");
+  if (status.exhausted) return t("usage.limitReached");
+  return t("usage.nearLimit", { percent: Math.max(0, Math.round((1 - status.ratio) * 100)) });
+};
 
-    return await response.json();
-  } catch (error) {
-    // ネットワーク例外などで429以外でもリトライしたい場合はここで拾う
-    if (!isPredict && remainingRetries > 0 && error?.status === 429) {
-      await new Promise((res) => setTimeout(res, delay));
-      return secureApiCall(payload, endpoint, remainingRetries - 1, delay * 2, options);
-    }
-    throw error;
-  }
-}
+// 再読み込み直後にそのまま出せる画面。鑑定中・鑑定結果は中身を復元できたときだけ切り替える
+const initialView = () => {
+  const { view } = parseRoute();
+  return [VIEWS.HISTORY, VIEWS.SETTINGS, VIEWS.ADMIN].includes(view) ? view : VIEWS.INPUT;
+};
 
 function App() {
-  const fileInputRef = useRef(null);
-  const [view, setView] = useState(VIEWS.INPUT);
+  const [view, setView] = useState(initialView);
+  const [locale, setLocaleState] = useState(getLocale);
   const [modalOpen, setModalOpen] = useState(true);
-  const [imagePreview, setImagePreview] = useState("");
-  const [imageData, setImageData] = useState("");
-  const [imageMime, setImageMime] = useState("image/jpeg");
+  const [photos, setPhotos] = useState({});
+  const [editingSlot, setEditingSlot] = useState(null);
+  const [reviewingSlot, setReviewingSlot] = useState(null);
+  const [cameraSlot, setCameraSlot] = useState(null);
+  const [qualityIssues, setQualityIssues] = useState(null);
+  const [exporting, setExporting] = useState(null);
+  const [readingMode, setReadingMode] = useState(READING_MODES.SINGLE);
+  const [readingType, setReadingType] = useState(DEFAULT_READING_TYPE);
+  const [dominantHand, setDominantHand] = useState("right");
   const [userName, setUserName] = useState("");
-  const [analysisMarkdown, setAnalysisMarkdown] = useState("");
-  const [loadingText, setLoadingText] = useState("解析中...");
+  const [partnerName, setPartnerName] = useState("");
+  const [report, setReport] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [spiritState, setSpiritState] = useState({ status: "idle", img: "", caption: "" });
+  const [spiritGallery, setSpiritGallery] = useState([]);
+  const [spiritBusy, setSpiritBusy] = useState(null);
   const [chatLogs, setChatLogs] = useState(() => [...initialChatLogs]);
   const [chatInput, setChatInput] = useState("");
+  const [followUps, setFollowUps] = useState([]);
+  const followUpAbortRef = useRef(null);
   const [toast, setToast] = useState("");
-  const [dropActive, setDropActive] = useState(false);
   const [quotaModal, setQuotaModal] = useState(false);
-
-  const displayName = useMemo(() => userName.trim() || "あなた", [userName]);
+  const [streaming, setStreaming] = useState(null);
+  const streamAbortRef = useRef(null);
+  const spiritAbortRef = useRef(null);
+  const [readingMeta, setReadingMeta] = useState(null);
+  const [readings, setReadings] = useState([]);
+  const [historyEnabled, setHistoryEnabledState] = useState(isHistoryEnabled);
+  const [usage, setUsage] = useState(getTodayUsage);
+  const [usageLimits, setUsageLimitsState] = useState(getUsageLimits);
+
+  const cameraSupported = useMemo(() => isCameraSupported(fakeMediaDevices), []);
+  // 既定の呼び名と Markdown の見出しは表示言語で変わるので、描画のたびに作り直す
+  const displayName = userName.trim() || t("common.defaultName");
+  const partnerDisplayName = partnerName.trim() || t("common.defaultPartnerName");
+  const reportNames = report?.pair ? report.pair.names : [displayName];
+  // 手相マップの座標は、片手鑑定では鑑定した画像、両手鑑定では利き手の画像に対するもの。
+  // 履歴から開いたときは元画像を持っていないので、同じ画像から作ったサムネイルで代用する
+  const annotationImage =
+    report && !report.pair ? photos[report.hands ? report.hands.dominant : "main"]?.preview || readingMeta?.thumbnail : null;
+  // コピー・チャット・精霊生成にはMarkdown版を渡す
+  const analysisMarkdown = reportToMarkdown(report, displayName);
+  const usageState = usageStatus(usage, usageLimits);
 
   useEffect(() => {
     if (!toast) return;
@@ -178,207 +193,541 @@ function App() {
     return () => clearTimeout(timer);
   }, [toast]);
 
+  // 記録のたびに表示を更新し、警告の段階に入ったときだけトーストで知らせる
+  useEffect(() => {
+    const level = (status) => (status.exhausted ? 2 : status.warning ? 1 : 0);
+    let previous = level(usageStatus(getTodayUsage(), getUsageLimits()));
+    return subscribeUsage(() => {
+      const next = getTodayUsage();
+      const status = usageStatus(next, getUsageLimits());
+      setUsage(next);
+      if (level(status) > previous) setToast(usageMessage(status));
+      previous = level(status);
+    });
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.title = t("app.documentTitle");
+  }, [locale]);
+
   useEffect(() => {
     window.scrollTo({ top: 0, behavior: "smooth" });
   }, [view]);
 
+  // 鑑定結果・添えた精霊・対話が更新されるたびに履歴へ保存する（生成中は確定するまで待つ）
+  useEffect(() => {
+    if (!readingMeta || !historyEnabled || !report || streaming || spiritBusy) return;
+    saveReading({
+      ...readingMeta,
+      name: userName.trim(),
+      partnerName: report.pair ? partnerName.trim() : "",
+      report,
+      spirit:
+        spiritState.status === "done"
+          ? {
+              img: spiritState.img,
+              caption: spiritState.caption,
+              provider: spiritState.provider,
+              entryId: spiritState.entryId,
+              ...(spiritState.profile && { profile: spiritState.profile }),
+              ...(spiritState.pair && { pair: spiritState.pair }),
+            }
+          : null,
+      chatLogs: chatLogs.filter((log) => !log.pending),
+    }).catch((error) => {
+      console.error("History Save Error:", error);
+      setToast(t("errors.historySaveFailed"));
+    });
+  }, [readingMeta, historyEnabled, report, streaming, spiritBusy, spiritState, chatLogs, userName, partnerName]);
+
+  // ギャラリーは召喚や選び直しのときだけ、鑑定の記録とは別に保存する
+  const readingId = readingMeta?.id;
+  useEffect(() => {
+    if (!readingId || !historyEnabled || spiritBusy) return;
+    saveSpiritGallery(readingId, galleryForStorage(spiritGallery, spiritState.entryId)).catch((error) => {
+      console.error("Spirit Gallery Save Error:", error);
+      setToast(t("errors.historySaveFailed"));
+    });
+  }, [readingId, historyEnabled, spiritBusy, spiritGallery, spiritState.entryId]);
+
   const showToast = (message) => setToast(message);
 
-  const handleImageSelection = async (file) => {
+  // 画面を切り替え、URL にも反映する
+  const navigate = (next, { replace = false } = {}) => {
+    setView(next);
+    // 開いたまま日付が変わったときのために、画面を切り替えるたびに読み直す
+    setUsage(getTodayUsage());
+    writeRoute({ view: next }, { replace });
+  };
+
+  // 画面の文言と、以降にモデルへ送るプロンプトの言語を切り替える
+  const handleChangeLocale = (next) => {
+    setLocale(next);
+    setLocaleState(next);
+  };
+
+  const beginStream = (target) => {
+    const controller = new AbortController();
+    streamAbortRef.current = controller;
+    setStreaming(target);
+    return controller.signal;
+  };
+
+  // resetApp などで破棄されたストリームかどうか
+  const isStaleStream = (signal) => streamAbortRef.current?.signal !== signal;
+
+  const endStream = (signal) => {
+    if (isStaleStream(signal)) return;
+    streamAbortRef.current = null;
+    setStreaming(null);
+  };
+
+  const stopStreaming = () => streamAbortRef.current?.abort();
+
+  // 読み込み画面のキャンセル。まだ何も受信していない鑑定を取りやめて入力画面に戻る
+  const cancelAnalysis = () => {
+    discardStream();
+    setIsProcessing(false);
+    navigate(VIEWS.INPUT, { replace: true });
+    showToast(t("loading.cancelled"));
+  };
+
+  // promptVersion は鑑定に使ったプロンプトテンプレートの版。
+  // 鑑定が確定した時点で記録を作り、サムネイルは出来上がってから同じ鑑定にだけ足す
+  const startReadingRecord = async (thumbnailSource, title, promptVersion) => {
+    const id = createReadingId();
+    setReadingMeta({ id, createdAt: Date.now(), title, thumbnail: "", promptVersion });
+    const thumbnail = await createThumbnail(thumbnailSource).catch(() => "");
+    setReadingMeta((meta) => (meta?.id === id ? { ...meta, thumbnail } : meta));
+  };
+
+  const discardStream = () => {
+    const controller = streamAbortRef.current;
+    streamAbortRef.current = null;
+    setStreaming(null);
+    controller?.abort();
+  };
+
+  const handleImageSelection = async (file, slot = "main") => {
     if (!file || !file.type.startsWith("image/")) {
-      showToast("画像ファイルを選択してください");
+      showToast(t("errors.selectImage"));
       return;
     }
 
     try {
       const compressedDataUrl = await compressAndResizeImage(file);
-      setImagePreview(compressedDataUrl);
-      setImageData(compressedDataUrl.split(",")[1]);
-      setImageMime("image/jpeg");
+      const photo = await preparePhoto(compressedDataUrl, DEFAULT_PHOTO_EDITS);
+      setPhotos((current) => ({ ...current, [slot]: photo }));
+      setEditingSlot(slot);
     } catch (err) {
       console.error("Image processing error:", err);
-      showToast("画像の処理に失敗しました");
+      showToast(t("errors.imageFailed"));
+    }
+  };
+
+  // 編集を確定してもキャンセルしても、続けてぼかしの確認に進む
+  const handleApplyEdits = async (edits) => {
+    const slot = editingSlot;
+    const photo = photos[slot];
+    setEditingSlot(null);
+    if (!photo) return;
+
+    try {
+      const next = await preparePhoto(photo.original, edits);
+      setPhotos((current) => ({ ...current, [slot]: next }));
+      setReviewingSlot(slot);
+    } catch (err) {
+      console.error("Image edit error:", err);
+      showToast(t("errors.editFailed"));
+    }
+  };
+
+  const handleCancelEdits = () => {
+    setReviewingSlot(editingSlot);
+    setEditingSlot(null);
+  };
+
+  const handleApplyMasks = async (masks) => {
+    const slot = reviewingSlot;
+    const photo = photos[slot];
+    setReviewingSlot(null);
+    if (!photo) return;
+
+    try {
+      const masked = await applyPrivacyMasks(photo.edited, masks);
+      setPhotos((current) => ({ ...current, [slot]: { ...photo, preview: masked, data: masked.split(",")[1], masks } }));
+    } catch (err) {
+      console.error("Privacy mask error:", err);
+      showToast(t("errors.maskFailed"));
     }
   };
 
-  const handleDrop = (event) => {
-    event.preventDefault();
-    setDropActive(false);
-    const [file] = event.dataTransfer.files || [];
-    handleImageSelection(file);
+  const clearPhoto = (slot) =>
+    setPhotos((current) => {
+      const next = { ...current };
+      delete next[slot];
+      return next;
+    });
+
+  const handleCapture = (file) => {
+    const slot = cameraSlot;
+    setCameraSlot(null);
+    handleImageSelection(file, slot);
   };
 
+  const isDual = readingMode === READING_MODES.DUAL;
+  const isPair = readingMode === READING_MODES.PAIR;
+  const analysisSlots = isPair ? PAIR_SLOTS : isDual ? ["left", "right"] : ["main"];
+  const photosReady = analysisSlots.every((slot) => photos[slot]);
 
-  const startAnalysis = async () => {
-    if (!imageData || isProcessing) {
-      showToast("手のひらの画像をアップロードしてください");
+  // 写真が差し替わったら前回のチェック結果は無効
+  useEffect(() => {
+    setQualityIssues(null);
+  }, [photos, readingMode]);
+
+  // 枠ごとの問題点を { slot: [{ code, message }] } で返す。問題がなければ空オブジェクト
+  const checkPhotoQuality = async () => {
+    const results = await Promise.all(
+      analysisSlots.map(async (slot) => {
+        const photo = photos[slot];
+        const issues = assessPhotoQuality(await measurePhotoQuality(photo.edited));
+
+        // 明らかに撮り直しが必要なときは、問い合わせの分の利用枠も使わない
+        if (PALM_CHECK_ENABLED && issues.length === 0) {
+          try {
+            const thumbnail = await createThumbnail(photo.preview, PALM_CHECK_DIMENSION);
+            const res = await secureApiCall(
+              "analyze",
+              {
+                messages: [
+                  { role: "user", text: palmCheckPrompt(), images: [{ mimeType: "image/jpeg", data: thumbnail.split(",")[1] }] },
+                ],
+                responseSchema: palmCheckSchema(),
+              },
+              { retries: 0, signal: AbortSignal.timeout(PALM_CHECK_TIMEOUT) }
+            );
+            const verdict = parsePalmCheck(res?.text || "");
+            if (!verdict.isPalm) {
+              issues.push({ code: "not_palm", message: t("input.notPalm", { reason: verdict.reason }) });
+            }
+          } catch (error) {
+            // 判定の問い合わせに失敗しても鑑定自体は止めない
+            console.warn("Palm check skipped:", error);
+          }
+        }
+        return [slot, issues];
+      })
+    );
+    return Object.fromEntries(results.filter(([, issues]) => issues.length > 0));
+  };
+
+  // 利用枠を使い切っていて止める設定のときは、重い操作（鑑定・精霊の召喚）を始めない
+  const ensureUsageAvailable = () => {
+    if (!usageState.blocked) return true;
+    showToast(t("usage.blocked"));
+    return false;
+  };
+
+  const startAnalysis = async ({ skipQualityCheck = false } = {}) => {
+    if (!photosReady || isProcessing) {
+      showToast(t(isPair ? "input.needPair" : isDual ? "input.needDual" : "input.needSingle"));
       return;
     }
+    if (!ensureUsageAvailable()) return;
 
     setIsProcessing(true);
-    setLoadingText(`${displayName}さんの未来を解読中...`);
-    setView(VIEWS.LOADING);
-
-    const prompt = `あなたは世界最高峰の手相鑑定士です。添付された画像を深く分析してください。
-対象者は「${displayName}」さんです。
-以下の項目でレポートを作成してください（Markdown形式）：
-1. **全体的な印象**: 基本的な資質。
-2. **主要な線の解読**: 生命線、知能線、感情線の状態。
-3. **掌丘とサイン**: 手の特徴。
-4. **AIからの助言**: 3つの助言。
-鑑定結果の文中で必ず「${displayName}さん」と呼びかけてください。`;
+
+    if (!skipQualityCheck) {
+      const issues = await checkPhotoQuality().catch((error) => {
+        console.warn("Quality check skipped:", error);
+        return {};
+      });
+      if (Object.keys(issues).length > 0) {
+        setQualityIssues(issues);
+        setIsProcessing(false);
+        return;
+      }
+    }
+    setQualityIssues(null);
+    // 前の鑑定の記録・精霊・対話を新しい鑑定に持ち越さない。記録は新しい鑑定が確定してから作る
+    setReadingMeta(null);
+    setReport(null);
+    cancelSpirit();
+    setSpiritState({ status: "idle", img: "", caption: "" });
+    setSpiritGallery([]);
+    cancelFollowUps();
+    setChatLogs([...initialChatLogs]);
+    setChatInput("");
+    navigate(VIEWS.LOADING);
+
+    const innateHand = dominantHand === "left" ? "right" : "left";
+    const prompt = renderPrompt("analysis", { name: honorific(displayName) });
+    const dualPrompt = renderPrompt("dual", {
+      name: honorific(displayName),
+      dominant: handLabel(dominantHand),
+      innate: handLabel(innateHand),
+      index: dominantHand === "left" ? 1 : 2,
+    });
+    const pairPrompt = renderPrompt("pair", { first: honorific(displayName), second: honorific(partnerDisplayName) });
+    const typePrompt = readingTypePrompt(readingType);
+    const promptVersion = activePromptVersion();
+
+    const hands = isDual ? { dominant: dominantHand } : null;
+    const pair = isPair ? { names: [displayName, partnerDisplayName] } : null;
+    const normalize = isPair ? normalizeCompatibilityReport : normalizeReport;
+    const images = analysisSlots.map((slot) => ({ mimeType: photos[slot].mimeType, data: photos[slot].data }));
+    const thumbnailSource = isPair
+      ? PAIR_SLOTS.map((slot) => photos[slot].preview)
+      : photos[isDual ? dominantHand : "main"].preview;
+    const recordTitle = isPair ? pairTitle(pair.names) : readingTitle(displayName);
+
+    const signal = beginStream("analysis");
+    let received = "";
 
     try {
-      const response = await secureApiCall(
+      const { text: content } = await streamApiCall(
+        "analyze",
         {
-          contents: [
-            {
-              parts: [
-                { text: prompt },
-                { inlineData: { mimeType: imageMime, data: imageData } },
-              ],
-            },
-          ],
+          messages: [{ role: "user", text: (isPair ? pairPrompt : isDual ? prompt + dualPrompt : prompt) + typePrompt, images }],
+          responseSchema: withReadingType(isPair ? compatibilitySchema() : isDual ? dualReportSchema() : reportSchema(), readingType),
         },
-        "generateContent",
-        undefined,
-        undefined,
-        { onQuota: () => setQuotaModal(true) }
+        {
+          signal,
+          onQuota: () => setQuotaModal(true),
+          onText: (text) => {
+            // 途中までのJSONを補完して読み、最初に中身が読めた時点で結果画面に切り替える
+            const partial = { ...normalize(parsePartialJson(text)), hands, pair, readingType };
+            if (!partial.overall) return;
+            if (!received) {
+              // 戻るで鑑定中の画面に戻らないよう差し替える
+              navigate(VIEWS.RESULT, { replace: true });
+            }
+            received = text;
+            setReport(partial);
+          },
+        }
       );
 
-      const content = response?.candidates?.[0]?.content?.parts?.[0]?.text;
-      if (!content) throw new Error("解析結果が得られませんでした");
-
-      setAnalysisMarkdown(content);
-      setView(VIEWS.RESULT);
-      setSpiritState({ status: "idle", img: "", caption: "" });
+      const finalReport = parseReport(content, normalize);
+      if (!isReportComplete(finalReport)) throw new Error(t("errors.analysisEmpty"));
+      const completedReport = { ...finalReport, hands, pair, readingType };
+      setReport(completedReport);
+      startReadingRecord(thumbnailSource, recordTitle, promptVersion);
+      // 対話は鑑定の開始時に初期化している（ここで見える chatLogs は前の鑑定のまま）
+      suggestFollowUps({ analysis: reportToMarkdown(completedReport, displayName), names: pair ? pair.names : [displayName], logs: initialChatLogs });
     } catch (error) {
-      console.error("Analysis Error:", error);
-      setAnalysisMarkdown("");
-      const msg = error?.message || "";
-      const lower = msg.toLowerCase();
-      const isQuota =
-        lower.includes("無料枠を使い切った") ||
-        lower.includes("quota") ||
-        lower.includes("exceed") ||
-        lower.includes("exhausted") ||
-        lower.includes("insufficient tokens") ||
-        lower.includes("billing") ||
-        lower.includes("billed users") ||
-        lower.includes("daily limit");
-      if (isQuota) {
-        setQuotaModal(true);
+      if (isStaleStream(signal)) return;
+      if (received) {
+        // 途中まで届いた鑑定結果は残す
+        showToast(isAbortError(error) ? t("errors.analysisStopped") : error?.message || t("errors.analysisInterrupted"));
+        startReadingRecord(thumbnailSource, recordTitle, promptVersion);
+        return;
       }
-      showToast(msg || "鑑定に失敗しました。時間をおいて再試行してください。");
-      setView(VIEWS.INPUT);
+      // 無料枠の枯渇は onQuota でモーダルを出している
+      console.error("Analysis Error:", error);
+      setReport(null);
+      showToast(error?.message || t("errors.analysisFailed"));
+      navigate(VIEWS.INPUT, { replace: true });
     } finally {
+      endStream(signal);
       setIsProcessing(false);
     }
   };
 
   const handleSummonSpirit = () => {
-    if (!analysisMarkdown) {
-      showToast("先に鑑定を完了してください");
+    if (!analysisMarkdown || streaming === "analysis") {
+      showToast(t("spirit.needReading"));
       return;
     }
-    generateSpirit();
-  };
-
-  const fetchFallbackImage = async (prompt) => {
-    const url = `https://image.pollinations.ai/prompt/${encodeURIComponent(
-      `Mystical ethereal fantasy spirit, ${prompt}, detailed spiritual digital art, cinematic lighting`
-    )}?width=1024&height=1024&nologo=true&seed=${Date.now()}`;
-    const res = await fetch(url);
-    if (!res.ok) throw new Error("代替画像サービスでも生成に失敗しました");
-    const blob = await res.blob();
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => resolve(reader.result);
-      reader.onerror = reject;
-      reader.readAsDataURL(blob);
-    });
+    if (!ensureUsageAvailable()) return;
+    summonSpirit();
   };
 
-  const generateSpirit = async () => {
+  const spiritOwners = report?.pair ? report.pair.names : [displayName];
+
+  // 精霊の定義を構造化データで受け取る。相性鑑定では二人分を対になるよう一度に定義する
+  const defineSpirits = async (signal) => {
+    const summoned = [...new Set(spiritGallery.flatMap((entry) => entry.spirits.map((spirit) => spirit.name)))];
+    const avoid = summoned.length ? renderPrompt("spiritAvoid", { names: summoned.join(t("common.listSeparator")) }) : "";
+    const fields = renderPrompt("spiritFields") + spiritStylePrompt(readingTypeOf(report));
+    const text = report.pair
+      ? renderPrompt("spiritPair", {
+          first: honorific(spiritOwners[0]),
+          second: honorific(spiritOwners[1]),
+          fields,
+          avoid,
+          analysis: analysisMarkdown.substring(0, 1500),
+        })
+      : renderPrompt("spiritSingle", { name: honorific(displayName), fields, avoid, analysis: analysisMarkdown.substring(0, 1000) });
+
+    const res = await secureApiCall(
+      "spirit",
+      {
+        messages: [{ role: "user", text }],
+        responseSchema: report.pair ? pairSpiritSchema() : spiritSchema(),
+      },
+      { signal, onQuota: () => setQuotaModal(true) }
+    );
+
+    const raw = res?.text || "";
+    const spirits = report.pair ? parsePairSpirits(raw) : [parseSpirit(raw)].filter(Boolean);
+    if (!spirits?.length) throw new Error(t("spirit.unreadable"));
+    return spirits;
+  };
+
+  // 定義はそのままに seed を変えて描くので、同じ精霊の姿違いになる。一覧用にサムネイルも作る
+  const drawSpirits = async (definitions, seed, signal) => {
+    const images = await Promise.all(
+      definitions.map(async (spirit, idx) => {
+        const image = await generateSpiritImage({
+          prompt: spirit.imagePrompt || `guardian spirit of ${spiritOwners[idx]}`,
+          name: spirit.name,
+          seed: seed + idx,
+          signal,
+        });
+        const thumb = await createThumbnail(image.img, GALLERY_THUMB_DIMENSION).catch(() => "");
+        return { ...image, ...(thumb && { thumb }) };
+      })
+    );
+    return { id: createSpiritId(), seed, spirits: definitions.map((spirit, idx) => ({ ...spirit, ...images[idx] })) };
+  };
+
+  const newSpiritSeed = () => Math.floor(Math.random() * 1e9);
+
+  const addToSpiritGallery = (entries) => setSpiritGallery((current) => [...current, ...entries].slice(-MAX_GALLERY));
+
+  // 召喚・描き分けは1つずつ。キャンセルや別の鑑定への切り替えで中断できるよう AbortController を持つ
+  const beginSpirit = (busy) => {
+    const controller = new AbortController();
+    spiritAbortRef.current = controller;
+    setSpiritBusy(busy);
+    return controller.signal;
+  };
+
+  const endSpirit = (signal) => {
+    if (spiritAbortRef.current?.signal !== signal) return;
+    spiritAbortRef.current = null;
+    setSpiritBusy(null);
+  };
+
+  const cancelSpirit = () => {
+    const controller = spiritAbortRef.current;
+    spiritAbortRef.current = null;
+    setSpiritBusy(null);
+    controller?.abort();
+  };
+
+  const summonSpirit = async () => {
     if (!analysisMarkdown) {
-      showToast("先に鑑定を完了してください");
+      showToast(t("spirit.needReading"));
       return;
     }
-    setSpiritState({ status: "loading", img: "", caption: "" });
-
-    let promptText = "";
-    let spiritName = "精霊";
+    const signal = beginSpirit("summon");
+    try {
+      const entry = await drawSpirits(await defineSpirits(signal), newSpiritSeed(), signal);
+      addToSpiritGallery([entry]);
+      setSpiritState(toAttachedSpirit(entry, spiritOwners));
+    } catch (error) {
+      if (isAbortError(error)) return;
+      console.error("Summon Error:", error);
+      showToast(error?.message || t("spirit.failed"));
+    } finally {
+      endSpirit(signal);
+    }
+  };
 
+  const handleSpiritVariations = async () => {
+    const source = spiritGallery.find((entry) => entry.id === spiritState.entryId);
+    if (!source || spiritBusy || !ensureUsageAvailable()) return;
+    const signal = beginSpirit("variations");
     try {
-      const promptRes = await secureApiCall(
-        {
-          contents: [
-            {
-              parts: [
-                {
-                  text: `以下の手相鑑定結果から${displayName}さんの魂を象徴する幻想的な守護精霊を1体定義し、Imagen 4.0用英語プロンプトと和名をカッコ内に。結果：${analysisMarkdown.substring(
-                    0,
-                    1000
-                  )}`,
-                },
-              ],
-            },
-          ],
-        },
-        "generateContent",
-        undefined,
-        undefined,
-        { onQuota: () => setQuotaModal(true) }
+      const definitions = source.spirits.map(normalizeSpirit);
+      const entries = await Promise.all(
+        Array.from({ length: VARIATION_COUNT }, () => drawSpirits(definitions, newSpiritSeed(), signal))
       );
+      addToSpiritGallery(entries);
+      showToast(t("spirit.variationsAdded"));
+    } catch (error) {
+      if (isAbortError(error)) return;
+      console.error("Spirit Variation Error:", error);
+      showToast(error?.message || t("spirit.failed"));
+    } finally {
+      endSpirit(signal);
+    }
+  };
 
-      const raw = promptRes?.candidates?.[0]?.content?.parts?.[0]?.text || "";
-      promptText = raw.split("(")[0].trim();
-      spiritName = raw.match(/\((.*?)\)/)?.[1] || "精霊";
+  const handlePickSpirit = (entry) => setSpiritState(toAttachedSpirit(entry, spiritOwners));
 
-      const fallbackImg = await fetchFallbackImage(promptText || analysisMarkdown.substring(0, 200));
+  // 表示中の質問の候補を消し、作っている途中のものは取りやめる
+  const cancelFollowUps = () => {
+    const controller = followUpAbortRef.current;
+    followUpAbortRef.current = null;
+    setFollowUps([]);
+    controller?.abort();
+  };
 
-      setSpiritState({
-        status: "done",
-        img: fallbackImg,
-        caption: `召喚された精霊：${spiritName}`,
-      });
+  // 鑑定結果と会話の流れから、次に聞けそうな質問の候補を作る。失敗したときは候補を出さないだけにする
+  const suggestFollowUps = async ({ analysis, names, logs }) => {
+    cancelFollowUps();
+    // 候補は鑑定・回答のたびに1回余分に呼ぶので、今日の予算を使い切ったら作らない
+    // （usageState は呼び出し前の描画時点の値なので、いまの使用量を読み直す）
+    if (usageStatus(getTodayUsage(), getUsageLimits()).exhausted) return;
+    const controller = new AbortController();
+    followUpAbortRef.current = controller;
+    try {
+      const res = await secureApiCall("chat", buildFollowUpRequest({ analysis, names, logs }), { signal: controller.signal, retries: 0 });
+      if (followUpAbortRef.current === controller) setFollowUps(parseFollowUps(res?.text));
     } catch (error) {
-      console.error("Summon Error:", error);
-      const msg = error?.message || "";
-      showToast(msg || "精霊の召喚に失敗しました");
-      setSpiritState({ status: "idle", img: "", caption: "" });
+      if (!isAbortError(error)) console.warn("Follow-up suggestions skipped:", error);
+    } finally {
+      if (followUpAbortRef.current === controller) followUpAbortRef.current = null;
     }
   };
 
-  const handleChat = async () => {
-    const query = chatInput.trim();
-    if (!query || !analysisMarkdown) return;
+  // suggestion を渡したときは、入力欄ではなく質問の候補をそのまま送る
+  const handleChat = async (suggestion) => {
+    const query = (suggestion ?? chatInput).trim();
+    if (!query || !analysisMarkdown || streaming) return;
+    cancelFollowUps();
+
+    // 送信前の履歴から、今回の質問までを含むマルチターンのリクエストを組み立てる
+    const request = buildChatRequest({ analysis: analysisMarkdown, names: reportNames, logs: chatLogs, question: query });
 
     const userLog = { sender: "user", text: query };
-    const thinkingLog = { sender: "bot", text: "考察中..." };
+    const thinkingLog = { sender: "bot", text: t("chat.thinking"), pending: true };
     setChatLogs((logs) => [...logs, userLog, thinkingLog]);
-    setChatInput("");
+    if (suggestion === undefined) setChatInput("");
+
+    const replaceLastLog = (text, flags = {}) =>
+      setChatLogs((logs) => [...logs.slice(0, -1), { sender: "bot", text, ...flags }]);
+    const signal = beginStream("chat");
+    let received = "";
 
     try {
-      const response = await secureApiCall(
-        {
-          contents: [
-            {
-              role: "user",
-              parts: [{ text: `手相鑑定結果：\n${analysisMarkdown}\n\n質問：${query}` }],
-            },
-          ],
+      const { text } = await streamApiCall("chat", request, {
+        signal,
+        onQuota: () => setQuotaModal(true),
+        onText: (partial) => {
+          received = partial;
+          replaceLastLog(partial, { pending: true });
         },
-        "generateContent",
-        undefined,
-        undefined,
-        { onQuota: () => setQuotaModal(true) }
-      );
-      const answer = response?.candidates?.[0]?.content?.parts?.[0]?.text || "お答えを生成できませんでした。";
-      setChatLogs((logs) => [...logs.slice(0, -1), { sender: "bot", text: answer }]);
+      });
+      if (text) replaceLastLog(text);
+      else replaceLastLog(t("chat.failed"), { failed: true });
+      if (text && !isStaleStream(signal)) {
+        suggestFollowUps({ analysis: analysisMarkdown, names: reportNames, logs: [...chatLogs, userLog, { sender: "bot", text }] });
+      }
     } catch (error) {
+      if (isStaleStream(signal)) return;
+      if (isAbortError(error)) {
+        replaceLastLog(received || t("chat.stopped"), received ? { stopped: true } : { failed: true });
+        return;
+      }
       console.error("Chat Error:", error);
-      setChatLogs((logs) => [...logs.slice(0, -1), { sender: "bot", text: "お答えを生成できませんでした。" }]);
+      replaceLastLog(received || t("chat.failed"), received ? {} : { failed: true });
+    } finally {
+      endStream(signal);
     }
   };
 
@@ -386,26 +735,184 @@ function App() {
     if (!analysisMarkdown) return;
     try {
       await navigator.clipboard.writeText(analysisMarkdown);
-      showToast("鑑定結果をコピーしました");
+      showToast(t("errors.copied"));
     } catch {
-      showToast("コピーに失敗しました");
+      showToast(t("errors.copyFailed"));
+    }
+  };
+
+  // 履歴で名前を変えた鑑定は、見出しも鑑定書もその名前で出す
+  const reportTitle = readingMeta?.title || (report?.pair ? pairTitle(report.pair.names) : readingTitle(displayName));
+
+  // 鑑定書を PDF（A4）または SNS 向けの PNG として端末に保存する
+  const handleExport = async (format) => {
+    if (!report || exporting) return;
+    setExporting(format);
+    try {
+      const photo = report.pair
+        ? readingMeta?.thumbnail
+        : photos[report.hands ? report.hands.dominant : "main"]?.preview || readingMeta?.thumbnail;
+      const canvas = await renderCertificate(
+        {
+          title: reportTitle,
+          date: readingMeta?.createdAt || Date.now(),
+          photo,
+          report,
+          spirit: spiritState.status === "done" ? spiritState : null,
+        },
+        format
+      );
+      const blob = format === "pdf" ? await certificateToPdf(canvas) : await certificateToPng(canvas);
+      const stamp = new Date(readingMeta?.createdAt || Date.now()).toISOString().slice(0, 10);
+      downloadBlob(blob, `aiteso-${stamp}.${format}`);
+    } catch (error) {
+      console.error("Export Error:", error);
+      showToast(t("errors.exportFailed"));
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const refreshReadings = async () => {
+    try {
+      setReadings(await listReadings());
+    } catch (error) {
+      console.error("History Load Error:", error);
+      showToast(error?.message || t("errors.historyLoadFailed"));
+    }
+  };
+
+  const openHistory = () => {
+    refreshReadings();
+    navigate(VIEWS.HISTORY);
+  };
+
+  // replace は URL から開いたとき（直接リンク・戻る / 進む）。開けなければ入力画面に戻す
+  const handleOpenReading = async (id, { replace = false } = {}) => {
+    try {
+      const [reading, gallery] = await Promise.all([getReading(id), getSpiritGallery(id)]);
+      if (!reading) {
+        showToast(t("errors.readingNotFound"));
+        if (replace) navigate(VIEWS.INPUT, { replace });
+        else refreshReadings();
+        return;
+      }
+      discardStream();
+      cancelSpirit();
+      cancelFollowUps();
+      setReadingMeta({
+        id: reading.id,
+        createdAt: reading.createdAt,
+        title: reading.title,
+        thumbnail: reading.thumbnail,
+        promptVersion: reading.promptVersion,
+      });
+      setUserName(reading.name || "");
+      setPartnerName(reading.partnerName || "");
+      setPhotos({});
+      setReport(reading.report);
+      setSpiritState(reading.spirit ? { status: "done", ...reading.spirit } : { status: "idle", img: "", caption: "" });
+      // 以前の版は記録の中にギャラリーを持っていた
+      setSpiritGallery(gallery || reading.spiritGallery || []);
+      setChatLogs(reading.chatLogs?.length ? reading.chatLogs : [...initialChatLogs]);
+      setChatInput("");
+      navigate(VIEWS.RESULT, { replace });
+    } catch (error) {
+      console.error("History Load Error:", error);
+      showToast(t("errors.historyLoadFailed"));
+      if (replace) navigate(VIEWS.INPUT, { replace });
     }
   };
 
+  const handleRenameReading = async (id, title) => {
+    await renameReading(id, title).catch(() => showToast(t("errors.renameFailed")));
+    if (readingMeta?.id === id) setReadingMeta((meta) => ({ ...meta, title }));
+    refreshReadings();
+  };
+
+  const handleDeleteReading = async (id) => {
+    // 表示中の鑑定を消した場合は自動保存で復活しないよう切り離す
+    if (readingMeta?.id === id) setReadingMeta(null);
+    await deleteReading(id).catch(() => showToast(t("errors.deleteFailed")));
+    refreshReadings();
+  };
+
+  const handleClearReadings = async () => {
+    setReadingMeta(null);
+    await clearReadings().catch(() => showToast(t("errors.deleteFailed")));
+    showToast(t("errors.historyCleared"));
+    refreshReadings();
+  };
+
+  const handleToggleHistory = (enabled) => {
+    setHistoryEnabled(enabled);
+    setHistoryEnabledState(enabled);
+  };
+
+  const handleChangeUsageLimits = (limits) => {
+    setUsageLimits(limits);
+    setUsageLimitsState(getUsageLimits());
+  };
+
   const resetApp = () => {
-    setImagePreview("");
-    setImageData("");
-    setImageMime("image/jpeg");
+    discardStream();
+    cancelSpirit();
+    cancelFollowUps();
+    setReadingMeta(null);
+    setPhotos({});
+    setEditingSlot(null);
+    setReviewingSlot(null);
+    setCameraSlot(null);
     setUserName("");
-    setAnalysisMarkdown("");
+    setPartnerName("");
+    setReport(null);
     setSpiritState({ status: "idle", img: "", caption: "" });
+    setSpiritGallery([]);
     setChatLogs([...initialChatLogs]);
     setChatInput("");
-    setView(VIEWS.INPUT);
+    navigate(VIEWS.INPUT);
     setIsProcessing(false);
     setQuotaModal(false);
   };
 
+  // 戻る / 進む・直接リンク・再読み込みで URL が指す画面に合わせる
+  const applyRoute = ({ view: next, readingId }) => {
+    if (next === VIEWS.RESULT && readingId && readingId !== readingMeta?.id) {
+      handleOpenReading(readingId, { replace: true });
+      return;
+    }
+    // 鑑定中の画面や、手元に無い鑑定結果には戻れない
+    if ((next === VIEWS.LOADING && streaming !== "analysis") || (next === VIEWS.RESULT && !report)) {
+      navigate(report ? VIEWS.RESULT : VIEWS.INPUT, { replace: true });
+      return;
+    }
+    // 鑑定の途中で入力画面に戻ったら、その鑑定は取りやめる
+    if (next === VIEWS.INPUT && streaming === "analysis") {
+      discardStream();
+      setIsProcessing(false);
+    }
+    if (next === VIEWS.HISTORY) refreshReadings();
+    setView(next);
+  };
+
+  const applyRouteRef = useRef(applyRoute);
+  useEffect(() => {
+    applyRouteRef.current = applyRoute;
+  });
+
+  useEffect(() => {
+    const handlePopState = () => applyRouteRef.current(parseRoute());
+    window.addEventListener("popstate", handlePopState);
+    applyRouteRef.current(parseRoute());
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  // 履歴に保存した鑑定は、再読み込みや共有で同じ鑑定を開けるよう URL に id を載せる
+  const linkedReadingId = historyEnabled ? readingMeta?.id : undefined;
+  useEffect(() => {
+    if (view === VIEWS.RESULT) writeRoute({ view, readingId: linkedReadingId }, { replace: true });
+  }, [view, linkedReadingId]);
+
   return (
     <div className="p-4 md:p-8 flex flex-col items-center min-h-screen">
       {modalOpen && (
@@ -415,26 +922,22 @@ function App() {
               <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 text-indigo-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
               </svg>
-              実践的なアドバイス
+              {t("intro.title")}
             </h2>
             <div className="space-y-4 text-sm text-slate-300 mb-8 leading-relaxed text-left">
-              <p>このアプリを安全に、かつプロフェッショナルに利用するための推奨事項です。</p>
-              <p>
-                <strong>指先を写さない:</strong> 鑑定に必要なのは「手のひら」中央の線です。指紋部分はフレームの外に出して撮影することを推奨します。
-              </p>
-              <p>
-                <strong>背景に配慮する:</strong> 自身の顔や住所がわかるものが写り込まないようにしてください。
-              </p>
-              <p>
-                <strong>匿名性の保持:</strong> お名前はニックネーム等でも構いません。
-              </p>
+              <p>{t("intro.lead")}</p>
+              {["fingertips", "background", "anonymity", "history"].map((item) => (
+                <p key={item}>
+                  <strong>{t(`intro.${item}Title`)}</strong> {t(`intro.${item}`)}
+                </p>
+              ))}
             </div>
             <button
               type="button"
               onClick={() => setModalOpen(false)}
               className="w-full py-4 bg-indigo-600 hover:bg-indigo-500 text-white font-black rounded-xl transition-all shadow-lg active:scale-95"
             >
-              同意して開始する
+              {t("intro.agree")}
             </button>
           </div>
         </div>
@@ -442,87 +945,242 @@ function App() {
 
       <header className="text-center mb-10 fade-in w-full max-w-full overflow-hidden">
         <h1 className="text-3xl md:text-5xl font-black bg-clip-text text-transparent bg-gradient-to-r from-indigo-400 via-purple-400 to-pink-400 mb-3 tracking-tight">
-          AI お手を拝借 Pro
+          {t("app.title")}
         </h1>
-        <p className="text-indigo-200 opacity-70 text-sm md:text-lg px-2 text-center">Geminiが導き出す、科学と神秘の融合</p>
+        <p className="text-indigo-200 opacity-70 text-sm md:text-lg px-2 text-center">{t("app.tagline")}</p>
+        {isMockApi && (
+          <p className="mt-3 inline-block px-3 py-1 rounded-full text-[11px] font-bold bg-amber-500/20 border border-amber-400/40 text-amber-200">
+            {t("app.mockBadge")}
+          </p>
+        )}
+        <div className="mt-4 flex flex-wrap justify-center gap-1" role="radiogroup" aria-label={t("app.language")}>
+          {Object.entries(LOCALES).map(([code, { label }]) => (
+            <button
+              key={code}
+              type="button"
+              role="radio"
+              lang={code}
+              aria-checked={locale === code}
+              onClick={() => handleChangeLocale(code)}
+              className={`px-3 py-1 rounded-full text-[11px] border transition-colors ${
+                locale === code ? "bg-indigo-600 border-indigo-500 text-white" : "bg-white/5 border-white/10 text-indigo-200 hover:bg-white/10"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        {usageState.warning && (
+          <p role="status" className="mt-4 mx-auto max-w-md rounded-xl border border-amber-400/30 bg-amber-500/10 px-4 py-2 text-xs text-amber-100">
+            {usageMessage(usageState)}
+            {view !== VIEWS.SETTINGS && view !== VIEWS.LOADING && (
+              <button type="button" onClick={() => navigate(VIEWS.SETTINGS)} className="ml-2 underline underline-offset-2 hover:text-white">
+                {t("usage.details")}
+              </button>
+            )}
+          </p>
+        )}
+        {view !== VIEWS.LOADING && (
+          <div className="mt-4 flex justify-center gap-2">
+            {view !== VIEWS.HISTORY && (
+              <button
+                type="button"
+                onClick={openHistory}
+                className="px-5 py-2 bg-white/5 hover:bg-white/10 rounded-full text-xs text-indigo-200 border border-white/10 transition-colors"
+              >
+                {t("app.history")}
+              </button>
+            )}
+            {view !== VIEWS.SETTINGS && (
+              <button
+                type="button"
+                onClick={() => navigate(VIEWS.SETTINGS)}
+                className="px-5 py-2 bg-white/5 hover:bg-white/10 rounded-full text-xs text-indigo-200 border border-white/10 transition-colors"
+              >
+                {t("app.settings")}
+              </button>
+            )}
+          </div>
+        )}
       </header>
 
       {view === VIEWS.INPUT && (
         <section className="w-full max-w-3xl space-y-8 fade-in">
           <div className="glass-card p-6 md:p-12 text-center shadow-2xl">
-            {!imagePreview && (
-              <div
-                className={`border-2 border-dashed border-indigo-500/30 rounded-2xl p-6 md:p-10 transition-all hover:border-indigo-400 cursor-pointer mb-6 group ${
-                  dropActive ? "bg-indigo-500/10" : ""
-                }`}
-                onClick={() => fileInputRef.current?.click()}
-                onDragOver={(e) => {
-                  e.preventDefault();
-                  setDropActive(true);
-                }}
-                onDragLeave={() => setDropActive(false)}
-                onDrop={handleDrop}
-              >
-                <div className="flex flex-col items-center">
-                  <div className="w-16 h-16 bg-indigo-500/10 rounded-full flex items-center justify-center mb-4">
-                    <svg xmlns="http://www.w3.org/2000/svg" className="w-8 h-8 text-indigo-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="1.5" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8-4-4m0 0L8 8m4-4v12" />
-                    </svg>
-                  </div>
-                  <p className="text-lg font-bold text-white mb-1">手のひらの画像をアップロード</p>
-                  <p className="text-xs text-slate-400">クリックして選択、またはドラッグ＆ドロップ</p>
-                </div>
-                <input
-                  ref={fileInputRef}
-                  type="file"
-                  accept="image/*"
-                  className="hidden"
-                  onChange={(e) => handleImageSelection(e.target.files?.[0])}
-                />
-              </div>
-            )}
+            <div className="flex justify-center gap-2 mb-6" role="radiogroup" aria-label={t("input.modeLabel")}>
+              {[
+                [READING_MODES.SINGLE, t("input.modeSingle")],
+                [READING_MODES.DUAL, t("input.modeDual")],
+                [READING_MODES.PAIR, t("input.modePair")],
+              ].map(([mode, label]) => (
+                <button
+                  key={mode}
+                  type="button"
+                  role="radio"
+                  aria-checked={readingMode === mode}
+                  onClick={() => setReadingMode(mode)}
+                  className={`px-4 py-2 rounded-full text-xs font-bold border transition-colors ${
+                    readingMode === mode ? "bg-indigo-600 border-indigo-500 text-white" : "bg-white/5 border-white/10 text-indigo-200 hover:bg-white/10"
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
 
-            {imagePreview && (
-              <div className="space-y-6">
-                <div className="relative inline-block max-w-full">
-                  <img src={imagePreview} className="max-h-64 md:max-h-72 w-auto mx-auto rounded-xl shadow-2xl border-2 border-indigo-500/20" alt="Preview" />
+            <div className="mb-6 space-y-2">
+              <div className="flex flex-wrap justify-center gap-2" role="radiogroup" aria-label={t("input.typeLabel")}>
+                {Object.keys(READING_TYPES).map((type) => (
                   <button
+                    key={type}
                     type="button"
-                    onClick={() => {
-                      setImagePreview("");
-                      setImageData("");
-                    }}
-                    className="absolute -top-3 -right-3 bg-red-500 text-white rounded-full p-1.5 shadow-lg"
+                    role="radio"
+                    aria-checked={readingType === type}
+                    onClick={() => setReadingType(type)}
+                    className={`px-3 py-1.5 rounded-full text-[11px] font-bold border transition-colors ${
+                      readingType === type
+                        ? "bg-fuchsia-600 border-fuchsia-500 text-white"
+                        : "bg-white/5 border-white/10 text-fuchsia-100 hover:bg-white/10"
+                    }`}
                   >
-                    <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
-                      <path
-                        fillRule="evenodd"
-                        d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z"
-                        clipRule="evenodd"
-                      />
-                    </svg>
+                    {readingTypeLabel(type)}
                   </button>
+                ))}
+              </div>
+              <p className="text-xs text-slate-400">{t(`readingTypes.${readingType}.lead`)}</p>
+            </div>
+
+            {isPair ? (
+              <div className="space-y-4 mb-6">
+                <p className="text-xs text-slate-400 leading-relaxed">{t("input.pairLead")}</p>
+                <div className="grid gap-6 md:grid-cols-2">
+                  {PAIR_SLOTS.map((slot, idx) => {
+                    const isFirst = idx === 0;
+                    return (
+                      <div key={slot} className="space-y-3">
+                        <PhotoSlot
+                          compact
+                          label={slotLabel(slot)}
+                          preview={photos[slot]?.preview}
+                          onSelect={(file) => handleImageSelection(file, slot)}
+                          onClear={() => clearPhoto(slot)}
+                          onEdit={() => setEditingSlot(slot)}
+                          onReview={() => setReviewingSlot(slot)}
+                          onCamera={cameraSupported ? () => setCameraSlot(slot) : undefined}
+                        />
+                        <input
+                          type="text"
+                          value={isFirst ? userName : partnerName}
+                          onChange={(e) => (isFirst ? setUserName : setPartnerName)(e.target.value.slice(0, 20))}
+                          placeholder={t(isFirst ? "input.firstNamePlaceholder" : "input.partnerNamePlaceholder")}
+                          aria-label={t("input.nameAria", { label: slotLabel(slot) })}
+                          className="w-full bg-slate-800 border border-white/10 rounded-xl px-4 py-3 text-white text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                          maxLength={20}
+                        />
+                      </div>
+                    );
+                  })}
                 </div>
+              </div>
+            ) : isDual ? (
+              <div className="space-y-4 mb-6">
+                <p className="text-xs text-slate-400 leading-relaxed">
+                  {t("input.dualLeadBefore")}
+                  <strong className="text-emerald-300">{t("input.dualLeadInnate")}</strong>
+                  {t("input.dualLeadMiddle")}
+                  <strong className="text-amber-300">{t("input.dualLeadAcquired")}</strong>
+                  {t("input.dualLeadAfter")}
+                </p>
+                <div className="grid gap-4 md:grid-cols-2">
+                  {["left", "right"].map((slot) => (
+                    <PhotoSlot
+                      key={slot}
+                      compact
+                      label={handLabel(slot)}
+                      preview={photos[slot]?.preview}
+                      onSelect={(file) => handleImageSelection(file, slot)}
+                      onClear={() => clearPhoto(slot)}
+                      onEdit={() => setEditingSlot(slot)}
+                      onReview={() => setReviewingSlot(slot)}
+                      onCamera={cameraSupported ? () => setCameraSlot(slot) : undefined}
+                    />
+                  ))}
+                </div>
+                <div className="flex justify-center items-center gap-4 text-sm text-indigo-100" role="radiogroup" aria-label={t("input.dominantHand")}>
+                  <span className="text-xs font-bold text-indigo-200">{t("input.dominantHand")}</span>
+                  {["right", "left"].map((hand) => (
+                    <label key={hand} className="flex items-center gap-1.5 cursor-pointer">
+                      <input
+                        type="radio"
+                        name="dominant-hand"
+                        value={hand}
+                        checked={dominantHand === hand}
+                        onChange={() => setDominantHand(hand)}
+                        className="accent-indigo-500"
+                      />
+                      {handLabel(hand)}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ) : (
+              <div className="mb-6">
+                <PhotoSlot
+                  preview={photos.main?.preview}
+                  onSelect={(file) => handleImageSelection(file, "main")}
+                  onClear={() => clearPhoto("main")}
+                  onEdit={() => setEditingSlot("main")}
+                  onReview={() => setReviewingSlot("main")}
+                  onCamera={cameraSupported ? () => setCameraSlot("main") : undefined}
+                />
+              </div>
+            )}
 
-                <div className="max-w-xs mx-auto text-left space-y-2">
-                  <label className="text-indigo-200 text-xs font-bold ml-1">お名前（任意）</label>
+            {photosReady && (
+              <div className="space-y-6">
+                <div className={`max-w-xs mx-auto text-left space-y-2 ${isPair ? "hidden" : ""}`}>
+                  <label className="text-indigo-200 text-xs font-bold ml-1">{t("input.nameLabel")}</label>
                   <input
                     type="text"
                     value={userName}
                     onChange={(e) => setUserName(e.target.value.slice(0, 20))}
-                    placeholder="例：ひなた"
+                    placeholder={t("input.namePlaceholder")}
                     className="w-full bg-slate-800 border border-white/10 rounded-xl px-4 py-3 text-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
                     maxLength={20}
                   />
                 </div>
 
+                {qualityIssues && (
+                  <div role="alert" className="max-w-md mx-auto rounded-xl border border-amber-400/30 bg-amber-500/10 p-4 text-left space-y-3">
+                    <p className="text-sm font-bold text-amber-200">{t("input.qualityTitle")}</p>
+                    <ul className="space-y-2 text-xs text-amber-50/90 leading-relaxed">
+                      {Object.entries(qualityIssues).map(([slot, issues]) =>
+                        issues.map((issue) => (
+                          <li key={`${slot}-${issue.code}`}>
+                            {slotLabel(slot) && <strong className="mr-1">{`${slotLabel(slot)}:`}</strong>}
+                            {issue.message}
+                          </li>
+                        ))
+                      )}
+                    </ul>
+                    <button
+                      type="button"
+                      onClick={() => startAnalysis({ skipQualityCheck: true })}
+                      disabled={isProcessing}
+                      className="text-xs text-amber-200 underline underline-offset-2 hover:text-amber-100 disabled:opacity-60"
+                    >
+                      {t("input.proceedAnyway")}
+                    </button>
+                  </div>
+                )}
+
                 <button
                   type="button"
-                  onClick={startAnalysis}
-                  disabled={isProcessing}
+                  onClick={() => startAnalysis()}
+                  disabled={isProcessing || usageState.blocked}
                   className="w-full max-w-xs mx-auto py-4 bg-indigo-600 hover:bg-indigo-500 text-white font-bold rounded-xl transition-all shadow-xl active:scale-95 disabled:opacity-60"
                 >
-                  運命を解読する
+                  {isProcessing && view === VIEWS.INPUT ? t("input.checking") : t("input.start")}
                 </button>
               </div>
             )}
@@ -534,9 +1192,20 @@ function App() {
         <section className="w-full max-w-3xl glass-card p-12 md:p-16 flex flex-col items-center justify-center space-y-6">
           <div className="loader" />
           <div className="text-center">
-            <p className="text-2xl font-bold text-indigo-100">{loadingText}</p>
-            <p className="text-slate-400 mt-2">AIが宇宙の理を読み解いています</p>
+            <p className="text-2xl font-bold text-indigo-100">
+              {isPair
+                ? t("loading.pair", { first: honorific(displayName), second: honorific(partnerDisplayName) })
+                : t("loading.single", { name: honorific(displayName) })}
+            </p>
+            <p className="text-slate-400 mt-2">{t("loading.subtitle")}</p>
           </div>
+          <button
+            type="button"
+            onClick={cancelAnalysis}
+            className="px-5 py-2 bg-white/5 hover:bg-white/10 rounded-full text-xs text-rose-200 border border-white/10 transition-colors"
+          >
+            {t("common.cancel")}
+          </button>
         </section>
       )}
 
@@ -545,59 +1214,65 @@ function App() {
           <div className="glass-card p-6 md:p-12 shadow-2xl">
             <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-8 border-b border-white/10 pb-6 gap-4">
               <div>
-                <h2 className="text-2xl font-black text-white">{`${displayName}さんの鑑定書`}</h2>
-                <p className="text-indigo-400 text-xs tracking-widest uppercase">Professional AI Palmistry</p>
+                <h2 className="text-2xl font-black text-white">{reportTitle}</h2>
+                <p className="text-indigo-400 text-xs tracking-widest uppercase">{t("app.subtitle")}</p>
+                {report && readingTypeOf(report) !== DEFAULT_READING_TYPE && (
+                  <p className="mt-2 inline-block rounded-full bg-fuchsia-500/10 border border-fuchsia-400/20 px-3 py-0.5 text-xs font-bold text-fuchsia-200">
+                    {readingTypeLabel(readingTypeOf(report))}
+                  </p>
+                )}
               </div>
               <button
                 type="button"
                 onClick={resetApp}
                 className="px-5 py-2 bg-white/5 hover:bg-white/10 rounded-full text-xs text-indigo-200 border border-white/10 transition-colors"
               >
-                やり直す
+                {t("result.restart")}
               </button>
             </div>
 
-            <div className="result-content mb-10 overflow-hidden text-left" dangerouslySetInnerHTML={{ __html: renderSafeMarkdown(analysisMarkdown) }} />
+            {report && (
+              <div className="mb-10 overflow-hidden">
+                {!report.pair && annotationImage && hasAnnotations(report) && <PalmAnnotation image={annotationImage} report={report} />}
+                {report.pair ? <CompatibilityCards report={report} /> : <ReportCards report={report} />}
+              </div>
+            )}
 
-            <div className="pt-8 border-t border-white/10">
-              <h3 className="text-xl font-bold text-indigo-200 text-center mb-6">{`${displayName}さんの守護精霊 ✨`}</h3>
-              <div className="glass-card bg-slate-900/50 min-h-[250px] overflow-hidden flex flex-col items-center justify-center p-6 text-center">
-                {spiritState.status === "idle" && (
-                  <div className="flex flex-col items-center gap-4" id="spirit-idle">
-                    <p className="text-sm text-slate-400">あなたの性質を象徴する精霊を召喚します</p>
-                    <button
-                      type="button"
-                      onClick={handleSummonSpirit}
-                      className="px-8 py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white font-bold rounded-xl shadow-lg"
-                    >
-                      精霊を召喚する
-                    </button>
-                  </div>
-                )}
-                {spiritState.status === "loading" && (
-                  <div className="flex flex-col items-center gap-4">
-                    <div className="loader" />
-                    <p className="text-sm animate-pulse">精霊を具現化中...</p>
-                  </div>
-                )}
-                {spiritState.status === "done" && (
-                  <>
-                    <img src={spiritState.img} alt="Spirit" className="w-full h-auto rounded-xl shadow-2xl max-w-full" />
-                    <p className="mt-4 text-sm italic text-slate-300">{spiritState.caption}</p>
-                  </>
-                )}
+            {streaming === "analysis" && (
+              <div className="flex flex-col items-center gap-3 mb-10">
+                <p className="text-xs text-indigo-300 animate-pulse">{t("result.receiving")}</p>
+                <button
+                  type="button"
+                  onClick={stopStreaming}
+                  className="px-5 py-2 bg-white/5 hover:bg-white/10 rounded-full text-xs text-rose-200 border border-white/10 transition-colors"
+                >
+                  {t("result.stop")}
+                </button>
               </div>
-            </div>
+            )}
+
+            <SpiritPanel
+              title={report?.pair ? t("spirit.titlePair") : t("spirit.titleSingle", { name: honorific(displayName) })}
+              intro={report?.pair ? t("spirit.introPair") : t("spirit.introSingle")}
+              spirit={spiritState}
+              gallery={spiritGallery}
+              busy={spiritBusy}
+              disabled={streaming === "analysis" || usageState.blocked}
+              onSummon={handleSummonSpirit}
+              onVariations={handleSpiritVariations}
+              onPick={handlePickSpirit}
+              onCancel={cancelSpirit}
+            />
           </div>
 
           <div className="glass-card p-4 md:p-8 shadow-2xl w-full overflow-hidden">
-            <h3 className="text-xl font-bold text-white mb-4">深層対話 ✨</h3>
+            <h3 className="text-xl font-bold text-white mb-4">{t("chat.title")}</h3>
             <div className="space-y-4 mb-6 max-h-80 overflow-y-auto p-4 bg-slate-900/30 rounded-xl text-sm flex flex-col w-full">
               {chatLogs.map((log, idx) => {
                 if (log.sender === "system") {
                   return (
                     <p key={idx} className="text-slate-500 text-center italic text-xs">
-                      {log.text}
+                      {log.messageKey ? t(log.messageKey) : log.text}
                     </p>
                   );
                 }
@@ -609,11 +1284,26 @@ function App() {
                       isUser ? "self-end text-right bg-indigo-600/30" : "self-start text-left bg-slate-700/50"
                     }`}
                   >
-                    {log.text}
+                    {isUser || log.pending ? log.text : <Markdown text={log.text} className="chat-markdown" />}
+                    {log.stopped && <span className="block mt-1 text-slate-400">{t("chat.stopped")}</span>}
                   </div>
                 );
               })}
             </div>
+            {followUps.length > 0 && !streaming && (
+              <div role="group" aria-label={t("chat.suggestions")} className="flex flex-wrap gap-2 mb-4">
+                {followUps.map((question) => (
+                  <button
+                    key={question}
+                    type="button"
+                    onClick={() => handleChat(question)}
+                    className="px-3 py-2 bg-indigo-500/10 hover:bg-indigo-500/25 border border-indigo-400/30 rounded-full text-xs text-indigo-100 text-left transition-colors"
+                  >
+                    {question}
+                  </button>
+                ))}
+              </div>
+            )}
             <div className="flex gap-2 w-full">
               <input
                 type="text"
@@ -622,17 +1312,45 @@ function App() {
                 onKeyDown={(e) => {
                   if (e.key === "Enter") handleChat();
                 }}
-                placeholder="質問を入力..."
+                placeholder={t("chat.placeholder")}
                 className="flex-1 min-w-0 bg-slate-800 border border-white/10 rounded-xl px-4 py-3 text-white focus:outline-none focus:ring-1 focus:ring-indigo-500"
               />
+              {streaming === "chat" ? (
+                <button
+                  type="button"
+                  onClick={stopStreaming}
+                  className="px-4 md:px-6 py-3 bg-rose-600 hover:bg-rose-500 rounded-xl font-bold whitespace-nowrap"
+                >
+                  {t("chat.stop")}
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => handleChat()}
+                  disabled={Boolean(streaming)}
+                  className="px-4 md:px-6 py-3 bg-indigo-600 hover:bg-indigo-500 rounded-xl font-bold whitespace-nowrap disabled:opacity-60"
+                >
+                  {t("chat.send")}
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="grid gap-3 sm:grid-cols-2">
+            {[
+              ["pdf", t("result.exportPdf")],
+              ["png", t("result.exportPng")],
+            ].map(([format, text]) => (
               <button
+                key={format}
                 type="button"
-                onClick={handleChat}
-                className="px-4 md:px-6 py-3 bg-indigo-600 hover:bg-indigo-500 rounded-xl font-bold whitespace-nowrap"
+                onClick={() => handleExport(format)}
+                disabled={Boolean(exporting) || streaming === "analysis" || !report}
+                className="w-full py-4 bg-gradient-to-r from-indigo-600 to-purple-600 hover:opacity-90 rounded-xl text-white font-bold shadow-lg transition-opacity disabled:opacity-50"
               >
-                送信
+                {exporting === format ? t("result.exporting") : text}
               </button>
-            </div>
+            ))}
           </div>
 
           <button
@@ -640,46 +1358,74 @@ function App() {
             onClick={handleCopy}
             className="w-full py-4 bg-slate-800 hover:bg-slate-700 rounded-xl text-white font-bold border border-white/5 transition-colors"
           >
-            鑑定結果をコピー
+            {t("result.copy")}
           </button>
         </section>
       )}
 
+      {view === VIEWS.HISTORY && (
+        <HistoryView
+          readings={readings}
+          enabled={historyEnabled}
+          onToggleEnabled={handleToggleHistory}
+          onOpen={handleOpenReading}
+          onRename={handleRenameReading}
+          onDelete={handleDeleteReading}
+          onClear={handleClearReadings}
+          onBack={() => navigate(report ? VIEWS.RESULT : VIEWS.INPUT)}
+        />
+      )}
+
+      {view === VIEWS.SETTINGS && (
+        <SettingsView
+          locale={locale}
+          onChangeLocale={handleChangeLocale}
+          historyEnabled={historyEnabled}
+          onToggleHistory={handleToggleHistory}
+          usage={usage}
+          usageLimits={usageLimits}
+          usageState={usageState}
+          onChangeUsageLimits={handleChangeUsageLimits}
+          onBack={() => navigate(report ? VIEWS.RESULT : VIEWS.INPUT)}
+        />
+      )}
+
+      {view === VIEWS.ADMIN && (
+        <PromptEditor
+          displayName={displayName}
+          analysis={analysisMarkdown}
+          onToast={showToast}
+          onBack={() => navigate(report ? VIEWS.RESULT : VIEWS.INPUT)}
+        />
+      )}
+
       <footer className="w-full max-w-3xl px-4 mt-8 pb-12 space-y-6">
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           <div className="glass-card p-6 text-left border-white/5 overflow-hidden">
-            <h3 className="text-indigo-300 font-bold text-sm mb-3 tracking-wide">実践的なアドバイス</h3>
+            <h3 className="text-indigo-300 font-bold text-sm mb-3 tracking-wide">{t("intro.title")}</h3>
             <div className="space-y-3 text-[11px] text-slate-400 leading-relaxed text-left">
-              <p>
-                <strong>指先を写さない:</strong> 鑑定に必要なのは「手のひら」中央の線です。指紋部分は写さないよう配慮してください。
-              </p>
-              <p>
-                <strong>背景に配慮する:</strong> 自身の顔、住所、鏡など、個人情報が写り込まない場所で撮影してください。
-              </p>
-              <p>
-                <strong>匿名性の保持:</strong> 名前はニックネームで構いません。画像と実名の紐付けを避けることができます。
-              </p>
+              {["fingertips", "background", "anonymity"].map((item) => (
+                <p key={item}>
+                  <strong>{t(`intro.${item}Title`)}</strong> {t(`footer.${item}`)}
+                </p>
+              ))}
             </div>
           </div>
 
           <div className="glass-card p-6 text-left border-white/5 overflow-hidden">
-            <h3 className="text-rose-300/80 font-bold text-sm mb-3 tracking-wide">ご利用上の注意・免責事項</h3>
+            <h3 className="text-rose-300/80 font-bold text-sm mb-3 tracking-wide">{t("footer.disclaimerTitle")}</h3>
             <div className="space-y-3 text-[11px] text-slate-400 leading-relaxed text-left">
-              <p>
-                <strong>サンプルアプリとしての提供:</strong> 本アプリは技術デモンストレーション用のサンプルです。操作方法や技術的な仕様、その他に関するお問い合わせへの個別対応は致しかねます。
-              </p>
-              <p>
-                <strong>サービスの内容変更・廃止:</strong> 本アプリの機能や提供内容は、事前の予告なく変更、または提供を終了する場合がございます。あらかじめご了承ください。
-              </p>
-              <p>
-                <strong>責任の制限:</strong> 本アプリのご利用、および鑑定結果の内容によって生じた損害やトラブル等について、当方は一切の責任を負いかねます。自己の責任においてご利用ください。
-              </p>
+              {["sample", "changes", "liability"].map((item) => (
+                <p key={item}>
+                  <strong>{t(`footer.${item}Title`)}</strong> {t(`footer.${item}`)}
+                </p>
+              ))}
             </div>
           </div>
         </div>
 
         <div className="text-center text-slate-500 text-[10px] mt-6">
-          <p>© 2025 AI お手を拝借 Pro. Powered by Gemini 2.5 Flash</p>
+          <p>{t("app.copyright")}</p>
         </div>
       </footer>
 
@@ -689,19 +1435,49 @@ function App() {
         </div>
       )}
 
+      {cameraSlot && (
+        <CameraCapture
+          key={cameraSlot}
+          label={slotLabel(cameraSlot)}
+          mediaDevices={fakeMediaDevices}
+          onCapture={handleCapture}
+          onClose={() => setCameraSlot(null)}
+        />
+      )}
+
+      {editingSlot && photos[editingSlot] && (
+        <PhotoEditor
+          key={editingSlot}
+          source={photos[editingSlot].original}
+          label={slotLabel(editingSlot)}
+          initialEdits={photos[editingSlot].edits}
+          onApply={handleApplyEdits}
+          onCancel={handleCancelEdits}
+        />
+      )}
+
+      {reviewingSlot && photos[reviewingSlot] && (
+        <PrivacyReview
+          key={reviewingSlot}
+          source={photos[reviewingSlot].edited}
+          label={slotLabel(reviewingSlot)}
+          initialMasks={photos[reviewingSlot].masks}
+          onApply={handleApplyMasks}
+          onClose={() => setReviewingSlot(null)}
+        />
+      )}
+
       {quotaModal && (
         <div className="modal-overlay z-[500]">
           <div className="glass-card max-w-md w-full p-6 md:p-8 space-y-4 shadow-2xl">
-            <h3 className="text-xl font-bold text-white text-center mb-2">ご利用制限について</h3>
-            <p className="text-sm text-slate-300 text-center leading-relaxed">
-              無料枠を使い切ったため、本日はご利用いただけません。明日以降か、課金設定後にお試しください。
-            </p>
+            <h3 className="text-xl font-bold text-white text-center mb-2">{t("quota.title")}</h3>
+            <p className="text-sm text-slate-300 text-center leading-relaxed">{t("errors.quota")}</p>
             <button
               type="button"
               onClick={() => setQuotaModal(false)}
               className="w-full py-3 rounded-xl bg-indigo-600 text-white font-bold shadow-lg hover:opacity-90"
             >
-              閉じる
+              {t("common.close")}
             </button>
           </div>
         </div>
@@ -0,0 +1,193 @@
+import { useEffect, useRef, useState } from "react";
+import { captureFrame, FACING_MODES, openCamera, stopCamera } from "../lib/camera";
+import { t } from "../lib/i18n";
+
+const COUNTDOWN_OPTIONS = [0, 3, 5];
+
+// 手のひらの形をしたガイド。指は枠の上端で切れるように描き、指先を写さずに構図を合わせられるようにする
+function PalmGuide() {
+  return (
+    <svg viewBox="0 0 100 140" preserveAspectRatio="xMidYMax meet" className="absolute inset-0 w-full h-full pointer-events-none" aria-hidden="true">
+      <path
+        d="M27 0 L27 86 C23 81 19 76 16 74 C9 70 4 77 8 86 C16 102 24 120 30 140 L78 140 C84 120 87 100 87 80 L87 0"
+        fill="rgba(99, 102, 241, 0.08)"
+        stroke="rgba(199, 210, 254, 0.9)"
+        strokeWidth="1.2"
+        strokeDasharray="4 3"
+        vectorEffect="non-scaling-stroke"
+      />
+      <path
+        d="M43 0 L43 52 M58 0 L58 50 M73 0 L73 55"
+        fill="none"
+        stroke="rgba(199, 210, 254, 0.6)"
+        strokeWidth="1"
+        strokeDasharray="2 3"
+        vectorEffect="non-scaling-stroke"
+      />
+    </svg>
+  );
+}
+
+// getUserMedia でのライブ撮影。mediaDevices を渡すと偽のストリームでも動作する
+export default function CameraCapture({ label, onCapture, onClose, mediaDevices }) {
+  const videoRef = useRef(null);
+  // 親の再描画で撮影が二重に走らないよう、最新のコールバックだけを参照する
+  const onCaptureRef = useRef(onCapture);
+  const [facingMode, setFacingMode] = useState(FACING_MODES.ENVIRONMENT);
+  const [status, setStatus] = useState("starting");
+  const [error, setError] = useState("");
+  const [delay, setDelay] = useState(3);
+  const [countdown, setCountdown] = useState(null);
+
+  useEffect(() => {
+    let stream = null;
+    let cancelled = false;
+
+    openCamera(facingMode, mediaDevices)
+      .then(async (opened) => {
+        if (cancelled) {
+          stopCamera(opened);
+          return;
+        }
+        stream = opened;
+        const video = videoRef.current;
+        video.srcObject = opened;
+        await video.play().catch(() => {});
+        if (!cancelled) setStatus("ready");
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setError(err.message);
+        setStatus("error");
+      });
+
+    return () => {
+      cancelled = true;
+      stopCamera(stream);
+    };
+  }, [facingMode, mediaDevices]);
+
+  useEffect(() => {
+    onCaptureRef.current = onCapture;
+  }, [onCapture]);
+
+  useEffect(() => {
+    if (countdown === null) return undefined;
+    if (countdown > 0) {
+      const timer = setTimeout(() => setCountdown(countdown - 1), 1000);
+      return () => clearTimeout(timer);
+    }
+
+    let cancelled = false;
+    captureFrame(videoRef.current)
+      .then((file) => !cancelled && onCaptureRef.current(file))
+      .catch((err) => {
+        if (cancelled) return;
+        setError(err.message);
+        setCountdown(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [countdown]);
+
+  const switchCamera = () => {
+    setStatus("starting");
+    setError("");
+    setFacingMode((current) => (current === FACING_MODES.USER ? FACING_MODES.ENVIRONMENT : FACING_MODES.USER));
+  };
+
+  const ready = status === "ready";
+  const counting = countdown !== null;
+  const mirrored = facingMode === FACING_MODES.USER;
+
+  return (
+    <div className="modal-overlay">
+      <div className="glass-card max-w-2xl w-full p-4 md:p-6 shadow-2xl fade-in space-y-4 max-h-[95vh] overflow-y-auto">
+        <div className="flex justify-between items-center gap-4">
+          <h2 className="text-lg font-black text-white">{label ? t("camera.titleFor", { label }) : t("camera.title")}</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-1.5 bg-white/5 hover:bg-white/10 rounded-full text-xs text-indigo-200 border border-white/10"
+          >
+            {t("common.close")}
+          </button>
+        </div>
+
+        <div className="relative rounded-xl overflow-hidden bg-black aspect-[3/4] md:aspect-video">
+          <video
+            ref={videoRef}
+            playsInline
+            muted
+            className={`absolute inset-0 w-full h-full object-cover ${mirrored ? "-scale-x-100" : ""}`}
+            aria-label={t("camera.preview")}
+          />
+          {ready && <PalmGuide />}
+          {ready && (
+            <p className="absolute top-2 inset-x-0 text-center text-[11px] text-indigo-100 drop-shadow">
+              {t("camera.hint")}
+            </p>
+          )}
+          {status === "starting" && <p className="absolute inset-0 flex items-center justify-center text-sm text-slate-300">{t("camera.starting")}</p>}
+          {status === "error" && <p className="absolute inset-0 flex items-center justify-center p-6 text-sm text-rose-200 text-center">{error}</p>}
+          {counting && countdown > 0 && (
+            <span className="absolute inset-0 flex items-center justify-center text-7xl font-black text-white drop-shadow-lg" aria-live="assertive">
+              {countdown}
+            </span>
+          )}
+        </div>
+
+        {ready && error && <p className="text-xs text-rose-300 text-center">{error}</p>}
+
+        <div className="flex flex-wrap items-center justify-center gap-3">
+          <button
+            type="button"
+            onClick={switchCamera}
+            disabled={counting}
+            className="px-4 py-2 rounded-full text-xs bg-white/5 hover:bg-white/10 text-indigo-200 border border-white/10 disabled:opacity-40"
+          >
+            {mirrored ? t("camera.switchToBack") : t("camera.switchToFront")}
+          </button>
+
+          <div className="flex items-center gap-1 text-xs text-slate-300" role="radiogroup" aria-label={t("camera.timer")}>
+            {COUNTDOWN_OPTIONS.map((seconds) => (
+              <button
+                key={seconds}
+                type="button"
+                role="radio"
+                aria-checked={delay === seconds}
+                onClick={() => setDelay(seconds)}
+                disabled={counting}
+                className={`px-3 py-2 rounded-full border ${
+                  delay === seconds ? "bg-indigo-600 text-white border-indigo-400" : "bg-white/5 text-indigo-200 border-white/10"
+                } disabled:opacity-40`}
+              >
+                {seconds === 0 ? t("camera.now") : t("camera.seconds", { n: seconds })}
+              </button>
+            ))}
+          </div>
+
+          {counting ? (
+            <button
+              type="button"
+              onClick={() => setCountdown(null)}
+              className="px-6 py-3 rounded-full bg-rose-600 hover:bg-rose-500 text-white font-bold"
+            >
+              {t("camera.abort")}
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={() => setCountdown(delay)}
+              disabled={!ready}
+              className="px-6 py-3 rounded-full bg-indigo-600 hover:bg-indigo-500 text-white font-bold shadow-lg disabled:opacity-50"
+            >
+              {t("camera.shoot")}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
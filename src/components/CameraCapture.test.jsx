@@ -0,0 +1,114 @@
+// @vitest-environment jsdom
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createFakeMediaDevices } from "../lib/camera";
+import { t } from "../lib/i18n";
+import CameraCapture from "./CameraCapture";
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+// jsdom には canvas の描画・captureStream・動画の再生が無いので、偽カメラが使う分だけ用意する
+// stops には各トラックの元の stop を残す（偽カメラが stop を包み直すため）
+const tracks = [];
+const stops = [];
+const context = { fillRect: vi.fn(), beginPath: vi.fn(), ellipse: vi.fn(), fill: vi.fn(), fillText: vi.fn(), drawImage: vi.fn() };
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.spyOn(HTMLCanvasElement.prototype, "getContext").mockReturnValue(context);
+  HTMLCanvasElement.prototype.captureStream = function () {
+    const track = { kind: "video", stop: vi.fn() };
+    tracks.push(track);
+    stops.push(track.stop);
+    return { getTracks: () => [track] };
+  };
+  vi.spyOn(HTMLCanvasElement.prototype, "toBlob").mockImplementation((callback, type) => callback(new Blob(["jpeg"], { type })));
+  vi.spyOn(HTMLMediaElement.prototype, "play").mockResolvedValue();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+  delete HTMLCanvasElement.prototype.captureStream;
+  tracks.length = 0;
+  stops.length = 0;
+  document.body.innerHTML = "";
+});
+
+async function renderCamera(props) {
+  const container = document.body.appendChild(document.createElement("div"));
+  const root = createRoot(container);
+  await act(async () => root.render(<CameraCapture onClose={() => {}} {...props} />));
+  return { container, root };
+}
+
+const button = (container, label) => [...container.querySelectorAll("button")].find((el) => el.textContent === label);
+
+describe("CameraCapture with the fake camera", () => {
+  it("shows the fake stream and captures a JPEG frame", async () => {
+    const onCapture = vi.fn();
+    const { container, root } = await renderCamera({ onCapture, mediaDevices: createFakeMediaDevices({ width: 320, height: 240 }) });
+
+    expect(container.querySelector("video").srcObject.getTracks()).toEqual(tracks);
+    expect(button(container, t("camera.shoot")).disabled).toBe(false);
+    await act(() => vi.advanceTimersByTimeAsync(200));
+    expect(context.fillText).toHaveBeenLastCalledWith("fake camera #3", 24, 216);
+
+    await act(async () => button(container, t("camera.now")).click());
+    await act(async () => button(container, t("camera.shoot")).click());
+    expect(onCapture).toHaveBeenCalledTimes(1);
+    const [file] = onCapture.mock.calls[0];
+    expect(file).toBeInstanceOf(File);
+    expect(file.type).toBe("image/jpeg");
+
+    await act(async () => root.unmount());
+  });
+
+  it("counts down before capturing", async () => {
+    const onCapture = vi.fn();
+    const { container, root } = await renderCamera({ onCapture, mediaDevices: createFakeMediaDevices() });
+
+    await act(async () => button(container, t("camera.shoot")).click());
+    // 1秒ごとに次のタイマーを掛け直すので、1秒ずつ進める
+    for (const remaining of ["3", "2", "1"]) {
+      expect(container.querySelector("[aria-live]").textContent).toBe(remaining);
+      expect(onCapture).not.toHaveBeenCalled();
+      await act(() => vi.advanceTimersByTimeAsync(1000));
+    }
+    expect(onCapture).toHaveBeenCalledTimes(1);
+
+    await act(async () => root.unmount());
+  });
+
+  it("stops the track and the drawing timer when closed", async () => {
+    const { root } = await renderCamera({ onCapture: vi.fn(), mediaDevices: createFakeMediaDevices() });
+
+    await act(async () => root.unmount());
+    expect(stops[0]).toHaveBeenCalledTimes(1);
+    const frames = context.fillText.mock.calls.length;
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(context.fillText.mock.calls.length).toBe(frames);
+  });
+
+  it("opens a new stream and stops the old one when switching cameras", async () => {
+    const { container, root } = await renderCamera({ onCapture: vi.fn(), mediaDevices: createFakeMediaDevices() });
+    await act(async () => button(container, t("camera.switchToFront")).click());
+    expect(stops[0]).toHaveBeenCalledTimes(1);
+    expect(tracks).toHaveLength(2);
+    expect(stops[1]).not.toHaveBeenCalled();
+    expect(button(container, t("camera.switchToBack"))).toBeDefined();
+
+    await act(async () => root.unmount());
+  });
+
+  it("shows why the camera could not be opened", async () => {
+    const denied = { getUserMedia: () => Promise.reject(new DOMException("denied", "NotAllowedError")) };
+    const { container, root } = await renderCamera({ onCapture: vi.fn(), mediaDevices: denied });
+
+    expect(container.textContent).toContain(t("camera.denied"));
+    expect(button(container, t("camera.shoot")).disabled).toBe(true);
+
+    await act(async () => root.unmount());
+  });
+});
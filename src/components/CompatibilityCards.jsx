@@ -0,0 +1,131 @@
+import { honorific, t } from "../lib/i18n";
+import Markdown from "./Markdown";
+import ThemeSections from "./ThemeSections";
+
+const LINE_COLORS = {
+  life: "from-rose-500 to-orange-400",
+  head: "from-sky-500 to-indigo-400",
+  heart: "from-pink-500 to-purple-400",
+};
+
+function ScoreRing({ value }) {
+  const radius = 52;
+  const circumference = 2 * Math.PI * radius;
+  const filled = value === null ? 0 : (value / 100) * circumference;
+  return (
+    <div className="relative w-36 h-36 mx-auto" role="meter" aria-label={t("report.totalScore")} aria-valuemin={0} aria-valuemax={100} aria-valuenow={value ?? undefined}>
+      <svg viewBox="0 0 120 120" className="w-full h-full -rotate-90">
+        <circle cx="60" cy="60" r={radius} fill="none" stroke="rgba(255,255,255,0.08)" strokeWidth="10" />
+        <circle
+          cx="60"
+          cy="60"
+          r={radius}
+          fill="none"
+          stroke="url(#score-gradient)"
+          strokeWidth="10"
+          strokeLinecap="round"
+          strokeDasharray={`${filled} ${circumference}`}
+        />
+        <defs>
+          <linearGradient id="score-gradient" x1="0" x2="1" y1="0" y2="1">
+            <stop offset="0%" stopColor="#f472b6" />
+            <stop offset="100%" stopColor="#818cf8" />
+          </linearGradient>
+        </defs>
+      </svg>
+      <div className="absolute inset-0 flex flex-col items-center justify-center">
+        <span className="text-4xl font-black text-white">{value ?? "—"}</span>
+        <span className="text-[10px] tracking-widest text-pink-200">SCORE</span>
+      </div>
+    </div>
+  );
+}
+
+function SectionTitle({ children }) {
+  return <h3 className="text-lg font-bold text-indigo-200 mb-4">{children}</h3>;
+}
+
+export default function CompatibilityCards({ report }) {
+  const [first, second] = report.pair.names;
+
+  return (
+    <div className="space-y-8 text-left">
+      <section className="rounded-2xl bg-slate-900/40 border border-white/5 p-5 md:p-6 grid gap-6 md:grid-cols-[auto,1fr] items-center">
+        <ScoreRing value={report.score} />
+        <div>
+          <p className="text-xs tracking-widest text-pink-300 mb-2">{`${honorific(first)} × ${honorific(second)}`}</p>
+          {report.overall && <Markdown text={report.overall} />}
+        </div>
+      </section>
+
+      <ThemeSections report={report} />
+
+      {report.people.length > 0 && (
+        <section>
+          <SectionTitle>{t("report.people")}</SectionTitle>
+          <div className="grid gap-4 md:grid-cols-2">
+            {report.people.map((person, idx) => (
+              <article key={idx} className="rounded-2xl bg-slate-900/40 border border-white/5 p-5">
+                <h4 className="font-bold text-white mb-2">{honorific(person.name || report.pair.names[idx])}</h4>
+                {person.traits && <Markdown text={person.traits} className="text-sm" />}
+              </article>
+            ))}
+          </div>
+        </section>
+      )}
+
+      {report.lines.length > 0 && (
+        <section>
+          <SectionTitle>{t("report.pairLines")}</SectionTitle>
+          <div className="space-y-4">
+            {report.lines.map((line, idx) => {
+              const color = LINE_COLORS[line.id] || "from-indigo-500 to-purple-400";
+              return (
+                <article key={line.id || idx} className="rounded-2xl bg-slate-900/40 border border-white/5 p-5 space-y-3">
+                  <div className="flex items-center justify-between gap-4">
+                    <h4 className={`text-base font-black bg-clip-text text-transparent bg-gradient-to-r ${color}`}>{line.name}</h4>
+                    <span className="text-sm font-bold text-white">{line.score ?? "—"}<span className="text-xs text-slate-400">{t("report.pointsUnit")}</span></span>
+                  </div>
+                  <div className="h-2 rounded-full bg-white/10 overflow-hidden">
+                    <div className={`h-full rounded-full bg-gradient-to-r ${color}`} style={{ width: `${line.score ?? 0}%` }} />
+                  </div>
+                  <div className="grid gap-3 sm:grid-cols-2">
+                    {[
+                      [first, line.first],
+                      [second, line.second],
+                    ].map(([name, text]) => (
+                      <div key={name} className="rounded-xl bg-white/5 p-3">
+                        <p className="text-[11px] font-bold text-indigo-300 mb-1">{honorific(name)}</p>
+                        {text && <Markdown text={text} className="text-xs" />}
+                      </div>
+                    ))}
+                  </div>
+                  {line.reading && <Markdown text={line.reading} className="text-sm" />}
+                </article>
+              );
+            })}
+          </div>
+        </section>
+      )}
+
+      {report.advice.length > 0 && (
+        <section>
+          <SectionTitle>{t("report.pairAdvice")}</SectionTitle>
+          <ol className="space-y-3">
+            {report.advice.map((item, idx) => (
+              <li key={idx} className="flex gap-4 rounded-2xl bg-pink-500/10 border border-pink-400/10 p-5">
+                <span className="shrink-0 w-8 h-8 rounded-full bg-pink-600 text-white font-black flex items-center justify-center">
+                  {idx + 1}
+                </span>
+                <div>
+                  <h4 className="font-bold text-white mb-1">{item.title}</h4>
+                  {item.detail && <Markdown text={item.detail} className="text-sm" />}
+                </div>
+              </li>
+            ))}
+          </ol>
+        </section>
+      )}
+    </div>
+  );
+}
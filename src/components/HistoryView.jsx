@@ -0,0 +1,182 @@
+import { useState } from "react";
+import { formatDate, t } from "../lib/i18n";
+import { DEFAULT_READING_TYPE, readingTypeLabel, readingTypeOf } from "../lib/readingType";
+
+const formatTimestamp = (timestamp) =>
+  formatDate(timestamp, { year: "numeric", month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+
+function HistoryItem({ reading, onOpen, onRename, onDelete }) {
+  const [editing, setEditing] = useState(false);
+  const [title, setTitle] = useState(reading.title);
+  const [confirming, setConfirming] = useState(false);
+
+  const commitRename = () => {
+    const next = title.trim();
+    setEditing(false);
+    if (next && next !== reading.title) onRename(reading.id, next);
+    else setTitle(reading.title);
+  };
+
+  return (
+    <li className="glass-card bg-slate-900/40 p-4 flex gap-4 items-center text-left">
+      <button type="button" onClick={() => onOpen(reading.id)} className="shrink-0" aria-label={t("history.openAria", { title: reading.title })}>
+        {reading.thumbnail ? (
+          <img src={reading.thumbnail} alt="" className="w-16 h-16 md:w-20 md:h-20 object-cover rounded-xl border border-white/10" />
+        ) : (
+          <div className="w-16 h-16 md:w-20 md:h-20 rounded-xl bg-indigo-500/10" />
+        )}
+      </button>
+
+      <div className="flex-1 min-w-0 space-y-1">
+        {editing ? (
+          <input
+            type="text"
+            value={title}
+            autoFocus
+            maxLength={40}
+            onChange={(e) => setTitle(e.target.value)}
+            onBlur={commitRename}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") commitRename();
+              if (e.key === "Escape") {
+                setTitle(reading.title);
+                setEditing(false);
+              }
+            }}
+            className="w-full bg-slate-800 border border-white/10 rounded-lg px-3 py-1.5 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+        ) : (
+          <p className="font-bold text-white truncate">{reading.title}</p>
+        )}
+        <p className="text-xs text-slate-400">
+          {formatTimestamp(reading.createdAt)}
+          {readingTypeOf(reading.report) !== DEFAULT_READING_TYPE && (
+            <span className="ml-2 text-fuchsia-300">{readingTypeLabel(readingTypeOf(reading.report))}</span>
+          )}
+        </p>
+        {reading.spirit?.caption && <p className="text-xs text-indigo-300 truncate">{reading.spirit.caption}</p>}
+      </div>
+
+      <div className="flex flex-col md:flex-row gap-2 shrink-0">
+        {confirming ? (
+          <>
+            <button
+              type="button"
+              onClick={() => onDelete(reading.id)}
+              className="px-3 py-1.5 rounded-full text-xs bg-rose-600 hover:bg-rose-500 text-white"
+            >
+              {t("history.confirmDelete")}
+            </button>
+            <button
+              type="button"
+              onClick={() => setConfirming(false)}
+              className="px-3 py-1.5 rounded-full text-xs bg-white/5 hover:bg-white/10 text-slate-300 border border-white/10"
+            >
+              {t("common.cancel")}
+            </button>
+          </>
+        ) : (
+          <>
+            <button
+              type="button"
+              onClick={() => onOpen(reading.id)}
+              className="px-3 py-1.5 rounded-full text-xs bg-indigo-600 hover:bg-indigo-500 text-white"
+            >
+              {t("history.open")}
+            </button>
+            <button
+              type="button"
+              onClick={() => setEditing(true)}
+              className="px-3 py-1.5 rounded-full text-xs bg-white/5 hover:bg-white/10 text-indigo-200 border border-white/10"
+            >
+              {t("history.rename")}
+            </button>
+            <button
+              type="button"
+              onClick={() => setConfirming(true)}
+              className="px-3 py-1.5 rounded-full text-xs bg-white/5 hover:bg-white/10 text-rose-200 border border-white/10"
+            >
+              {t("history.delete")}
+            </button>
+          </>
+        )}
+      </div>
+    </li>
+  );
+}
+
+export default function HistoryView({ readings, enabled, onToggleEnabled, onOpen, onRename, onDelete, onClear, onBack }) {
+  const [confirmingClear, setConfirmingClear] = useState(false);
+
+  return (
+    <section className="w-full max-w-3xl space-y-6 fade-in">
+      <div className="glass-card p-6 md:p-10 shadow-2xl space-y-6">
+        <div className="flex justify-between items-center gap-4 border-b border-white/10 pb-4">
+          <h2 className="text-2xl font-black text-white">{t("history.title")}</h2>
+          <button
+            type="button"
+            onClick={onBack}
+            className="px-5 py-2 bg-white/5 hover:bg-white/10 rounded-full text-xs text-indigo-200 border border-white/10 transition-colors"
+          >
+            {t("common.back")}
+          </button>
+        </div>
+
+        <div className="rounded-xl border border-amber-400/20 bg-amber-500/5 p-4 text-xs text-amber-100/80 leading-relaxed text-left space-y-2">
+          <p>
+            <strong>{t("history.privacyTitle")}</strong> {t("history.privacy")}
+          </p>
+          <p>{t("history.privacyWarning")}</p>
+          <label className="flex items-center gap-2 pt-1 cursor-pointer text-amber-50">
+            <input type="checkbox" checked={enabled} onChange={(e) => onToggleEnabled(e.target.checked)} className="accent-indigo-500" />
+            {t("history.saveToggle")}
+          </label>
+        </div>
+
+        {readings.length === 0 ? (
+          <p className="text-sm text-slate-400 text-center py-8">{t("history.empty")}</p>
+        ) : (
+          <ul className="space-y-3">
+            {readings.map((reading) => (
+              <HistoryItem key={reading.id} reading={reading} onOpen={onOpen} onRename={onRename} onDelete={onDelete} />
+            ))}
+          </ul>
+        )}
+
+        {readings.length > 0 && (
+          <div className="flex justify-center gap-3 pt-2">
+            {confirmingClear ? (
+              <>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setConfirmingClear(false);
+                    onClear();
+                  }}
+                  className="px-5 py-2 rounded-full text-xs bg-rose-600 hover:bg-rose-500 text-white font-bold"
+                >
+                  {t("history.confirmClear", { count: readings.length })}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setConfirmingClear(false)}
+                  className="px-5 py-2 rounded-full text-xs bg-white/5 hover:bg-white/10 text-slate-300 border border-white/10"
+                >
+                  {t("common.cancel")}
+                </button>
+              </>
+            ) : (
+              <button
+                type="button"
+                onClick={() => setConfirmingClear(true)}
+                className="px-5 py-2 rounded-full text-xs bg-white/5 hover:bg-white/10 text-rose-200 border border-white/10"
+              >
+                {t("history.clearAll")}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
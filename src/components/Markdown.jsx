@@ -0,0 +1,8 @@
+import { useMemo } from "react";
+import { renderMarkdown } from "../lib/markdown";
+
+// renderMarkdown は許可リスト外のHTMLを生成しないので、そのまま innerHTML に渡せる
+export default function Markdown({ text, className = "" }) {
+  const html = useMemo(() => renderMarkdown(text), [text]);
+  return <div className={`result-content ${className}`} dangerouslySetInnerHTML={{ __html: html }} />;
+}
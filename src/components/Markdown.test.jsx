@@ -0,0 +1,16 @@
+import { renderToStaticMarkup } from "react-dom/server";
+import { describe, expect, it } from "vitest";
+import Markdown from "./Markdown";
+
+describe("Markdown", () => {
+  it("renders the sanitized HTML inside the result container", () => {
+    const html = renderToStaticMarkup(<Markdown text={"**a**\n\n<script>alert(1)</script>"} className="chat-markdown" />);
+    expect(html).toBe(
+      '<div class="result-content chat-markdown"><p><strong>a</strong></p><p>&lt;script&gt;alert(1)&lt;/script&gt;</p></div>'
+    );
+  });
+
+  it("renders nothing inside the container for empty text", () => {
+    expect(renderToStaticMarkup(<Markdown text="" />)).toBe('<div class="result-content "></div>');
+  });
+});
@@ -0,0 +1,142 @@
+import { useState } from "react";
+import { t } from "../lib/i18n";
+import { reportSectionId } from "../lib/report";
+
+const LINE_STROKES = {
+  life: "#fb7185",
+  head: "#38bdf8",
+  heart: "#e879f9",
+};
+const FALLBACK_LINE_STROKE = "#a5b4fc";
+const MOUNT_STROKES = ["#fbbf24", "#34d399", "#fb923c", "#22d3ee", "#c4b5fd"];
+
+const toPointList = (points) => points.map((point) => `${point.x},${point.y}`).join(" ");
+
+const centerOf = (points) => ({
+  x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+  y: points.reduce((sum, point) => sum + point.y, 0) / points.length,
+});
+
+// 鑑定書の該当セクションへスクロールし、キーボード操作でも続きを読めるようフォーカスを移す
+function jumpToSection(id) {
+  const target = document.getElementById(id);
+  if (!target) return;
+  target.scrollIntoView({ behavior: "smooth", block: "center" });
+  target.focus({ preventScroll: true });
+}
+
+// 鑑定に使った手のひら画像に、モデルが返した線・掌丘の位置を重ねて描く。座標は 0〜1000 の比率
+export default function PalmAnnotation({ image, report }) {
+  const [active, setActive] = useState(null);
+
+  const shapes = [
+    ...report.lines
+      .map((line, idx) => ({
+        key: reportSectionId("line", line.id || idx),
+        kind: "line",
+        label: line.name,
+        color: LINE_STROKES[line.id] || FALLBACK_LINE_STROKE,
+        points: line.points,
+      }))
+      .filter((shape) => shape.points.length >= 2),
+    ...report.mounts
+      .map((mount, idx) => ({
+        key: reportSectionId("mount", idx),
+        kind: "mount",
+        label: mount.name,
+        color: MOUNT_STROKES[idx % MOUNT_STROKES.length],
+        points: mount.points,
+      }))
+      .filter((shape) => shape.points.length > 0),
+  ];
+  if (!shapes.length) return null;
+
+  const activeShape = shapes.find((shape) => shape.key === active);
+  const labelAt = activeShape && (activeShape.kind === "line" ? activeShape.points[0] : centerOf(activeShape.points));
+
+  const interaction = (shape) => ({
+    onMouseEnter: () => setActive(shape.key),
+    onMouseLeave: () => setActive(null),
+    onClick: () => jumpToSection(shape.key),
+  });
+
+  return (
+    <section className="mb-10 text-left">
+      <h3 className="text-lg font-bold text-indigo-200 mb-4">{t("annotation.title")}</h3>
+      <div className="flex flex-col items-center gap-4">
+        <div className="relative inline-block max-w-full">
+          <img src={image} alt={t("annotation.imageAlt")} className="block max-h-[28rem] w-auto max-w-full rounded-xl border border-white/10" />
+          <svg viewBox="0 0 1000 1000" preserveAspectRatio="none" className="absolute inset-0 w-full h-full">
+            {shapes.map((shape) => {
+              const highlighted = active === shape.key;
+              const dimmed = active && !highlighted;
+              const common = {
+                stroke: shape.color,
+                strokeOpacity: dimmed ? 0.35 : 1,
+                vectorEffect: "non-scaling-stroke",
+                strokeLinecap: "round",
+                strokeLinejoin: "round",
+              };
+
+              if (shape.kind === "line") {
+                return (
+                  <g key={shape.key} className="cursor-pointer" {...interaction(shape)}>
+                    <polyline points={toPointList(shape.points)} fill="none" strokeWidth={highlighted ? 5 : 3} {...common} />
+                    {/* 細い線でもタップしやすいよう、透明な太い当たり判定を重ねる */}
+                    <polyline points={toPointList(shape.points)} fill="none" stroke="transparent" strokeWidth={24} vectorEffect="non-scaling-stroke" pointerEvents="stroke" />
+                  </g>
+                );
+              }
+
+              const center = centerOf(shape.points);
+              return (
+                <g key={shape.key} className="cursor-pointer" {...interaction(shape)}>
+                  {shape.points.length >= 3 ? (
+                    <polygon
+                      points={toPointList(shape.points)}
+                      fill={shape.color}
+                      fillOpacity={highlighted ? 0.35 : 0.15}
+                      strokeWidth={highlighted ? 3 : 2}
+                      strokeDasharray="6 4"
+                      {...common}
+                    />
+                  ) : (
+                    <ellipse cx={center.x} cy={center.y} rx={28} ry={28} fill={shape.color} fillOpacity={highlighted ? 0.5 : 0.25} strokeWidth={2} {...common} />
+                  )}
+                </g>
+              );
+            })}
+          </svg>
+          {labelAt && (
+            <span
+              className="absolute -translate-x-1/2 -translate-y-full px-2 py-0.5 rounded-full text-[11px] font-bold text-slate-900 pointer-events-none whitespace-nowrap"
+              style={{ left: `${labelAt.x / 10}%`, top: `${labelAt.y / 10}%`, backgroundColor: activeShape.color }}
+            >
+              {activeShape.label}
+            </span>
+          )}
+        </div>
+
+        <ul className="flex flex-wrap justify-center gap-2">
+          {shapes.map((shape) => (
+            <li key={shape.key}>
+              <button
+                type="button"
+                onMouseEnter={() => setActive(shape.key)}
+                onMouseLeave={() => setActive(null)}
+                onFocus={() => setActive(shape.key)}
+                onBlur={() => setActive(null)}
+                onClick={() => jumpToSection(shape.key)}
+                className="flex items-center gap-2 px-3 py-1.5 rounded-full text-xs bg-white/5 hover:bg-white/10 border border-white/10 text-slate-200"
+              >
+                <span className="w-3 h-3 rounded-full" style={{ backgroundColor: shape.color }} />
+                {shape.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+        <p className="text-[11px] text-slate-500">{t("annotation.hint")}</p>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,164 @@
+import { useEffect, useRef, useState } from "react";
+import { DEFAULT_PHOTO_EDITS, loadImage, renderPhotoEdits } from "../lib/image";
+import { t } from "../lib/i18n";
+
+const PREVIEW_DIMENSION = 720;
+// これより小さいドラッグは誤タップとみなして切り抜きを解除する
+const MIN_CROP = 0.05;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+function ToolButton({ active = false, onClick, children }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      aria-pressed={active}
+      className={`px-3 py-2 rounded-full text-xs border transition-colors ${
+        active ? "bg-indigo-600 text-white border-indigo-400" : "bg-white/5 hover:bg-white/10 text-indigo-200 border-white/10"
+      }`}
+    >
+      {children}
+    </button>
+  );
+}
+
+// アップロード直後に開く編集画面。切り抜き・回転・反転・線の強調を指定し、確定した編集内容を onApply に渡す
+export default function PhotoEditor({ source, label, initialEdits = DEFAULT_PHOTO_EDITS, onApply, onCancel }) {
+  const canvasRef = useRef(null);
+  const frameRef = useRef(null);
+  const dragRef = useRef(null);
+  const [image, setImage] = useState(null);
+  const [edits, setEdits] = useState(initialEdits);
+  const [draftCrop, setDraftCrop] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadImage(source)
+      .then((img) => !cancelled && setImage(img))
+      .catch((error) => console.error("Editor load error:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [source]);
+
+  // プレビューは切り抜き前の全体を描き、切り抜き範囲は枠で重ねて示す
+  const { rotation, flipH, flipV, enhance } = edits;
+  useEffect(() => {
+    const target = canvasRef.current;
+    if (!image || !target) return;
+    const rendered = renderPhotoEdits(image, { rotation, flipH, flipV, enhance, crop: null }, PREVIEW_DIMENSION);
+    target.width = rendered.width;
+    target.height = rendered.height;
+    target.getContext("2d").drawImage(rendered, 0, 0);
+  }, [image, rotation, flipH, flipV, enhance]);
+
+  // 回転・反転すると切り抜き枠の座標系が変わるので、枠はリセットする
+  const rotate = (delta) => setEdits((current) => ({ ...current, rotation: (current.rotation + delta + 360) % 360, crop: null }));
+  const flip = (axis) => setEdits((current) => ({ ...current, [axis]: !current[axis], crop: null }));
+
+  const pointFromEvent = (event) => {
+    const rect = frameRef.current.getBoundingClientRect();
+    return { x: clamp01((event.clientX - rect.left) / rect.width), y: clamp01((event.clientY - rect.top) / rect.height) };
+  };
+
+  const handlePointerDown = (event) => {
+    event.preventDefault();
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    dragRef.current = pointFromEvent(event);
+    setDraftCrop({ ...dragRef.current, width: 0, height: 0 });
+  };
+
+  const handlePointerMove = (event) => {
+    const start = dragRef.current;
+    if (!start) return;
+    const point = pointFromEvent(event);
+    setDraftCrop({
+      x: Math.min(start.x, point.x),
+      y: Math.min(start.y, point.y),
+      width: Math.abs(point.x - start.x),
+      height: Math.abs(point.y - start.y),
+    });
+  };
+
+  const handlePointerUp = () => {
+    if (!dragRef.current) return;
+    dragRef.current = null;
+    const crop = draftCrop && draftCrop.width >= MIN_CROP && draftCrop.height >= MIN_CROP ? draftCrop : null;
+    setEdits((current) => ({ ...current, crop }));
+    setDraftCrop(null);
+  };
+
+  const visibleCrop = draftCrop || edits.crop;
+
+  return (
+    <div className="modal-overlay">
+      <div className="glass-card max-w-2xl w-full p-6 md:p-8 shadow-2xl fade-in space-y-5 max-h-[95vh] overflow-y-auto">
+        <div className="text-left">
+          <h2 className="text-xl font-black text-white">{label ? t("editor.titleFor", { label }) : t("editor.title")}</h2>
+          <p className="text-xs text-slate-400 mt-1">{t("editor.hint")}</p>
+        </div>
+
+        <div className="flex justify-center">
+          <div
+            ref={frameRef}
+            className="relative inline-block max-w-full overflow-hidden rounded-xl touch-none select-none cursor-crosshair"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+          >
+            <canvas ref={canvasRef} className={`${image ? "block" : "hidden"} max-w-full max-h-[55vh] w-auto h-auto`} aria-label={t("editor.preview")} />
+            {!image && <div className="w-64 h-64 animate-pulse bg-white/5" />}
+            {visibleCrop && (
+              <div
+                className="absolute border-2 border-indigo-300 pointer-events-none"
+                style={{
+                  left: `${visibleCrop.x * 100}%`,
+                  top: `${visibleCrop.y * 100}%`,
+                  width: `${visibleCrop.width * 100}%`,
+                  height: `${visibleCrop.height * 100}%`,
+                  boxShadow: "0 0 0 9999px rgba(2, 6, 23, 0.6)",
+                }}
+              />
+            )}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap justify-center gap-2">
+          <ToolButton onClick={() => rotate(-90)}>{t("editor.rotateLeft")}</ToolButton>
+          <ToolButton onClick={() => rotate(90)}>{t("editor.rotateRight")}</ToolButton>
+          <ToolButton active={edits.flipH} onClick={() => flip("flipH")}>
+            {t("editor.flipH")}
+          </ToolButton>
+          <ToolButton active={edits.flipV} onClick={() => flip("flipV")}>
+            {t("editor.flipV")}
+          </ToolButton>
+          <ToolButton active={edits.enhance} onClick={() => setEdits((current) => ({ ...current, enhance: !current.enhance }))}>
+            {t("editor.enhance")}
+          </ToolButton>
+          {edits.crop && <ToolButton onClick={() => setEdits((current) => ({ ...current, crop: null }))}>{t("editor.clearCrop")}</ToolButton>}
+          <ToolButton onClick={() => setEdits(DEFAULT_PHOTO_EDITS)}>{t("editor.reset")}</ToolButton>
+        </div>
+
+        <div className="flex gap-3">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="flex-1 py-3 rounded-xl bg-white/5 hover:bg-white/10 text-slate-300 border border-white/10"
+          >
+            {t("common.cancel")}
+          </button>
+          <button
+            type="button"
+            onClick={() => onApply(edits)}
+            disabled={!image}
+            className="flex-1 py-3 rounded-xl bg-indigo-600 text-white font-bold shadow-lg hover:opacity-90 disabled:opacity-50"
+          >
+            {t("editor.apply")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+import { useRef, useState } from "react";
+import { t } from "../lib/i18n";
+
+// 手のひら画像1枚分のアップロード枠（クリック選択・ドラッグ＆ドロップ・カメラ撮影・プレビュー・再編集・ぼかし調整）
+export default function PhotoSlot({ label, preview, onSelect, onClear, onEdit, onReview, onCamera, compact = false }) {
+  const fileInputRef = useRef(null);
+  const [dropActive, setDropActive] = useState(false);
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setDropActive(false);
+    const [file] = event.dataTransfer.files || [];
+    onSelect(file);
+  };
+
+  if (preview) {
+    return (
+      <div className="space-y-2">
+        {label && <p className="text-indigo-200 text-xs font-bold">{label}</p>}
+        <div className="relative inline-block max-w-full">
+          <img
+            src={preview}
+            className={`${compact ? "max-h-48" : "max-h-64 md:max-h-72"} w-auto mx-auto rounded-xl shadow-2xl border-2 border-indigo-500/20`}
+            alt={label || "Preview"}
+          />
+          <button
+            type="button"
+            onClick={onClear}
+            aria-label={t("photoSlot.remove", { label: label || t("photoSlot.image") })}
+            className="absolute -top-3 -right-3 bg-red-500 text-white rounded-full p-1.5 shadow-lg"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+              <path
+                fillRule="evenodd"
+                d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z"
+                clipRule="evenodd"
+              />
+            </svg>
+          </button>
+          <div className="absolute bottom-2 right-2 flex gap-2">
+            {[
+              [t("photoSlot.edit"), onEdit],
+              [t("photoSlot.blur"), onReview],
+            ]
+              .filter(([, action]) => action)
+              .map(([text, action]) => (
+                <button
+                  key={text}
+                  type="button"
+                  onClick={action}
+                  className="px-3 py-1.5 rounded-full text-xs bg-slate-900/80 hover:bg-slate-800 text-indigo-100 border border-white/10 shadow-lg"
+                >
+                  {text}
+                </button>
+              ))}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className={`border-2 border-dashed border-indigo-500/30 rounded-2xl ${
+        compact ? "p-4 md:p-6" : "p-6 md:p-10"
+      } transition-all hover:border-indigo-400 cursor-pointer group ${dropActive ? "bg-indigo-500/10" : ""}`}
+      onClick={() => fileInputRef.current?.click()}
+      onDragOver={(e) => {
+        e.preventDefault();
+        setDropActive(true);
+      }}
+      onDragLeave={() => setDropActive(false)}
+      onDrop={handleDrop}
+    >
+      <div className="flex flex-col items-center">
+        <div className={`${compact ? "w-12 h-12" : "w-16 h-16"} bg-indigo-500/10 rounded-full flex items-center justify-center mb-4`}>
+          <svg xmlns="http://www.w3.org/2000/svg" className="w-8 h-8 text-indigo-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="1.5" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8-4-4m0 0L8 8m4-4v12" />
+          </svg>
+        </div>
+        <p className={`${compact ? "text-base" : "text-lg"} font-bold text-white mb-1`}>{label ? t("photoSlot.uploadFor", { label }) : t("photoSlot.upload")}</p>
+        <p className="text-xs text-slate-400">{t("photoSlot.dropHint")}</p>
+        {onCamera && (
+          <button
+            type="button"
+            onClick={(e) => {
+              e.stopPropagation();
+              onCamera();
+            }}
+            className="mt-4 px-4 py-2 rounded-full text-xs bg-indigo-600/80 hover:bg-indigo-500 text-white shadow-lg"
+          >
+            {t("photoSlot.camera")}
+          </button>
+        )}
+      </div>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="image/*"
+        className="hidden"
+        onChange={(e) => {
+          onSelect(e.target.files?.[0]);
+          e.target.value = "";
+        }}
+      />
+    </div>
+  );
+}
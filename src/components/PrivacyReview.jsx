@@ -0,0 +1,193 @@
+import { useEffect, useRef, useState } from "react";
+import { loadImage } from "../lib/image";
+import { t } from "../lib/i18n";
+import { containsPoint, detectFingertips, renderPrivacyMasks } from "../lib/privacy";
+
+const PREVIEW_DIMENSION = 720;
+// 新しく追加するぼかしの半径（画像の短辺に対する比率）
+const NEW_MASK_RADIUS = 0.07;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// 指先のぼかしを確認・調整する画面。タップで追加、ドラッグで移動、選択中のものは拡大縮小・削除できる
+export default function PrivacyReview({ source, label, initialMasks, onApply, onClose }) {
+  const canvasRef = useRef(null);
+  const frameRef = useRef(null);
+  const dragRef = useRef(null);
+  const [image, setImage] = useState(null);
+  const [masks, setMasks] = useState(initialMasks);
+  const [selected, setSelected] = useState(null);
+  const [detecting, setDetecting] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadImage(source)
+      .then((img) => !cancelled && setImage(img))
+      .catch((error) => console.error("Privacy review load error:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [source]);
+
+  useEffect(() => {
+    const target = canvasRef.current;
+    if (!image || !target) return;
+    const rendered = renderPrivacyMasks(image, masks, PREVIEW_DIMENSION);
+    target.width = rendered.width;
+    target.height = rendered.height;
+    target.getContext("2d").drawImage(rendered, 0, 0);
+  }, [image, masks]);
+
+  const pointFromEvent = (event) => {
+    const rect = frameRef.current.getBoundingClientRect();
+    return { x: clamp01((event.clientX - rect.left) / rect.width), y: clamp01((event.clientY - rect.top) / rect.height) };
+  };
+
+  const handlePointerDown = (event) => {
+    if (!image) return;
+    event.preventDefault();
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    const point = pointFromEvent(event);
+    // 重なっている場合は後から追加したものを優先して掴む
+    const hit = masks.findLastIndex((mask) => containsPoint(mask, point));
+
+    if (hit >= 0) {
+      setSelected(hit);
+      dragRef.current = { index: hit, offsetX: point.x - masks[hit].x, offsetY: point.y - masks[hit].y };
+      return;
+    }
+
+    const radius = NEW_MASK_RADIUS * Math.min(image.width, image.height);
+    const mask = { x: point.x, y: point.y, rx: radius / image.width, ry: (radius * 1.3) / image.height };
+    setMasks((current) => [...current, mask]);
+    setSelected(masks.length);
+    dragRef.current = { index: masks.length, offsetX: 0, offsetY: 0 };
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const point = pointFromEvent(event);
+    setMasks((current) =>
+      current.map((mask, idx) =>
+        idx === drag.index ? { ...mask, x: clamp01(point.x - drag.offsetX), y: clamp01(point.y - drag.offsetY) } : mask
+      )
+    );
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const resizeSelected = (factor) =>
+    setMasks((current) =>
+      current.map((mask, idx) => (idx === selected ? { ...mask, rx: mask.rx * factor, ry: mask.ry * factor } : mask))
+    );
+
+  const removeSelected = () => {
+    setMasks((current) => current.filter((_, idx) => idx !== selected));
+    setSelected(null);
+  };
+
+  const redetect = async () => {
+    setDetecting(true);
+    try {
+      setMasks(await detectFingertips(source));
+      setSelected(null);
+    } catch (error) {
+      console.error("Fingertip detection error:", error);
+    } finally {
+      setDetecting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="glass-card max-w-2xl w-full p-6 md:p-8 shadow-2xl fade-in space-y-5 max-h-[95vh] overflow-y-auto">
+        <div className="text-left space-y-1">
+          <h2 className="text-xl font-black text-white">{label ? t("privacy.titleFor", { label }) : t("privacy.title")}</h2>
+          <p className="text-xs text-slate-400 leading-relaxed">
+            {t("privacy.hint")}
+          </p>
+          {image && masks.length === 0 && (
+            <p className="text-xs text-amber-300">{t("privacy.noneFound")}</p>
+          )}
+        </div>
+
+        <div className="flex justify-center">
+          <div
+            ref={frameRef}
+            className="relative inline-block max-w-full overflow-hidden rounded-xl touch-none select-none cursor-pointer"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+          >
+            <canvas ref={canvasRef} className={`${image ? "block" : "hidden"} max-w-full max-h-[55vh] w-auto h-auto`} aria-label={t("privacy.preview")} />
+            {!image && <div className="w-64 h-64 animate-pulse bg-white/5" />}
+            <svg viewBox="0 0 1 1" preserveAspectRatio="none" className="absolute inset-0 w-full h-full pointer-events-none">
+              {masks.map((mask, idx) => (
+                <ellipse
+                  key={idx}
+                  cx={mask.x}
+                  cy={mask.y}
+                  rx={mask.rx}
+                  ry={mask.ry}
+                  fill="none"
+                  stroke={idx === selected ? "#fbbf24" : "#a5b4fc"}
+                  strokeWidth={idx === selected ? 3 : 2}
+                  strokeDasharray={idx === selected ? undefined : "6 4"}
+                  vectorEffect="non-scaling-stroke"
+                />
+              ))}
+            </svg>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap justify-center gap-2 text-xs">
+          {[
+            [t("privacy.smaller"), () => resizeSelected(0.85)],
+            [t("privacy.larger"), () => resizeSelected(1.15)],
+            [t("privacy.remove"), removeSelected],
+          ].map(([text, action]) => (
+            <button
+              key={text}
+              type="button"
+              onClick={action}
+              disabled={selected === null}
+              className="px-3 py-2 rounded-full bg-white/5 hover:bg-white/10 text-indigo-200 border border-white/10 disabled:opacity-40"
+            >
+              {text}
+            </button>
+          ))}
+          <button
+            type="button"
+            onClick={redetect}
+            disabled={detecting}
+            className="px-3 py-2 rounded-full bg-white/5 hover:bg-white/10 text-indigo-200 border border-white/10 disabled:opacity-40"
+          >
+            {detecting ? t("privacy.detecting") : t("privacy.redetect")}
+          </button>
+        </div>
+
+        <div className="flex gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 py-3 rounded-xl bg-white/5 hover:bg-white/10 text-slate-300 border border-white/10"
+          >
+            {t("privacy.keep")}
+          </button>
+          <button
+            type="button"
+            onClick={() => onApply(masks)}
+            disabled={!image}
+            className="flex-1 py-3 rounded-xl bg-indigo-600 text-white font-bold shadow-lg hover:opacity-90 disabled:opacity-50"
+          >
+            {t("privacy.apply")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,314 @@
+import { useEffect, useRef, useState } from "react";
+import { secureApiCall } from "../lib/api";
+import { isAbortError } from "../lib/apiError";
+import { downloadBlob } from "../lib/certificate";
+import { FOLLOW_UP_COUNT, followUpSchema } from "../lib/chatHistory";
+import { formatDate, getLocale, honorific, interpolate, t } from "../lib/i18n";
+import {
+  activePromptVersion,
+  builtinPrompt,
+  currentPromptTemplates,
+  EDITABLE_PROMPTS,
+  exportPromptTemplates,
+  importPromptTemplates,
+  promptTemplatesOfVersion,
+  renderPrompt,
+  savedPromptVersions,
+  savePromptOverrides,
+} from "../lib/promptTemplates";
+import { readingTypeLabel, withReadingType } from "../lib/readingType";
+import { compatibilitySchema, dualReportSchema, handLabel, reportSchema } from "../lib/report";
+import { pairSpiritSchema, spiritSchema } from "../lib/spirit";
+
+// プレビューで変数に埋めるサンプルの値。鑑定結果があればそれを使う
+function sampleParams({ displayName, analysis }) {
+  const name = honorific(displayName);
+  return {
+    name,
+    first: name,
+    second: honorific(t("common.defaultPartnerName")),
+    dominant: handLabel("right"),
+    innate: handLabel("left"),
+    index: 2,
+    type: readingTypeLabel("love"),
+    focus: renderPrompt("readingTypes.love.focus"),
+    sections: "tendency, encounter, partnership",
+    fields: renderPrompt("spiritFields"),
+    avoid: "",
+    analysis: analysis || t("admin.sampleAnalysis"),
+    subject: renderPrompt("chatSubjectSingle", { name }),
+    address: renderPrompt("chatAddressSingle", { name }),
+    summary: "",
+    question: t("admin.sampleQuestion"),
+    count: FOLLOW_UP_COUNT,
+  };
+}
+
+// 編集中のテンプレートを、実際の呼び出しと同じ組み合わせ（前置きのテンプレート・スキーマ）で送る形にする
+function previewRequest(id, drafts, params) {
+  const fill = (templateId) => interpolate(drafts[templateId], params);
+  switch (id) {
+    case "dual":
+      return ["analyze", { messages: [{ role: "user", text: fill("analysis") + fill("dual") }], responseSchema: dualReportSchema() }];
+    case "pair":
+      return ["analyze", { messages: [{ role: "user", text: fill("pair") }], responseSchema: compatibilitySchema() }];
+    case "readingType":
+      return [
+        "analyze",
+        { messages: [{ role: "user", text: fill("analysis") + fill("readingType") }], responseSchema: withReadingType(reportSchema(), "love") },
+      ];
+    case "spiritSingle":
+    case "spiritFields":
+      return [
+        "spirit",
+        { messages: [{ role: "user", text: interpolate(drafts.spiritSingle, { ...params, fields: fill("spiritFields") }) }], responseSchema: spiritSchema() },
+      ];
+    case "spiritPair":
+      return [
+        "spirit",
+        { messages: [{ role: "user", text: interpolate(drafts.spiritPair, { ...params, fields: fill("spiritFields") }) }], responseSchema: pairSpiritSchema() },
+      ];
+    case "chatSystem":
+    case "chatQuestion":
+      return ["chat", { system: fill("chatSystem"), messages: [{ role: "user", text: fill("chatQuestion") }] }];
+    case "followUps":
+      return ["chat", { system: fill("chatSystem"), messages: [{ role: "user", text: fill("followUps") }], responseSchema: followUpSchema() }];
+    default:
+      return ["analyze", { messages: [{ role: "user", text: fill("analysis") }], responseSchema: reportSchema() }];
+  }
+}
+
+// プロンプトテンプレートの管理画面（#/admin）。表示言語のテンプレートを編集し、版を上げて保存する
+export default function PromptEditor({ displayName, analysis, onToast, onBack }) {
+  const locale = getLocale();
+  const [drafts, setDrafts] = useState(currentPromptTemplates);
+  const [version, setVersion] = useState(activePromptVersion);
+  const [selectedId, setSelectedId] = useState(EDITABLE_PROMPTS[0].id);
+  const [useMock, setUseMock] = useState(true);
+  const [preview, setPreview] = useState({ status: "idle", text: "" });
+  const previewAbortRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => () => previewAbortRef.current?.abort(), []);
+
+  const localeDrafts = drafts[locale];
+  const selected = EDITABLE_PROMPTS.find((prompt) => prompt.id === selectedId);
+  const saved = currentPromptTemplates();
+  const dirty = Object.keys(drafts).some((code) => Object.keys(drafts[code]).some((id) => drafts[code][id] !== saved[code][id]));
+  const params = sampleParams({ displayName, analysis });
+  const [route, payload] = previewRequest(selectedId, localeDrafts, params);
+  const renderedText = [payload.system, ...payload.messages.map((message) => message.text)].filter(Boolean).join("\n\n---\n\n");
+
+  const updateDraft = (text) => setDrafts((current) => ({ ...current, [locale]: { ...current[locale], [selectedId]: text } }));
+
+  const reload = (nextVersion, message) => {
+    setDrafts(currentPromptTemplates());
+    setVersion(nextVersion);
+    onToast(message);
+  };
+
+  const handleSave = () => reload(savePromptOverrides(drafts), t("admin.saved", { version: activePromptVersion() }));
+
+  const handleResetAll = () => reload(savePromptOverrides({}), t("admin.resetDone"));
+
+  // 以前の版の文面を編集欄に読み込む。保存するまでは使用中の版は変わらない
+  const handleLoadVersion = (savedVersion) => {
+    const templates = promptTemplatesOfVersion(savedVersion);
+    if (!templates) return;
+    setDrafts(templates);
+    onToast(t("admin.versionLoaded", { version: savedVersion }));
+  };
+
+  const handleExport = () => {
+    downloadBlob(new Blob([exportPromptTemplates()], { type: "application/json" }), `aiteso-prompts-${version}.json`);
+  };
+
+  const handleImport = async (file) => {
+    if (!file) return;
+    try {
+      const nextVersion = importPromptTemplates(await file.text());
+      reload(nextVersion, t("admin.imported", { version: nextVersion }));
+    } catch (error) {
+      console.error("Prompt Import Error:", error);
+      onToast(t("admin.importFailed"));
+    }
+  };
+
+  const runPreview = async () => {
+    previewAbortRef.current?.abort();
+    const controller = new AbortController();
+    previewAbortRef.current = controller;
+    setPreview({ status: "loading", text: "" });
+    try {
+      const res = await secureApiCall(route, payload, { signal: controller.signal, mock: useMock, retries: 0 });
+      setPreview({ status: "done", text: res?.text || "" });
+    } catch (error) {
+      if (isAbortError(error)) return;
+      setPreview({ status: "error", text: error?.message || t("errors.analysisFailed") });
+    }
+  };
+
+  return (
+    <section className="w-full max-w-4xl space-y-6 fade-in">
+      <div className="glass-card p-6 md:p-10 shadow-2xl space-y-6 text-left">
+        <div className="flex justify-between items-center gap-4 border-b border-white/10 pb-4">
+          <div>
+            <h2 className="text-2xl font-black text-white">{t("admin.title")}</h2>
+            <p className="text-xs text-indigo-300">
+              {t("admin.version", { version })}
+              {dirty && <span className="ml-2 text-amber-300">{t("admin.unsaved")}</span>}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onBack}
+            className="px-5 py-2 bg-white/5 hover:bg-white/10 rounded-full text-xs text-indigo-200 border border-white/10 transition-colors"
+          >
+            {t("common.back")}
+          </button>
+        </div>
+
+        <p className="text-xs text-slate-400 leading-relaxed">{t("admin.lead")}</p>
+
+        <div className="grid gap-6 md:grid-cols-[12rem,1fr]">
+          <nav aria-label={t("admin.template")} className="flex md:flex-col flex-wrap gap-1">
+            {EDITABLE_PROMPTS.map((prompt) => (
+              <button
+                key={prompt.id}
+                type="button"
+                aria-current={prompt.id === selectedId}
+                onClick={() => setSelectedId(prompt.id)}
+                className={`px-3 py-2 rounded-lg text-xs text-left border transition-colors ${
+                  prompt.id === selectedId ? "bg-indigo-600 border-indigo-500 text-white" : "bg-white/5 border-white/10 text-indigo-200 hover:bg-white/10"
+                }`}
+              >
+                {t(`admin.templates.${prompt.id}`)}
+                {localeDrafts[prompt.id] !== builtinPrompt(prompt.id) && <span className="ml-1 text-amber-300">●</span>}
+              </button>
+            ))}
+          </nav>
+
+          <div className="space-y-3 min-w-0">
+            <label className="block space-y-2">
+              <span className="text-sm font-bold text-indigo-200">{`${t(`admin.templates.${selectedId}`)}（${selectedId}）`}</span>
+              <textarea
+                value={localeDrafts[selectedId]}
+                onChange={(e) => updateDraft(e.target.value)}
+                rows={12}
+                spellCheck={false}
+                className="w-full bg-slate-900/60 border border-white/10 rounded-xl p-3 font-mono text-xs text-white leading-relaxed focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              />
+            </label>
+            <p className="text-xs text-slate-400">
+              {t("admin.variables")}{" "}
+              {selected.variables.length
+                ? selected.variables.map((name) => (
+                    <code key={name} className="mr-1 px-1.5 py-0.5 rounded bg-white/10 text-indigo-100">{`{${name}}`}</code>
+                  ))
+                : t("admin.noVariables")}
+            </p>
+            <div className="flex flex-wrap gap-2">
+              <button
+                type="button"
+                onClick={handleSave}
+                disabled={!dirty}
+                className="px-5 py-2 bg-indigo-600 hover:bg-indigo-500 rounded-full text-xs font-bold text-white disabled:opacity-40"
+              >
+                {t("admin.save")}
+              </button>
+              <button
+                type="button"
+                onClick={() => updateDraft(builtinPrompt(selectedId))}
+                className="px-4 py-2 bg-white/5 hover:bg-white/10 rounded-full text-xs text-indigo-200 border border-white/10"
+              >
+                {t("admin.resetTemplate")}
+              </button>
+              <button
+                type="button"
+                onClick={handleResetAll}
+                className="px-4 py-2 bg-white/5 hover:bg-white/10 rounded-full text-xs text-rose-200 border border-white/10"
+              >
+                {t("admin.resetAll")}
+              </button>
+              <button
+                type="button"
+                onClick={handleExport}
+                className="px-4 py-2 bg-white/5 hover:bg-white/10 rounded-full text-xs text-indigo-200 border border-white/10"
+              >
+                {t("admin.export")}
+              </button>
+              <button
+                type="button"
+                onClick={() => fileInputRef.current?.click()}
+                className="px-4 py-2 bg-white/5 hover:bg-white/10 rounded-full text-xs text-indigo-200 border border-white/10"
+              >
+                {t("admin.import")}
+              </button>
+              {savedPromptVersions().length > 0 && (
+                <select
+                  value=""
+                  onChange={(e) => handleLoadVersion(e.target.value)}
+                  aria-label={t("admin.savedVersions")}
+                  className="px-3 py-2 bg-slate-900/60 rounded-full text-xs text-indigo-200 border border-white/10"
+                >
+                  <option value="">{t("admin.savedVersions")}</option>
+                  {savedPromptVersions().map((entry) => (
+                    <option key={entry.version} value={entry.version}>
+                      {`${entry.version}（${formatDate(entry.savedAt)}）`}
+                    </option>
+                  ))}
+                </select>
+              )}
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="application/json,.json"
+                className="hidden"
+                onChange={(e) => {
+                  handleImport(e.target.files?.[0]);
+                  e.target.value = "";
+                }}
+              />
+            </div>
+          </div>
+        </div>
+
+        <div className="rounded-xl border border-white/10 bg-slate-900/30 p-4 space-y-3">
+          <div className="flex flex-wrap justify-between items-center gap-3">
+            <h3 className="text-sm font-bold text-indigo-200">{t("admin.preview")}</h3>
+            <div className="flex items-center gap-3">
+              <label className="flex items-center gap-2 cursor-pointer text-xs text-indigo-100">
+                <input type="checkbox" checked={useMock} onChange={(e) => setUseMock(e.target.checked)} className="accent-indigo-500" />
+                {t("admin.useMock")}
+              </label>
+              <button
+                type="button"
+                onClick={runPreview}
+                disabled={preview.status === "loading"}
+                className="px-4 py-2 bg-purple-600 hover:bg-purple-500 rounded-full text-xs font-bold text-white disabled:opacity-60"
+              >
+                {preview.status === "loading" ? t("admin.running") : t("admin.run")}
+              </button>
+            </div>
+          </div>
+          <p className="text-[11px] text-slate-400">{t("admin.previewNote")}</p>
+          <pre className="max-h-64 overflow-auto whitespace-pre-wrap break-words rounded-lg bg-black/30 p-3 text-[11px] text-slate-200">
+            {renderedText}
+          </pre>
+          {preview.status !== "idle" && preview.status !== "loading" && (
+            <div className="space-y-1">
+              <p className="text-xs font-bold text-indigo-200">{t("admin.response")}</p>
+              <pre
+                className={`max-h-64 overflow-auto whitespace-pre-wrap break-words rounded-lg bg-black/30 p-3 text-[11px] ${
+                  preview.status === "error" ? "text-rose-300" : "text-emerald-100"
+                }`}
+              >
+                {preview.text}
+              </pre>
+            </div>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,140 @@
+import { t } from "../lib/i18n";
+import { contrastLabels, handLabel, reportSectionId } from "../lib/report";
+import Markdown from "./Markdown";
+import ThemeSections from "./ThemeSections";
+
+const LINE_COLORS = {
+  life: "from-rose-500 to-orange-400",
+  head: "from-sky-500 to-indigo-400",
+  heart: "from-pink-500 to-purple-400",
+};
+
+function RatingBar({ label, value, color }) {
+  return (
+    <div className="flex items-center gap-3 text-xs">
+      <span className="w-8 shrink-0 text-slate-400">{label}</span>
+      <div className="flex flex-1 gap-1" role="meter" aria-label={label} aria-valuemin={0} aria-valuemax={5} aria-valuenow={value}>
+        {[1, 2, 3, 4, 5].map((step) => (
+          <span
+            key={step}
+            className={`h-2 flex-1 rounded-full ${step <= value ? `bg-gradient-to-r ${color}` : "bg-white/10"}`}
+          />
+        ))}
+      </div>
+      <span className="w-6 text-right text-slate-300">{value || "—"}</span>
+    </div>
+  );
+}
+
+function ContrastBlock({ contrast, labels }) {
+  if (!contrast) return null;
+  return (
+    <div className="grid gap-3 sm:grid-cols-2 pt-1">
+      <div className="rounded-xl bg-emerald-500/5 border border-emerald-400/15 p-3">
+        <p className="text-[11px] font-bold tracking-wide text-emerald-300 mb-1">{labels.innate}</p>
+        <Markdown text={contrast.innate} className="text-xs" />
+      </div>
+      <div className="rounded-xl bg-amber-500/5 border border-amber-400/15 p-3">
+        <p className="text-[11px] font-bold tracking-wide text-amber-300 mb-1">{labels.acquired}</p>
+        <Markdown text={contrast.acquired} className="text-xs" />
+      </div>
+    </div>
+  );
+}
+
+function SectionTitle({ children }) {
+  return <h3 className="text-lg font-bold text-indigo-200 mb-4">{children}</h3>;
+}
+
+export default function ReportCards({ report }) {
+  const labels = contrastLabels(report.hands?.dominant);
+  const isDual = Boolean(report.hands);
+
+  return (
+    <div className="space-y-8 text-left">
+      {isDual && (
+        <p className="inline-block rounded-full bg-indigo-500/10 border border-indigo-400/20 px-4 py-1 text-xs text-indigo-200">
+          {t("report.dualBadge", { hand: handLabel(report.hands.dominant) })}
+        </p>
+      )}
+
+      {report.overall && (
+        <section>
+          <SectionTitle>{t("report.overall")}</SectionTitle>
+          <div className="rounded-2xl bg-slate-900/40 border border-white/5 p-5 space-y-4">
+            <Markdown text={report.overall} />
+            <ContrastBlock contrast={report.overallContrast} labels={labels} />
+          </div>
+        </section>
+      )}
+
+      <ThemeSections report={report} />
+
+      {report.lines.length > 0 && (
+        <section>
+          <SectionTitle>{t("report.lines")}</SectionTitle>
+          <div className={`grid gap-4 ${isDual ? "" : "md:grid-cols-3"}`}>
+            {report.lines.map((line, idx) => {
+              const color = LINE_COLORS[line.id] || "from-indigo-500 to-purple-400";
+              return (
+                <article
+                  key={line.id || idx}
+                  id={reportSectionId("line", line.id || idx)}
+                  tabIndex={-1}
+                  className="rounded-2xl bg-slate-900/40 border border-white/5 p-5 space-y-3 scroll-mt-6 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+                >
+                  <h4 className={`text-base font-black bg-clip-text text-transparent bg-gradient-to-r ${color}`}>{line.name}</h4>
+                  <div className="space-y-2">
+                    <RatingBar label={t("report.strength")} value={line.strength} color={color} />
+                    <RatingBar label={t("report.length")} value={line.length} color={color} />
+                  </div>
+                  {line.reading && <Markdown text={line.reading} className="text-sm" />}
+                  <ContrastBlock contrast={line.contrast} labels={labels} />
+                </article>
+              );
+            })}
+          </div>
+        </section>
+      )}
+
+      {report.mounts.length > 0 && (
+        <section>
+          <SectionTitle>{t("report.mounts")}</SectionTitle>
+          <div className={`grid gap-4 ${isDual ? "" : "md:grid-cols-2"}`}>
+            {report.mounts.map((mount, idx) => (
+              <article
+                key={idx}
+                id={reportSectionId("mount", idx)}
+                tabIndex={-1}
+                className="rounded-2xl bg-slate-900/40 border border-white/5 p-5 space-y-3 scroll-mt-6 focus:outline-none focus:ring-2 focus:ring-indigo-400"
+              >
+                <h4 className="font-bold text-white">{mount.name}</h4>
+                {mount.reading && <Markdown text={mount.reading} className="text-sm" />}
+                <ContrastBlock contrast={mount.contrast} labels={labels} />
+              </article>
+            ))}
+          </div>
+        </section>
+      )}
+
+      {report.advice.length > 0 && (
+        <section>
+          <SectionTitle>{t("report.advice")}</SectionTitle>
+          <ol className="space-y-3">
+            {report.advice.map((item, idx) => (
+              <li key={idx} className="flex gap-4 rounded-2xl bg-indigo-500/10 border border-indigo-400/10 p-5">
+                <span className="shrink-0 w-8 h-8 rounded-full bg-indigo-600 text-white font-black flex items-center justify-center">
+                  {idx + 1}
+                </span>
+                <div>
+                  <h4 className="font-bold text-white mb-1">{item.title}</h4>
+                  {item.detail && <Markdown text={item.detail} className="text-sm" />}
+                </div>
+              </li>
+            ))}
+          </ol>
+        </section>
+      )}
+    </div>
+  );
+}
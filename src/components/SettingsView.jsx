@@ -0,0 +1,154 @@
+import { formatNumber, LOCALES, t } from "../lib/i18n";
+import { USAGE_FEATURES, USAGE_WARN_RATIO } from "../lib/usage";
+
+function BudgetMeter({ label, used, limit, remaining }) {
+  const ratio = Math.min(used / limit, 1);
+  return (
+    <div className="space-y-1">
+      <div className="flex justify-between gap-2 text-xs">
+        <span className="text-indigo-100">{label}</span>
+        <span className="text-slate-400">{t("usage.remaining", { value: formatNumber(remaining), limit: formatNumber(limit) })}</span>
+      </div>
+      <div className="h-2 rounded-full bg-white/10 overflow-hidden" role="meter" aria-label={label} aria-valuemin={0} aria-valuemax={limit} aria-valuenow={used}>
+        <div
+          className={`h-full rounded-full ${ratio >= 1 ? "bg-rose-500" : ratio >= USAGE_WARN_RATIO ? "bg-amber-400" : "bg-indigo-500"}`}
+          style={{ width: `${ratio * 100}%` }}
+        />
+      </div>
+    </div>
+  );
+}
+
+// 表示言語・履歴の保存・利用量の予算をまとめて切り替える画面
+export default function SettingsView({
+  locale,
+  onChangeLocale,
+  historyEnabled,
+  onToggleHistory,
+  usage,
+  usageLimits,
+  usageState,
+  onChangeUsageLimits,
+  onBack,
+}) {
+  // 入力途中の空欄や0は反映しない
+  const changeBudget = (field) => (event) => {
+    const value = Number.parseInt(event.target.value, 10);
+    if (value > 0) onChangeUsageLimits({ ...usageLimits, [field]: value });
+  };
+
+  return (
+    <section className="w-full max-w-3xl space-y-6 fade-in">
+      <div className="glass-card p-6 md:p-10 shadow-2xl space-y-6">
+        <div className="flex justify-between items-center gap-4 border-b border-white/10 pb-4">
+          <h2 className="text-2xl font-black text-white">{t("app.settings")}</h2>
+          <button
+            type="button"
+            onClick={onBack}
+            className="px-5 py-2 bg-white/5 hover:bg-white/10 rounded-full text-xs text-indigo-200 border border-white/10 transition-colors"
+          >
+            {t("common.back")}
+          </button>
+        </div>
+
+        <p className="text-xs text-slate-400 text-left">{t("settings.lead")}</p>
+
+        <fieldset className="rounded-xl border border-white/10 bg-slate-900/30 p-4 text-left space-y-3">
+          <legend className="px-1 text-sm font-bold text-indigo-200">{t("app.language")}</legend>
+          <div className="flex flex-wrap gap-4 text-sm text-indigo-100">
+            {Object.entries(LOCALES).map(([code, { label }]) => (
+              <label key={code} lang={code} className="flex items-center gap-1.5 cursor-pointer">
+                <input
+                  type="radio"
+                  name="locale"
+                  value={code}
+                  checked={locale === code}
+                  onChange={() => onChangeLocale(code)}
+                  className="accent-indigo-500"
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        <fieldset className="rounded-xl border border-white/10 bg-slate-900/30 p-4 text-left space-y-3">
+          <legend className="px-1 text-sm font-bold text-indigo-200">{t("history.title")}</legend>
+          <label className="flex items-center gap-2 cursor-pointer text-sm text-indigo-100">
+            <input type="checkbox" checked={historyEnabled} onChange={(e) => onToggleHistory(e.target.checked)} className="accent-indigo-500" />
+            {t("history.saveToggle")}
+          </label>
+          <p className="text-xs text-slate-400 leading-relaxed">{t("settings.historyLink")}</p>
+        </fieldset>
+
+        <fieldset className="rounded-xl border border-white/10 bg-slate-900/30 p-4 text-left space-y-4">
+          <legend className="px-1 text-sm font-bold text-indigo-200">{t("usage.title")}</legend>
+          <BudgetMeter
+            label={t("usage.requestBudget")}
+            used={usage.total.requests}
+            limit={usageLimits.requests}
+            remaining={usageState.remaining.requests}
+          />
+          <BudgetMeter
+            label={t("usage.tokenBudget")}
+            used={usage.total.tokens}
+            limit={usageLimits.tokens}
+            remaining={usageState.remaining.tokens}
+          />
+
+          <table className="w-full text-xs text-indigo-100">
+            <thead className="text-slate-400">
+              <tr>
+                <th className="text-left font-normal py-1">{t("usage.feature")}</th>
+                <th className="text-right font-normal py-1">{t("usage.requests")}</th>
+                <th className="text-right font-normal py-1">{t("usage.tokens")}</th>
+                <th className="text-right font-normal py-1">{t("usage.images")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...USAGE_FEATURES.map((feature) => [t(`usage.features.${feature}`), usage.features[feature]]), [t("usage.total"), usage.total]].map(
+                ([label, counts]) => (
+                  <tr key={label} className="border-t border-white/5">
+                    <td className="py-1">{label}</td>
+                    <td className="py-1 text-right">{formatNumber(counts.requests)}</td>
+                    <td className="py-1 text-right">{formatNumber(counts.tokens)}</td>
+                    <td className="py-1 text-right">{formatNumber(counts.images)}</td>
+                  </tr>
+                )
+              )}
+            </tbody>
+          </table>
+
+          <div className="grid gap-3 sm:grid-cols-2">
+            {[
+              ["requests", t("usage.requestBudget")],
+              ["tokens", t("usage.tokenBudget")],
+            ].map(([field, label]) => (
+              <label key={field} className="flex flex-col gap-1 text-xs text-indigo-100">
+                {label}
+                <input
+                  type="number"
+                  min="1"
+                  step="1"
+                  defaultValue={usageLimits[field]}
+                  onChange={changeBudget(field)}
+                  className="px-3 py-2 rounded-lg bg-slate-900/60 border border-white/10 text-white"
+                />
+              </label>
+            ))}
+          </div>
+          <label className="flex items-center gap-2 cursor-pointer text-sm text-indigo-100">
+            <input
+              type="checkbox"
+              checked={usageLimits.blockAtLimit}
+              onChange={(e) => onChangeUsageLimits({ ...usageLimits, blockAtLimit: e.target.checked })}
+              className="accent-indigo-500"
+            />
+            {t("usage.blockAtLimit")}
+          </label>
+          <p className="text-xs text-slate-400 leading-relaxed">{t("usage.note")}</p>
+        </fieldset>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,138 @@
+import { t } from "../lib/i18n";
+import { VARIATION_COUNT } from "../lib/spirit";
+
+function SpiritProfile({ profile }) {
+  if (!profile) return null;
+  return (
+    <div className="mt-3 space-y-2 text-left text-sm text-slate-300 max-w-prose mx-auto">
+      <p className="flex flex-wrap items-center gap-2">
+        <span className="font-bold text-white">{profile.name}</span>
+        {profile.element && <span className="px-2 py-0.5 rounded-full text-[11px] bg-indigo-500/20 text-indigo-200 border border-indigo-400/30">{profile.element}</span>}
+      </p>
+      {profile.personality && <p>{profile.personality}</p>}
+      {profile.lore && <p className="text-xs italic text-slate-400 leading-relaxed">{profile.lore}</p>}
+    </div>
+  );
+}
+
+// 鑑定に添える守護精霊と、これまでに召喚した別案のギャラリー
+export default function SpiritPanel({ title, intro, spirit, gallery, busy, disabled, onSummon, onVariations, onPick, onCancel }) {
+  const attached = spirit.status === "done";
+  const canVary = attached && gallery.some((entry) => entry.id === spirit.entryId);
+
+  return (
+    <div className="pt-8 border-t border-white/10">
+      <h3 className="text-xl font-bold text-indigo-200 text-center mb-6">{title}</h3>
+      <div className="glass-card bg-slate-900/50 min-h-[250px] overflow-hidden flex flex-col items-center justify-center p-6 text-center">
+        {!attached && !busy && (
+          <div className="flex flex-col items-center gap-4" id="spirit-idle">
+            <p className="text-sm text-slate-400">{intro}</p>
+            <button
+              type="button"
+              onClick={onSummon}
+              disabled={disabled}
+              className="px-8 py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white font-bold rounded-xl shadow-lg disabled:opacity-60"
+            >
+              {t("spirit.summon")}
+            </button>
+          </div>
+        )}
+        {!attached && busy && (
+          <div className="flex flex-col items-center gap-4">
+            <div className="loader" />
+            <p className="text-sm animate-pulse">{t("spirit.summoning")}</p>
+            <button
+              type="button"
+              onClick={onCancel}
+              className="px-5 py-2 rounded-full text-xs bg-white/5 hover:bg-white/10 text-rose-200 border border-white/10"
+            >
+              {t("common.cancel")}
+            </button>
+          </div>
+        )}
+        {attached && spirit.pair && (
+          <div className="grid gap-6 sm:grid-cols-2 w-full">
+            {spirit.pair.map((member, idx) => (
+              <figure key={idx}>
+                <img src={member.img} alt={`Spirit ${idx + 1}`} className="w-full h-auto rounded-xl shadow-2xl max-w-full" />
+                <figcaption className="mt-4 text-sm italic text-slate-300">{member.caption}</figcaption>
+                <SpiritProfile profile={member.profile} />
+              </figure>
+            ))}
+          </div>
+        )}
+        {attached && !spirit.pair && (
+          <>
+            <img src={spirit.img} alt="Spirit" className="w-full h-auto rounded-xl shadow-2xl max-w-full" />
+            <p className="mt-4 text-sm italic text-slate-300">{spirit.caption}</p>
+            <SpiritProfile profile={spirit.profile} />
+          </>
+        )}
+        {attached && [spirit, ...(spirit.pair || [])].some((member) => member.provider === "procedural") && (
+          <p className="mt-2 text-[11px] text-slate-500">{t("spirit.proceduralNote")}</p>
+        )}
+
+        {attached && (
+          <div className="mt-6 flex flex-wrap justify-center gap-3">
+            <button
+              type="button"
+              onClick={onSummon}
+              disabled={disabled || Boolean(busy)}
+              className="px-5 py-2 rounded-full text-xs bg-white/5 hover:bg-white/10 text-indigo-200 border border-white/10 disabled:opacity-40"
+            >
+              {busy === "summon" ? t("spirit.anotherBusy") : t("spirit.another")}
+            </button>
+            {canVary && (
+              <button
+                type="button"
+                onClick={onVariations}
+                disabled={disabled || Boolean(busy)}
+                className="px-5 py-2 rounded-full text-xs bg-white/5 hover:bg-white/10 text-indigo-200 border border-white/10 disabled:opacity-40"
+              >
+                {busy === "variations" ? t("spirit.variationsBusy") : t("spirit.variations", { count: VARIATION_COUNT })}
+              </button>
+            )}
+            {busy && (
+              <button
+                type="button"
+                onClick={onCancel}
+                className="px-5 py-2 rounded-full text-xs bg-white/5 hover:bg-white/10 text-rose-200 border border-white/10"
+              >
+                {t("common.cancel")}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {gallery.length > 1 && (
+        <div className="mt-6">
+          <p className="text-xs text-slate-400 text-center mb-3">{t("spirit.galleryHint")}</p>
+          <ul className="grid grid-cols-3 sm:grid-cols-4 gap-3">
+            {gallery.map((entry) => {
+              const selected = entry.id === spirit.entryId;
+              return (
+                <li key={entry.id}>
+                  <button
+                    type="button"
+                    onClick={() => onPick(entry)}
+                    disabled={Boolean(busy)}
+                    aria-pressed={selected}
+                    className={`w-full flex rounded-xl overflow-hidden border-2 transition-colors disabled:opacity-60 ${
+                      selected ? "border-pink-400" : "border-white/10 hover:border-indigo-300"
+                    }`}
+                  >
+                    {entry.spirits.map((member, idx) => (
+                      <img key={idx} src={member.thumb || member.img} alt={member.name} className="flex-1 min-w-0 aspect-square object-cover" />
+                    ))}
+                  </button>
+                  <p className="mt-1 text-[11px] text-slate-400 truncate">{entry.spirits.map((member) => member.name).join(t("common.pairJoiner"))}</p>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+import { t } from "../lib/i18n";
+import { readingSections, readingTypeLabel, readingTypeOf } from "../lib/readingType";
+import Markdown from "./Markdown";
+
+// 恋愛運・仕事運などの種類別セクション。総合鑑定では何も出さない
+export default function ThemeSections({ report }) {
+  const sections = readingSections(report);
+  if (!sections.length) return null;
+
+  return (
+    <section>
+      <h3 className="text-lg font-bold text-indigo-200 mb-4">{t("report.themeTitle", { type: readingTypeLabel(readingTypeOf(report)) })}</h3>
+      <div className="grid gap-4 md:grid-cols-3">
+        {sections.map((section) => (
+          <article key={section.id} className="rounded-2xl bg-fuchsia-500/5 border border-fuchsia-400/15 p-5 space-y-2">
+            <h4 className="font-bold text-fuchsia-200">{section.title}</h4>
+            <Markdown text={section.reading} className="text-sm" />
+          </article>
+        ))}
+      </div>
+    </section>
+  );
+}
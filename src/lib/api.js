@@ -0,0 +1,195 @@
+import { ApiError, classifyError, ERROR_KINDS, isAbortError, isRetryable, retryDelay } from "./apiError";
+import { createMockFetch, readMockOptions } from "./mockApi";
+import { recordUsage } from "./usage";
+
+// APIキーはプロキシサーバー側(server/)でのみ保持する
+const API_BASE = (import.meta.env.VITE_API_BASE || "/api").replace(/\/+$/, "");
+
+// ?mock（または VITE_MOCK_API）のときはプロキシの代わりに模擬バックエンドへ送る
+const mockOptions = readMockOptions();
+const apiFetch = mockOptions ? createMockFetch(mockOptions) : fetch;
+
+export const isMockApi = Boolean(mockOptions);
+
+// 管理画面のプレビューでは、設定に関係なく呼び出しごとに模擬バックエンドを選べる
+let previewMockFetch;
+const fetchFor = (mock) => (mock ? (previewMockFetch ??= createMockFetch({ latency: 300 })) : apiFetch);
+
+// 利用量はプロキシのルートごとに機能として記録する
+const USAGE_FEATURE = { analyze: "analysis", spirit: "spirit", chat: "chat" };
+
+const DEFAULT_RETRIES = 2;
+const BASE_DELAY = 1000;
+
+const abortError = () => new DOMException("The operation was aborted.", "AbortError");
+
+// 待っている間に中断されたら、すぐに AbortError で抜ける
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+async function readErrorResponse(response) {
+  const errorData = await response.json().catch(() => ({}));
+  const retryAfter = Number.parseInt(response.headers.get("Retry-After"), 10);
+  return classifyError({
+    status: response.status,
+    code: errorData.error?.status,
+    rawMessage: errorData.error?.message || `HTTP ${response.status}`,
+    retryAfter: Number.isFinite(retryAfter) ? retryAfter : undefined,
+  });
+}
+
+// fetch 自体が失敗した（オフライン・DNS・CORSなど）ときは network として扱う
+async function request(url, init, mock = false) {
+  let response;
+  try {
+    response = await fetchFor(mock)(url, init);
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    throw new ApiError(ERROR_KINDS.NETWORK, { rawMessage: error?.message });
+  }
+  if (!response.ok) throw await readErrorResponse(response);
+  return response;
+}
+
+/**
+ * attempt を再試行つきで実行する。レート制限と通信エラーだけを Retry-After / jitter つきの指数バックオフで再試行し、
+ * 無料枠の枯渇で終わったときは onQuota を呼ぶ。
+ */
+async function withRetry(attempt, { retries = DEFAULT_RETRIES, signal, onQuota }) {
+  for (let count = 0; ; count += 1) {
+    try {
+      return await attempt();
+    } catch (error) {
+      if (isAbortError(error) || signal?.aborted) throw isAbortError(error) ? error : abortError();
+      const delay = isRetryable(error) && count < retries ? retryDelay(error, count, BASE_DELAY) : null;
+      if (delay === null) {
+        if (error?.kind === ERROR_KINDS.QUOTA) onQuota?.();
+        throw error;
+      }
+      await wait(delay, signal);
+    }
+  }
+}
+
+/**
+ * APIプロキシ(server/)を呼び出す。モデルプロバイダの違いはプロキシ側で吸収される。
+ * 失敗は ApiError（kind で種類を判別）、signal で中断した場合は AbortError が投げられる。
+ * @param {"analyze" | "chat" | "spirit"} route
+ * @param {object} payload generate: { system?, messages: [{ role, text, images? }] } / image: { prompt }
+ * @param {{ op?: "generate" | "image", retries?: number, signal?: AbortSignal, onQuota?: () => void, mock?: boolean }} options
+ * @returns {Promise<{ text?: string, images?: Array<{ mimeType: string, data: string }>, usage?: object }>}
+ */
+export function secureApiCall(route, payload, options = {}) {
+  const { op = "generate", signal, mock } = options;
+  // 画像生成は失敗したら次の生成元に回すので、ここでは再試行しない
+  const retries = options.retries ?? (op === "image" ? 0 : DEFAULT_RETRIES);
+
+  return withRetry(
+    async () => {
+      const response = await request(
+        `${API_BASE}/${route}?op=${op}`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(payload),
+          signal,
+        },
+        mock
+      );
+      const result = await response.json();
+      // 管理画面の模擬プレビューは実際の呼び出しではないので、今日の利用量に数えない
+      if (!mock) recordUsage(USAGE_FEATURE[route], { usage: result.usage, images: result.images?.length || 0 });
+      return result;
+    },
+    { ...options, retries }
+  );
+}
+
+async function* readSseEvents(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let event = "message";
+  let data = [];
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.startsWith("event:")) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith("data:")) {
+        data.push(line.slice(5).trimStart());
+      } else if (line === "" && data.length) {
+        yield { event, data: JSON.parse(data.join("\n")) };
+        event = "message";
+        data = [];
+      }
+    }
+  }
+}
+
+/**
+ * secureApiCall のストリーミング版。受信したテキストを onText に累積で渡す。
+ * 再試行するのは受信を始める前の失敗だけ（途中まで表示した回答を巻き戻さない）。
+ * @param {{ onText?: (text: string) => void, onQuota?: () => void, signal?: AbortSignal, retries?: number }} options
+ * @returns {Promise<{ text: string, usage?: object }>}
+ */
+export async function streamApiCall(route, payload, options = {}) {
+  const { onText, onQuota, signal } = options;
+
+  const response = await withRetry(
+    () =>
+      request(`${API_BASE}/${route}?op=stream`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Accept: "text/event-stream" },
+        body: JSON.stringify(payload),
+        signal,
+      }),
+    options
+  );
+
+  let text = "";
+  let usage;
+  try {
+    for await (const { event, data } of readSseEvents(response.body)) {
+      if (event === "error") {
+        throw classifyError({ status: 500, code: data.error?.status, rawMessage: data.error?.message || "" });
+      }
+      if (event === "done") break;
+      if (data.usage) usage = data.usage;
+      if (data.text) {
+        text += data.text;
+        onText?.(text);
+      }
+    }
+  } catch (error) {
+    if (isAbortError(error) || error instanceof ApiError) {
+      if (error?.kind === ERROR_KINDS.QUOTA) onQuota?.();
+      throw error;
+    }
+    // 受信中に接続が切れた
+    throw new ApiError(ERROR_KINDS.NETWORK, { rawMessage: error?.message });
+  } finally {
+    // 途中で止めた・失敗した呼び出しも1回として数える（トークン数は届いた分だけ）
+    recordUsage(USAGE_FEATURE[route], { usage });
+  }
+  return { text, usage };
+}
@@ -0,0 +1,183 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { ERROR_KINDS, MAX_RETRY_WAIT_MS } from "./apiError";
+import { getTodayUsage } from "./usage";
+
+// api.js は読み込み時の fetch を使うので、差し替えてから読み込む
+const fakeFetch = vi.fn();
+vi.stubGlobal("fetch", (...args) => fakeFetch(...args));
+const { secureApiCall, streamApiCall } = await import("./api");
+
+const jsonResponse = (status, body, headers = {}) =>
+  new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json", ...headers } });
+
+const errorResponse = (status, code, message = code, headers) => jsonResponse(status, { error: { code: status, message, status: code } }, headers);
+
+const sseResponse = (events) =>
+  new Response(events.map(([event, data]) => `${event ? `event: ${event}\n` : ""}data: ${JSON.stringify(data)}\n\n`).join(""), {
+    status: 200,
+    headers: { "Content-Type": "text/event-stream" },
+  });
+
+const ok = () => jsonResponse(200, { text: "ok", usage: { totalTokens: 10 } });
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  // jitter を 0 にして待ち時間を決める
+  vi.spyOn(Math, "random").mockReturnValue(0);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+  fakeFetch.mockReset();
+  localStorage.clear();
+});
+
+describe("secureApiCall", () => {
+  it("posts the payload to the route and returns the JSON", async () => {
+    fakeFetch.mockResolvedValueOnce(ok());
+    await expect(secureApiCall("chat", { messages: [] })).resolves.toEqual({ text: "ok", usage: { totalTokens: 10 } });
+    const [url, init] = fakeFetch.mock.calls[0];
+    expect(url).toBe("/api/chat?op=generate");
+    expect(init).toMatchObject({ method: "POST", body: JSON.stringify({ messages: [] }) });
+  });
+
+  it("records the call and its tokens in today's usage", async () => {
+    fakeFetch.mockResolvedValueOnce(ok());
+    await secureApiCall("chat", { messages: [] });
+    expect(getTodayUsage().total).toMatchObject({ requests: 1, tokens: 10 });
+  });
+
+  it("does not record mock previews in today's usage", async () => {
+    const result = secureApiCall("chat", { messages: [{ role: "user", text: "hello" }] }, { mock: true });
+    await vi.advanceTimersByTimeAsync(1000);
+    await expect(result).resolves.toHaveProperty("text");
+    expect(fakeFetch).not.toHaveBeenCalled();
+    expect(getTodayUsage().total).toMatchObject({ requests: 0, tokens: 0 });
+  });
+
+  it.each([
+    ["quota", errorResponse(429, "QUOTA_EXHAUSTED"), ERROR_KINDS.QUOTA],
+    ["billing", errorResponse(400, "INVALID_ARGUMENT", "only accessible to billed users"), ERROR_KINDS.BILLING],
+    ["safety_block", errorResponse(422, "SAFETY_BLOCKED"), ERROR_KINDS.SAFETY_BLOCK],
+    ["invalid_key", errorResponse(400, "API_KEY_INVALID"), ERROR_KINDS.INVALID_KEY],
+    ["upstream", errorResponse(500, "INTERNAL", "boom"), ERROR_KINDS.UPSTREAM],
+  ])("fails with %s without retrying", async (_, response, kind) => {
+    fakeFetch.mockResolvedValueOnce(response);
+    await expect(secureApiCall("chat", {})).rejects.toMatchObject({ name: "ApiError", kind });
+    expect(fakeFetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("calls onQuota when the daily quota runs out", async () => {
+    const onQuota = vi.fn();
+    fakeFetch.mockResolvedValueOnce(errorResponse(429, "QUOTA_EXHAUSTED"));
+    await expect(secureApiCall("chat", {}, { onQuota })).rejects.toMatchObject({ kind: ERROR_KINDS.QUOTA });
+    expect(onQuota).toHaveBeenCalledTimes(1);
+  });
+
+  it("waits for Retry-After before retrying a rate limit", async () => {
+    fakeFetch.mockResolvedValueOnce(errorResponse(429, "RATE_LIMITED", "slow down", { "Retry-After": "2" })).mockResolvedValueOnce(ok());
+    const result = secureApiCall("chat", {});
+
+    await vi.advanceTimersByTimeAsync(1999);
+    expect(fakeFetch).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    await expect(result).resolves.toMatchObject({ text: "ok" });
+    expect(fakeFetch).toHaveBeenCalledTimes(2);
+  });
+
+  it("gives up at once when Retry-After is past MAX_RETRY_WAIT_MS", async () => {
+    const retryAfter = String(MAX_RETRY_WAIT_MS / 1000 + 1);
+    fakeFetch.mockResolvedValueOnce(errorResponse(429, "RATE_LIMITED", "slow down", { "Retry-After": retryAfter }));
+    await expect(secureApiCall("chat", {})).rejects.toMatchObject({ kind: ERROR_KINDS.RATE_LIMIT, retryAfter: Number(retryAfter) });
+    expect(fakeFetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("treats a failed fetch as a network error and retries with exponential backoff", async () => {
+    fakeFetch.mockRejectedValue(new TypeError("Failed to fetch"));
+    const result = secureApiCall("chat", {});
+    const assertion = expect(result).rejects.toMatchObject({ kind: ERROR_KINDS.NETWORK, rawMessage: "Failed to fetch" });
+
+    // equal jitter の下限（1000/2, 2000/2）だけ待つ
+    await vi.advanceTimersByTimeAsync(500);
+    expect(fakeFetch).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(999);
+    expect(fakeFetch).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(1);
+    await assertion;
+    expect(fakeFetch).toHaveBeenCalledTimes(3);
+  });
+
+  it("retries 503 responses and succeeds", async () => {
+    fakeFetch.mockResolvedValueOnce(errorResponse(503, "UNAVAILABLE")).mockResolvedValueOnce(ok());
+    const result = secureApiCall("chat", {});
+    await vi.advanceTimersByTimeAsync(500);
+    await expect(result).resolves.toMatchObject({ text: "ok" });
+  });
+
+  it("does not retry image generation by default", async () => {
+    fakeFetch.mockResolvedValueOnce(errorResponse(503, "UNAVAILABLE"));
+    await expect(secureApiCall("spirit", { prompt: "p" }, { op: "image" })).rejects.toMatchObject({ kind: ERROR_KINDS.NETWORK });
+    expect(fakeFetch).toHaveBeenCalledTimes(1);
+    expect(fakeFetch.mock.calls[0][0]).toBe("/api/spirit?op=image");
+  });
+
+  it("stops with AbortError when aborted during the backoff wait", async () => {
+    const controller = new AbortController();
+    fakeFetch.mockResolvedValueOnce(errorResponse(429, "RATE_LIMITED", "slow down", { "Retry-After": "5" }));
+    const result = secureApiCall("chat", {}, { signal: controller.signal });
+    const assertion = expect(result).rejects.toMatchObject({ name: "AbortError" });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    controller.abort();
+    await assertion;
+    await vi.advanceTimersByTimeAsync(10_000);
+    expect(fakeFetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("passes an AbortError from fetch through without retrying", async () => {
+    fakeFetch.mockRejectedValueOnce(new DOMException("The operation was aborted.", "AbortError"));
+    await expect(secureApiCall("chat", {})).rejects.toMatchObject({ name: "AbortError" });
+    expect(fakeFetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("streamApiCall", () => {
+  it("accumulates streamed text and returns the usage", async () => {
+    fakeFetch.mockResolvedValueOnce(
+      sseResponse([
+        [null, { text: "Hel" }],
+        [null, { text: "lo" }],
+        [null, { usage: { totalTokens: 5 } }],
+        ["done", {}],
+      ])
+    );
+    const onText = vi.fn();
+    await expect(streamApiCall("chat", {}, { onText })).resolves.toEqual({ text: "Hello", usage: { totalTokens: 5 } });
+    expect(onText.mock.calls).toEqual([["Hel"], ["Hello"]]);
+    expect(fakeFetch.mock.calls[0][0]).toBe("/api/chat?op=stream");
+  });
+
+  it("classifies an error event sent midway", async () => {
+    const onQuota = vi.fn();
+    fakeFetch.mockResolvedValueOnce(
+      sseResponse([
+        [null, { text: "partial" }],
+        ["error", { error: { message: "Quota exceeded for requests per day", status: "RESOURCE_EXHAUSTED" } }],
+      ])
+    );
+    await expect(streamApiCall("chat", {}, { onQuota })).rejects.toMatchObject({ kind: ERROR_KINDS.QUOTA });
+    expect(onQuota).toHaveBeenCalledTimes(1);
+  });
+
+  it("retries failures before the stream starts", async () => {
+    fakeFetch
+      .mockResolvedValueOnce(errorResponse(429, "RATE_LIMITED", "slow down", { "Retry-After": "1" }))
+      .mockResolvedValueOnce(sseResponse([[null, { text: "ok" }], ["done", {}]]));
+    const result = streamApiCall("chat", {});
+    await vi.advanceTimersByTimeAsync(1000);
+    await expect(result).resolves.toMatchObject({ text: "ok" });
+    expect(fakeFetch).toHaveBeenCalledTimes(2);
+  });
+});
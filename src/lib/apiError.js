@@ -0,0 +1,103 @@
+import { t } from "./i18n";
+
+// API呼び出しの失敗の種類。画面側はメッセージの文字列ではなく kind で処理を分ける
+export const ERROR_KINDS = {
+  QUOTA: "quota",
+  BILLING: "billing",
+  RATE_LIMIT: "rate_limit",
+  NETWORK: "network",
+  SAFETY_BLOCK: "safety_block",
+  INVALID_KEY: "invalid_key",
+  UPSTREAM: "upstream",
+};
+
+const MESSAGE_KEYS = {
+  [ERROR_KINDS.QUOTA]: "errors.quota",
+  [ERROR_KINDS.BILLING]: "errors.billing",
+  [ERROR_KINDS.RATE_LIMIT]: "errors.rateLimited",
+  [ERROR_KINDS.NETWORK]: "errors.network",
+  [ERROR_KINDS.SAFETY_BLOCK]: "errors.safetyBlocked",
+  [ERROR_KINDS.INVALID_KEY]: "errors.invalidKey",
+};
+
+export class ApiError extends Error {
+  /**
+   * @param {string} kind ERROR_KINDS のいずれか
+   * @param {{ status?: number, code?: string, rawMessage?: string, retryAfter?: number }} details
+   */
+  constructor(kind, { status, code, rawMessage = "", retryAfter } = {}) {
+    super(MESSAGE_KEYS[kind] ? t(MESSAGE_KEYS[kind]) : rawMessage || t("errors.upstream"));
+    this.name = "ApiError";
+    this.kind = kind;
+    this.status = status;
+    this.code = code;
+    this.rawMessage = rawMessage;
+    // 再試行までの秒数（Retry-After）。分からなければ undefined
+    this.retryAfter = retryAfter;
+  }
+}
+
+// PROVIDER_NOT_CONFIGURED はプロキシにキーなどが設定されていないときの独自の code。
+// Gemini の FAILED_PRECONDITION は地域や課金の制限にも使われるので、ここには含めない
+const INVALID_KEY_CODES = new Set(["API_KEY_INVALID", "invalid_api_key", "UNAUTHENTICATED", "PROVIDER_NOT_CONFIGURED"]);
+
+/**
+ * プロキシのエラー応答 { status, code, rawMessage, retryAfter } を種類に振り分ける。
+ * code はプロキシが付けたもの（RATE_LIMITED / QUOTA_EXHAUSTED / SAFETY_BLOCKED など）を優先し、
+ * 無い場合は upstream のメッセージから推定する。
+ */
+export function classifyError({ status, code, rawMessage = "", retryAfter }) {
+  const lower = rawMessage.toLowerCase();
+  const details = { status, code, rawMessage, retryAfter };
+
+  if (INVALID_KEY_CODES.has(code) || status === 401 || /api key not valid|invalid api key|incorrect api key/.test(lower)) {
+    return new ApiError(ERROR_KINDS.INVALID_KEY, details);
+  }
+  if (code === "SAFETY_BLOCKED" || /safety (filter|setting|system)|content_filter|prohibited content/.test(lower)) {
+    return new ApiError(ERROR_KINDS.SAFETY_BLOCK, details);
+  }
+  // 課金が必要なモデル（Imagenなど）や、無料枠が使えない地域は無料枠の枯渇より先に判定する
+  if (/billed users|billing account|billing required|enable billing/.test(lower)) {
+    return new ApiError(ERROR_KINDS.BILLING, details);
+  }
+  // 課金以外の FAILED_PRECONDITION（利用できない地域など）は upstream のメッセージをそのまま見せる
+  if (code === "FAILED_PRECONDITION") {
+    return new ApiError(ERROR_KINDS.UPSTREAM, details);
+  }
+  if (code === "QUOTA_EXHAUSTED" || /per ?day|daily limit|insufficient tokens|insufficient_quota|billing/.test(lower)) {
+    return new ApiError(ERROR_KINDS.QUOTA, details);
+  }
+  // 日単位と判別できない 429 は、時間をおけば通る分単位の制限として扱う
+  if (code === "RATE_LIMITED" || status === 429) {
+    return new ApiError(ERROR_KINDS.RATE_LIMIT, details);
+  }
+  if (status === 403 && /quota|exceed|exhausted/.test(lower)) {
+    return new ApiError(ERROR_KINDS.QUOTA, details);
+  }
+  if (code === "UNAVAILABLE" || status === 502 || status === 503 || status === 504) {
+    return new ApiError(ERROR_KINDS.NETWORK, details);
+  }
+  return new ApiError(ERROR_KINDS.UPSTREAM, details);
+}
+
+export const isAbortError = (error) => error?.name === "AbortError";
+
+// 時間をおけば通る可能性がある失敗だけを再試行する
+export const isRetryable = (error) => error?.kind === ERROR_KINDS.RATE_LIMIT || error?.kind === ERROR_KINDS.NETWORK;
+
+// Retry-After がこれより長いときは待たずに諦める（利用者を待たせすぎない）
+export const MAX_RETRY_WAIT_MS = 20_000;
+
+/**
+ * attempt 回目（0始まり）の再試行までの待ち時間。
+ * Retry-After があればそれに従い、無ければ指数バックオフの半分をランダムに揺らす（equal jitter）。
+ * @returns {number | null} 待ち時間(ms)。再試行すべきでなければ null
+ */
+export function retryDelay(error, attempt, baseDelay) {
+  if (error?.retryAfter !== undefined) {
+    const wait = error.retryAfter * 1000;
+    return wait > MAX_RETRY_WAIT_MS ? null : wait + Math.random() * 250;
+  }
+  const backoff = Math.min(baseDelay * 2 ** attempt, MAX_RETRY_WAIT_MS);
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
@@ -0,0 +1,120 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { ApiError, classifyError, ERROR_KINDS, isAbortError, isRetryable, MAX_RETRY_WAIT_MS, retryDelay } from "./apiError";
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("classifyError", () => {
+  it.each([
+    ["proxy invalid key code", { status: 400, code: "API_KEY_INVALID", rawMessage: "API key not valid." }, ERROR_KINDS.INVALID_KEY],
+    ["OpenAI invalid key code", { status: 400, code: "invalid_api_key" }, ERROR_KINDS.INVALID_KEY],
+    ["401 without a code", { status: 401 }, ERROR_KINDS.INVALID_KEY],
+    ["proxy not configured", { status: 500, code: "PROVIDER_NOT_CONFIGURED" }, ERROR_KINDS.INVALID_KEY],
+    [
+      "free tier unavailable in the country",
+      {
+        status: 400,
+        code: "FAILED_PRECONDITION",
+        rawMessage: "Gemini API free tier is not available in your country. Please enable billing on your project in Google AI Studio.",
+      },
+      ERROR_KINDS.BILLING,
+    ],
+    [
+      "unsupported user location",
+      { status: 400, code: "FAILED_PRECONDITION", rawMessage: "User location is not supported for the API use." },
+      ERROR_KINDS.UPSTREAM,
+    ],
+    ["invalid key message", { status: 400, rawMessage: "Incorrect API key provided" }, ERROR_KINDS.INVALID_KEY],
+    ["proxy safety code", { status: 422, code: "SAFETY_BLOCKED" }, ERROR_KINDS.SAFETY_BLOCK],
+    ["safety filter message", { status: 400, rawMessage: "Blocked by safety filters" }, ERROR_KINDS.SAFETY_BLOCK],
+    ["OpenAI content filter", { status: 400, rawMessage: "content_filter triggered" }, ERROR_KINDS.SAFETY_BLOCK],
+    [
+      "Imagen billing message",
+      { status: 400, code: "INVALID_ARGUMENT", rawMessage: "Imagen API is only accessible to billed users at this time." },
+      ERROR_KINDS.BILLING,
+    ],
+    ["proxy quota code", { status: 429, code: "QUOTA_EXHAUSTED" }, ERROR_KINDS.QUOTA],
+    ["per-day 429", { status: 429, code: "RESOURCE_EXHAUSTED", rawMessage: "Quota exceeded for requests per day" }, ERROR_KINDS.QUOTA],
+    ["OpenAI insufficient quota", { status: 429, rawMessage: "insufficient_quota" }, ERROR_KINDS.QUOTA],
+    ["403 quota exceeded", { status: 403, rawMessage: "Quota exceeded" }, ERROR_KINDS.QUOTA],
+    ["proxy rate limit code", { status: 429, code: "RATE_LIMITED" }, ERROR_KINDS.RATE_LIMIT],
+    ["plain 429", { status: 429, code: "RESOURCE_EXHAUSTED", rawMessage: "Too many requests" }, ERROR_KINDS.RATE_LIMIT],
+    ["503", { status: 503, rawMessage: "overloaded" }, ERROR_KINDS.NETWORK],
+    ["UNAVAILABLE code", { status: 500, code: "UNAVAILABLE" }, ERROR_KINDS.NETWORK],
+    ["502", { status: 502 }, ERROR_KINDS.NETWORK],
+    ["504", { status: 504 }, ERROR_KINDS.NETWORK],
+    ["other 500", { status: 500, code: "INTERNAL", rawMessage: "boom" }, ERROR_KINDS.UPSTREAM],
+    ["403 without quota", { status: 403, rawMessage: "Permission denied" }, ERROR_KINDS.UPSTREAM],
+  ])("classifies %s", (_, details, kind) => {
+    const error = classifyError(details);
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.kind).toBe(kind);
+  });
+
+  it("keeps the details and a localized message", () => {
+    const error = classifyError({ status: 429, code: "RATE_LIMITED", rawMessage: "slow down", retryAfter: 3 });
+    expect(error).toMatchObject({ name: "ApiError", status: 429, code: "RATE_LIMITED", rawMessage: "slow down", retryAfter: 3 });
+    expect(error.message).not.toBe("slow down");
+  });
+
+  it("shows the upstream message for unclassified errors", () => {
+    expect(classifyError({ status: 500, rawMessage: "boom" }).message).toBe("boom");
+    const message = "User location is not supported for the API use.";
+    expect(classifyError({ status: 400, code: "FAILED_PRECONDITION", rawMessage: message }).message).toBe(message);
+  });
+});
+
+describe("isRetryable / isAbortError", () => {
+  it("retries only rate limits and network failures", () => {
+    expect(Object.values(ERROR_KINDS).filter((kind) => isRetryable(new ApiError(kind)))).toEqual([
+      ERROR_KINDS.RATE_LIMIT,
+      ERROR_KINDS.NETWORK,
+    ]);
+  });
+
+  it("recognizes AbortError by name", () => {
+    expect(isAbortError(new DOMException("aborted", "AbortError"))).toBe(true);
+    expect(isAbortError(new Error("aborted"))).toBe(false);
+    expect(isAbortError(undefined)).toBe(false);
+  });
+});
+
+describe("retryDelay", () => {
+  const rateLimited = (retryAfter) => new ApiError(ERROR_KINDS.RATE_LIMIT, { retryAfter });
+
+  it("waits for Retry-After plus at most 250ms of jitter", () => {
+    vi.spyOn(Math, "random").mockReturnValue(0);
+    expect(retryDelay(rateLimited(3), 0, 1000)).toBe(3000);
+    Math.random.mockReturnValue(0.999999);
+    expect(retryDelay(rateLimited(3), 0, 1000)).toBeGreaterThan(3249);
+    expect(retryDelay(rateLimited(3), 0, 1000)).toBeLessThan(3250);
+  });
+
+  it("honors Retry-After: 0", () => {
+    vi.spyOn(Math, "random").mockReturnValue(0);
+    expect(retryDelay(rateLimited(0), 1, 1000)).toBe(0);
+  });
+
+  it("gives up when Retry-After is longer than MAX_RETRY_WAIT_MS", () => {
+    vi.spyOn(Math, "random").mockReturnValue(0);
+    expect(retryDelay(rateLimited(MAX_RETRY_WAIT_MS / 1000), 0, 1000)).toBe(MAX_RETRY_WAIT_MS);
+    expect(retryDelay(rateLimited(MAX_RETRY_WAIT_MS / 1000 + 1), 0, 1000)).toBeNull();
+    expect(retryDelay(rateLimited(3600), 0, 1000)).toBeNull();
+  });
+
+  it.each([0, 1, 2, 3])("keeps exponential backoff for attempt %i within the equal-jitter bounds", (attempt) => {
+    const backoff = 1000 * 2 ** attempt;
+    vi.spyOn(Math, "random").mockReturnValue(0);
+    expect(retryDelay(new ApiError(ERROR_KINDS.NETWORK), attempt, 1000)).toBe(backoff / 2);
+    Math.random.mockReturnValue(0.999999);
+    const upper = retryDelay(new ApiError(ERROR_KINDS.NETWORK), attempt, 1000);
+    expect(upper).toBeLessThan(backoff);
+    expect(upper).toBeGreaterThan(backoff * 0.99);
+  });
+
+  it("caps the backoff at MAX_RETRY_WAIT_MS", () => {
+    vi.spyOn(Math, "random").mockReturnValue(0.999999);
+    expect(retryDelay(new ApiError(ERROR_KINDS.NETWORK), 20, 1000)).toBeLessThan(MAX_RETRY_WAIT_MS);
+  });
+});
@@ -0,0 +1,111 @@
+import { t } from "./i18n";
+
+// getUserMedia まわりの薄いラッパー。mediaDevices を差し替えられるので、
+// canvas.captureStream() などの偽ストリームでも同じ流れで動く
+
+export const FACING_MODES = {
+  USER: "user",
+  ENVIRONMENT: "environment",
+};
+
+export const isCameraSupported = (mediaDevices = globalThis.navigator?.mediaDevices) =>
+  typeof mediaDevices?.getUserMedia === "function";
+
+export async function openCamera(facingMode, mediaDevices = globalThis.navigator?.mediaDevices) {
+  if (!isCameraSupported(mediaDevices)) {
+    throw new Error(t("camera.unsupported"));
+  }
+  const video = { facingMode, width: { ideal: 1920 }, height: { ideal: 1080 } };
+
+  try {
+    return await mediaDevices.getUserMedia({ video, audio: false });
+  } catch (error) {
+    // 指定した向きのカメラが無い端末（PCなど）では、使えるカメラで開き直す
+    if (error?.name === "OverconstrainedError" || error?.name === "NotFoundError") {
+      try {
+        return await mediaDevices.getUserMedia({ video: true, audio: false });
+      } catch (retryError) {
+        throw toCameraError(retryError);
+      }
+    }
+    throw toCameraError(error);
+  }
+}
+
+export function stopCamera(stream) {
+  stream?.getTracks().forEach((track) => track.stop());
+}
+
+function toCameraError(error) {
+  switch (error?.name) {
+    case "NotAllowedError":
+    case "SecurityError":
+      return new Error(t("camera.denied"));
+    case "NotFoundError":
+    case "OverconstrainedError":
+      return new Error(t("camera.notFound"));
+    case "NotReadableError":
+      return new Error(t("camera.busy"));
+    default:
+      return new Error(t("camera.failed"));
+  }
+}
+
+// 再生中の映像から1フレームを JPEG の File として切り出す（handleImageSelection にそのまま渡せる形）
+export function captureFrame(video) {
+  const canvas = document.createElement("canvas");
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  canvas.getContext("2d").drawImage(video, 0, 0, canvas.width, canvas.height);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => {
+        if (!blob) {
+          reject(new Error(t("camera.captureFailed")));
+          return;
+        }
+        resolve(new File([blob], `palm-${Date.now()}.jpg`, { type: "image/jpeg" }));
+      },
+      "image/jpeg",
+      0.92
+    );
+  });
+}
+
+// テストやカメラの無い端末向けの偽カメラ。canvas に描いた映像を captureStream() で流す
+export function createFakeMediaDevices({ width = 1280, height = 960, fps = 15 } = {}) {
+  return {
+    async getUserMedia() {
+      const canvas = document.createElement("canvas");
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext("2d");
+      const stream = canvas.captureStream(fps);
+      let frame = 0;
+
+      const timer = setInterval(() => {
+        frame += 1;
+        ctx.fillStyle = "#1e1b4b";
+        ctx.fillRect(0, 0, width, height);
+        ctx.fillStyle = "#e0a98c";
+        ctx.beginPath();
+        ctx.ellipse(width / 2, height * 0.62, width * 0.22, height * 0.3, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = "#ffffff";
+        ctx.font = `${Math.round(height / 24)}px sans-serif`;
+        ctx.fillText(`fake camera #${frame}`, 24, height - 24);
+      }, 1000 / fps);
+
+      // track.stop() では ended イベントが発火しないので、stop 自体を包んで描画も止める
+      stream.getTracks().forEach((track) => {
+        const stop = track.stop.bind(track);
+        track.stop = () => {
+          clearInterval(timer);
+          stop();
+        };
+      });
+      return stream;
+    },
+  };
+}
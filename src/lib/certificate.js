@@ -0,0 +1,340 @@
+import { formatDate, t } from "./i18n";
+import { loadImage } from "./image";
+import { DEFAULT_READING_TYPE, readingSections, readingTypeLabel, readingTypeOf } from "./readingType";
+import { ratingStars } from "./report";
+
+// 鑑定書を1枚の画像に描き、PNG と PDF で書き出す。すべてブラウザ内の canvas で完結させ、サーバーには何も送らない
+
+export const CERTIFICATE_FORMATS = {
+  // A4 縦（150dpi相当）
+  pdf: { width: 1240, height: 1754, overallLines: 7, readingLines: 3 },
+  // SNS投稿向けの 4:5
+  png: { width: 1080, height: 1350, overallLines: 4, readingLines: 2 },
+};
+
+const BRAND = "AI お手を拝借 Pro";
+const FONT_FAMILY = "'Noto Sans JP', 'Hiragino Sans', 'Yu Gothic', sans-serif";
+// 行頭に来ると読みにくい約物は前の行にぶら下げる
+const NO_LINE_START = /^[、。，．）」』】〕！？ー・：；]/;
+
+// 見出し内の区切り（全角スペース）
+const GAP = "\u3000";
+
+const font = (size, weight = 400) => `${weight} ${size}px ${FONT_FAMILY}`;
+
+// 鑑定文のMarkdown記法を外して、canvas に描く素のテキストにする
+export function plainText(markdown = "") {
+  return markdown
+    .replace(/```[\s\S]*?```/g, "")
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+[.)])\s+/gm, "")
+    .replace(/(\*\*|__|\*|_|~~|`)/g, "")
+    .replace(/\s*\n\s*/g, " ")
+    .trim();
+}
+
+// 日本語・中国語は1文字ずつ、英語・韓国語は空白区切りの単語ごとに折り返す
+const WRAP_TOKEN = /[\u3000-\u9fff\uff00-\uffef]|[^\s\u3000-\u9fff\uff00-\uffef]+\s*|\s+/g;
+
+// 1行に収まらない長い単語だけは文字単位に割る
+function wrapTokens(ctx, text, maxWidth) {
+  return (text.match(WRAP_TOKEN) || []).flatMap((token) =>
+    token.length > 1 && ctx.measureText(token.trimEnd()).width > maxWidth ? [...token] : [token]
+  );
+}
+
+// maxLines を超える分は「…」で切る
+function wrapText(ctx, text, maxWidth, maxLines) {
+  const lines = [];
+  let current = "";
+  for (const token of wrapTokens(ctx, text, maxWidth)) {
+    const next = current + token;
+    if (ctx.measureText(next.trimEnd()).width <= maxWidth || !current.trim() || NO_LINE_START.test(token)) {
+      current = next;
+      continue;
+    }
+    lines.push(current.trimEnd());
+    current = token.trimStart();
+  }
+  if (current.trim()) lines.push(current.trimEnd());
+
+  if (lines.length <= maxLines) return lines;
+  const kept = lines.slice(0, maxLines);
+  let last = kept[maxLines - 1];
+  while (last && ctx.measureText(`${last}…`).width > maxWidth) last = last.slice(0, -1);
+  kept[maxLines - 1] = `${last}…`;
+  return kept;
+}
+
+function roundedRect(ctx, x, y, width, height, radius) {
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+}
+
+// 画像を枠いっぱいに中央で切り抜いて描く（object-fit: cover 相当）
+function drawCover(ctx, img, x, y, width, height, radius) {
+  const scale = Math.max(width / img.width, height / img.height);
+  const sw = width / scale;
+  const sh = height / scale;
+  ctx.save();
+  roundedRect(ctx, x, y, width, height, radius);
+  ctx.clip();
+  ctx.drawImage(img, (img.width - sw) / 2, (img.height - sh) / 2, sw, sh, x, y, width, height);
+  ctx.restore();
+}
+
+// 外部の精霊画像がCORS非対応で読めない場合などは、その画像だけ省いて書き出しを続ける
+const tryLoadImage = (src) =>
+  src ? loadImage(src, { crossOrigin: /^https?:/i.test(src) ? "anonymous" : undefined }).catch(() => null) : Promise.resolve(null);
+
+// 鑑定書の種類ごとに、証明書に載せる主要セクションを選ぶ。恋愛運などのテーマ別セクションは総評の次に置く
+function certificateSections(report, format) {
+  const themed = readingSections(report).map((section) => ({ heading: section.title, text: section.reading, maxLines: format.readingLines }));
+  if (report.pair) {
+    return [
+      {
+        heading: report.score !== null ? `${t("report.totalScore")} ${t("report.points", { score: report.score })}` : t("report.pairOverall"),
+        text: report.overall,
+        maxLines: format.overallLines,
+      },
+      ...themed,
+      ...report.lines.map((line) => ({
+        heading: `${line.name}${GAP}${t("report.points", { score: line.score ?? "—" })}`,
+        text: line.reading,
+        maxLines: format.readingLines,
+      })),
+      { heading: t("report.pairAdvice"), items: report.advice.map((item) => item.title) },
+    ];
+  }
+  return [
+    { heading: t("report.overall"), text: report.overall, maxLines: format.overallLines },
+    ...themed,
+    ...report.lines.map((line) => ({
+      heading: `${line.name}${GAP}${t("report.strength")} ${ratingStars(line.strength)}${GAP}${t("report.length")} ${ratingStars(line.length)}`,
+      text: line.reading,
+      maxLines: format.readingLines,
+    })),
+    { heading: t("report.advice"), items: report.advice.map((item) => item.title) },
+  ];
+}
+
+/**
+ * 鑑定書を canvas に描く。
+ * photo は手のひらのサムネイル、spirit は { img, caption, pair? }（相性鑑定では pair に二体分）。
+ */
+export async function renderCertificate({ title, date, photo, report, spirit }, formatName = "pdf") {
+  const format = CERTIFICATE_FORMATS[formatName];
+  const { width, height } = format;
+  const unit = width / 1000;
+  const margin = 70 * unit;
+  const contentWidth = width - margin * 2;
+
+  const spiritSources = spirit?.pair ? spirit.pair : spirit ? [spirit] : [];
+  const [photoImg, ...spiritImgs] = await Promise.all([tryLoadImage(photo), ...spiritSources.map((item) => tryLoadImage(item.img))]);
+  // canvas に描く前に Web フォントの読み込みを待つ（未読込だと代替フォントで描かれる）
+  await document.fonts?.ready;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+
+  const background = ctx.createLinearGradient(0, 0, width, height);
+  background.addColorStop(0, "#0f172a");
+  background.addColorStop(1, "#1e1b4b");
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, width, height);
+
+  const brandGradient = ctx.createLinearGradient(margin, 0, width - margin, 0);
+  brandGradient.addColorStop(0, "#818cf8");
+  brandGradient.addColorStop(0.5, "#c084fc");
+  brandGradient.addColorStop(1, "#f472b6");
+
+  ctx.strokeStyle = brandGradient;
+  ctx.lineWidth = 4 * unit;
+  roundedRect(ctx, 28 * unit, 28 * unit, width - 56 * unit, height - 56 * unit, 24 * unit);
+  ctx.stroke();
+  ctx.globalAlpha = 0.4;
+  ctx.lineWidth = 1.5 * unit;
+  roundedRect(ctx, 40 * unit, 40 * unit, width - 80 * unit, height - 80 * unit, 18 * unit);
+  ctx.stroke();
+  ctx.globalAlpha = 1;
+
+  ctx.textAlign = "center";
+  ctx.textBaseline = "top";
+  let y = 80 * unit;
+
+  ctx.fillStyle = brandGradient;
+  ctx.font = font(52 * unit, 900);
+  ctx.fillText(BRAND, width / 2, y);
+  y += 74 * unit;
+  ctx.fillStyle = "#a5b4fc";
+  ctx.font = font(18 * unit, 700);
+  ctx.fillText("CERTIFICATE OF PALM READING", width / 2, y);
+  y += 50 * unit;
+
+  ctx.fillStyle = "#ffffff";
+  ctx.font = font(44 * unit, 900);
+  ctx.fillText(title, width / 2, y, contentWidth);
+  y += 62 * unit;
+  const readingType = readingTypeOf(report);
+  if (readingType !== DEFAULT_READING_TYPE) {
+    ctx.fillStyle = "#f0abfc";
+    ctx.font = font(24 * unit, 700);
+    ctx.fillText(t("report.themeTitle", { type: readingTypeLabel(readingType) }), width / 2, y, contentWidth);
+    y += 40 * unit;
+  }
+  ctx.fillStyle = "#94a3b8";
+  ctx.font = font(20 * unit);
+  ctx.fillText(formatDate(date, { year: "numeric", month: "long", day: "numeric" }), width / 2, y);
+  y += 50 * unit;
+
+  // 手のひらと精霊の画像を横一列に並べる
+  const pictures = [
+    photoImg && { img: photoImg, caption: "" },
+    ...spiritImgs.map((img, idx) => img && { img, caption: spiritSources[idx].caption }),
+  ].filter(Boolean);
+  const captionsOnly = spiritSources.filter((_, idx) => !spiritImgs[idx]).map((item) => item.caption);
+
+  if (pictures.length) {
+    const gap = 24 * unit;
+    const boxHeight = (formatName === "pdf" ? 330 : 280) * unit;
+    const boxWidth = Math.min(boxHeight, (contentWidth - gap * (pictures.length - 1)) / pictures.length);
+    let x = (width - (boxWidth * pictures.length + gap * (pictures.length - 1))) / 2;
+    const hasCaption = pictures.some((picture) => picture.caption);
+
+    pictures.forEach((picture) => {
+      drawCover(ctx, picture.img, x, y, boxWidth, boxHeight, 20 * unit);
+      if (picture.caption) {
+        ctx.fillStyle = "#cbd5e1";
+        ctx.font = font(16 * unit);
+        wrapText(ctx, picture.caption, boxWidth, 2).forEach((line, idx) => ctx.fillText(line, x + boxWidth / 2, y + boxHeight + 12 * unit + idx * 22 * unit));
+      }
+      x += boxWidth + gap;
+    });
+    y += boxHeight + (hasCaption ? 70 : 30) * unit;
+  }
+  if (captionsOnly.length) {
+    ctx.fillStyle = "#cbd5e1";
+    ctx.font = font(18 * unit);
+    captionsOnly.forEach((caption) => {
+      ctx.fillText(caption, width / 2, y, contentWidth);
+      y += 30 * unit;
+    });
+    y += 10 * unit;
+  }
+
+  // 本文。下端の署名欄に重なる手前で打ち切る
+  const bottom = height - 130 * unit;
+  ctx.textAlign = "left";
+  for (const section of certificateSections(report, format)) {
+    if (!section.text && !section.items?.length) continue;
+    if (y + 60 * unit > bottom) break;
+
+    ctx.fillStyle = "#c7d2fe";
+    ctx.font = font(24 * unit, 700);
+    ctx.fillText(section.heading, margin, y, contentWidth);
+    y += 36 * unit;
+
+    ctx.fillStyle = "#e2e8f0";
+    ctx.font = font(19 * unit);
+    const lineHeight = 30 * unit;
+    const lines = section.text
+      ? wrapText(ctx, plainText(section.text), contentWidth, section.maxLines)
+      : section.items.map((item, idx) => wrapText(ctx, `${idx + 1}. ${plainText(item)}`, contentWidth, 1)[0]);
+    for (const line of lines) {
+      if (y + lineHeight > bottom) break;
+      ctx.fillText(line, margin, y);
+      y += lineHeight;
+    }
+    y += 18 * unit;
+  }
+
+  ctx.textAlign = "center";
+  ctx.strokeStyle = "rgba(165, 180, 252, 0.3)";
+  ctx.lineWidth = 1 * unit;
+  ctx.beginPath();
+  ctx.moveTo(margin, height - 110 * unit);
+  ctx.lineTo(width - margin, height - 110 * unit);
+  ctx.stroke();
+  ctx.fillStyle = brandGradient;
+  ctx.font = font(22 * unit, 900);
+  ctx.fillText(BRAND, width / 2, height - 92 * unit);
+  ctx.fillStyle = "#64748b";
+  ctx.font = font(15 * unit);
+  ctx.fillText(t("app.tagline"), width / 2, height - 60 * unit);
+
+  return canvas;
+}
+
+const canvasToBlob = (canvas, type, quality) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error(t("errors.imageExportFailed")))), type, quality);
+  });
+
+export const certificateToPng = (canvas) => canvasToBlob(canvas, "image/png");
+
+/**
+ * canvas を JPEG にして1ページのPDFに埋め込む。日本語フォントを埋め込まずに済むよう、文字も画像として描いたものを使う。
+ * ページは A4 縦（595.28 × 841.89 pt）。
+ */
+export async function certificateToPdf(canvas) {
+  const jpeg = new Uint8Array(await (await canvasToBlob(canvas, "image/jpeg", 0.92)).arrayBuffer());
+  const pageWidth = 595.28;
+  const pageHeight = 841.89;
+  const drawing = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`;
+
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const push = (part) => {
+    const bytes = typeof part === "string" ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (body) => {
+    offsets.push(length);
+    push(`${offsets.length} 0 obj\n`);
+    body();
+    push("\nendobj\n");
+  };
+
+  push("%PDF-1.4\n%âãÏÓ\n");
+  object(() => push("<< /Type /Catalog /Pages 2 0 R >>"));
+  object(() => push("<< /Type /Pages /Kids [3 0 R] /Count 1 >>"));
+  object(() =>
+    push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`)
+  );
+  object(() => {
+    push(
+      `<< /Type /XObject /Subtype /Image /Width ${canvas.width} /Height ${canvas.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`
+    );
+    push(jpeg);
+    push("\nendstream");
+  });
+  object(() => push(`<< /Length ${drawing.length} >>\nstream\n${drawing}\nendstream`));
+
+  const xrefOffset = length;
+  push(`xref\n0 ${offsets.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach((offset) => push(`${String(offset).padStart(10, "0")} 00000 n \n`));
+  push(`trailer\n<< /Size ${offsets.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return new Blob(chunks, { type: "application/pdf" });
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,117 @@
+import { honorific } from "./i18n";
+import { renderPrompt } from "./promptTemplates";
+
+// 会話履歴に割り当てるおおよそのトークン数（鑑定結果のsystem指示とは別枠）
+export const CHAT_HISTORY_TOKEN_BUDGET = 4000;
+
+const SUMMARY_SNIPPET_LENGTH = 60;
+const SUMMARY_MAX_ITEMS = 10;
+
+// 厳密なトークナイザは持たないので、CJKは1文字1トークン、それ以外は4文字1トークンで見積もる
+export function estimateTokens(text = "") {
+  const cjk = text.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g)?.length || 0;
+  return cjk + Math.ceil((text.length - cjk) / 4);
+}
+
+const snippet = (text) => {
+  const flat = text.replace(/\s+/g, " ").trim();
+  return flat.length > SUMMARY_SNIPPET_LENGTH ? `${flat.slice(0, SUMMARY_SNIPPET_LENGTH)}…` : flat;
+};
+
+// chatLogs を質問と回答のペアに変換する。失敗・生成中の回答はペアごと捨てる
+function toExchanges(logs) {
+  const exchanges = [];
+  let question = null;
+  for (const log of logs) {
+    if (log.sender === "user") {
+      question = log.text;
+    } else if (log.sender === "bot" && question !== null) {
+      if (!log.pending && !log.failed && log.text) exchanges.push({ question, answer: log.text });
+      question = null;
+    }
+  }
+  return exchanges;
+}
+
+// 鑑定結果の system 指示と、予算に収まる直近のやり取り。古いターンは要約として system 指示の末尾にまとめる
+function buildContext({ analysis, names, logs, reserved, budget }) {
+  const exchanges = toExchanges(logs);
+
+  let used = reserved;
+  let keepFrom = exchanges.length;
+  while (keepFrom > 0) {
+    const { question: q, answer } = exchanges[keepFrom - 1];
+    const cost = estimateTokens(q) + estimateTokens(answer);
+    if (used + cost > budget) break;
+    used += cost;
+    keepFrom -= 1;
+  }
+
+  // 要約自体も膨らまないよう、直近のものだけを残す
+  const summarized = exchanges.slice(Math.max(0, keepFrom - SUMMARY_MAX_ITEMS), keepFrom);
+  const summary = summarized.length
+    ? renderPrompt("chatSummaryHeading") +
+      summarized.map(({ question: q, answer }) => renderPrompt("chatSummaryItem", { question: snippet(q), answer: snippet(answer) })).join("\n")
+    : "";
+
+  // 相性鑑定では二人分の名前を渡す。敬称は表示言語に合わせる
+  const [first, second] = names.map(honorific);
+  const subject = second ? renderPrompt("chatSubjectPair", { first, second }) : renderPrompt("chatSubjectSingle", { name: first });
+  const address = second ? renderPrompt("chatAddressPair", { first, second }) : renderPrompt("chatAddressSingle", { name: first });
+
+  const system = renderPrompt("chatSystem", { subject, address, analysis, summary });
+
+  const messages = exchanges.slice(keepFrom).flatMap(({ question: q, answer }) => [
+    { role: "user", text: q },
+    { role: "model", text: answer },
+  ]);
+  return { system, messages, first };
+}
+
+/**
+ * 深層対話のリクエストを組み立てる。鑑定結果はsystem指示として一度だけ渡し、
+ * 過去のやり取りは user / model の交互のターンとして送る。
+ * 予算を超えた古いターンは要約としてsystem指示の末尾にまとめる。
+ */
+export function buildChatRequest({ analysis, names, logs, question, budget = CHAT_HISTORY_TOKEN_BUDGET }) {
+  const { system, messages, first } = buildContext({ analysis, names, logs, reserved: estimateTokens(question), budget });
+  messages.push({ role: "user", text: renderPrompt("chatQuestion", { question, name: first }) });
+  return { system, messages };
+}
+
+// 次に聞けそうな質問の候補の数
+export const FOLLOW_UP_COUNT = 3;
+
+export const followUpSchema = () => ({
+  type: "object",
+  properties: {
+    questions: {
+      type: "array",
+      description: renderPrompt("schema.followUpQuestions"),
+      items: { type: "string" },
+    },
+  },
+  required: ["questions"],
+});
+
+/**
+ * 深層対話で次に聞けそうな質問の候補を頼むリクエスト。鑑定結果と会話の流れは buildChatRequest と同じ形で渡す。
+ */
+export function buildFollowUpRequest({ analysis, names, logs, budget = CHAT_HISTORY_TOKEN_BUDGET }) {
+  const prompt = renderPrompt("followUps", { count: FOLLOW_UP_COUNT });
+  const { system, messages } = buildContext({ analysis, names, logs, reserved: estimateTokens(prompt), budget });
+  messages.push({ role: "user", text: prompt });
+  return { system, messages, responseSchema: followUpSchema() };
+}
+
+// 質問の候補を取り出す。空や重複は除き、多すぎる分は切り捨てる
+export function parseFollowUps(text) {
+  try {
+    const questions = JSON.parse(text)?.questions;
+    if (!Array.isArray(questions)) return [];
+    const unique = [...new Set(questions.filter((q) => typeof q === "string").map((q) => q.trim()).filter(Boolean))];
+    return unique.slice(0, FOLLOW_UP_COUNT);
+  } catch {
+    return [];
+  }
+}
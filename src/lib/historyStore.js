@@ -0,0 +1,112 @@
+import { t } from "./i18n";
+
+// 鑑定履歴はこの端末のIndexedDBにだけ保存する（サーバーには送らない）
+const DB_NAME = "aiteso";
+const DB_VERSION = 2;
+const STORE = "readings";
+// 精霊ギャラリーは画像が大きいので、対話のたびに書き直す鑑定の記録とは別に持つ（キーは鑑定のid）
+const GALLERY_STORE = "spiritGalleries";
+const SAVE_SETTING_KEY = "aiteso:saveHistory";
+
+let dbPromise = null;
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+function openDb() {
+  if (!dbPromise) {
+    if (typeof indexedDB === "undefined") {
+      return Promise.reject(new Error(t("errors.historyUnsupported")));
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      if (event.oldVersion < 1) {
+        const store = db.createObjectStore(STORE, { keyPath: "id" });
+        store.createIndex("createdAt", "createdAt");
+      }
+      if (event.oldVersion < 2) db.createObjectStore(GALLERY_STORE, { keyPath: "id" });
+    };
+    dbPromise = promisify(request)
+      .then((db) => {
+        // 別のタブが新しい版を開こうとしたら閉じて、次の呼び出しで開き直す
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        return db;
+      })
+      .catch((error) => {
+        dbPromise = null;
+        throw error;
+      });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, fn, storeName = STORE) {
+  const db = await openDb();
+  const tx = db.transaction(storeName, mode);
+  const result = await promisify(fn(tx.objectStore(storeName)));
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  return result;
+}
+
+export const createReadingId = () =>
+  globalThis.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+export async function listReadings() {
+  const readings = await withStore("readonly", (store) => store.getAll());
+  return readings.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export const getReading = (id) => withStore("readonly", (store) => store.get(id));
+
+export const saveReading = (reading) => withStore("readwrite", (store) => store.put({ ...reading, updatedAt: Date.now() }));
+
+export async function renameReading(id, title) {
+  const reading = await getReading(id);
+  if (!reading) return;
+  await saveReading({ ...reading, title });
+}
+
+export async function deleteReading(id) {
+  await withStore("readwrite", (store) => store.delete(id));
+  await withStore("readwrite", (store) => store.delete(id), GALLERY_STORE);
+}
+
+export async function clearReadings() {
+  await withStore("readwrite", (store) => store.clear());
+  await withStore("readwrite", (store) => store.clear(), GALLERY_STORE);
+}
+
+export async function getSpiritGallery(id) {
+  const record = await withStore("readonly", (store) => store.get(id), GALLERY_STORE);
+  return record?.entries;
+}
+
+export const saveSpiritGallery = (id, entries) => withStore("readwrite", (store) => store.put({ id, entries }), GALLERY_STORE);
+
+// 共有端末などで保存したくない場合のためのオプトアウト設定
+export function isHistoryEnabled() {
+  try {
+    return localStorage.getItem(SAVE_SETTING_KEY) !== "off";
+  } catch {
+    return true;
+  }
+}
+
+export function setHistoryEnabled(enabled) {
+  try {
+    localStorage.setItem(SAVE_SETTING_KEY, enabled ? "on" : "off");
+  } catch {
+    // localStorage が使えない環境では設定を保持しない
+  }
+}
@@ -0,0 +1,73 @@
+import en from "../locales/en";
+import ja from "../locales/ja";
+import ko from "../locales/ko";
+import zh from "../locales/zh";
+
+// 表示言語。モデルへのプロンプトも各言語のファイルに持ち、選んだ言語で回答させる
+export const LOCALES = {
+  ja: { label: "日本語", messages: ja, dateLocale: "ja-JP" },
+  en: { label: "English", messages: en, dateLocale: "en-US" },
+  zh: { label: "中文", messages: zh, dateLocale: "zh-CN" },
+  ko: { label: "한국어", messages: ko, dateLocale: "ko-KR" },
+};
+
+export const DEFAULT_LOCALE = "ja";
+
+const LOCALE_SETTING_KEY = "aiteso:locale";
+
+const isLocale = (value) => Object.hasOwn(LOCALES, value);
+
+// 保存済みの設定 → ブラウザの言語設定 → 日本語 の順に決める
+function detectLocale() {
+  try {
+    const saved = localStorage.getItem(LOCALE_SETTING_KEY);
+    if (isLocale(saved)) return saved;
+  } catch {
+    // localStorage が使えない環境ではブラウザの設定だけを見る
+  }
+  const preferred = globalThis.navigator?.languages || [globalThis.navigator?.language];
+  for (const language of preferred) {
+    const base = String(language || "").toLowerCase().split("-")[0];
+    if (isLocale(base)) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+// lib 側のエラーメッセージやプロンプトからも参照するので、現在の言語はモジュールで1つだけ持つ。
+// 画面は App の state を切り替えて再描画する
+let currentLocale = detectLocale();
+
+export const getLocale = () => currentLocale;
+
+export function setLocale(locale) {
+  if (!isLocale(locale)) return;
+  currentLocale = locale;
+  try {
+    localStorage.setItem(LOCALE_SETTING_KEY, locale);
+  } catch {
+    // localStorage が使えない環境では設定を保持しない
+  }
+}
+
+export const lookup = (messages, key) => key.split(".").reduce((node, part) => node?.[part], messages);
+
+/**
+ * 現在の言語の文言を返す。訳が無いキーは日本語にフォールバックする。
+ * 文言中の {name} などは params の値で置き換える。
+ */
+export function t(key, params = {}) {
+  const message = lookup(LOCALES[currentLocale].messages, key) ?? lookup(LOCALES[DEFAULT_LOCALE].messages, key);
+  if (typeof message !== "string") return message ?? key;
+  return interpolate(message, params);
+}
+
+// {name} などの変数を params の値で置き換える。値の無い変数はそのまま残す
+export const interpolate = (message, params = {}) =>
+  message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+
+// 敬称の付け方は言語ごとに違う（日本語「さん」、韓国語「님」、英語・中国語は名前のみ）
+export const honorific = (name) => t("common.honorific", { name });
+
+export const formatDate = (timestamp, options) => new Date(timestamp).toLocaleString(LOCALES[currentLocale].dateLocale, options);
+
+export const formatNumber = (value) => value.toLocaleString(LOCALES[currentLocale].dateLocale);
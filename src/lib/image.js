@@ -0,0 +1,227 @@
+const CONFIG = {
+  maxImageDimension: 1600,
+  thumbnailDimension: 240,
+};
+
+// 外部URLの画像を canvas に描いて書き出すときは crossOrigin: "anonymous" を渡す（CORS非対応の画像は読み込みに失敗する）
+export const loadImage = (src, { crossOrigin } = {}) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    if (crossOrigin) img.crossOrigin = crossOrigin;
+    img.onload = () => resolve(img);
+    img.onerror = reject;
+    img.src = src;
+  });
+
+// 編集ステップの初期値。crop は回転・反転後の画像に対する 0〜1 の比率 {x, y, width, height}
+export const DEFAULT_PHOTO_EDITS = {
+  rotation: 0,
+  flipH: false,
+  flipV: false,
+  crop: null,
+  enhance: false,
+};
+
+// JPEG の EXIF から Orientation (1〜8) を読む。見つからなければ 1
+export function readExifOrientation(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return 1;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    const size = view.getUint16(offset + 2);
+    if ((marker & 0xff00) !== 0xff00) break;
+
+    // APP1 "Exif\0\0"
+    if (marker === 0xffe1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+      const tiff = offset + 10;
+      if (tiff + 8 > view.byteLength) break;
+      const little = view.getUint16(tiff) === 0x4949;
+      const ifd = tiff + view.getUint32(tiff + 4, little);
+      if (ifd + 2 > view.byteLength) break;
+      const entries = view.getUint16(ifd, little);
+      for (let i = 0; i < entries; i += 1) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > view.byteLength) break;
+        if (view.getUint16(entry, little) === 0x0112) {
+          const value = view.getUint16(entry + 8, little);
+          return value >= 1 && value <= 8 ? value : 1;
+        }
+      }
+      break;
+    }
+    // SOS 以降は画像データなのでメタデータはもう無い
+    if (marker === 0xffda) break;
+    offset += 2 + size;
+  }
+  return 1;
+}
+
+// image-orientation に対応したブラウザは <img> の描画時点で EXIF の向きを反映済み
+const browserAppliesOrientation = () =>
+  typeof CSS !== "undefined" && typeof CSS.supports === "function" && CSS.supports("image-orientation", "from-image");
+
+// EXIF Orientation ごとの描画変換（幅 w・高さ h は回転前の描画サイズ）
+function orientationTransform(orientation, w, h) {
+  switch (orientation) {
+    case 2:
+      return [-1, 0, 0, 1, w, 0];
+    case 3:
+      return [-1, 0, 0, -1, w, h];
+    case 4:
+      return [1, 0, 0, -1, 0, h];
+    case 5:
+      return [0, 1, 1, 0, 0, 0];
+    case 6:
+      return [0, 1, -1, 0, h, 0];
+    case 7:
+      return [0, -1, -1, 0, h, w];
+    case 8:
+      return [0, -1, 1, 0, 0, w];
+    default:
+      return [1, 0, 0, 1, 0, 0];
+  }
+}
+
+const readAsDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = reject;
+    reader.readAsDataURL(file);
+  });
+
+const fitWithin = (width, height, maxDimension) => {
+  const scale = Math.min(1, maxDimension / Math.max(width, height));
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+// スマホ写真が横倒しにならないよう、EXIF の向きを反映してから縮小する
+export async function compressAndResizeImage(file) {
+  const [buffer, src] = await Promise.all([file.arrayBuffer(), readAsDataUrl(file)]);
+  const orientation = browserAppliesOrientation() ? 1 : readExifOrientation(buffer);
+  const img = await loadImage(src);
+  const { width, height } = fitWithin(img.width, img.height, CONFIG.maxImageDimension);
+  const swapped = orientation >= 5;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = swapped ? height : width;
+  canvas.height = swapped ? width : height;
+  const ctx = canvas.getContext("2d");
+  ctx.transform(...orientationTransform(orientation, width, height));
+  ctx.drawImage(img, 0, 0, width, height);
+
+  return canvas.toDataURL("image/jpeg", 0.8);
+}
+
+// 手相の線を読みやすくする: 輝度のコントラストを伸ばし、周囲との差（エッジ）を強調する。
+// 色味は残したまま、輝度の変化分だけを各チャンネルに足す
+export function enhancePalmLines(imageData) {
+  const { data, width, height } = imageData;
+  const pixels = width * height;
+  const luma = new Float32Array(pixels);
+  const histogram = new Uint32Array(256);
+
+  for (let i = 0; i < pixels; i += 1) {
+    const y = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    luma[i] = y;
+    histogram[Math.round(y)] += 1;
+  }
+
+  // 上下1%を切り捨てた範囲を 0〜255 に伸ばす
+  const percentile = (ratio) => {
+    const target = pixels * ratio;
+    let count = 0;
+    for (let v = 0; v < 256; v += 1) {
+      count += histogram[v];
+      if (count >= target) return v;
+    }
+    return 255;
+  };
+  const low = percentile(0.01);
+  const high = Math.max(low + 1, percentile(0.99));
+  const stretched = luma.map((y) => ((y - low) * 255) / (high - low));
+
+  const at = (x, y) => stretched[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+  const EDGE_AMOUNT = 1.2;
+
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const i = y * width + x;
+      const center = stretched[i];
+      let sum = 0;
+      for (let dy = -1; dy <= 1; dy += 1) {
+        for (let dx = -1; dx <= 1; dx += 1) sum += at(x + dx, y + dy);
+      }
+      const blurred = sum / 9;
+      const delta = center + EDGE_AMOUNT * (center - blurred) - luma[i];
+      data[i * 4] += delta;
+      data[i * 4 + 1] += delta;
+      data[i * 4 + 2] += delta;
+    }
+  }
+  return imageData;
+}
+
+// 回転（90度単位）・反転・切り抜き・線の強調を順に適用したキャンバスを返す。
+// 反転は回転後の見た目に対して行うので、ボタンの向きと結果が一致する
+export function renderPhotoEdits(img, edits = DEFAULT_PHOTO_EDITS, maxDimension = CONFIG.maxImageDimension) {
+  const { rotation = 0, flipH = false, flipV = false, crop = null, enhance = false } = edits;
+  const quarterTurn = rotation % 180 !== 0;
+  const fullWidth = quarterTurn ? img.height : img.width;
+  const fullHeight = quarterTurn ? img.width : img.height;
+
+  const oriented = document.createElement("canvas");
+  oriented.width = fullWidth;
+  oriented.height = fullHeight;
+  const orientedCtx = oriented.getContext("2d");
+  orientedCtx.translate(fullWidth / 2, fullHeight / 2);
+  orientedCtx.scale(flipH ? -1 : 1, flipV ? -1 : 1);
+  orientedCtx.rotate((rotation * Math.PI) / 180);
+  orientedCtx.drawImage(img, -img.width / 2, -img.height / 2);
+
+  const area = crop || { x: 0, y: 0, width: 1, height: 1 };
+  const sx = Math.round(area.x * fullWidth);
+  const sy = Math.round(area.y * fullHeight);
+  const sw = Math.max(1, Math.round(area.width * fullWidth));
+  const sh = Math.max(1, Math.round(area.height * fullHeight));
+  const { width, height } = fitWithin(sw, sh, maxDimension);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(oriented, sx, sy, sw, sh, 0, 0, width, height);
+
+  if (enhance) {
+    ctx.putImageData(enhancePalmLines(ctx.getImageData(0, 0, width, height)), 0, 0);
+  }
+  return canvas;
+}
+
+export async function applyPhotoEdits(src, edits) {
+  const img = await loadImage(src);
+  return renderPhotoEdits(img, edits).toDataURL("image/jpeg", 0.8);
+}
+
+// 履歴一覧用の小さなサムネイル（元画像は保存しない）。複数渡すと横に並べる
+export async function createThumbnail(sources, maxDimension = CONFIG.thumbnailDimension) {
+  const images = await Promise.all([].concat(sources).map((src) => loadImage(src)));
+  const tileHeight = Math.min(maxDimension, ...images.map((img) => img.height));
+  const tiles = images.map((img) => ({ img, width: Math.round((img.width * tileHeight) / img.height) }));
+  const totalWidth = tiles.reduce((sum, tile) => sum + tile.width, 0);
+  const scale = Math.min(1, maxDimension / Math.max(totalWidth, tileHeight));
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(totalWidth * scale);
+  canvas.height = Math.round(tileHeight * scale);
+  const ctx = canvas.getContext("2d");
+  let x = 0;
+  for (const tile of tiles) {
+    const width = tile.width * scale;
+    ctx.drawImage(tile.img, x, 0, width, canvas.height);
+    x += width;
+  }
+  return canvas.toDataURL("image/jpeg", 0.7);
+}
@@ -0,0 +1,312 @@
+// モデル出力を dangerouslySetInnerHTML に渡すためのMarkdownレンダラ。
+// 入力テキストはすべてエスケープし、HTMLは許可リストに載ったタグ・属性だけを tag() 経由で組み立てる。
+
+const ALLOWED_TAGS = {
+  p: [],
+  br: [],
+  hr: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  strong: [],
+  em: [],
+  del: [],
+  code: [],
+  pre: [],
+  blockquote: [],
+  ul: [],
+  ol: ["start"],
+  li: [],
+  table: [],
+  thead: [],
+  tbody: [],
+  tr: [],
+  th: ["class"],
+  td: ["class"],
+  a: ["href", "target", "rel"],
+};
+
+const ALLOWED_CLASSES = new Set(["text-left", "text-center", "text-right"]);
+const SAFE_URL = /^(https?:|mailto:)/i;
+const VOID_TAGS = new Set(["br", "hr"]);
+
+export const escapeHtml = (str = "") =>
+  str
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+export const isSafeUrl = (url = "") => SAFE_URL.test(url.trim());
+
+function tag(name, attrs = {}, inner = "") {
+  const allowedAttrs = ALLOWED_TAGS[name];
+  if (!allowedAttrs) return inner;
+
+  const attrText = Object.entries(attrs)
+    .filter(([key, value]) => {
+      if (!allowedAttrs.includes(key) || value === undefined || value === null || value === "") return false;
+      if (key === "href") return isSafeUrl(String(value));
+      if (key === "class") return ALLOWED_CLASSES.has(value);
+      return true;
+    })
+    .map(([key, value]) => ` ${key}="${escapeHtml(String(value))}"`)
+    .join("");
+
+  return VOID_TAGS.has(name) ? `<${name}${attrText}>` : `<${name}${attrText}>${inner}</${name}>`;
+}
+
+// ---- inline ----
+
+const INLINE_SPECIAL = /[`\\[<*_~\n]/;
+
+function renderLink(label, url) {
+  const inner = renderInline(label);
+  if (!isSafeUrl(url)) return inner;
+  return tag("a", { href: url, target: "_blank", rel: "noopener noreferrer" }, inner);
+}
+
+function renderInline(text) {
+  let out = "";
+  let i = 0;
+
+  while (i < text.length) {
+    const rest = text.slice(i);
+    const next = rest.search(INLINE_SPECIAL);
+    if (next !== 0) {
+      const plain = next < 0 ? rest : rest.slice(0, next);
+      out += escapeHtml(plain);
+      i += plain.length;
+      continue;
+    }
+
+    let m;
+    if ((m = rest.match(/^(`+)([\s\S]*?[^`])\1(?!`)/))) {
+      out += tag("code", {}, escapeHtml(m[2].trim()));
+    } else if ((m = rest.match(/^\\([!-/:-@[-`{-~])/))) {
+      out += escapeHtml(m[1]);
+    } else if ((m = rest.match(/^\\?\n/))) {
+      out += tag("br");
+    } else if ((m = rest.match(/^\[([^\]\n]+)\]\(\s*<?((?:[^()\s<>]|\([^()\s<>]*\))*)>?(?:\s+"[^"]*")?\s*\)/))) {
+      out += renderLink(m[1], m[2]);
+    } else if ((m = rest.match(/^<((?:https?:\/\/|mailto:)[^\s<>]+)>/i))) {
+      out += renderLink(m[1], m[1]);
+    } else if ((m = rest.match(/^\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/))) {
+      out += tag("strong", {}, tag("em", {}, renderInline(m[1])));
+    } else if ((m = rest.match(/^(\*\*|__)(?=\S)([\s\S]*?\S)\1/))) {
+      out += tag("strong", {}, renderInline(m[2]));
+    } else if ((m = rest.match(/^~~(?=\S)([\s\S]*?\S)~~/))) {
+      out += tag("del", {}, renderInline(m[1]));
+    } else if ((m = rest.match(/^\*(?=[^\s*])([\s\S]*?[^\s*\\])\*(?!\*)/))) {
+      out += tag("em", {}, renderInline(m[1]));
+    } else if (
+      // snake_case のような単語内の _ は強調にしない
+      !/\w/.test(text[i - 1] || "") &&
+      (m = rest.match(/^_(?=[^\s_])([\s\S]*?[^\s_])_(?![\w_])/))
+    ) {
+      out += tag("em", {}, renderInline(m[1]));
+    } else {
+      out += escapeHtml(rest[0]);
+      i += 1;
+      continue;
+    }
+    i += m[0].length;
+  }
+
+  return out;
+}
+
+// ---- blocks ----
+
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})/;
+const HEADING_RE = /^ {0,3}(#{1,6})(?:\s+(.*?))?\s*#*\s*$/;
+const HR_RE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE_RE = /^ {0,3}>\s?/;
+const LIST_RE = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_SEPARATOR_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+const indentOf = (line) => line.match(/^ */)[0].length;
+const isBlank = (line) => !line.trim();
+const isOrderedMarker = (marker) => /\d/.test(marker);
+
+const isTableStart = (lines, i) =>
+  lines[i].includes("|") && i + 1 < lines.length && lines[i + 1].includes("-") && TABLE_SEPARATOR_RE.test(lines[i + 1]);
+
+const startsBlock = (lines, i) =>
+  FENCE_RE.test(lines[i]) ||
+  HEADING_RE.test(lines[i]) ||
+  HR_RE.test(lines[i]) ||
+  QUOTE_RE.test(lines[i]) ||
+  LIST_RE.test(lines[i]) ||
+  isTableStart(lines, i);
+
+function splitRow(line) {
+  const trimmed = line.trim().replace(/^\|/, "").replace(/\|$/, "");
+  return trimmed.split(/(?<!\\)\|/).map((cell) => cell.trim().replace(/\\\|/g, "|"));
+}
+
+function parseTable(lines, start) {
+  const header = splitRow(lines[start]);
+  const aligns = splitRow(lines[start + 1]).map((cell) => {
+    if (cell.startsWith(":") && cell.endsWith(":")) return "text-center";
+    if (cell.endsWith(":")) return "text-right";
+    if (cell.startsWith(":")) return "text-left";
+    return "";
+  });
+
+  const rows = [];
+  let i = start + 2;
+  while (i < lines.length && !isBlank(lines[i]) && lines[i].includes("|")) {
+    rows.push(splitRow(lines[i]));
+    i += 1;
+  }
+
+  const cells = (row, cellTag) =>
+    header.map((_, idx) => tag(cellTag, { class: aligns[idx] }, renderInline(row[idx] || ""))).join("");
+  const head = tag("thead", {}, tag("tr", {}, cells(header, "th")));
+  const body = rows.length ? tag("tbody", {}, rows.map((row) => tag("tr", {}, cells(row, "td"))).join("")) : "";
+  return { html: tag("table", {}, head + body), next: i };
+}
+
+function parseList(lines, start) {
+  const first = lines[start].match(LIST_RE);
+  const baseIndent = first[1].length;
+  const ordered = isOrderedMarker(first[2]);
+  const items = [];
+  let loose = false;
+  let i = start;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const m = line.match(LIST_RE);
+
+    if (m && m[1].length === baseIndent) {
+      if (isOrderedMarker(m[2]) !== ordered) break;
+      items.push({ lines: [m[3]], contentIndent: baseIndent + m[2].length + 1 });
+      i += 1;
+      continue;
+    }
+    if (m && m[1].length < baseIndent) break;
+
+    const item = items[items.length - 1];
+    if (isBlank(line)) {
+      // 空行のあとに字下げされた続きか次の項目が来るならリストは続く
+      let j = i + 1;
+      while (j < lines.length && isBlank(lines[j])) j += 1;
+      const following = lines[j];
+      const sibling = following?.match(LIST_RE);
+      const continues =
+        following !== undefined &&
+        (indentOf(following) > baseIndent ||
+          (sibling && sibling[1].length === baseIndent && isOrderedMarker(sibling[2]) === ordered));
+      if (!continues) break;
+      loose = true;
+      item.lines.push("");
+      i += 1;
+      continue;
+    }
+
+    const indent = indentOf(line);
+    if (indent > baseIndent) {
+      item.lines.push(line.slice(Math.min(indent, item.contentIndent)));
+    } else if (!isBlank(lines[i - 1]) && !startsBlock(lines, i)) {
+      // 字下げのない行は直前の項目の続き（lazy continuation）として扱う
+      item.lines.push(line.trim());
+    } else {
+      break;
+    }
+    i += 1;
+  }
+
+  const html = items.map((item) => tag("li", {}, renderBlocks(item.lines, { tight: !loose }))).join("");
+  const startNumber = ordered ? parseInt(first[2], 10) : 1;
+  return {
+    html: ordered ? tag("ol", { start: startNumber !== 1 ? startNumber : undefined }, html) : tag("ul", {}, html),
+    next: i,
+  };
+}
+
+function renderBlocks(lines, { tight = false } = {}) {
+  const out = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlank(line)) {
+      i += 1;
+      continue;
+    }
+
+    const fence = line.match(FENCE_RE);
+    if (fence) {
+      const code = [];
+      i += 1;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i += 1;
+      }
+      i += 1;
+      out.push(tag("pre", {}, tag("code", {}, escapeHtml(code.join("\n")))));
+      continue;
+    }
+
+    const heading = line.match(HEADING_RE);
+    if (heading) {
+      // ページ見出しが h2 なので、Markdownの # は h2 から始める
+      const level = Math.min(6, heading[1].length + 1);
+      out.push(tag(`h${level}`, {}, renderInline(heading[2] || "")));
+      i += 1;
+      continue;
+    }
+
+    if (HR_RE.test(line)) {
+      out.push(tag("hr"));
+      i += 1;
+      continue;
+    }
+
+    if (QUOTE_RE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE_RE.test(lines[i])) {
+        quoted.push(lines[i].replace(QUOTE_RE, ""));
+        i += 1;
+      }
+      out.push(tag("blockquote", {}, renderBlocks(quoted)));
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      const table = parseTable(lines, i);
+      out.push(table.html);
+      i = table.next;
+      continue;
+    }
+
+    if (LIST_RE.test(line)) {
+      const list = parseList(lines, i);
+      out.push(list.html);
+      i = list.next;
+      continue;
+    }
+
+    const paragraph = [line.trimStart()];
+    i += 1;
+    while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines, i)) {
+      paragraph.push(lines[i].trimStart());
+      i += 1;
+    }
+    const inline = renderInline(paragraph.join("\n").trimEnd());
+    out.push(tight ? inline : tag("p", {}, inline));
+  }
+
+  return out.join("");
+}
+
+export function renderMarkdown(md = "") {
+  const lines = String(md).replace(/\r\n?/g, "\n").replace(/\t/g, "    ").split("\n");
+  return renderBlocks(lines);
+}
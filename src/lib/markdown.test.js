@@ -0,0 +1,183 @@
+import { describe, expect, it } from "vitest";
+import { escapeHtml, isSafeUrl, renderMarkdown } from "./markdown";
+
+// 出力に含まれるタグと属性がすべて許可リストの範囲に収まっているか
+const ALLOWED = /^(p|br|hr|h[2-6]|strong|em|del|code|pre|blockquote|ul|ol|li|table|thead|tbody|tr|th|td|a)$/;
+
+function expectOnlyAllowedMarkup(html) {
+  for (const [, name, attrs] of html.matchAll(/<\/?([a-z0-9]+)([^>]*)>/gi)) {
+    expect(name).toMatch(ALLOWED);
+    for (const [, attr] of attrs.matchAll(/\s([^\s=]+)=/g)) {
+      expect(["href", "target", "rel", "start", "class"]).toContain(attr);
+    }
+  }
+  expect(html).not.toMatch(/<[^>]*\son\w+=/i);
+  expect(html).not.toMatch(/href="(?!https?:|mailto:)/i);
+}
+
+describe("renderMarkdown: blocks", () => {
+  it("renders nested unordered lists", () => {
+    expect(renderMarkdown("- a\n  - b\n    - c\n- d")).toBe("<ul><li>a<ul><li>b<ul><li>c</li></ul></li></ul></li><li>d</li></ul>");
+  });
+
+  it("renders ordered lists with nested items and a start number", () => {
+    expect(renderMarkdown("1. one\n2. two\n   1. sub\n3. three")).toBe(
+      "<ol><li>one</li><li>two<ol><li>sub</li></ol></li><li>three</li></ol>"
+    );
+    expect(renderMarkdown("3. three\n4. four")).toBe('<ol start="3"><li>three</li><li>four</li></ol>');
+  });
+
+  it("splits lists when the marker type changes", () => {
+    expect(renderMarkdown("1. a\n- b")).toBe("<ol><li>a</li></ol><ul><li>b</li></ul>");
+  });
+
+  it("wraps loose list items in paragraphs", () => {
+    expect(renderMarkdown("- a\n\n- b")).toBe("<ul><li><p>a</p></li><li><p>b</p></li></ul>");
+  });
+
+  it("keeps lazy continuation lines in the list item", () => {
+    expect(renderMarkdown("- first\ncontinued")).toBe("<ul><li>first<br>continued</li></ul>");
+  });
+
+  it("renders tables with alignment, inline markup and escaped pipes", () => {
+    expect(renderMarkdown("| A | B |\n|:--|--:|\n| 1 | **2** |\n| x \\| y | z |")).toBe(
+      '<table><thead><tr><th class="text-left">A</th><th class="text-right">B</th></tr></thead>' +
+        '<tbody><tr><td class="text-left">1</td><td class="text-right"><strong>2</strong></td></tr>' +
+        '<tr><td class="text-left">x | y</td><td class="text-right">z</td></tr></tbody></table>'
+    );
+  });
+
+  it("fills missing table cells", () => {
+    expect(renderMarkdown("| A | B |\n|---|---|\n| 1 |")).toBe(
+      "<table><thead><tr><th>A</th><th>B</th></tr></thead><tbody><tr><td>1</td><td></td></tr></tbody></table>"
+    );
+  });
+
+  it("shifts headings down one level below the page heading", () => {
+    expect(renderMarkdown("# H\n## H2\n###### H6")).toBe("<h2>H</h2><h3>H2</h3><h6>H6</h6>");
+    expect(renderMarkdown("## Title ##")).toBe("<h3>Title</h3>");
+  });
+
+  it("does not treat #hashtags as headings", () => {
+    expect(renderMarkdown("#tag")).toBe("<p>#tag</p>");
+  });
+
+  it("renders blockquotes containing other blocks", () => {
+    expect(renderMarkdown("> quote\n> - item")).toBe("<blockquote><p>quote</p><ul><li>item</li></ul></blockquote>");
+  });
+
+  it("renders horizontal rules and fenced code", () => {
+    expect(renderMarkdown("a\n\n---\n\nb")).toBe("<p>a</p><hr><p>b</p>");
+    expect(renderMarkdown("```js\nconst a = 1;\n**not bold**\n```")).toBe("<pre><code>const a = 1;\n**not bold**</code></pre>");
+  });
+
+  it("keeps single newlines as line breaks and normalizes CRLF", () => {
+    expect(renderMarkdown("line1\r\nline2")).toBe("<p>line1<br>line2</p>");
+  });
+
+  it("returns an empty string for empty input", () => {
+    expect(renderMarkdown("")).toBe("");
+    expect(renderMarkdown()).toBe("");
+  });
+});
+
+describe("renderMarkdown: inline", () => {
+  it("renders emphasis, strong, combined and strikethrough", () => {
+    expect(renderMarkdown("**bold** *it* _it_ ***both*** ~~del~~")).toBe(
+      "<p><strong>bold</strong> <em>it</em> <em>it</em> <strong><em>both</em></strong> <del>del</del></p>"
+    );
+  });
+
+  it("leaves stray and unclosed markers as text", () => {
+    expect(renderMarkdown("2 * 3 * 4 **unclosed")).toBe("<p>2 * 3 * 4 **unclosed</p>");
+    expect(renderMarkdown("** spaced **")).toBe("<p>** spaced **</p>");
+  });
+
+  it("does not emphasize underscores inside words", () => {
+    expect(renderMarkdown("snake_case_word and __init__")).toBe("<p>snake_case_word and <strong>init</strong></p>");
+  });
+
+  it("nests emphasis inside strong", () => {
+    expect(renderMarkdown("**a *b* c**")).toBe("<p><strong>a <em>b</em> c</strong></p>");
+  });
+
+  it("honors backslash escapes", () => {
+    expect(renderMarkdown("\\*not em\\*")).toBe("<p>*not em*</p>");
+  });
+
+  it("escapes markup inside code spans", () => {
+    expect(renderMarkdown("`<b>` and `` a`b ``")).toBe("<p><code>&lt;b&gt;</code> and <code>a`b</code></p>");
+  });
+
+  it("renders safe links with target and rel", () => {
+    expect(renderMarkdown("[**b**](https://e.com/?a=1&b=2)")).toBe(
+      '<p><a href="https://e.com/?a=1&amp;b=2" target="_blank" rel="noopener noreferrer"><strong>b</strong></a></p>'
+    );
+    expect(renderMarkdown("<https://e.com>")).toBe('<p><a href="https://e.com" target="_blank" rel="noopener noreferrer">https://e.com</a></p>');
+    expect(renderMarkdown("[mail](mailto:a@example.com)")).toBe(
+      '<p><a href="mailto:a@example.com" target="_blank" rel="noopener noreferrer">mail</a></p>'
+    );
+  });
+});
+
+describe("renderMarkdown: XSS payloads", () => {
+  it.each([
+    ["javascript: link", "[x](javascript:alert(1))", "<p>x</p>"],
+    ["mixed-case javascript: link", "[x](JaVaScRiPt:alert(1))", "<p>x</p>"],
+    ["javascript: with leading space", "[x]( javascript:alert(1))", "<p>x</p>"],
+    ["data: link", "[x](data:text/html;base64,PHNjcmlwdD4=)", "<p>x</p>"],
+    ["vbscript: link", "[x](vbscript:msgbox(1))", "<p>x</p>"],
+    ["javascript: autolink", "<javascript:alert(1)>", "<p>&lt;javascript:alert(1)&gt;</p>"],
+  ])("drops the href of a %s", (_, input, expected) => {
+    expect(renderMarkdown(input)).toBe(expected);
+  });
+
+  it("escapes quotes in hrefs so they cannot add attributes", () => {
+    const html = renderMarkdown('[x](https://e.com/a"onclick="alert(1))');
+    expect(html).toBe('<p><a href="https://e.com/a&quot;onclick=&quot;alert(1)" target="_blank" rel="noopener noreferrer">x</a></p>');
+    expectOnlyAllowedMarkup(html);
+  });
+
+  it("does not turn a link with a spaced attribute injection into a link", () => {
+    const html = renderMarkdown('[x](https://e.com/" onmouseover="alert(1))');
+    expect(html).not.toContain("<a");
+    expectOnlyAllowedMarkup(html);
+  });
+
+  it.each([
+    "<script>alert(1)</script>",
+    '<img src=x onerror="alert(1)">',
+    "<iframe src=\"javascript:alert(1)\"></iframe>",
+    '<a href="javascript:alert(1)">x</a>',
+    "<svg/onload=alert(1)>",
+    "<style>body{display:none}</style>",
+    "**<b onclick=alert(1)>x</b>**",
+    "| <script>alert(1)</script> |\n|---|\n| <img src=x onerror=alert(1)> |",
+    "- <div onclick=alert(1)>x</div>",
+    "> <script>alert(1)</script>",
+    "# <img src=x onerror=alert(1)>",
+  ])("escapes raw HTML: %s", (input) => {
+    const html = renderMarkdown(input);
+    expect(html).not.toMatch(/<(script|img|iframe|svg|style|div|b)\b/i);
+    expectOnlyAllowedMarkup(html);
+  });
+
+  it("escapes every HTML-significant character in text", () => {
+    expect(renderMarkdown(`' " & < >`)).toBe("<p>&#39; &quot; &amp; &lt; &gt;</p>");
+  });
+});
+
+describe("helpers", () => {
+  it("escapeHtml escapes all five characters", () => {
+    expect(escapeHtml(`<a href="x" title='y'>&</a>`)).toBe("&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;");
+  });
+
+  it("isSafeUrl allows only http(s) and mailto", () => {
+    expect(isSafeUrl("https://e.com")).toBe(true);
+    expect(isSafeUrl("HTTP://e.com")).toBe(true);
+    expect(isSafeUrl("mailto:a@b.c")).toBe(true);
+    expect(isSafeUrl("javascript:alert(1)")).toBe(false);
+    expect(isSafeUrl("//e.com")).toBe(false);
+    expect(isSafeUrl("/relative")).toBe(false);
+  });
+});
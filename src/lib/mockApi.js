@@ -0,0 +1,191 @@
+import { getLocale } from "./i18n";
+import { MOCK_LINE_POINTS, MOCK_MOUNT_POINTS, mockFixtures } from "./mockFixtures";
+
+// APIキーもサーバーも無しで画面の流れを確認するための模擬バックエンド。
+// プロキシ(server/)と同じ HTTP の形（JSON / SSE / エラー応答）で返すので、api.js から先はそのまま動く
+
+// 指定するとすべての呼び出し（billing は画像生成だけ）がこの失敗になる
+export const MOCK_FAILURES = ["rate_limit", "quota", "billing", "network", "safety", "invalid_key"];
+
+const DEFAULT_LATENCY = 800;
+
+const FAILURE_RESPONSES = {
+  rate_limit: { status: 429, code: "RATE_LIMITED", message: "Too many requests (mock)", retryAfter: 2 },
+  quota: { status: 429, code: "QUOTA_EXHAUSTED", message: "Quota exceeded for requests per day (mock)", retryAfter: 3600 },
+  billing: { status: 400, code: "INVALID_ARGUMENT", message: "Imagen API is only accessible to billed users at this time. (mock)" },
+  safety: { status: 422, code: "SAFETY_BLOCKED", message: "Blocked by the provider's safety filters (mock)" },
+  invalid_key: { status: 400, code: "API_KEY_INVALID", message: "API key not valid. (mock)" },
+};
+
+/**
+ * URL（?mock / ?mock=quota / ?mockLatency=200）か環境変数（VITE_MOCK_API / VITE_MOCK_LATENCY）から設定を読む。
+ * URL の指定を優先する。模擬バックエンドを使わないときは null。
+ * @returns {{ failure?: string, latency: number } | null}
+ */
+export function readMockOptions(search = window.location.search, env = import.meta.env) {
+  const params = new URLSearchParams(search);
+  const flag = params.has("mock") ? params.get("mock") : env.VITE_MOCK_API || null;
+  if (flag === null || flag === "false") return null;
+
+  const latency = Number.parseInt(params.get("mockLatency") ?? env.VITE_MOCK_LATENCY, 10);
+  return {
+    failure: MOCK_FAILURES.includes(flag) ? flag : undefined,
+    latency: Number.isFinite(latency) && latency >= 0 ? latency : DEFAULT_LATENCY,
+  };
+}
+
+const abortError = () => new DOMException("The operation was aborted.", "AbortError");
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(abortError());
+      },
+      { once: true }
+    );
+  });
+
+// 同じ入力には同じ応答を返すための文字列ハッシュ（FNV-1a）
+function hashText(text) {
+  let hash = 2166136261;
+  for (const char of text) hash = Math.imul(hash ^ char.codePointAt(0), 16777619);
+  return hash >>> 0;
+}
+
+// トークン数の目安。画像は1枚あたり Gemini と同じ 258 トークンで数える
+function estimateUsage(messages, text) {
+  const promptText = messages.map((message) => message.text || "").join("\n");
+  const imageCount = messages.reduce((sum, message) => sum + (message.images?.length || 0), 0);
+  const promptTokens = Math.ceil(promptText.length / 2) + imageCount * 258;
+  const outputTokens = Math.ceil(text.length / 2);
+  return { promptTokens, outputTokens, totalTokens: promptTokens + outputTokens };
+}
+
+// 依頼文に名前が出ている精霊（「別の精霊」で避ける指定）は選ばない
+function pickSpirits(spirits, prompt, count) {
+  const fresh = spirits.filter((spirit) => !prompt.includes(spirit.name));
+  const pool = fresh.length >= count ? fresh : spirits;
+  const start = hashText(prompt) % pool.length;
+  return Array.from({ length: count }, (_, idx) => pool[(start + idx) % pool.length]);
+}
+
+// 質問の候補は会話が進むたびに入れ替わるよう、やり取りの長さでずらして選ぶ
+function pickQuestions(questions, messages, count) {
+  const start = (hashText(messages[0]?.text || "") + messages.length) % questions.length;
+  return Array.from({ length: Math.min(count, questions.length) }, (_, idx) => questions[(start + idx) % questions.length]);
+}
+
+// 恋愛運などの鑑定では、スキーマで指定された id の順にテーマ別セクションを付ける
+function themedSections(fields, fixtures) {
+  const ids = fields.sections?.items?.properties?.id?.enum;
+  return ids ? { sections: ids.map((id, idx) => ({ id, reading: fixtures.themes[idx % fixtures.themes.length] })) } : {};
+}
+
+// responseSchema の形から、どの問い合わせかを見分けて定型文を返す
+function answerFor({ messages = [], responseSchema }) {
+  const fixtures = mockFixtures(getLocale());
+  const fields = responseSchema?.properties || {};
+  const prompt = messages.at(-1)?.text || "";
+
+  if ("isPalm" in fields) return JSON.stringify({ isPalm: true, reason: "" });
+  if ("score" in fields) {
+    const { compatibility } = fixtures;
+    return JSON.stringify({
+      ...compatibility,
+      people: compatibility.people.map((person) => ({ name: "", ...person })),
+      ...themedSections(fields, fixtures),
+    });
+  }
+  if ("lines" in fields) {
+    const dual = "overallContrast" in fields;
+    const withContrast = (item) => (dual ? { ...item, contrast: fixtures.contrast.item } : item);
+    return JSON.stringify({
+      overall: fixtures.report.overall,
+      ...(dual && { overallContrast: fixtures.contrast.overall }),
+      lines: fixtures.report.lines.map((line) => withContrast({ ...line, points: MOCK_LINE_POINTS[line.id] })),
+      mounts: fixtures.report.mounts.map((mount, idx) => withContrast({ ...mount, points: MOCK_MOUNT_POINTS[idx] })),
+      advice: fixtures.report.advice,
+      ...themedSections(fields, fixtures),
+    });
+  }
+  if ("spirits" in fields) return JSON.stringify({ spirits: pickSpirits(fixtures.spirits, prompt, 2) });
+  if ("imagePrompt" in fields) return JSON.stringify(pickSpirits(fixtures.spirits, prompt, 1)[0]);
+  if ("questions" in fields) return JSON.stringify({ questions: pickQuestions(fixtures.followUps, messages, 3) });
+  return fixtures.chat[hashText(prompt) % fixtures.chat.length];
+}
+
+// 精霊画像の代わりに、プロンプトから色の決まるSVGを返す
+function placeholderImage(prompt) {
+  const hash = hashText(prompt);
+  const hue = hash % 360;
+  const orbs = Array.from({ length: 6 }, (_, idx) => {
+    const value = hashText(`${prompt}#${idx}`);
+    return `<circle cx="${200 + (value % 624)}" cy="${200 + ((value >>> 10) % 624)}" r="${40 + ((value >>> 20) % 120)}" fill="hsl(${(hue + idx * 40) % 360},80%,70%)" opacity="0.35"/>`;
+  }).join("");
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="1024" height="1024" viewBox="0 0 1024 1024"><defs><radialGradient id="g"><stop offset="0" stop-color="hsl(${hue},70%,55%)"/><stop offset="1" stop-color="hsl(${(hue + 200) % 360},60%,12%)"/></radialGradient></defs><rect width="1024" height="1024" fill="url(#g)"/>${orbs}<text x="512" y="980" text-anchor="middle" font-family="sans-serif" font-size="36" fill="#ffffff" opacity="0.6">MOCK SPIRIT</text></svg>`;
+  return { mimeType: "image/svg+xml", data: btoa(svg) };
+}
+
+const jsonResponse = (status, body, headers = {}) =>
+  new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json", ...headers } });
+
+function failureResponse(failure) {
+  const { status, code, message, retryAfter } = FAILURE_RESPONSES[failure];
+  return jsonResponse(status, { error: { code: status, message, status: code } }, retryAfter ? { "Retry-After": String(retryAfter) } : {});
+}
+
+const sseEvent = (event, data) => `${event ? `event: ${event}\n` : ""}data: ${JSON.stringify(data)}\n\n`;
+
+// 本物のストリーミングと同じく、少しずつ { text } を流してから { usage } と done を送る
+function streamResponse(text, usage, latency, signal) {
+  const encoder = new TextEncoder();
+  const chunkDelay = Math.min(latency / 10, 60);
+  const body = new ReadableStream({
+    async start(controller) {
+      try {
+        for (let index = 0; index < text.length; index += 24) {
+          await sleep(chunkDelay, signal);
+          controller.enqueue(encoder.encode(sseEvent(null, { text: text.slice(index, index + 24) })));
+        }
+        controller.enqueue(encoder.encode(sseEvent(null, { usage })));
+        controller.enqueue(encoder.encode(sseEvent("done", {})));
+        controller.close();
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+  });
+  return new Response(body, { status: 200, headers: { "Content-Type": "text/event-stream; charset=utf-8" } });
+}
+
+/**
+ * fetch と同じ形で呼べる模擬バックエンドを作る。
+ * @param {{ failure?: string, latency?: number }} options failure は MOCK_FAILURES のいずれか
+ * @returns {(url: string, init?: RequestInit) => Promise<Response>}
+ */
+export function createMockFetch({ failure, latency = DEFAULT_LATENCY } = {}) {
+  return async (url, init = {}) => {
+    const { signal } = init;
+    const op = new URL(url, window.location.origin).searchParams.get("op") || "generate";
+    await sleep(latency, signal);
+
+    if (failure === "network") throw new TypeError("Failed to fetch (mock)");
+    if (failure && (failure !== "billing" || op === "image")) return failureResponse(failure);
+
+    const payload = JSON.parse(init.body || "{}");
+    if (op === "image") return jsonResponse(200, { images: [placeholderImage(payload.prompt || "")] });
+
+    const text = answerFor(payload);
+    const usage = estimateUsage(payload.messages || [], text);
+    if (op === "stream") return streamResponse(text, usage, latency, signal);
+    return jsonResponse(200, { text, usage });
+  };
+}
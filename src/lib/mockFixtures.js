@@ -0,0 +1,326 @@
+// 模擬応答（mockApi.js）が返す鑑定・精霊・対話の定型文。
+// 日本語と英語だけ用意し、ほかの言語では英語を返す
+
+// 手のひらを正面から写した写真での、おおよその線と掌丘の位置（0〜1000）
+export const MOCK_LINE_POINTS = {
+  life: [
+    { x: 380, y: 330 },
+    { x: 330, y: 450 },
+    { x: 310, y: 580 },
+    { x: 340, y: 720 },
+    { x: 400, y: 840 },
+  ],
+  head: [
+    { x: 380, y: 340 },
+    { x: 480, y: 400 },
+    { x: 600, y: 450 },
+    { x: 720, y: 480 },
+  ],
+  heart: [
+    { x: 880, y: 300 },
+    { x: 760, y: 280 },
+    { x: 640, y: 290 },
+    { x: 520, y: 330 },
+  ],
+};
+
+export const MOCK_MOUNT_POINTS = [
+  [
+    { x: 230, y: 650 },
+    { x: 330, y: 600 },
+    { x: 380, y: 760 },
+    { x: 290, y: 850 },
+  ],
+  [
+    { x: 400, y: 200 },
+    { x: 480, y: 190 },
+    { x: 490, y: 260 },
+    { x: 410, y: 270 },
+  ],
+  [
+    { x: 700, y: 650 },
+    { x: 820, y: 620 },
+    { x: 840, y: 800 },
+    { x: 720, y: 830 },
+  ],
+];
+
+const ja = {
+  report: {
+    overall:
+      "穏やかさの奥に芯の強さを秘めた手相です。物事をじっくり観察してから動く慎重さと、一度決めたことをやり遂げる粘り強さが同居しています。周囲からは「頼れる聞き役」として信頼されやすいでしょう。",
+    lines: [
+      {
+        id: "life",
+        name: "生命線",
+        strength: 4,
+        length: 5,
+        reading: "親指の付け根を大きく回り込む、張りのある生命線です。体力の回復が早く、環境の変化にも順応しやすい生命力を示しています。",
+      },
+      {
+        id: "head",
+        name: "知能線",
+        strength: 3,
+        length: 4,
+        reading: "手のひらの中央をゆるやかに下る知能線は、論理と想像力のバランスの良さを表します。企画や文章など、形のないものを形にする仕事で力を発揮します。",
+      },
+      {
+        id: "heart",
+        name: "感情線",
+        strength: 4,
+        length: 4,
+        reading: "人差し指と中指の間に向かって伸びる感情線は、愛情深く面倒見の良い性格の表れです。相手の気持ちを汲み取りすぎて疲れないよう、ときには自分を優先しましょう。",
+      },
+    ],
+    mounts: [
+      { name: "金星丘", reading: "ふっくらと盛り上がり、人生を楽しむ力と温かな人間関係に恵まれることを示します。" },
+      { name: "木星丘", reading: "向上心と責任感の強さが表れています。人をまとめる役割を任されやすいでしょう。" },
+      { name: "月丘", reading: "豊かな感受性と直感力の印。ひらめきをメモしておくと思わぬ形で役立ちます。" },
+    ],
+    advice: [
+      { title: "小さな目標を積み重ねる", detail: "粘り強さを活かし、1週間で達成できる目標を1つずつ重ねていきましょう。" },
+      { title: "直感を言葉にする", detail: "ふと浮かんだアイデアは、その日のうちに書き留める習慣をつけると運が開けます。" },
+      { title: "頼ることも優しさ", detail: "抱え込みがちな時期こそ、信頼できる人に相談することで関係がより深まります。" },
+    ],
+  },
+  contrast: {
+    overall: {
+      innate: "生まれ持ったのは、繊細で感受性の豊かな気質です。",
+      acquired: "経験を重ねて、決断力と行動力を身につけてきました。",
+    },
+    item: {
+      innate: "もともとは控えめで、内側に力を秘めるタイプです。",
+      acquired: "今はその力を外に出し、周囲に示せるようになっています。",
+    },
+  },
+  compatibility: {
+    overall:
+      "互いに足りない部分を補い合える、安定感のある組み合わせです。一人が方向を示し、もう一人が細やかに支えることで、二人の力が何倍にもなります。",
+    score: 82,
+    people: [
+      { traits: "行動力があり、迷ったときに道を切り開くリーダー気質です。" },
+      { traits: "観察眼が鋭く、相手の気持ちを察して寄り添える聞き上手です。" },
+    ],
+    lines: [
+      {
+        id: "life",
+        name: "生命線",
+        score: 78,
+        first: "力強く長い生命線",
+        second: "細くしなやかな生命線",
+        reading: "活動的なペースとゆったりしたペースが程よく混ざり合います。休日の過ごし方を交互に決めると良いでしょう。",
+      },
+      {
+        id: "head",
+        name: "知能線",
+        score: 85,
+        first: "まっすぐで現実的な知能線",
+        second: "ゆるやかに下る想像力豊かな知能線",
+        reading: "現実的な判断と柔軟な発想が噛み合う、話していて飽きない二人です。",
+      },
+      {
+        id: "heart",
+        name: "感情線",
+        score: 88,
+        first: "素直に気持ちを表す感情線",
+        second: "深い愛情を秘めた感情線",
+        reading: "表現の仕方は違っても、愛情の深さはよく似ています。感謝を言葉にすることで絆がさらに強まります。",
+      },
+    ],
+    advice: [
+      { title: "役割を決めすぎない", detail: "ときにはリードする側を入れ替えると、新しい一面が見えてきます。" },
+      { title: "小さな感謝を伝える", detail: "日々の「ありがとう」が二人の信頼を育てます。" },
+      { title: "一緒に新しいことを", detail: "初めての場所や体験を共有すると、関係に新鮮さが生まれます。" },
+    ],
+  },
+  spirits: [
+    {
+      name: "月影の白狐",
+      element: "月",
+      personality: "静かに寄り添い、迷ったときに進むべき道を照らす。",
+      lore: "満月の夜にだけ姿を見せるという白い狐。古くから旅人の道しるべとして語り継がれてきた。",
+      imagePrompt: "white fox spirit glowing under a full moon, silver mist, nine flowing tails",
+    },
+    {
+      name: "暁の鳳凰",
+      element: "火",
+      personality: "情熱的で、何度でも立ち上がる勇気を授ける。",
+      lore: "夜明けとともに炎の翼を広げる霊鳥。再生と始まりを司るとされる。",
+      imagePrompt: "phoenix spirit with golden flame wings at dawn, radiant sky",
+    },
+    {
+      name: "碧水の龍",
+      element: "水",
+      personality: "穏やかで懐が深く、流れに乗る知恵を授ける。",
+      lore: "深い湖の底に棲むという青い龍。雨を呼び、田畑を潤す守り神として祀られてきた。",
+      imagePrompt: "azure water dragon spirit coiling through a clear lake, soft light rays",
+    },
+    {
+      name: "森語りの鹿",
+      element: "地",
+      personality: "思慮深く、人と人との縁を静かに結ぶ。",
+      lore: "古い森の奥で木々の声を聞くという鹿。道に迷った者を森の外まで導くという。",
+      imagePrompt: "mystical stag spirit with glowing antlers in an ancient forest",
+    },
+  ],
+  themes: [
+    "今は自分らしさを素直に出すほど、良い流れを引き寄せやすい時期です。",
+    "これまで積み重ねてきたことが、思いがけない形で実を結びそうです。",
+    "焦らず一歩ずつ進むことで、周囲の信頼と安定が育っていきます。",
+  ],
+  chat: [
+    "手のひらの線を見る限り、今は焦らず足元を固める時期です。\n\n- **感情線**の張りから、人との関係が支えになります\n- **知能線**の緩やかな傾きは、計画を柔軟に見直せる力の表れです\n\n小さな一歩を積み重ねていきましょう。",
+    "良い質問ですね。生命線の力強さから、体力と気力はまだ十分に残っています。\n\n新しいことに挑戦するなら、**月丘**が示す直感を信じて、最初の一歩は小さく踏み出すのがおすすめです。",
+    "鑑定結果からは、周囲の信頼を集めやすい傾向が読み取れます。\n\n1. 自分の意見を一言添える\n2. 任されたことは期限より少し早く仕上げる\n\nこの2つを意識すると、運気の流れがさらに良くなるでしょう。",
+  ],
+  followUps: [
+    "今年いちばん気をつけることは何ですか？",
+    "感情線から見て、どんな人と相性が良いですか？",
+    "仕事で才能を活かすにはどうすればいいですか？",
+    "運気を上げるために毎日できることはありますか？",
+    "生命線の特徴をもう少し詳しく教えてください",
+    "転機が訪れるのはいつ頃ですか？",
+  ],
+};
+
+const en = {
+  report: {
+    overall:
+      "Your palm shows quiet strength beneath a calm surface. You observe carefully before you act, and once you decide, you see things through. People tend to trust you as a dependable listener.",
+    lines: [
+      {
+        id: "life",
+        name: "Life line",
+        strength: 4,
+        length: 5,
+        reading: "A full life line sweeps widely around the base of the thumb. It points to quick recovery and an easy adaptability to change.",
+      },
+      {
+        id: "head",
+        name: "Head line",
+        strength: 3,
+        length: 4,
+        reading: "The head line slopes gently across the centre of the palm, balancing logic and imagination. You shine in work that gives shape to ideas.",
+      },
+      {
+        id: "heart",
+        name: "Heart line",
+        strength: 4,
+        length: 4,
+        reading: "Ending between the index and middle fingers, the heart line shows a warm, caring nature. Remember to put yourself first now and then.",
+      },
+    ],
+    mounts: [
+      { name: "Mount of Venus", reading: "Well rounded, it promises a love of life and warm relationships." },
+      { name: "Mount of Jupiter", reading: "Ambition and a strong sense of responsibility. Others often look to you to lead." },
+      { name: "Mount of the Moon", reading: "A sign of sensitivity and intuition. Write your hunches down; they pay off." },
+    ],
+    advice: [
+      { title: "Stack small goals", detail: "Use your persistence: set one goal you can reach within a week, then the next." },
+      { title: "Put intuition into words", detail: "Write down ideas the day they come to you; luck follows the habit." },
+      { title: "Leaning on others is kind too", detail: "When you carry too much, asking someone you trust deepens the bond." },
+    ],
+  },
+  contrast: {
+    overall: {
+      innate: "You were born with a sensitive, perceptive temperament.",
+      acquired: "Experience has given you decisiveness and drive.",
+    },
+    item: {
+      innate: "By nature you keep your strength inside.",
+      acquired: "Now you let it show and share it with those around you.",
+    },
+  },
+  compatibility: {
+    overall:
+      "A steady pairing in which each fills the other's gaps. When one sets the direction and the other supports the details, your strengths multiply.",
+    score: 82,
+    people: [
+      { traits: "Action-oriented, a natural leader who clears the way when others hesitate." },
+      { traits: "Observant and empathetic, a good listener who senses what others feel." },
+    ],
+    lines: [
+      {
+        id: "life",
+        name: "Life line",
+        score: 78,
+        first: "A strong, long life line",
+        second: "A fine, supple life line",
+        reading: "An active pace meets a relaxed one. Take turns choosing how to spend your days off.",
+      },
+      {
+        id: "head",
+        name: "Head line",
+        score: 85,
+        first: "A straight, practical head line",
+        second: "A gently sloping, imaginative head line",
+        reading: "Practical judgement meets flexible ideas; you never run out of things to talk about.",
+      },
+      {
+        id: "heart",
+        name: "Heart line",
+        score: 88,
+        first: "A heart line that shows feelings openly",
+        second: "A heart line holding deep affection",
+        reading: "You express it differently, but your affection runs equally deep. Saying thanks out loud strengthens the bond.",
+      },
+    ],
+    advice: [
+      { title: "Swap roles sometimes", detail: "Let the other lead now and then; you will discover new sides of each other." },
+      { title: "Say small thank-yous", detail: "Everyday thanks grow the trust between you." },
+      { title: "Try something new together", detail: "Shared first experiences keep the relationship fresh." },
+    ],
+  },
+  spirits: [
+    {
+      name: "Moonshadow Fox",
+      element: "Moon",
+      personality: "Quietly stays close and lights the way when you are lost.",
+      lore: "A white fox said to appear only on full-moon nights, long told of as a guide for travellers.",
+      imagePrompt: "white fox spirit glowing under a full moon, silver mist, nine flowing tails",
+    },
+    {
+      name: "Dawn Phoenix",
+      element: "Fire",
+      personality: "Passionate, and lends the courage to rise again.",
+      lore: "A sacred bird that spreads wings of flame at daybreak, ruling rebirth and beginnings.",
+      imagePrompt: "phoenix spirit with golden flame wings at dawn, radiant sky",
+    },
+    {
+      name: "Azure Water Dragon",
+      element: "Water",
+      personality: "Calm and generous, teaching the wisdom of going with the flow.",
+      lore: "A blue dragon said to dwell at the bottom of a deep lake, honoured as the guardian who brings rain.",
+      imagePrompt: "azure water dragon spirit coiling through a clear lake, soft light rays",
+    },
+    {
+      name: "Forest-Speaking Stag",
+      element: "Earth",
+      personality: "Thoughtful, quietly tying people together.",
+      lore: "A stag that listens to the trees deep in an old forest and leads the lost back out.",
+      imagePrompt: "mystical stag spirit with glowing antlers in an ancient forest",
+    },
+  ],
+  themes: [
+    "This is a time when being yourself draws good things your way.",
+    "What you have built up so far is likely to bear fruit in unexpected ways.",
+    "Moving one step at a time builds trust and stability around you.",
+  ],
+  chat: [
+    "From your palm, this is a time to build a steady footing rather than rush.\n\n- The firm **heart line** says your relationships will carry you\n- The gentle slope of the **head line** shows you can adjust plans with ease\n\nTake it one small step at a time.",
+    "Good question. The strength of your life line says you still have plenty of energy.\n\nIf you try something new, trust the intuition your **Mount of the Moon** shows, and keep the first step small.",
+    "Your reading suggests people naturally trust you.\n\n1. Add your own view in a sentence\n2. Finish what you are given a little before the deadline\n\nKeep these two in mind and your luck will flow even better.",
+  ],
+  followUps: [
+    "What should I be most careful about this year?",
+    "Based on my heart line, who am I most compatible with?",
+    "How can I make the most of my talents at work?",
+    "Is there something I can do every day to improve my luck?",
+    "Can you tell me more about my life line?",
+    "When is a turning point likely to come?",
+  ],
+};
+
+export const MOCK_FIXTURES = { ja, en };
+
+export const mockFixtures = (locale) => MOCK_FIXTURES[locale] || en;
@@ -0,0 +1,137 @@
+import { loadImage } from "./image";
+
+// 送信前のプライバシー処理。
+// 画像はすべて canvas で描き直してから JPEG に書き出すので、EXIF（撮影日時・位置情報・機種など）は残らない。
+// そのうえで指紋が写る指先を検出してぼかす。マスクは画像に対する 0〜1 の比率の楕円 {x, y, rx, ry}
+
+const DETECTION_DIMENSION = 160;
+// ぼかし用に一度ここまで縮小してから拡大し、指紋の溝が読めない程度まで情報を落とす
+const BLUR_DIMENSION = 48;
+const MAX_FINGERTIPS = 5;
+
+// YCbCr 空間での肌色判定。照明の明るさに左右されにくい
+function isSkin(r, g, b) {
+  const y = 0.299 * r + 0.587 * g + 0.114 * b;
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  return y > 40 && cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+}
+
+function skinMask(img) {
+  const scale = Math.min(1, DETECTION_DIMENSION / Math.max(img.width, img.height));
+  const width = Math.max(1, Math.round(img.width * scale));
+  const height = Math.max(1, Math.round(img.height * scale));
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(img, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  const mask = new Uint8Array(width * height);
+  for (let i = 0; i < mask.length; i += 1) {
+    mask[i] = isSkin(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]) ? 1 : 0;
+  }
+  return { mask, width, height };
+}
+
+/**
+ * 指先の位置を推定する。編集ステップで指が上を向くよう回転してある前提で、
+ * 肌色領域の上端の輪郭から上向きに突き出た山（＝指先）を探す。
+ * あくまで目安なので、結果はユーザーが確認・調整する。
+ */
+export function findFingertips({ mask, width, height }) {
+  const skinCount = mask.reduce((sum, value) => sum + value, 0);
+  if (skinCount < width * height * 0.05) return [];
+
+  const isSkinAt = (x, y) => x >= 0 && x < width && y >= 0 && y < height && mask[y * width + x] === 1;
+
+  // 列ごとの肌色の上端。1〜2pxのノイズは縦に3px続くかで除く
+  const top = new Array(width).fill(height);
+  for (let x = 0; x < width; x += 1) {
+    for (let y = 0; y < height - 2; y += 1) {
+      if (isSkinAt(x, y) && isSkinAt(x, y + 1) && isSkinAt(x, y + 2)) {
+        top[x] = y;
+        break;
+      }
+    }
+  }
+
+  const span = Math.max(2, Math.round(width * 0.04));
+  const minProminence = height * 0.05;
+  const candidates = [];
+  // 指先の上端は平らになりやすいので、同じ高さが続く区間を1つの山として扱う
+  for (let start = 0; start < width; ) {
+    let end = start;
+    while (end + 1 < width && top[end + 1] === top[start]) end += 1;
+    const y = top[start];
+    const near = top.slice(Math.max(0, start - span), end + span + 1);
+    const around = top.slice(Math.max(0, start - span * 3), end + span * 3 + 1).filter((value) => value < height);
+    if (y < height && y <= Math.min(...near) && Math.max(...around) - y >= minProminence) {
+      candidates.push({ x: Math.round((start + end) / 2), y });
+    }
+    start = end + 1;
+  }
+
+  return candidates
+    .sort((a, b) => a.y - b.y)
+    .slice(0, MAX_FINGERTIPS)
+    .map(({ x, y }) => {
+      // 指先から少し下がった位置で指の幅を測る
+      const row = Math.min(height - 1, y + Math.max(2, Math.round(height * 0.04)));
+      let left = x;
+      let right = x;
+      while (isSkinAt(left - 1, row)) left -= 1;
+      while (isSkinAt(right + 1, row)) right += 1;
+      const fingerWidth = Math.min(Math.max(right - left + 1, span * 2), width * 0.25);
+      return {
+        x: x / width,
+        y: (y + fingerWidth * 0.6) / height,
+        rx: (fingerWidth * 0.75) / width,
+        ry: fingerWidth / height,
+      };
+    });
+}
+
+export async function detectFingertips(src) {
+  const img = await loadImage(src);
+  return findFingertips(skinMask(img));
+}
+
+export const containsPoint = (mask, point) =>
+  ((point.x - mask.x) / mask.rx) ** 2 + ((point.y - mask.y) / mask.ry) ** 2 <= 1;
+
+export function renderPrivacyMasks(img, masks, maxDimension = Math.max(img.width, img.height)) {
+  const scale = Math.min(1, maxDimension / Math.max(img.width, img.height));
+  const width = Math.round(img.width * scale);
+  const height = Math.round(img.height * scale);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(img, 0, 0, width, height);
+  if (!masks.length) return canvas;
+
+  const blurScale = Math.min(1, BLUR_DIMENSION / Math.max(width, height));
+  const small = document.createElement("canvas");
+  small.width = Math.max(1, Math.round(width * blurScale));
+  small.height = Math.max(1, Math.round(height * blurScale));
+  small.getContext("2d").drawImage(img, 0, 0, small.width, small.height);
+
+  for (const mask of masks) {
+    ctx.save();
+    ctx.beginPath();
+    ctx.ellipse(mask.x * width, mask.y * height, mask.rx * width, mask.ry * height, 0, 0, Math.PI * 2);
+    ctx.clip();
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(small, 0, 0, width, height);
+    ctx.restore();
+  }
+  return canvas;
+}
+
+export async function applyPrivacyMasks(src, masks) {
+  const img = await loadImage(src);
+  return renderPrivacyMasks(img, masks).toDataURL("image/jpeg", 0.8);
+}
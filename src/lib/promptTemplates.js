@@ -0,0 +1,176 @@
+import { DEFAULT_LOCALE, getLocale, interpolate, LOCALES, lookup } from "./i18n";
+
+// モデルへのプロンプトのテンプレート。既定の文面は各言語のファイル（prompts.*）に持ち、
+// 管理画面（#/admin）で言語ごとに上書きした版をこの端末に保存する。
+// 上書きを保存するたびに版（version）が変わり、鑑定の記録にはそのとき使っていた版を残す
+export const BUILTIN_PROMPT_VERSION = "builtin-1";
+
+const TEMPLATES_KEY = "aiteso:promptTemplates";
+// 最後に付けた custom-<連番> の番号。すべて既定に戻しても下げない
+const REVISION_KEY = "aiteso:promptTemplateRevision";
+// 鑑定の記録に残した版を後から引けるよう、保存した版ごとの上書きを残す（{ [version]: { savedAt, templates } }）
+const VERSIONS_KEY = "aiteso:promptTemplateVersions";
+// 残しておく版の数。これより古い版は文面を引けなくなる
+export const MAX_SAVED_PROMPT_VERSIONS = 20;
+
+// 管理画面で編集できるテンプレートと、その中で使える変数。name は表示名（displayName）
+export const EDITABLE_PROMPTS = [
+  { id: "analysis", route: "analyze", variables: ["name"] },
+  { id: "dual", route: "analyze", variables: ["name", "dominant", "innate", "index"] },
+  { id: "pair", route: "analyze", variables: ["first", "second"] },
+  { id: "readingType", route: "analyze", variables: ["type", "focus", "sections"] },
+  { id: "spiritSingle", route: "spirit", variables: ["name", "fields", "avoid", "analysis"] },
+  { id: "spiritPair", route: "spirit", variables: ["first", "second", "fields", "avoid", "analysis"] },
+  { id: "spiritFields", route: "spirit", variables: [] },
+  { id: "chatSystem", route: "chat", variables: ["subject", "address", "analysis", "summary"] },
+  { id: "chatQuestion", route: "chat", variables: ["name", "question"] },
+  { id: "followUps", route: "chat", variables: ["count"] },
+];
+
+// 言語ファイルにある既定の文面
+export function builtinPrompt(id, locale = getLocale()) {
+  const message = lookup(LOCALES[locale]?.messages.prompts, id) ?? lookup(LOCALES[DEFAULT_LOCALE].messages.prompts, id);
+  return typeof message === "string" ? message : "";
+}
+
+/**
+ * 保存済みの上書き。{ version, updatedAt, templates: { [locale]: { [id]: string } } }。無ければ null
+ */
+function loadPromptOverrides() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(TEMPLATES_KEY));
+    return saved && typeof saved.version === "string" && saved.templates ? saved : null;
+  } catch {
+    return null;
+  }
+}
+
+// 読み込みを毎回の問い合わせで繰り返さないよう、モジュールで1つだけ持つ
+let overrides = loadPromptOverrides();
+
+export const activePromptVersion = () => overrides?.version || BUILTIN_PROMPT_VERSION;
+
+// 既定と同じ文面や空の文面は上書きとして残さない
+function compact(templates) {
+  const result = {};
+  for (const [locale, entries] of Object.entries(templates || {})) {
+    if (!Object.hasOwn(LOCALES, locale) || !entries || typeof entries !== "object") continue;
+    const kept = Object.entries(entries).filter(
+      ([id, text]) => typeof text === "string" && text.trim() && builtinPrompt(id, locale) && text !== builtinPrompt(id, locale)
+    );
+    if (kept.length) result[locale] = Object.fromEntries(kept);
+  }
+  return result;
+}
+
+function loadSavedVersions() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(VERSIONS_KEY));
+    return saved && typeof saved === "object" && !Array.isArray(saved) ? saved : {};
+  } catch {
+    return {};
+  }
+}
+
+let savedVersions = loadSavedVersions();
+
+// 新しい版を先頭に足し（新しい順に並べておく）、上限を超えた分は古いものから捨てる
+function rememberVersion({ version, updatedAt, templates }) {
+  const older = Object.entries(savedVersions).filter(([saved]) => saved !== version);
+  savedVersions = Object.fromEntries([[version, { savedAt: updatedAt, templates }], ...older].slice(0, MAX_SAVED_PROMPT_VERSIONS));
+  try {
+    localStorage.setItem(VERSIONS_KEY, JSON.stringify(savedVersions));
+  } catch {
+    // localStorage が使えない環境では、開いている間だけ残す
+  }
+}
+
+// 同じ版の名前が別の内容を指さないよう、端末に残した番号から連番を振る
+function nextVersion() {
+  let last = Number.parseInt(/^custom-(\d+)$/.exec(overrides?.version || "")?.[1], 10) || 0;
+  try {
+    last = Math.max(last, Number.parseInt(localStorage.getItem(REVISION_KEY), 10) || 0);
+    localStorage.setItem(REVISION_KEY, String(last + 1));
+  } catch {
+    // localStorage が使えない環境では、開いている間だけ連番を保つ
+  }
+  return `custom-${last + 1}`;
+}
+
+/**
+ * 上書きを保存する。内容が既定と同じになったときは上書きを消して既定の版に戻し、
+ * それ以外は保存するたびに新しい版（custom-<連番>）にする。
+ * @returns {string} 保存後の版
+ */
+export function savePromptOverrides(templates) {
+  const kept = compact(templates);
+  overrides = Object.keys(kept).length ? { version: nextVersion(), updatedAt: Date.now(), templates: kept } : null;
+  if (overrides) rememberVersion(overrides);
+  try {
+    if (overrides) localStorage.setItem(TEMPLATES_KEY, JSON.stringify(overrides));
+    else localStorage.removeItem(TEMPLATES_KEY);
+  } catch {
+    // localStorage が使えない環境では、開いている間だけ有効にする
+  }
+  return activePromptVersion();
+}
+
+/**
+ * テンプレートに変数を埋めたプロンプト。上書きがあればそれを、無ければ既定の文面を使う。
+ */
+export function renderPrompt(id, params = {}) {
+  const locale = getLocale();
+  const template = overrides?.templates[locale]?.[id] ?? builtinPrompt(id, locale);
+  return interpolate(template, params);
+}
+
+/**
+ * 編集できるテンプレートすべてと上書き済みのテンプレートの、全言語分の現在の文面（既定のままのものも含める）。
+ * @returns {Record<string, Record<string, string>>}
+ */
+export const currentPromptTemplates = () => withBuiltins(overrides?.templates);
+
+function withBuiltins(templates) {
+  return Object.fromEntries(
+    Object.keys(LOCALES).map((locale) => [
+      locale,
+      { ...Object.fromEntries(EDITABLE_PROMPTS.map(({ id }) => [id, builtinPrompt(id, locale)])), ...templates?.[locale] },
+    ])
+  );
+}
+
+/**
+ * 保存してある版の一覧（新しい順）。既定の版は含めない。
+ * @returns {Array<{ version: string, savedAt: number }>}
+ */
+export const savedPromptVersions = () => Object.entries(savedVersions).map(([version, { savedAt }]) => ({ version, savedAt }));
+
+/**
+ * 鑑定の記録にある版の、全言語分の文面。既定の版は今の既定の文面を返す。
+ * 上限を超えて捨てた版や、この端末で作っていない版は null。
+ * @returns {Record<string, Record<string, string>> | null}
+ */
+export function promptTemplatesOfVersion(version) {
+  if (version === BUILTIN_PROMPT_VERSION) return withBuiltins({});
+  // 版ごとの保存を始める前に保存した上書きは、使用中の版としてだけ残っている
+  const templates = savedVersions[version]?.templates ?? (overrides?.version === version ? overrides.templates : null);
+  return templates ? withBuiltins(templates) : null;
+}
+
+export function exportPromptTemplates() {
+  const templates = currentPromptTemplates();
+  return JSON.stringify({ version: activePromptVersion(), exportedAt: new Date().toISOString(), templates }, null, 2);
+}
+
+/**
+ * exportPromptTemplates の形式の JSON を取り込む。知らない言語・テンプレートは無視する。
+ * ファイルの版の名前は別の端末で付けたものなので使わず、この端末の新しい版にする。
+ * @returns {string} 取り込み後の版
+ */
+export function importPromptTemplates(json) {
+  const data = JSON.parse(json);
+  if (!data || typeof data !== "object" || !data.templates || typeof data.templates !== "object") {
+    throw new TypeError("Invalid prompt template file");
+  }
+  return savePromptOverrides(data.templates);
+}
@@ -0,0 +1,98 @@
+// @vitest-environment jsdom
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+// 上書きはモジュールの読み込み時に localStorage から読むので、テストごとに読み込み直す
+async function load() {
+  vi.resetModules();
+  return import("./promptTemplates");
+}
+
+const withChatQuestion = (templates, text) => ({ ...templates, en: { ...templates.en, chatQuestion: text } });
+
+beforeEach(() => {
+  localStorage.clear();
+  localStorage.setItem("aiteso:locale", "en");
+});
+
+describe("prompt template versions", () => {
+  it("starts on the built-in version", async () => {
+    const { activePromptVersion, BUILTIN_PROMPT_VERSION, renderPrompt } = await load();
+    expect(activePromptVersion()).toBe(BUILTIN_PROMPT_VERSION);
+    expect(renderPrompt("chatQuestion", { question: "Q?" })).toBe("Q?");
+  });
+
+  it("bumps the version on every save and renders the override", async () => {
+    const { currentPromptTemplates, renderPrompt, savePromptOverrides } = await load();
+    expect(savePromptOverrides(withChatQuestion(currentPromptTemplates(), "A: {question}"))).toBe("custom-1");
+    expect(savePromptOverrides(withChatQuestion(currentPromptTemplates(), "B: {question}"))).toBe("custom-2");
+    expect(renderPrompt("chatQuestion", { question: "Q?" })).toBe("B: Q?");
+  });
+
+  it("never reuses a version after resetting to the defaults", async () => {
+    const { BUILTIN_PROMPT_VERSION, currentPromptTemplates, savePromptOverrides } = await load();
+    savePromptOverrides(withChatQuestion(currentPromptTemplates(), "A: {question}"));
+    expect(savePromptOverrides({})).toBe(BUILTIN_PROMPT_VERSION);
+    expect(savePromptOverrides(withChatQuestion(currentPromptTemplates(), "B: {question}"))).toBe("custom-2");
+
+    // 読み込み直しても連番は続く
+    const reloaded = await load();
+    reloaded.savePromptOverrides({});
+    expect(reloaded.savePromptOverrides(withChatQuestion(reloaded.currentPromptTemplates(), "C: {question}"))).toBe("custom-3");
+  });
+
+  it("saves imports as a new local version instead of the file's version", async () => {
+    const { activePromptVersion, importPromptTemplates, renderPrompt, savePromptOverrides, currentPromptTemplates } = await load();
+    savePromptOverrides(withChatQuestion(currentPromptTemplates(), "A: {question}"));
+    const file = JSON.stringify({ version: "custom-1", templates: { en: { chatQuestion: "Imported: {question}" } } });
+
+    expect(importPromptTemplates(file)).toBe("custom-2");
+    expect(activePromptVersion()).toBe("custom-2");
+    expect(renderPrompt("chatQuestion", { question: "Q?" })).toBe("Imported: Q?");
+  });
+
+  it("keeps the texts of earlier versions so recorded versions can be looked up", async () => {
+    const { BUILTIN_PROMPT_VERSION, builtinPrompt, currentPromptTemplates, promptTemplatesOfVersion, savePromptOverrides } = await load();
+    savePromptOverrides(withChatQuestion(currentPromptTemplates(), "A: {question}"));
+    savePromptOverrides(withChatQuestion(currentPromptTemplates(), "B: {question}"));
+    savePromptOverrides({});
+
+    const reloaded = await load();
+    expect(reloaded.promptTemplatesOfVersion("custom-1").en.chatQuestion).toBe("A: {question}");
+    expect(reloaded.promptTemplatesOfVersion("custom-2").en.chatQuestion).toBe("B: {question}");
+    expect(reloaded.promptTemplatesOfVersion("custom-2").en.analysis).toBe(builtinPrompt("analysis", "en"));
+    expect(promptTemplatesOfVersion(BUILTIN_PROMPT_VERSION).en.chatQuestion).toBe(builtinPrompt("chatQuestion", "en"));
+    expect(reloaded.savedPromptVersions().map((entry) => entry.version)).toEqual(["custom-2", "custom-1"]);
+    expect(reloaded.promptTemplatesOfVersion("custom-9")).toBeNull();
+  });
+
+  it("keeps only the newest versions up to the cap", async () => {
+    const { currentPromptTemplates, MAX_SAVED_PROMPT_VERSIONS, promptTemplatesOfVersion, savedPromptVersions, savePromptOverrides } =
+      await load();
+    for (let i = 1; i <= MAX_SAVED_PROMPT_VERSIONS + 2; i += 1) {
+      savePromptOverrides(withChatQuestion(currentPromptTemplates(), `${i}: {question}`));
+    }
+
+    expect(savedPromptVersions()).toHaveLength(MAX_SAVED_PROMPT_VERSIONS);
+    expect(promptTemplatesOfVersion("custom-2")).toBeNull();
+    expect(promptTemplatesOfVersion("custom-3").en.chatQuestion).toBe("3: {question}");
+    expect(promptTemplatesOfVersion(`custom-${MAX_SAVED_PROMPT_VERSIONS + 2}`)).not.toBeNull();
+  });
+
+  it("still finds the active version saved before versions were kept", async () => {
+    localStorage.setItem(
+      "aiteso:promptTemplates",
+      JSON.stringify({ version: "custom-5", updatedAt: 1, templates: { en: { chatQuestion: "Old: {question}" } } })
+    );
+    const { promptTemplatesOfVersion } = await load();
+    expect(promptTemplatesOfVersion("custom-5").en.chatQuestion).toBe("Old: {question}");
+  });
+
+  it("rejects files without templates and ignores unknown locales and ids", async () => {
+    const { BUILTIN_PROMPT_VERSION, importPromptTemplates } = await load();
+    expect(() => importPromptTemplates("{}")).toThrow(TypeError);
+    expect(() => importPromptTemplates("not json")).toThrow(SyntaxError);
+    expect(importPromptTemplates(JSON.stringify({ templates: { xx: { chatQuestion: "x" }, en: { unknown: "x" } } }))).toBe(
+      BUILTIN_PROMPT_VERSION
+    );
+  });
+});
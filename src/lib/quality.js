@@ -0,0 +1,109 @@
+import { t } from "./i18n";
+import { loadImage } from "./image";
+import { renderPrompt } from "./promptTemplates";
+
+// 鑑定前の写真チェック。API を呼ぶ前に端末内で明るさ・ピント・解像度を測り、
+// 線が読めない写真で利用枠を使ってしまわないようにする
+
+const ANALYSIS_DIMENSION = 320;
+
+const THRESHOLDS = {
+  minShortSide: 400,
+  minBrightness: 55,
+  maxBrightness: 215,
+  // 白飛び（ほぼ真っ白）の画素がこれ以上の割合なら線が消えている
+  maxClippedRatio: 0.3,
+  // 縮小画像でのラプラシアンの分散。これを下回るとピンぼけ・手ブレとみなす
+  minSharpness: 30,
+};
+
+export async function measurePhotoQuality(src) {
+  const img = await loadImage(src);
+  const scale = Math.min(1, ANALYSIS_DIMENSION / Math.max(img.width, img.height));
+  const width = Math.max(3, Math.round(img.width * scale));
+  const height = Math.max(3, Math.round(img.height * scale));
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(img, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  const gray = new Float32Array(width * height);
+  let total = 0;
+  let clipped = 0;
+  for (let i = 0; i < gray.length; i += 1) {
+    const y = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    gray[i] = y;
+    total += y;
+    if (y >= 250) clipped += 1;
+  }
+
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y += 1) {
+    for (let x = 1; x < width - 1; x += 1) {
+      const i = y * width + x;
+      const laplacian = gray[i - 1] + gray[i + 1] + gray[i - width] + gray[i + width] - 4 * gray[i];
+      sum += laplacian;
+      sumSquares += laplacian * laplacian;
+      count += 1;
+    }
+  }
+  const mean = sum / count;
+
+  return {
+    width: img.width,
+    height: img.height,
+    brightness: total / gray.length,
+    clippedRatio: clipped / gray.length,
+    sharpness: sumSquares / count - mean * mean,
+  };
+}
+
+// 測定値から問題点を洗い出す。メッセージはそのまま画面に出すので、直し方まで書く
+export function assessPhotoQuality(metrics) {
+  const issues = [];
+  const shortSide = Math.min(metrics.width, metrics.height);
+
+  if (shortSide < THRESHOLDS.minShortSide) {
+    issues.push({
+      code: "too_small",
+      message: t("quality.tooSmall", { size: shortSide }),
+    });
+  }
+  if (metrics.brightness < THRESHOLDS.minBrightness) {
+    issues.push({ code: "too_dark", message: t("quality.tooDark") });
+  } else if (metrics.brightness > THRESHOLDS.maxBrightness || metrics.clippedRatio > THRESHOLDS.maxClippedRatio) {
+    issues.push({ code: "too_bright", message: t("quality.tooBright") });
+  }
+  if (metrics.sharpness < THRESHOLDS.minSharpness) {
+    issues.push({ code: "blurry", message: t("quality.blurry") });
+  }
+  return issues;
+}
+
+// 「手のひらが写っているか」だけを判定する軽い問い合わせ用
+export const palmCheckSchema = () => ({
+  type: "object",
+  properties: {
+    isPalm: { type: "boolean", description: renderPrompt("schema.palmIsPalm") },
+    reason: { type: "string", description: renderPrompt("schema.palmReason") },
+  },
+  required: ["isPalm"],
+});
+
+// reason はそのまま画面に出すので、表示言語で書かせる
+export const palmCheckPrompt = () => renderPrompt("palmCheck");
+
+export function parsePalmCheck(text) {
+  try {
+    const parsed = JSON.parse(text);
+    return { isPalm: parsed?.isPalm !== false, reason: typeof parsed?.reason === "string" ? parsed.reason.trim() : "" };
+  } catch {
+    // 判定できなかったときは鑑定を止めない
+    return { isPalm: true, reason: "" };
+  }
+}
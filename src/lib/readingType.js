@@ -0,0 +1,80 @@
+import { t } from "./i18n";
+import { renderPrompt } from "./promptTemplates";
+
+// 鑑定の種類。general は従来どおりの総合鑑定で、それ以外は種類ごとのテーマ別セクションを加え、
+// プロンプトの重点と精霊の作風も変える
+export const READING_TYPES = {
+  general: { sections: [] },
+  love: { sections: ["tendency", "encounter", "partnership"] },
+  career: { sections: ["aptitude", "strengths", "growth"] },
+  money: { sections: ["flow", "habits", "opportunity"] },
+  wellbeing: { sections: ["balance", "rhythm", "recharge"] },
+};
+
+export const DEFAULT_READING_TYPE = "general";
+
+// 種類を記録していない以前の鑑定は総合鑑定として扱う
+export const readingTypeOf = (report) => (Object.hasOwn(READING_TYPES, report?.readingType) ? report.readingType : DEFAULT_READING_TYPE);
+
+export const readingTypeLabel = (type) => t(`readingTypes.${type}.label`);
+
+const sectionLabel = (type, id) => t(`readingTypes.${type}.sections.${id}`);
+
+/**
+ * スキーマに種類別のセクション（sections: [{ id, reading }]）を加える。総合鑑定ではそのまま返す。
+ */
+export function withReadingType(schema, type) {
+  const ids = READING_TYPES[type]?.sections || [];
+  if (!ids.length) return schema;
+  return {
+    ...schema,
+    properties: {
+      ...schema.properties,
+      sections: {
+        type: "array",
+        description: renderPrompt("schema.sections"),
+        items: {
+          type: "object",
+          properties: {
+            id: { type: "string", enum: ids },
+            reading: { type: "string" },
+          },
+          required: ["id", "reading"],
+        },
+      },
+    },
+    required: [...schema.required, "sections"],
+  };
+}
+
+// 鑑定のプロンプトに足す、種類ごとの重点とセクションの指示
+export function readingTypePrompt(type) {
+  const ids = READING_TYPES[type]?.sections || [];
+  if (!ids.length) return "";
+  return renderPrompt("readingType", {
+    type: readingTypeLabel(type),
+    focus: renderPrompt(`readingTypes.${type}.focus`),
+    sections: ids.map((id) => renderPrompt("readingTypeSection", { id, label: sectionLabel(type, id) })).join(t("common.listSeparator")),
+  });
+}
+
+// 精霊の定義に足す、種類に合わせた作風の指示
+export const spiritStylePrompt = (type) => (type === DEFAULT_READING_TYPE ? "" : renderPrompt(`readingTypes.${type}.spirit`));
+
+/**
+ * 表示用のテーマ別セクション。種類に無い id は除き、見出しを表示言語で付ける。
+ * モデルが同じ id を繰り返したときは最初の1つだけを使うので、id は重複しない。
+ * @returns {Array<{ id: string, title: string, reading: string }>}
+ */
+export function readingSections(report) {
+  const type = readingTypeOf(report);
+  const ids = READING_TYPES[type].sections;
+  const seen = new Set();
+  return (report?.sections || [])
+    .filter((section) => {
+      if (!ids.includes(section.id) || !section.reading || seen.has(section.id)) return false;
+      seen.add(section.id);
+      return true;
+    })
+    .map((section) => ({ ...section, title: sectionLabel(type, section.id) }));
+}
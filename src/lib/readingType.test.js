@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { readingSections } from "./readingType";
+
+describe("readingSections", () => {
+  it("keeps only the first section when the model repeats an id", () => {
+    const sections = readingSections({
+      readingType: "love",
+      sections: [
+        { id: "tendency", reading: "first" },
+        { id: "encounter", reading: "meet" },
+        { id: "tendency", reading: "again" },
+      ],
+    });
+    expect(sections.map(({ id, reading }) => [id, reading])).toEqual([
+      ["tendency", "first"],
+      ["encounter", "meet"],
+    ]);
+  });
+
+  it("skips ids of other types and empty readings before picking the first", () => {
+    const sections = readingSections({
+      readingType: "career",
+      sections: [
+        { id: "tendency", reading: "love section" },
+        { id: "aptitude", reading: "" },
+        { id: "aptitude", reading: "filled" },
+      ],
+    });
+    expect(sections).toHaveLength(1);
+    expect(sections[0]).toMatchObject({ id: "aptitude", reading: "filled" });
+    expect(sections[0].title).toBeTruthy();
+  });
+
+  it("returns nothing for general readings and older records", () => {
+    expect(readingSections({ sections: [{ id: "tendency", reading: "x" }] })).toEqual([]);
+    expect(readingSections(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,396 @@
+import { honorific, t } from "./i18n";
+import { renderPrompt } from "./promptTemplates";
+import { readingSections, readingTypeLabel, readingTypeOf } from "./readingType";
+
+export const LINE_IDS = ["life", "head", "heart"];
+
+// 線・手の表示名は表示言語に合わせる
+export const lineLabel = (id) => (LINE_IDS.includes(id) ? t(`report.lineNames.${id}`) : "");
+
+export const handLabel = (hand) => t(`report.hands.${hand === "left" ? "left" : "right"}`);
+
+// スキーマの description はモデルへの指示なので、プロンプトと同じく表示言語の文面（prompts.schema.*）を使う
+const schemaText = (key) => renderPrompt(`schema.${key}`);
+
+const contrastSchema = () => ({
+  type: "object",
+  description: schemaText("contrast"),
+  properties: {
+    innate: { type: "string" },
+    acquired: { type: "string" },
+  },
+  required: ["innate", "acquired"],
+});
+
+// 画像上の位置。画像の左上を原点とし、x・y とも幅・高さを 0〜1000 とした整数で表す
+const pointsSchema = (description) => ({
+  type: "array",
+  description,
+  items: {
+    type: "object",
+    properties: {
+      x: { type: "integer" },
+      y: { type: "integer" },
+    },
+    required: ["x", "y"],
+  },
+});
+
+const adviceSchema = () => ({
+  type: "array",
+  description: schemaText("advice"),
+  items: {
+    type: "object",
+    properties: {
+      title: { type: "string" },
+      detail: { type: "string" },
+    },
+    required: ["title", "detail"],
+  },
+});
+
+// 鑑定書のレスポンススキーマ（JSON Schemaのサブセット。プロバイダごとの変換はプロキシ側で行う）。
+// description を表示言語で作るので、送るたびに呼び出す
+export const reportSchema = () => ({
+  type: "object",
+  properties: {
+    overall: { type: "string", description: schemaText("overall") },
+    lines: {
+      type: "array",
+      description: schemaText("lines"),
+      items: {
+        type: "object",
+        properties: {
+          id: { type: "string", enum: LINE_IDS },
+          name: { type: "string", description: schemaText("lineName") },
+          strength: { type: "integer", description: schemaText("lineStrength") },
+          length: { type: "integer", description: schemaText("lineLength") },
+          reading: { type: "string", description: schemaText("lineReading") },
+          points: pointsSchema(schemaText("linePoints")),
+        },
+        required: ["id", "name", "strength", "length", "reading"],
+      },
+    },
+    mounts: {
+      type: "array",
+      description: schemaText("mounts"),
+      items: {
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          reading: { type: "string" },
+          points: pointsSchema(schemaText("mountPoints")),
+        },
+        required: ["name", "reading"],
+      },
+    },
+    advice: adviceSchema(),
+  },
+  required: ["overall", "lines", "mounts", "advice"],
+});
+
+const withContrast = (itemSchema) => ({
+  ...itemSchema,
+  properties: { ...itemSchema.properties, contrast: contrastSchema() },
+  required: [...itemSchema.required, "contrast"],
+});
+
+// 両手鑑定では全体・各線・各掌丘に先天／後天の対比を追加する
+export function dualReportSchema() {
+  const schema = reportSchema();
+  return {
+    ...schema,
+    properties: {
+      ...schema.properties,
+      overallContrast: contrastSchema(),
+      lines: { ...schema.properties.lines, items: withContrast(schema.properties.lines.items) },
+      mounts: { ...schema.properties.mounts, items: withContrast(schema.properties.mounts.items) },
+    },
+    required: [...schema.required, "overallContrast"],
+  };
+}
+
+// 相性鑑定（二人分の手相）のスキーマ。score はいずれも0〜100
+export const compatibilitySchema = () => ({
+  type: "object",
+  properties: {
+    overall: { type: "string", description: schemaText("pairOverall") },
+    score: { type: "integer", description: schemaText("pairScore") },
+    people: {
+      type: "array",
+      description: schemaText("pairPeople"),
+      items: {
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          traits: { type: "string" },
+        },
+        required: ["name", "traits"],
+      },
+    },
+    lines: {
+      type: "array",
+      description: schemaText("pairLines"),
+      items: {
+        type: "object",
+        properties: {
+          id: { type: "string", enum: LINE_IDS },
+          name: { type: "string", description: schemaText("pairLineName") },
+          score: { type: "integer", description: schemaText("pairLineScore") },
+          first: { type: "string", description: schemaText("pairFirst") },
+          second: { type: "string", description: schemaText("pairSecond") },
+          reading: { type: "string", description: schemaText("pairLineReading") },
+        },
+        required: ["id", "name", "score", "first", "second", "reading"],
+      },
+    },
+    advice: adviceSchema(),
+  },
+  required: ["overall", "score", "people", "lines", "advice"],
+});
+
+const str = (value) => (typeof value === "string" ? value.trim() : "");
+const list = (value) => (Array.isArray(value) ? value.filter((item) => item && typeof item === "object") : []);
+
+// 1〜5に丸める。値が無いときは0（未評価）
+const rating = (value) => {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) && n > 0 ? Math.min(5, n) : 0;
+};
+
+const coordinate = (value) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(1000, Math.max(0, n)) : null;
+};
+
+const points = (value) =>
+  list(value)
+    .map((point) => ({ x: coordinate(point.x), y: coordinate(point.y) }))
+    .filter((point) => point.x !== null && point.y !== null);
+
+const contrast = (value) => {
+  const innate = str(value?.innate);
+  const acquired = str(value?.acquired);
+  return innate || acquired ? { innate, acquired } : null;
+};
+
+export function normalizeReport(raw) {
+  const source = raw && typeof raw === "object" ? raw : {};
+  return {
+    overall: str(source.overall),
+    overallContrast: contrast(source.overallContrast),
+    lines: list(source.lines).map((line) => ({
+      id: LINE_IDS.includes(line.id) ? line.id : "",
+      name: str(line.name) || lineLabel(line.id),
+      strength: rating(line.strength),
+      length: rating(line.length),
+      reading: str(line.reading),
+      contrast: contrast(line.contrast),
+      points: points(line.points),
+    })),
+    mounts: list(source.mounts).map((mount) => ({
+      name: str(mount.name),
+      reading: str(mount.reading),
+      contrast: contrast(mount.contrast),
+      points: points(mount.points),
+    })),
+    advice: list(source.advice).map((item) => ({ title: str(item.title), detail: str(item.detail) })),
+    sections: list(source.sections).map((section) => ({ id: str(section.id), reading: str(section.reading) })),
+  };
+}
+
+// 鑑定書の各セクションの要素ID。手相マップから該当箇所へ移動するのに使う
+export const reportSectionId = (kind, key) => `report-${kind}-${key}`;
+
+export const hasAnnotations = (report) =>
+  Boolean(report?.lines?.some((line) => line.points?.length >= 2) || report?.mounts?.some((mount) => mount.points?.length));
+
+// 先天／後天の見出し。dominant は利き手（"left" | "right"）
+export function contrastLabels(dominant) {
+  return {
+    innate: t("report.innate", { hand: handLabel(dominant === "left" ? "right" : "left") }),
+    acquired: t("report.acquired", { hand: handLabel(dominant) }),
+  };
+}
+
+const score = (value) => {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.min(100, Math.max(0, n)) : null;
+};
+
+export function normalizeCompatibilityReport(raw) {
+  const source = raw && typeof raw === "object" ? raw : {};
+  return {
+    overall: str(source.overall),
+    score: score(source.score),
+    people: list(source.people).map((person) => ({ name: str(person.name), traits: str(person.traits) })),
+    lines: list(source.lines).map((line) => ({
+      id: LINE_IDS.includes(line.id) ? line.id : "",
+      name: str(line.name) || lineLabel(line.id),
+      score: score(line.score),
+      first: str(line.first),
+      second: str(line.second),
+      reading: str(line.reading),
+    })),
+    advice: list(source.advice).map((item) => ({ title: str(item.title), detail: str(item.detail) })),
+    sections: list(source.sections).map((section) => ({ id: str(section.id), reading: str(section.reading) })),
+  };
+}
+
+export const isReportComplete = (report) => Boolean(report?.overall && report.lines.length);
+
+const stripFence = (text) => text.replace(/^\s*```(?:json)?\s*/i, "").replace(/\s*```\s*$/, "");
+
+const tryParse = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * ストリーミング途中の不完全なJSONを、閉じていない文字列・括弧を補って読めるところまで解釈する。
+ * 末尾が書きかけのキーや値で壊れている場合は、直前の区切りまで戻して再試行する。
+ */
+export function parsePartialJson(text = "") {
+  const source = stripFence(text);
+  const start = source.indexOf("{");
+  if (start < 0) return null;
+  let body = source.slice(start);
+
+  const complete = tryParse(body);
+  if (complete !== undefined) return complete;
+
+  const stack = [];
+  const cuts = [];
+  let inString = false;
+  let escaped = false;
+  for (let i = 0; i < body.length; i += 1) {
+    const ch = body[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === "{" || ch === "[") {
+      stack.push(ch === "{" ? "}" : "]");
+      cuts.push({ index: i + 1, closers: [...stack] });
+    } else if (ch === "}" || ch === "]") {
+      stack.pop();
+      cuts.push({ index: i + 1, closers: [...stack] });
+    } else if (ch === ",") {
+      cuts.push({ index: i, closers: [...stack] });
+    }
+  }
+
+  const close = (closers) => [...closers].reverse().join("");
+  if (inString) body = `${escaped ? body.slice(0, -1) : body}"`;
+
+  const repaired = tryParse(body + close(stack));
+  if (repaired !== undefined) return repaired;
+
+  for (const cut of cuts.slice(-8).reverse()) {
+    const candidate = tryParse(body.slice(0, cut.index) + close(cut.closers));
+    if (candidate !== undefined) return candidate;
+  }
+  return null;
+}
+
+export function parseReport(text, normalize = normalizeReport) {
+  const parsed = tryParse(stripFence(text).trim());
+  return parsed && typeof parsed === "object" ? normalize(parsed) : null;
+}
+
+export const ratingStars = (value) => (value ? `${"★".repeat(value)}${"☆".repeat(5 - value)}` : "—");
+
+export const pairTitle = ([first, second]) => t("report.pairTitle", { first: honorific(first), second: honorific(second) });
+
+export const readingTitle = (name) => t("report.title", { name: honorific(name) });
+
+// 恋愛運・仕事運などの種類別セクション。総合鑑定では空文字
+function themeMarkdown(report) {
+  const themed = readingSections(report);
+  if (!themed.length) return "";
+  const heading = t("report.themeTitle", { type: readingTypeLabel(readingTypeOf(report)) });
+  return `## ${heading}\n\n${themed.map((section) => `### ${section.title}\n\n${section.reading}`).join("\n\n")}`;
+}
+
+function compatibilityToMarkdown(report) {
+  const [first, second] = report.pair.names;
+  const sections = [`# ${pairTitle(report.pair.names)}`];
+
+  if (report.score !== null) sections.push(`**${t("report.totalScoreValue", { score: report.score })}**`);
+  if (report.overall) sections.push(`## ${t("report.pairOverall")}\n\n${report.overall}`);
+  const theme = themeMarkdown(report);
+  if (theme) sections.push(theme);
+
+  if (report.people.length) {
+    sections.push(
+      `## ${t("report.people")}\n\n${report.people
+        .map((person, idx) => `- **${honorific(person.name || report.pair.names[idx])}**: ${person.traits}`)
+        .join("\n")}`
+    );
+  }
+
+  if (report.lines.length) {
+    const lines = report.lines.map(
+      (line) =>
+        `### ${t("report.lineScore", { name: line.name, score: line.score ?? "—" })}\n\n- ${honorific(first)}: ${line.first}\n- ${honorific(second)}: ${line.second}\n\n${line.reading}`
+    );
+    sections.push(`## ${t("report.pairLines")}\n\n${lines.join("\n\n")}`);
+  }
+
+  if (report.advice.length) {
+    sections.push(
+      `## ${t("report.pairAdvice")}\n\n${report.advice.map((item, idx) => `${idx + 1}. **${item.title}**: ${item.detail}`).join("\n")}`
+    );
+  }
+
+  return sections.join("\n\n");
+}
+
+// コピーやチャット・精霊生成のコンテキストに使うMarkdown版
+export function reportToMarkdown(report, displayName) {
+  if (!report) return "";
+  if (report.pair) return compatibilityToMarkdown(report);
+  const sections = [`# ${readingTitle(displayName)}`];
+  const labels = contrastLabels(report.hands?.dominant);
+  const contrastText = (value) =>
+    value ? `\n\n> **${labels.innate}**: ${value.innate}\n>\n> **${labels.acquired}**: ${value.acquired}` : "";
+
+  if (report.hands) sections.push(t("report.dualSummary", { hand: handLabel(report.hands.dominant) }));
+
+  if (report.overall) sections.push(`## ${t("report.overall")}\n\n${report.overall}${contrastText(report.overallContrast)}`);
+  const theme = themeMarkdown(report);
+  if (theme) sections.push(theme);
+
+  if (report.lines.length) {
+    const lines = report.lines.map(
+      (line) =>
+        `### ${line.name}\n\n- ${t("report.strength")}: ${ratingStars(line.strength)}\n- ${t("report.length")}: ${ratingStars(line.length)}\n\n${line.reading}${contrastText(line.contrast)}`
+    );
+    sections.push(`## ${t("report.lines")}\n\n${lines.join("\n\n")}`);
+  }
+
+  if (report.mounts.length) {
+    const mounts = report.mounts.map((mount) =>
+      mount.contrast
+        ? `### ${mount.name}\n\n${mount.reading}${contrastText(mount.contrast)}`
+        : `- **${mount.name}**: ${mount.reading}`
+    );
+    const separator = report.mounts.some((mount) => mount.contrast) ? "\n\n" : "\n";
+    sections.push(`## ${t("report.mounts")}\n\n${mounts.join(separator)}`);
+  }
+
+  if (report.advice.length) {
+    sections.push(
+      `## ${t("report.advice")}\n\n${report.advice.map((item, idx) => `${idx + 1}. **${item.title}**: ${item.detail}`).join("\n")}`
+    );
+  }
+
+  return sections.join("\n\n");
+}
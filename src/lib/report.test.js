@@ -0,0 +1,61 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { followUpSchema } from "./chatHistory";
+import { getLocale, LOCALES, setLocale } from "./i18n";
+import { palmCheckSchema } from "./quality";
+import { withReadingType } from "./readingType";
+import { compatibilitySchema, dualReportSchema, reportSchema } from "./report";
+import { pairSpiritSchema, spiritSchema } from "./spirit";
+
+const initialLocale = getLocale();
+
+afterEach(() => {
+  setLocale(initialLocale);
+});
+
+function descriptionsOf(schema) {
+  if (!schema || typeof schema !== "object") return [];
+  return [
+    ...(typeof schema.description === "string" ? [schema.description] : []),
+    ...Object.values(schema.properties || {}).flatMap(descriptionsOf),
+    ...descriptionsOf(schema.items),
+  ];
+}
+
+const JAPANESE = /[\p{Script=Hiragana}\p{Script=Katakana}]/u;
+
+describe("response schemas", () => {
+  it.each([
+    ["report", () => withReadingType(reportSchema(), "love")],
+    ["dual report", () => dualReportSchema()],
+    ["compatibility", () => compatibilitySchema()],
+    ["spirit", () => spiritSchema()],
+    ["pair spirit", () => pairSpiritSchema()],
+    ["palm check", () => palmCheckSchema()],
+    ["follow-ups", () => followUpSchema()],
+  ])("describes the %s fields in the display language", (_, build) => {
+    setLocale("ja");
+    const ja = descriptionsOf(build());
+    expect(ja.length).toBeGreaterThan(0);
+    expect(ja.every((text) => text.trim())).toBe(true);
+
+    for (const locale of Object.keys(LOCALES).filter((code) => code !== "ja")) {
+      setLocale(locale);
+      const localized = descriptionsOf(build());
+      expect(localized).toHaveLength(ja.length);
+      expect(localized.some((text) => JAPANESE.test(text))).toBe(false);
+    }
+  });
+
+  it("uses the English texts for English requests", () => {
+    setLocale("en");
+    expect(reportSchema().properties.lines.items.properties.name.description).toBe("Display name of the line (e.g. Life line)");
+  });
+
+  it("adds the contrast to every line and mount in dual readings", () => {
+    const schema = dualReportSchema();
+    expect(schema.required).toContain("overallContrast");
+    expect(schema.properties.lines.items.required).toContain("contrast");
+    expect(schema.properties.mounts.items.required).toContain("contrast");
+    expect(reportSchema().properties.lines.items.required).not.toContain("contrast");
+  });
+});
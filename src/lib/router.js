@@ -0,0 +1,59 @@
+// 画面の切り替えを URL の hash に載せる。ブラウザの戻る・進むと再読み込みで同じ画面に戻れるようにする
+//   #/                 入力
+//   #/loading          鑑定中
+//   #/result           保存していない鑑定結果
+//   #/reading/<id>     履歴に保存した鑑定結果（直接リンクで開ける）
+//   #/history          鑑定履歴
+//   #/settings         設定
+//   #/admin            プロンプトテンプレートの編集（画面からのリンクは無い）
+export const VIEWS = {
+  INPUT: "input",
+  LOADING: "loading",
+  RESULT: "result",
+  HISTORY: "history",
+  SETTINGS: "settings",
+  ADMIN: "admin",
+};
+
+const PATHS = {
+  [VIEWS.INPUT]: "",
+  [VIEWS.LOADING]: "loading",
+  [VIEWS.RESULT]: "result",
+  [VIEWS.HISTORY]: "history",
+  [VIEWS.SETTINGS]: "settings",
+  [VIEWS.ADMIN]: "admin",
+};
+
+// 手で打ち込まれた壊れたURLでも落ちないようにする
+const safeDecode = (part) => {
+  try {
+    return decodeURIComponent(part);
+  } catch {
+    return part;
+  }
+};
+
+/**
+ * hash を { view, readingId? } にする。知らないパスは入力画面として扱う。
+ */
+export function parseRoute(hash = window.location.hash) {
+  const [path = "", id] = hash.replace(/^#\/?/, "").split("/").map(safeDecode);
+  if (path === "reading" && id) return { view: VIEWS.RESULT, readingId: id };
+  const view = Object.keys(PATHS).find((key) => PATHS[key] === path);
+  return { view: view || VIEWS.INPUT };
+}
+
+export function routeHash({ view, readingId }) {
+  if (view === VIEWS.RESULT && readingId) return `#/reading/${encodeURIComponent(readingId)}`;
+  return `#/${PATHS[view] ?? ""}`;
+}
+
+/**
+ * URL を書き換える。pushState では popstate が発火しないので、画面の state は呼び出し側で切り替える。
+ * replace のときは履歴を積まずに今の項目を差し替える（鑑定中 → 結果など、戻る先に残したくない遷移）。
+ */
+export function writeRoute(route, { replace = false } = {}) {
+  const hash = routeHash(route);
+  if (hash === window.location.hash || (hash === "#/" && !window.location.hash)) return;
+  window.history[replace ? "replaceState" : "pushState"](null, "", hash);
+}
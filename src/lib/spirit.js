@@ -0,0 +1,120 @@
+import { honorific, t } from "./i18n";
+import { renderPrompt } from "./promptTemplates";
+
+// 守護精霊の定義。名前・属性・性格・伝承と、画像生成用のプロンプトを構造化データで受け取る。
+// description は表示言語で作るので、送るたびに呼び出す
+export const spiritSchema = () => ({
+  type: "object",
+  properties: {
+    name: { type: "string", description: renderPrompt("schema.spiritName") },
+    element: { type: "string", description: renderPrompt("schema.spiritElement") },
+    personality: { type: "string", description: renderPrompt("schema.spiritPersonality") },
+    lore: { type: "string", description: renderPrompt("schema.spiritLore") },
+    imagePrompt: { type: "string", description: renderPrompt("schema.spiritImagePrompt") },
+  },
+  required: ["name", "element", "personality", "lore", "imagePrompt"],
+});
+
+// 相性鑑定で召喚する、二人で対になる守護精霊
+export const pairSpiritSchema = () => ({
+  type: "object",
+  properties: {
+    spirits: {
+      type: "array",
+      description: renderPrompt("schema.pairSpirits"),
+      items: spiritSchema(),
+    },
+  },
+  required: ["spirits"],
+});
+
+// 同じ定義から何枚の別案を描くか
+export const VARIATION_COUNT = 3;
+
+// ギャラリーに残す召喚結果の上限（画像を data URL で持つので履歴の容量を抑える）
+export const MAX_GALLERY = 12;
+
+// ギャラリーの一覧に並べるサムネイルの長辺
+export const GALLERY_THUMB_DIMENSION = 320;
+
+const asText = (value) => (typeof value === "string" ? value.trim() : "");
+
+export function normalizeSpirit(spirit) {
+  return {
+    name: asText(spirit?.name) || t("spirit.defaultName"),
+    element: asText(spirit?.element),
+    personality: asText(spirit?.personality),
+    lore: asText(spirit?.lore),
+    imagePrompt: asText(spirit?.imagePrompt),
+  };
+}
+
+export function parseSpirit(text) {
+  try {
+    const spirit = JSON.parse(text);
+    return spirit && typeof spirit === "object" ? normalizeSpirit(spirit) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function parsePairSpirits(text) {
+  try {
+    const spirits = JSON.parse(text)?.spirits;
+    if (!Array.isArray(spirits) || spirits.length < 2) return null;
+    return spirits.slice(0, 2).map(normalizeSpirit);
+  } catch {
+    return null;
+  }
+}
+
+export const createSpiritId = () =>
+  globalThis.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+const profileOf = ({ name, element, personality, lore }) => ({ name, element, personality, lore });
+
+/**
+ * ギャラリーの1件（1体または対になる2体）を、鑑定に添える精霊の表示用データにする。
+ * @param {{ id: string, spirits: Array<object> }} entry
+ * @param {string[]} names 精霊の持ち主の表示名（相性鑑定では二人分）
+ */
+export function toAttachedSpirit(entry, names) {
+  const [first, second] = entry.spirits;
+  if (!second) {
+    return {
+      status: "done",
+      entryId: entry.id,
+      img: first.img || first.thumb,
+      caption: t("spirit.caption", { name: first.name }),
+      provider: first.provider,
+      profile: profileOf(first),
+    };
+  }
+  return {
+    status: "done",
+    entryId: entry.id,
+    img: first.img || first.thumb,
+    caption: t("spirit.pairCaption", { first: first.name, second: second.name }),
+    provider: first.provider,
+    pair: entry.spirits.map((spirit, idx) => ({
+      img: spirit.img || spirit.thumb,
+      caption: t("spirit.ownerCaption", { owner: honorific(names[idx]), name: spirit.name }),
+      provider: spirit.provider,
+      profile: profileOf(spirit),
+    })),
+  };
+}
+
+/**
+ * 履歴に保存するギャラリー。鑑定に添えている1件だけ元の画像を残し、ほかはサムネイルだけにする。
+ * 読み込み後にサムネイルだけの1件を選ぶと、そのサムネイルが精霊の画像になる。
+ * @param {Array<{ id: string, spirits: Array<object> }>} gallery
+ * @param {string} [selectedId] 鑑定に添えている1件の id
+ */
+export function galleryForStorage(gallery, selectedId) {
+  return gallery.map((entry) =>
+    entry.id === selectedId
+      ? entry
+      : { ...entry, spirits: entry.spirits.map(({ img, ...spirit }) => (spirit.thumb ? spirit : { ...spirit, img })) }
+  );
+}
@@ -0,0 +1,51 @@
+import { describe, expect, it } from "vitest";
+import { galleryForStorage, toAttachedSpirit } from "./spirit";
+
+const spirit = (name, extra) => ({ name, element: "", personality: "", lore: "", imagePrompt: "", provider: "imagen", ...extra });
+
+describe("galleryForStorage", () => {
+  const gallery = [
+    { id: "a", seed: 1, spirits: [spirit("A", { img: "data:a-full", thumb: "data:a-thumb" })] },
+    {
+      id: "b",
+      seed: 2,
+      spirits: [spirit("B1", { img: "data:b1-full", thumb: "data:b1-thumb" }), spirit("B2", { img: "data:b2-full", thumb: "data:b2-thumb" })],
+    },
+    { id: "c", seed: 3, spirits: [spirit("C", { img: "data:c-full" })] },
+  ];
+
+  it("keeps the full image only for the selected entry", () => {
+    const [a, b] = galleryForStorage(gallery, "b");
+    expect(a.spirits[0]).not.toHaveProperty("img");
+    expect(a.spirits[0].thumb).toBe("data:a-thumb");
+    expect(b).toBe(gallery[1]);
+  });
+
+  it("keeps the image of drawings that have no thumbnail", () => {
+    expect(galleryForStorage(gallery, "a")[2].spirits[0].img).toBe("data:c-full");
+  });
+
+  it("does not change the gallery it is given", () => {
+    galleryForStorage(gallery);
+    expect(gallery[0].spirits[0].img).toBe("data:a-full");
+  });
+});
+
+describe("toAttachedSpirit", () => {
+  it("falls back to the thumbnail for entries stored without the full image", () => {
+    const [a, b] = galleryForStorage(
+      [
+        { id: "a", spirits: [spirit("A", { img: "data:a-full", thumb: "data:a-thumb" })] },
+        {
+          id: "b",
+          spirits: [spirit("B1", { img: "data:b1-full", thumb: "data:b1-thumb" }), spirit("B2", { img: "data:b2-full", thumb: "data:b2-thumb" })],
+        },
+      ],
+      "none"
+    );
+    expect(toAttachedSpirit(a, ["X"])).toMatchObject({ entryId: "a", img: "data:a-thumb" });
+    const pair = toAttachedSpirit(b, ["X", "Y"]);
+    expect(pair.img).toBe("data:b1-thumb");
+    expect(pair.pair.map((member) => member.img)).toEqual(["data:b1-thumb", "data:b2-thumb"]);
+  });
+});
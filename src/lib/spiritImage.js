@@ -0,0 +1,186 @@
+import { isMockApi, secureApiCall } from "./api";
+import { ERROR_KINDS, isAbortError } from "./apiError";
+import { t } from "./i18n";
+
+// 精霊画像の生成元。上から順に試し、失敗したら次へ回す
+export const SPIRIT_IMAGE_PROVIDERS = ["imagen", "pollinations", "procedural"];
+
+const CARD_SIZE = 1024;
+
+const STYLE_SUFFIX = "detailed spiritual digital art, cinematic lighting";
+
+const readBlobAsDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = reject;
+    reader.readAsDataURL(blob);
+  });
+
+// プロキシ経由の Imagen（predict）。課金・無料枠のエラーでもモーダルは出さず、次の生成元に回す
+// Gemini API の Imagen は seed を受け付けないので、描き分けの違いはモデル側の揺らぎに任せる（同じ seed でも同じ絵にはならない）
+async function fromImagen(prompt, signal) {
+  const res = await secureApiCall("spirit", { prompt: `Mystical ethereal fantasy spirit, ${prompt}, ${STYLE_SUFFIX}` }, { op: "image", signal });
+  const image = res?.images?.[0];
+  if (!image?.data) throw new Error(t("spirit.imagenEmpty"));
+  return `data:${image.mimeType || "image/png"};base64,${image.data}`;
+}
+
+// 課金・APIキー・プロキシ未対応（501）の失敗は何度試しても同じなので、ページを開いている間は Imagen を飛ばす
+const isLastingImagenFailure = (error) =>
+  error?.kind === ERROR_KINDS.BILLING ||
+  error?.kind === ERROR_KINDS.INVALID_KEY ||
+  error?.status === 501 ||
+  error?.code === "UNIMPLEMENTED";
+
+// "unknown" | "available" | "unavailable"
+let imagenState = "unknown";
+let imagenProbe = null;
+
+// 使えるか分からないうちは Imagen を1件ずつ試し、同時に来た描画はその結果を待つ
+// （ペアの変化形などでまとめて送ると、使えない Imagen に同じ失敗を何件も送ることになる）
+async function fromImagenOnce(prompt, signal) {
+  while (imagenState === "unknown" && imagenProbe) {
+    await imagenProbe;
+    signal?.throwIfAborted();
+  }
+  if (imagenState === "unavailable") throw new Error("Imagen is unavailable in this session");
+  const attempt = fromImagen(prompt, signal);
+  if (imagenState === "unknown") {
+    imagenProbe = attempt
+      .then(
+        () => (imagenState = "available"),
+        (error) => {
+          if (isLastingImagenFailure(error)) imagenState = "unavailable";
+        }
+      )
+      .finally(() => (imagenProbe = null));
+  }
+  return attempt;
+}
+
+async function fromPollinations(prompt, seed, signal) {
+  const url = `https://image.pollinations.ai/prompt/${encodeURIComponent(
+    `Mystical ethereal fantasy spirit, ${prompt}, ${STYLE_SUFFIX}`
+  )}?width=1024&height=1024&nologo=true&seed=${seed}`;
+  const res = await fetch(url, { signal });
+  if (!res.ok) throw new Error(t("spirit.fallbackFailed"));
+  return readBlobAsDataUrl(await res.blob());
+}
+
+// 文字列から決まる擬似乱数（同じ名前なら同じ模様になる）
+function seededRandom(text) {
+  let state = 2166136261;
+  for (const char of text) state = Math.imul(state ^ char.codePointAt(0), 16777619);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 画像生成サービスがどれも使えないときの、端末内で描く精霊カード。
+ * 名前と seed から色と対称模様を決めるので、同じ精霊は何度描いても同じ姿になる。
+ */
+export function renderProceduralSpirit({ name, seed = "" }) {
+  const random = seededRandom(`${name}:${seed}`);
+  const size = CARD_SIZE;
+  const center = size / 2;
+  const hue = Math.floor(random() * 360);
+  const accentHue = (hue + 120 + Math.floor(random() * 120)) % 360;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext("2d");
+
+  const background = ctx.createRadialGradient(center, center * 0.9, 0, center, center, size * 0.75);
+  background.addColorStop(0, `hsl(${hue}, 60%, 28%)`);
+  background.addColorStop(1, "#020617");
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, size, size);
+
+  ctx.globalCompositeOperation = "lighter";
+  for (let i = 0; i < 160; i += 1) {
+    ctx.fillStyle = `hsla(${accentHue}, 90%, 85%, ${random() * 0.6})`;
+    ctx.beginPath();
+    ctx.arc(random() * size, random() * size, random() * 2.5 + 0.5, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  // 花弁を対称に重ねた曼荼羅で精霊の姿を表す
+  const symmetry = 6 + Math.floor(random() * 7);
+  const layers = 3 + Math.floor(random() * 3);
+  ctx.translate(center, center * 0.9);
+  for (let layer = 0; layer < layers; layer += 1) {
+    const reach = size * (0.14 + random() * 0.24);
+    const spread = reach * (0.2 + random() * 0.4);
+    const layerHue = layer % 2 ? accentHue : hue;
+    ctx.strokeStyle = `hsla(${layerHue}, 85%, 70%, 0.55)`;
+    ctx.fillStyle = `hsla(${layerHue}, 80%, 60%, 0.08)`;
+    ctx.lineWidth = 2 + random() * 3;
+    for (let petal = 0; petal < symmetry; petal += 1) {
+      ctx.save();
+      ctx.rotate((petal / symmetry) * Math.PI * 2 + layer * 0.3);
+      ctx.beginPath();
+      ctx.moveTo(0, 0);
+      ctx.quadraticCurveTo(spread, -reach / 2, 0, -reach);
+      ctx.quadraticCurveTo(-spread, -reach / 2, 0, 0);
+      ctx.fill();
+      ctx.stroke();
+      ctx.restore();
+    }
+  }
+
+  const core = ctx.createRadialGradient(0, 0, 0, 0, 0, size * 0.12);
+  core.addColorStop(0, "rgba(255, 255, 255, 0.95)");
+  core.addColorStop(0.4, `hsla(${accentHue}, 90%, 75%, 0.6)`);
+  core.addColorStop(1, "rgba(0, 0, 0, 0)");
+  ctx.fillStyle = core;
+  ctx.beginPath();
+  ctx.arc(0, 0, size * 0.12, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalCompositeOperation = "source-over";
+
+  ctx.textAlign = "center";
+  ctx.fillStyle = `hsl(${accentHue}, 80%, 85%)`;
+  ctx.font = "700 28px 'Noto Sans JP', sans-serif";
+  ctx.fillText("GUARDIAN SPIRIT", center, size - 150);
+  ctx.fillStyle = "#ffffff";
+  ctx.font = "900 64px 'Noto Sans JP', sans-serif";
+  ctx.fillText(name, center, size - 80, size - 120);
+
+  return canvas.toDataURL("image/jpeg", 0.9);
+}
+
+/**
+ * 精霊画像を Imagen → pollinations.ai → 端末内の精霊カード の順に生成する。
+ * 最後の精霊カードは失敗しないので、召喚自体は必ず成功する（signal で中断した場合は AbortError）。
+ * seed が効くのは pollinations.ai と精霊カードだけで、Imagen では使われない。
+ * @returns {Promise<{ img: string, provider: "imagen" | "pollinations" | "procedural" }>}
+ */
+export async function generateSpiritImage({ prompt, name, seed = Date.now(), signal }) {
+  const attempts = {
+    imagen: () => fromImagenOnce(prompt, signal),
+    pollinations: () => fromPollinations(prompt, seed, signal),
+    procedural: async () => renderProceduralSpirit({ name, seed }),
+  };
+
+  for (const provider of SPIRIT_IMAGE_PROVIDERS) {
+    // 模擬バックエンドで動かしているときは外部サービスにも送らない
+    if (isMockApi && provider === "pollinations") continue;
+    if (provider === "imagen" && imagenState === "unavailable") continue;
+    signal?.throwIfAborted();
+    try {
+      return { img: await attempts[provider](), provider };
+    } catch (error) {
+      // 中断されたら次の生成元には回さない
+      if (isAbortError(error)) throw error;
+      console.warn(`Spirit image via ${provider} failed${error?.kind ? ` (${error.kind})` : ""}:`, error);
+    }
+  }
+  throw new Error(t("spirit.failed"));
+}
@@ -0,0 +1,83 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+// Imagen の可否はモジュールに覚えるので、テストごとに読み込み直す
+async function load() {
+  vi.resetModules();
+  return import("./spiritImage");
+}
+
+const jsonResponse = (status, body) => new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+
+const errorResponse = (status, code, message = code) => jsonResponse(status, { error: { code: status, message, status: code } });
+
+const imagenOk = () => jsonResponse(200, { images: [{ mimeType: "image/png", data: "AAAA" }] });
+
+// プロキシ（Imagen）への応答だけ差し替え、pollinations.ai は常に画像を返す
+let imagenReply;
+const imagenCalls = () => fetch.mock.calls.filter(([url]) => String(url).includes("/api/spirit"));
+
+beforeEach(() => {
+  vi.stubGlobal(
+    "fetch",
+    vi.fn(async (url) =>
+      String(url).includes("/api/spirit") ? imagenReply() : { ok: true, blob: async () => new Blob(["png"], { type: "image/png" }) }
+    )
+  );
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+  localStorage.clear();
+});
+
+const draw = (generateSpiritImage, seed = 1) => generateSpiritImage({ prompt: "a fox", name: "Kitsune", seed });
+
+describe("generateSpiritImage", () => {
+  it("uses Imagen while it works", async () => {
+    const { generateSpiritImage } = await load();
+    imagenReply = imagenOk;
+    await expect(draw(generateSpiritImage)).resolves.toEqual({ img: "data:image/png;base64,AAAA", provider: "imagen" });
+    await expect(draw(generateSpiritImage)).resolves.toMatchObject({ provider: "imagen" });
+    expect(imagenCalls()).toHaveLength(2);
+  });
+
+  it.each([
+    ["a billing error", () => errorResponse(400, "FAILED_PRECONDITION", "Imagen API is only accessible to billed users at this time.")],
+    ["an invalid key", () => errorResponse(400, "INVALID_ARGUMENT", "API key not valid. Please pass a valid API key.")],
+    ["an unsupported operation", () => errorResponse(501, "UNIMPLEMENTED", "Operation image is not supported by this provider")],
+  ])("skips Imagen for the rest of the session after %s", async (_, reply) => {
+    const { generateSpiritImage } = await load();
+    imagenReply = reply;
+    await expect(draw(generateSpiritImage)).resolves.toMatchObject({ provider: "pollinations" });
+    await expect(draw(generateSpiritImage, 2)).resolves.toMatchObject({ provider: "pollinations" });
+    expect(imagenCalls()).toHaveLength(1);
+  });
+
+  it("tries Imagen again after a passing failure", async () => {
+    const { generateSpiritImage } = await load();
+    imagenReply = () => errorResponse(500, "INTERNAL");
+    await expect(draw(generateSpiritImage)).resolves.toMatchObject({ provider: "pollinations" });
+    imagenReply = imagenOk;
+    await expect(draw(generateSpiritImage)).resolves.toMatchObject({ provider: "imagen" });
+    expect(imagenCalls()).toHaveLength(2);
+  });
+
+  it("sends only one Imagen call when several drawings start together and Imagen is unavailable", async () => {
+    const { generateSpiritImage } = await load();
+    imagenReply = () => errorResponse(403, "PERMISSION_DENIED", "Please enable billing for this project.");
+    const results = await Promise.all([1, 2, 3, 4, 5, 6].map((seed) => draw(generateSpiritImage, seed)));
+    expect(results.map((result) => result.provider)).toEqual(Array(6).fill("pollinations"));
+    expect(imagenCalls()).toHaveLength(1);
+  });
+
+  it("lets the waiting drawings use Imagen once the first one succeeds", async () => {
+    const { generateSpiritImage } = await load();
+    imagenReply = imagenOk;
+    const results = await Promise.all([1, 2, 3].map((seed) => draw(generateSpiritImage, seed)));
+    expect(results.map((result) => result.provider)).toEqual(["imagen", "imagen", "imagen"]);
+    expect(imagenCalls()).toHaveLength(3);
+  });
+});
@@ -0,0 +1,125 @@
+// モデルの利用量（呼び出し回数・トークン数・生成画像の枚数）を日ごと・機能ごとにこの端末に記録する。
+// 無料枠を使い切ってエラーになる前に、残りを見せて警告し、上限に達したら重い操作を止めるため
+export const USAGE_FEATURES = ["analysis", "spirit", "chat"];
+
+const USAGE_KEY = "aiteso:usage";
+const LIMITS_KEY = "aiteso:usageLimits";
+const KEEP_DAYS = 7;
+
+// 1日の予算のこの割合を超えたら警告する
+export const USAGE_WARN_RATIO = 0.8;
+
+const positiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// 既定の1日の予算。VITE_DAILY_REQUEST_BUDGET / VITE_DAILY_TOKEN_BUDGET で変えられ、設定画面で端末ごとに上書きできる
+export const DEFAULT_USAGE_LIMITS = {
+  requests: positiveInt(import.meta.env.VITE_DAILY_REQUEST_BUDGET, 250),
+  tokens: positiveInt(import.meta.env.VITE_DAILY_TOKEN_BUDGET, 1_000_000),
+  // 予算を使い切ったら鑑定と精霊の召喚を止める
+  blockAtLimit: true,
+};
+
+const emptyCounts = () => ({ requests: 0, tokens: 0, images: 0 });
+
+// 日付は端末の時刻で区切る（YYYY-MM-DD）
+const dayKey = (date = new Date()) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+
+function readJson(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function writeJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // localStorage が使えない環境では記録を保持しない
+  }
+}
+
+const listeners = new Set();
+
+/**
+ * 利用量が記録されるたびに呼ばれる listener を登録する。戻り値で解除する。
+ */
+export function subscribeUsage(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * 呼び出し1回分の利用量を記録する。usage はプロキシが返す { totalTokens, ... }（失敗や中断で無い場合もある）。
+ * @param {"analysis" | "spirit" | "chat"} feature
+ * @param {{ usage?: { totalTokens?: number }, images?: number }} details
+ */
+export function recordUsage(feature, { usage, images = 0 } = {}) {
+  const log = readJson(USAGE_KEY);
+  const today = dayKey();
+  const day = log[today] || {};
+  const counts = { ...emptyCounts(), ...day[feature] };
+  counts.requests += 1;
+  counts.tokens += usage?.totalTokens || 0;
+  counts.images += images;
+
+  // 古い日の記録は残さない
+  const kept = Object.keys(log)
+    .filter((key) => key !== today)
+    .sort()
+    .slice(-(KEEP_DAYS - 1));
+  writeJson(USAGE_KEY, {
+    ...Object.fromEntries(kept.map((key) => [key, log[key]])),
+    [today]: { ...day, [feature]: counts },
+  });
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * 今日の利用量。features は機能ごと、total はその合計。
+ * @returns {{ features: Record<string, { requests: number, tokens: number, images: number }>, total: { requests: number, tokens: number, images: number } }}
+ */
+export function getTodayUsage() {
+  const day = readJson(USAGE_KEY)[dayKey()] || {};
+  const features = Object.fromEntries(USAGE_FEATURES.map((feature) => [feature, { ...emptyCounts(), ...day[feature] }]));
+  const total = emptyCounts();
+  for (const counts of Object.values(features)) {
+    total.requests += counts.requests;
+    total.tokens += counts.tokens;
+    total.images += counts.images;
+  }
+  return { features, total };
+}
+
+export const getUsageLimits = () => ({ ...DEFAULT_USAGE_LIMITS, ...readJson(LIMITS_KEY) });
+
+export function setUsageLimits(limits) {
+  writeJson(LIMITS_KEY, {
+    requests: positiveInt(limits.requests, DEFAULT_USAGE_LIMITS.requests),
+    tokens: positiveInt(limits.tokens, DEFAULT_USAGE_LIMITS.tokens),
+    blockAtLimit: Boolean(limits.blockAtLimit),
+  });
+}
+
+/**
+ * 予算に対する今日の消費。回数とトークンのうち、より多く使っている方を ratio にする。
+ * blocked は上限に達していて、重い操作を止める設定になっているとき true。
+ */
+export function usageStatus(usage, limits) {
+  const ratio = Math.max(usage.total.requests / limits.requests, usage.total.tokens / limits.tokens);
+  return {
+    ratio,
+    remaining: {
+      requests: Math.max(limits.requests - usage.total.requests, 0),
+      tokens: Math.max(limits.tokens - usage.total.tokens, 0),
+    },
+    warning: ratio >= USAGE_WARN_RATIO,
+    exhausted: ratio >= 1,
+    blocked: ratio >= 1 && limits.blockAtLimit,
+  };
+}
@@ -0,0 +1,489 @@
+// English
+export default {
+  common: {
+    honorific: "{name}",
+    defaultName: "Guest",
+    defaultPartnerName: "Partner",
+    personLabel: "Person {n}",
+    close: "Close",
+    cancel: "Cancel",
+    back: "Back",
+    listSeparator: ", ",
+    pairJoiner: " & ",
+  },
+  app: {
+    title: "AI お手を拝借 Pro",
+    tagline: "Where science meets mystery, guided by Gemini",
+    documentTitle: "AI お手を拝借 Pro - AI Palm Reading",
+    subtitle: "Professional AI Palmistry",
+    language: "Language",
+    history: "Reading history",
+    settings: "Settings",
+    mockBadge: "Demo mode (mock responses)",
+    copyright: "© 2025 AI お手を拝借 Pro. Powered by Gemini 2.5 Flash",
+  },
+  settings: {
+    lead: "Choose the display language, whether readings are kept on this device, and your daily usage budget.",
+    historyLink: "Saved readings can also be opened from their URL (#/reading/…). The link only works in this browser on this device.",
+  },
+  admin: {
+    title: "Prompt templates",
+    lead: "Edit the prompts sent to the model for the current display language. Variables in braces such as {name} are replaced with the display name, the reading or the question when a call is made. Each save bumps the version, and later readings record the version they used. Overrides are stored only in this browser on this device.",
+    version: "Active version: {version}",
+    unsaved: "Unsaved changes",
+    template: "Templates",
+    variables: "Variables:",
+    noVariables: "none",
+    save: "Save as new version",
+    resetTemplate: "Reset this template",
+    resetAll: "Reset all to defaults",
+    export: "Export JSON",
+    import: "Import JSON",
+    saved: "Templates saved ({version})",
+    imported: "Templates imported ({version})",
+    importFailed: "Could not read the template file. Make sure it is an exported JSON file.",
+    resetDone: "All templates were reset to the defaults",
+    savedVersions: "Load an earlier version",
+    versionLoaded: "Loaded the texts of {version}. Saving makes them a new version",
+    preview: "Preview",
+    previewNote: "The unsaved text with its variables filled in. Running it sends only this text, without photos, so you can check the response.",
+    useMock: "Run against the mock backend",
+    run: "Run",
+    running: "Running…",
+    response: "Response",
+    sampleAnalysis: "(Sample reading) The life line is long and strong, and the head line runs straight.",
+    sampleQuestion: "How does my career look this year?",
+    templates: {
+      analysis: "Reading",
+      dual: "Two-hand addendum",
+      pair: "Compatibility reading",
+      readingType: "Reading type addendum",
+      spiritSingle: "Spirit summoning",
+      spiritPair: "Pair spirit summoning",
+      spiritFields: "Spirit field instructions",
+      chatSystem: "Deep dialogue context",
+      chatQuestion: "Deep dialogue question",
+      followUps: "Follow-up suggestions",
+    },
+  },
+  usage: {
+    title: "Today's usage",
+    note: "Only calls sent from this device are counted. Usage on other devices and the provider's actual remaining quota may differ.",
+    features: {
+      analysis: "Reading",
+      spirit: "Spirit summoning",
+      chat: "Deep dialogue",
+    },
+    feature: "Feature",
+    requests: "Calls",
+    tokens: "Tokens",
+    images: "Images",
+    total: "Total",
+    remaining: "{value} of {limit} left",
+    requestBudget: "Daily call budget",
+    tokenBudget: "Daily token budget",
+    blockAtLimit: "Stop readings and spirit summoning once the budget is used up",
+    nearLimit: "About {percent}% of today's budget is left.",
+    limitReached: "Today's budget is used up.",
+    blocked: "Today's budget is used up, so readings and spirit summoning are paused. You can change the budget in Settings.",
+    details: "View usage",
+  },
+  intro: {
+    title: "Practical advice",
+    lead: "Here is how to use this app safely and get the best reading.",
+    fingertipsTitle: "Keep your fingertips out:",
+    fingertips:
+      "The reading only needs the lines in the middle of your palm, so we recommend keeping your fingerprints out of the frame. Any fingertips that do show up are blurred automatically, and you can check and adjust the blur before anything is sent. Location and other photo metadata are removed before sending.",
+    backgroundTitle: "Mind the background:",
+    background: "Make sure your face and anything that reveals your address stay out of the photo.",
+    anonymityTitle: "Stay anonymous:",
+    anonymity: "A nickname is perfectly fine.",
+    historyTitle: "Saved history:",
+    history: "Readings and palm thumbnails are stored only in this browser on this device. You can delete them or turn saving off at any time from “Reading history”.",
+    agree: "Agree and start",
+  },
+  footer: {
+    fingertips: "The reading only needs the lines in the middle of your palm. Please keep your fingerprints out of the photo.",
+    background: "Take the photo somewhere your face, address, mirrors and other personal details won't appear.",
+    anonymity: "A nickname is fine, so your photo is never tied to your real name.",
+    disclaimerTitle: "Terms of use and disclaimer",
+    sampleTitle: "Provided as a sample app:",
+    sample: "This app is a sample built to demonstrate the technology. We cannot answer individual questions about how to use it, its technical details or anything else.",
+    changesTitle: "Changes and discontinuation:",
+    changes: "Features and content may change, or the service may end, without prior notice. Thank you for your understanding.",
+    liabilityTitle: "Limitation of liability:",
+    liability: "We accept no responsibility for any damage or trouble arising from using this app or from the content of its readings. Please use it at your own risk.",
+  },
+  input: {
+    modeLabel: "Reading mode",
+    modeSingle: "One hand",
+    modeDual: "Both hands (innate & acquired)",
+    modePair: "Compatibility",
+    typeLabel: "Reading type",
+    pairLead: "Place two palms side by side to read your compatibility line by line and summon a pair of guardian spirits.",
+    firstNamePlaceholder: "Your name (e.g. Hinata)",
+    partnerNamePlaceholder: "Partner's name (e.g. Haruto)",
+    nameAria: "Name of {label}",
+    dualLeadBefore: "Your non-dominant hand reveals the ",
+    dualLeadInnate: "innate",
+    dualLeadMiddle: " gifts you were born with, and your dominant hand the ",
+    dualLeadAcquired: "acquired",
+    dualLeadAfter: " tendencies shaped by experience. Each item compares the two.",
+    dominantHand: "Dominant hand",
+    nameLabel: "Your name (optional)",
+    namePlaceholder: "e.g. Hinata",
+    qualityTitle: "Please check your photo",
+    proceedAnyway: "Read it anyway",
+    checking: "Checking photo...",
+    start: "Reveal my destiny",
+    needSingle: "Please upload a photo of your palm",
+    needDual: "Please upload photos of both your left and right palms",
+    needPair: "Please upload a palm photo for each person",
+    notPalm: "No palm was found in the photo. {reason}",
+  },
+  loading: {
+    single: "Reading {name}'s future...",
+    pair: "Reading the bond between {first} and {second}...",
+    subtitle: "The AI is deciphering the laws of the universe",
+    cancelled: "Reading cancelled",
+  },
+  result: {
+    restart: "Start over",
+    receiving: "Receiving your reading...",
+    stop: "Stop generating",
+    exportPdf: "Save certificate as PDF",
+    exportPng: "Save image for social media",
+    exporting: "Exporting...",
+    copy: "Copy reading",
+  },
+  spirit: {
+    titleSingle: "{name}'s guardian spirit ✨",
+    titlePair: "Your pair of guardian spirits ✨",
+    introSingle: "Summon a spirit that embodies your nature",
+    introPair: "Summon a pair of spirits that embodies your bond",
+    summon: "Summon a spirit",
+    summoning: "The spirit is taking shape...",
+    another: "Summon a different spirit",
+    anotherBusy: "Summoning...",
+    variations: "Draw {count} variations",
+    variationsBusy: "Drawing variations...",
+    variationsAdded: "Variations added to the gallery",
+    proceduralNote: "The image services were unavailable, so this spirit card was drawn on your device.",
+    galleryHint: "Your spirit gallery. Tap a spirit to attach it to the reading.",
+    caption: "Summoned spirit: {name}",
+    pairCaption: "Summoned spirits: {first} & {second}",
+    ownerCaption: "{owner}'s spirit: {name}",
+    defaultName: "Spirit",
+    needReading: "Please finish the reading first",
+    failed: "Failed to summon the spirit",
+    unreadable: "Could not read the spirit definition",
+    imagenEmpty: "Imagen returned no image",
+    fallbackFailed: "The fallback image service also failed",
+  },
+  chat: {
+    title: "Deep dialogue ✨",
+    intro: "Ask anything more about your reading.",
+    thinking: "Thinking...",
+    failed: "Sorry, no answer could be generated.",
+    stopped: "(Answer stopped)",
+    placeholder: "Type your question...",
+    send: "Send",
+    stop: "Stop",
+    suggestions: "Suggested questions",
+  },
+  quota: {
+    title: "Usage limit",
+  },
+  errors: {
+    selectImage: "Please choose an image file",
+    imageFailed: "Could not process the image",
+    editFailed: "Could not edit the image",
+    maskFailed: "Could not apply the blur",
+    analysisEmpty: "No reading was returned",
+    analysisStopped: "The reading was stopped",
+    analysisInterrupted: "The reading was interrupted",
+    analysisFailed: "The reading failed. Please try again later.",
+    copied: "Reading copied",
+    copyFailed: "Could not copy",
+    exportFailed: "Could not export the certificate",
+    imageExportFailed: "Could not export the image",
+    historySaveFailed: "Could not save to your reading history",
+    historyLoadFailed: "Could not load your reading history",
+    historyUnsupported: "This browser cannot save history",
+    readingNotFound: "Reading not found",
+    renameFailed: "Could not rename",
+    deleteFailed: "Could not delete",
+    historyCleared: "All readings deleted",
+    rateLimited: "Too many requests right now. Please wait a moment and try again.",
+    billing: "Imagen currently requires a paid account. Enable billing in Google AI Studio to generate spirit images.",
+    quota: "The free quota has been used up for today. Please try again tomorrow or after enabling billing.",
+    network: "Couldn't reach the server. Check your connection and try again.",
+    safetyBlocked: "The AI declined to respond for safety reasons. Try a different photo or question.",
+    invalidKey: "The API key is invalid or not configured on the server. Please contact the administrator.",
+    upstream: "The AI service returned an error. Please try again later.",
+  },
+  camera: {
+    title: "Photograph your palm",
+    titleFor: "Photograph {label}",
+    preview: "Camera preview",
+    hint: "Fit your palm to the outline and keep your fingertips off screen",
+    starting: "Starting camera...",
+    switchToBack: "Switch to rear camera",
+    switchToFront: "Switch to front camera",
+    timer: "Timer",
+    now: "Now",
+    seconds: "{n}s",
+    abort: "Cancel",
+    shoot: "Capture",
+    unsupported: "This browser cannot use the camera",
+    denied: "Camera access is not allowed. Please allow camera access in your browser settings.",
+    notFound: "No camera is available",
+    busy: "The camera is in use by another app",
+    failed: "Could not start the camera",
+    captureFailed: "Could not take the photo",
+  },
+  editor: {
+    title: "Adjust photo",
+    titleFor: "Adjust photo of {label}",
+    hint: "Drag around your palm to crop. Rotate if the orientation is wrong.",
+    preview: "Edit preview",
+    rotateLeft: "⟲ Rotate left",
+    rotateRight: "⟳ Rotate right",
+    flipH: "Flip horizontally",
+    flipV: "Flip vertically",
+    enhance: "Enhance lines",
+    clearCrop: "Clear crop",
+    reset: "Reset",
+    apply: "Use this photo",
+  },
+  privacy: {
+    title: "Review blur",
+    titleFor: "Review blur for {label}",
+    hint: "Detected fingertips are blurred so your fingerprints don't show. Detection is approximate: drag a blur that misses a fingertip, and tap to add one where needed. Only the blurred image is sent or saved.",
+    noneFound: "No fingertips were detected. If any are visible, tap to add a blur.",
+    preview: "Blur preview",
+    smaller: "Smaller",
+    larger: "Larger",
+    remove: "Remove this blur",
+    detecting: "Detecting...",
+    redetect: "Detect again",
+    keep: "Close without changes",
+    apply: "Confirm blur",
+  },
+  photoSlot: {
+    image: "image",
+    remove: "Remove {label}",
+    edit: "Edit",
+    blur: "Blur",
+    upload: "Upload a photo of your palm",
+    uploadFor: "Upload a photo of {label}",
+    dropHint: "Click to choose, or drag and drop",
+    camera: "Use camera",
+  },
+  history: {
+    title: "Reading history",
+    privacyTitle: "About privacy:",
+    privacy: "Your reading history (palm thumbnails, names, readings, spirit images and dialogue) is stored only in this browser and never sent to a server.",
+    privacyWarning:
+      "Palm images are personal data close to biometrics. On shared or event devices, turn saving off or use “Delete all” when you are done.",
+    saveToggle: "Save reading history on this device",
+    empty: "No saved readings yet",
+    open: "Open",
+    openAria: "Open {title}",
+    rename: "Rename",
+    delete: "Delete",
+    confirmDelete: "Delete",
+    clearAll: "Delete all",
+    confirmClear: "Delete all {count} readings",
+  },
+  annotation: {
+    title: "Palm map",
+    imageAlt: "The palm used for the reading",
+    hint: "Tap a line or mount to jump to that part of the reading. Positions are estimated by the AI.",
+  },
+  report: {
+    themeTitle: "{type} reading",
+    lineNames: {
+      life: "Life line",
+      head: "Head line",
+      heart: "Heart line",
+    },
+    hands: {
+      left: "Left hand",
+      right: "Right hand",
+    },
+    title: "{name}'s palm reading",
+    pairTitle: "Compatibility reading for {first} & {second}",
+    dualBadge: "Both hands · Dominant: {hand}",
+    dualSummary: "Both-hands reading (dominant: {hand})",
+    innate: "Innate ({hand})",
+    acquired: "Acquired ({hand})",
+    overall: "Overall impression",
+    lines: "The major lines",
+    mounts: "Mounts and signs",
+    advice: "Advice from the AI",
+    strength: "Depth",
+    length: "Length",
+    totalScore: "Overall compatibility",
+    totalScoreValue: "Overall compatibility: {score}/100",
+    lineScore: "{name} ({score} pts)",
+    points: "{score} pts",
+    pointsUnit: "pts",
+    pairOverall: "Your compatibility",
+    people: "Each palm",
+    pairLines: "Compatibility by line",
+    pairAdvice: "Advice for you both",
+  },
+  readingTypes: {
+    general: {
+      label: "General",
+      lead: "A reading of your basic nature and fortune from the whole palm.",
+    },
+    love: {
+      label: "Love",
+      lead: "Focuses on how you love and the bonds you form.",
+      sections: {
+        tendency: "How you love",
+        encounter: "Encounters and bonds",
+        partnership: "Partnership",
+      },
+    },
+    career: {
+      label: "Career",
+      lead: "Focuses on how to use your talents and your strengths at work.",
+      sections: {
+        aptitude: "Work that suits you",
+        strengths: "Strengths at work",
+        growth: "Room to grow",
+      },
+    },
+    money: {
+      label: "Money",
+      lead: "Focuses on how money flows and how you handle it.",
+      sections: {
+        flow: "How money flows",
+        habits: "Money habits",
+        opportunity: "Making the most of chances",
+      },
+    },
+    wellbeing: {
+      label: "Wellbeing",
+      lead: "Focuses on your state of mind and daily rhythm (no health or medical judgements).",
+      sections: {
+        balance: "Emotional balance",
+        rhythm: "Daily rhythm",
+        recharge: "Ways to recharge",
+      },
+    },
+  },
+  quality: {
+    tooSmall: "The image is too small ({size}px on the short side). Move closer so your palm fills the frame, or widen the crop.",
+    tooDark: "Too dark. Take the photo somewhere bright, with light falling on your palm.",
+    tooBright: "Too bright. Highlights wash out the lines, so avoid flash and direct sunlight.",
+    blurry: "The photo is out of focus or shaky. Keep your hand and camera steady and try again.",
+  },
+  prompts: {
+    analysis: `You are the world's finest palm reader. Analyse the attached image in depth.
+The person being read is "{name}".
+Write the reading following the given JSON schema:
+- overall: the overall impression (their basic character).
+- lines: for each of the life (life), head (head) and heart (heart) lines, rate depth and length from 1 to 5 and interpret its condition. Put the line's English name in name.
+- mounts: mounts and signs (features of the hand).
+- advice: three pieces of advice from the AI.
+- points: the approximate position of each line and mount on the image, in coordinates where the top-left is (0,0) and the bottom-right is (1000,1000). Trace each line from start to end as a polyline; outline each mount with points around it.
+Address the person as "{name}" throughout, and write everything in English.`,
+    dual: `
+
+This is a both-hands reading. There are two images: the first is the left hand, the second is the right hand. {name}'s dominant hand is the {dominant}.
+Following palmistry tradition, read the non-dominant {innate} as the innate gifts they were born with, and the dominant {dominant} as the acquired tendencies built through experience.
+In overallContrast and in each contrast of lines and mounts, write innate (innate: {innate}) and acquired (acquired: {dominant}), contrasting them so the differences and changes are clear.
+Base the depth and length ratings and each reading on both hands together.
+Give points as coordinates on the image of the dominant {dominant} (image {index}).`,
+    pair: `You are the world's finest palm reader. From the two attached palm images, read the compatibility of the two people in depth.
+The first image is the palm of "{first}" (person 1) and the second is the palm of "{second}" (person 2).
+Write the compatibility reading following the given JSON schema:
+- overall: their overall compatibility.
+- score: the overall compatibility score (0–100).
+- people: the key points of each palm, person 1 first, then person 2.
+- lines: for each of the life (life), head (head) and heart (heart) categories, a compatibility score (0–100), person 1's line in first, person 2's line in second, and an interpretation of the combination in reading. Put the line's English name in name.
+- advice: three pieces of advice for the two of them.
+Always refer to them by name as "{first}" and "{second}", and write everything in English.`,
+    palmCheck:
+      "Decide whether this image clearly shows a human palm (the inner side of the hand) well enough for a palm reading. Answer false if it only shows the back of a hand, a face, an object or scenery. Write reason in English.",
+    readingType: "\n\nThis reading focuses on \"{type}\". {focus}\nIn sections, give {sections}, in this order, each with its id and reading. Write overall and advice from the {type} point of view as well.",
+    readingTypeSection: "{id} ({label})",
+    readingTypes: {
+      love: {
+        focus: "Concentrate on the parts tied to love and relationships, such as the heart line and the Mount of Venus.",
+        spirit: "\nAs a guardian of love, give it a gentle, graceful look (flowers, soft pink, moonlight).",
+      },
+      career: {
+        focus: "Concentrate on the parts tied to work and talent, such as the head line, the fate line and the Mount of Jupiter.",
+        spirit: "\nAs a guardian of work, give it a dignified, dependable look (armour, wings, the rising sun).",
+      },
+      money: {
+        focus: "Concentrate on the parts tied to the flow of money, such as the sun line, the money line and the Mount of Mercury. Do not recommend investments or specific financial products.",
+        spirit: "\nAs a guardian of fortune, give it a rich, radiant look (gold, jewels, ears of rice).",
+      },
+      wellbeing: {
+        focus: "Focus on state of mind and daily rhythm. Do not mention illness, diagnosis, treatment, lifespan or anything else about health or medicine; keep to everyday habits such as rest and ways to unwind.",
+        spirit: "\nAs a soothing guardian, give it a calm, clear look (forests, water, soft light).",
+      },
+    },
+    spiritFields: "name is the spirit's name, element the element it governs, personality its character and lore its legend, all written in English. imagePrompt is an English prompt for image generation.",
+    spiritAvoid: "\nMake it different in both name and appearance from the spirits already summoned ({names}).",
+    spiritSingle: `Based on the palm reading below, define one fantastical guardian spirit that embodies {name}'s soul. {fields}{avoid}
+Reading: {analysis}`,
+    spiritPair: `Below is the compatibility reading for {first} and {second}. Define two fantastical guardian spirits, one embodying each soul, that form a matching pair when side by side.
+The first of spirits belongs to {first} and the second to {second}. {fields} Let the colours and motifs of the two echo each other.{avoid}
+Reading: {analysis}`,
+    chatQuestion: "{question}",
+    chatSubjectSingle: "the palm reading for {name}",
+    chatSubjectPair: "the compatibility reading for {first} and {second}",
+    chatAddressSingle: "Always address the person as \"{name}\" in your answers.",
+    chatAddressPair: "Refer to \"{first}\" and \"{second}\" by name and make clear who you are talking about. The person asking may be either of them or both.",
+    chatSystem: `You are the world's finest palm reader. Below is {subject}.
+Answer the questions based on this reading and the conversation so far. Interpret references such as "that" or "what you just said" using the preceding conversation.
+{address}
+Answer in English.
+
+# Reading
+{analysis}{summary}`,
+    chatSummaryHeading: "\n\n# Summary of the conversation so far\n",
+    chatSummaryItem: "- Question \"{question}\" → Answer \"{answer}\"",
+    followUps:
+      "Based on the reading and the conversation so far, list in questions {count} questions this person is likely to want to ask next. Write each one as a short question of about ten words, in the person's own voice, and avoid anything already answered or questions that are similar to each other. Write everything in English.",
+    schema: {
+      contrast: "Contrast for a two-hand reading. innate is the inborn nature read from the non-dominant hand; acquired is the tendency built up over time, read from the dominant hand.",
+      overall: "Overall impression: the person's basic nature in 2 to 4 sentences.",
+      lines: "Readings of the major lines (life line, head line, heart line).",
+      lineName: "Display name of the line (e.g. Life line)",
+      lineStrength: "How deep and clear the line is. An integer from 1 to 5.",
+      lineLength: "Length of the line. An integer from 1 (short) to 5 (long).",
+      lineReading: "What this line reveals.",
+      linePoints: "A polyline tracing the line on the image: 4 to 8 points in order from start to end.",
+      mounts: "Mounts and distinctive signs.",
+      mountPoints: "3 to 6 points enclosing the mount on the image. A small sign is a single point at its position.",
+      advice: "Advice from the AI. Exactly three.",
+      pairOverall: "The couple's overall compatibility in 2 to 4 sentences.",
+      pairScore: "Overall compatibility score. An integer from 0 to 100.",
+      pairPeople: "Key points of each person's palm: first the first person, then the second.",
+      pairLines: "Compatibility in each category: life line, head line and heart line.",
+      pairLineName: "Display name of the line (e.g. Heart line)",
+      pairLineScore: "Compatibility score for this category. An integer from 0 to 100.",
+      pairFirst: "This line's features for the first person.",
+      pairSecond: "This line's features for the second person.",
+      pairLineReading: "Commentary on the two as a combination.",
+      spiritName: "Name of the spirit",
+      spiritElement: "The element it governs, in one word (fire, water, wind, earth, light, darkness, moon, star and so on)",
+      spiritPersonality: "Personality and temperament in one sentence",
+      spiritLore: "Lore about the spirit in 2 to 3 sentences",
+      spiritImagePrompt: "Image generation prompt in English",
+      pairSpirits: "Guardian spirits: the first belongs to the first person, the second to the second person.",
+      palmIsPalm: "true if the palm side of a hand is clearly visible",
+      palmReason: "If false, a short explanation of what is shown and how to retake the photo",
+      followUpQuestions: "Short questions the user is likely to ask next, written in the user's own words.",
+      sections: "Themed readings for the type of reading, one for each item in the given order.",
+    },
+  },
+};
@@ -0,0 +1,490 @@
+// 日本語（基準の言語。ほかの言語で訳が無いキーはここにフォールバックする）
+export default {
+  common: {
+    honorific: "{name}さん",
+    defaultName: "あなた",
+    defaultPartnerName: "お相手",
+    personLabel: "{n}人目",
+    close: "閉じる",
+    cancel: "キャンセル",
+    back: "戻る",
+    listSeparator: "、",
+    pairJoiner: " と ",
+  },
+  app: {
+    title: "AI お手を拝借 Pro",
+    tagline: "Geminiが導き出す、科学と神秘の融合",
+    documentTitle: "AI お手を拝借 Pro - 運命の解読",
+    subtitle: "Professional AI Palmistry",
+    language: "表示言語",
+    history: "鑑定履歴",
+    settings: "設定",
+    mockBadge: "デモモード（模擬応答）",
+    copyright: "© 2025 AI お手を拝借 Pro. Powered by Gemini 2.5 Flash",
+  },
+  settings: {
+    lead: "表示言語、この端末への鑑定履歴の保存、1日の利用量の予算を設定できます。",
+    historyLink: "保存した鑑定はアドレスバーのURL（#/reading/…）からも開けます。URLはこの端末のブラウザでのみ有効です。",
+  },
+  admin: {
+    title: "プロンプトテンプレート",
+    lead: "モデルに送るプロンプトを表示中の言語について編集できます。{name} のような波括弧の変数は、呼び出し時に表示名や鑑定結果、質問に置き換わります。保存するたびに版が上がり、以後の鑑定の記録にはその版が残ります。上書きはこの端末のブラウザにだけ保存されます。",
+    version: "使用中の版：{version}",
+    unsaved: "未保存の変更があります",
+    template: "テンプレート",
+    variables: "使える変数：",
+    noVariables: "なし",
+    save: "保存して版を上げる",
+    resetTemplate: "このテンプレートを既定に戻す",
+    resetAll: "すべて既定に戻す",
+    export: "JSONに書き出す",
+    import: "JSONを読み込む",
+    saved: "テンプレートを保存しました（{version}）",
+    imported: "テンプレートを読み込みました（{version}）",
+    importFailed: "テンプレートのファイルを読み込めませんでした。書き出したJSONか確認してください。",
+    resetDone: "すべてのテンプレートを既定に戻しました",
+    savedVersions: "以前の版を読み込む",
+    versionLoaded: "{version}の文面を読み込みました。保存すると新しい版になります",
+    preview: "プレビュー",
+    previewNote: "保存前の文面に変数を埋めたプロンプトです。実行すると、写真を付けずにこの文面だけを送って応答を確かめます。",
+    useMock: "模擬バックエンドで実行",
+    run: "実行する",
+    running: "実行中…",
+    response: "応答",
+    sampleAnalysis: "（鑑定結果のサンプル）生命線は力強く長く、知能線はまっすぐに伸びています。",
+    sampleQuestion: "今年の仕事運はどうですか？",
+    templates: {
+      analysis: "鑑定",
+      dual: "両手鑑定の追記",
+      pair: "相性鑑定",
+      readingType: "鑑定の種類の追記",
+      spiritSingle: "精霊の召喚",
+      spiritPair: "二人の精霊の召喚",
+      spiritFields: "精霊の項目の指示",
+      chatSystem: "深層対話の前提",
+      chatQuestion: "深層対話の質問",
+      followUps: "次の質問の候補",
+    },
+  },
+  usage: {
+    title: "今日の利用量",
+    note: "この端末から送った呼び出しだけを数えています。ほかの端末での利用や、プロバイダ側の実際の残りとは異なる場合があります。",
+    features: {
+      analysis: "鑑定",
+      spirit: "精霊の召喚",
+      chat: "深層対話",
+    },
+    feature: "機能",
+    requests: "呼び出し",
+    tokens: "トークン",
+    images: "画像",
+    total: "合計",
+    remaining: "残り {value} / {limit}",
+    requestBudget: "1日の呼び出し回数の予算",
+    tokenBudget: "1日のトークン数の予算",
+    blockAtLimit: "予算を使い切ったら鑑定と精霊の召喚を止める",
+    nearLimit: "今日の利用枠の残りが約{percent}%になりました。",
+    limitReached: "今日の利用枠を使い切りました。",
+    blocked: "今日の利用枠を使い切ったため、鑑定と精霊の召喚を止めています。予算は設定で変更できます。",
+    details: "利用量を見る",
+  },
+  intro: {
+    title: "実践的なアドバイス",
+    lead: "このアプリを安全に、かつプロフェッショナルに利用するための推奨事項です。",
+    fingertipsTitle: "指先を写さない:",
+    fingertips:
+      "鑑定に必要なのは「手のひら」中央の線です。指紋部分はフレームの外に出して撮影することを推奨します。写ってしまった指先は自動でぼかし、送信前に範囲を確認・調整できます。写真の位置情報などのメタデータも送信前に取り除きます。",
+    backgroundTitle: "背景に配慮する:",
+    background: "自身の顔や住所がわかるものが写り込まないようにしてください。",
+    anonymityTitle: "匿名性の保持:",
+    anonymity: "お名前はニックネーム等でも構いません。",
+    historyTitle: "履歴の保存:",
+    history: "鑑定結果と手のひらのサムネイルはこの端末のブラウザ内にのみ保存されます。「鑑定履歴」からいつでも削除・保存の停止ができます。",
+    agree: "同意して開始する",
+  },
+  footer: {
+    fingertips: "鑑定に必要なのは「手のひら」中央の線です。指紋部分は写さないよう配慮してください。",
+    background: "自身の顔、住所、鏡など、個人情報が写り込まない場所で撮影してください。",
+    anonymity: "名前はニックネームで構いません。画像と実名の紐付けを避けることができます。",
+    disclaimerTitle: "ご利用上の注意・免責事項",
+    sampleTitle: "サンプルアプリとしての提供:",
+    sample: "本アプリは技術デモンストレーション用のサンプルです。操作方法や技術的な仕様、その他に関するお問い合わせへの個別対応は致しかねます。",
+    changesTitle: "サービスの内容変更・廃止:",
+    changes: "本アプリの機能や提供内容は、事前の予告なく変更、または提供を終了する場合がございます。あらかじめご了承ください。",
+    liabilityTitle: "責任の制限:",
+    liability:
+      "本アプリのご利用、および鑑定結果の内容によって生じた損害やトラブル等について、当方は一切の責任を負いかねます。自己の責任においてご利用ください。",
+  },
+  input: {
+    modeLabel: "鑑定モード",
+    modeSingle: "片手で鑑定",
+    modeDual: "両手で鑑定（先天・後天）",
+    modePair: "ふたりの相性",
+    typeLabel: "鑑定の種類",
+    pairLead: "二人の手のひらを並べて、線ごとの相性と守護精霊のペアを占います。",
+    firstNamePlaceholder: "お名前（例：ひなた）",
+    partnerNamePlaceholder: "お相手のお名前（例：はると）",
+    nameAria: "{label}のお名前",
+    dualLeadBefore: "利き手でない手からは生まれ持った",
+    dualLeadInnate: "先天",
+    dualLeadMiddle: "の資質を、利き手からは経験で築いた",
+    dualLeadAcquired: "後天",
+    dualLeadAfter: "の傾向を読み解き、項目ごとに対比します。",
+    dominantHand: "利き手",
+    nameLabel: "お名前（任意）",
+    namePlaceholder: "例：ひなた",
+    qualityTitle: "写真を確認してください",
+    proceedAnyway: "このまま鑑定する",
+    checking: "写真をチェック中...",
+    start: "運命を解読する",
+    needSingle: "手のひらの画像をアップロードしてください",
+    needDual: "左右両方の手のひらの画像をアップロードしてください",
+    needPair: "二人分の手のひらの画像をアップロードしてください",
+    notPalm: "手のひらが写っていません。{reason}",
+  },
+  loading: {
+    single: "{name}の未来を解読中...",
+    pair: "{first}と{second}の縁を解読中...",
+    subtitle: "AIが宇宙の理を読み解いています",
+    cancelled: "鑑定を中止しました",
+  },
+  result: {
+    restart: "やり直す",
+    receiving: "鑑定結果を受信中...",
+    stop: "生成を停止",
+    exportPdf: "鑑定書をPDFで保存",
+    exportPng: "SNS用の画像で保存",
+    exporting: "書き出し中...",
+    copy: "鑑定結果をコピー",
+  },
+  spirit: {
+    titleSingle: "{name}の守護精霊 ✨",
+    titlePair: "ふたりの守護精霊 ✨",
+    introSingle: "あなたの性質を象徴する精霊を召喚します",
+    introPair: "二人の縁を象徴する一対の精霊を召喚します",
+    summon: "精霊を召喚する",
+    summoning: "精霊を具現化中...",
+    another: "別の精霊を召喚",
+    anotherBusy: "召喚中...",
+    variations: "姿違いを{count}体描く",
+    variationsBusy: "描き分け中...",
+    variationsAdded: "姿違いをギャラリーに追加しました",
+    proceduralNote: "画像生成サービスが利用できなかったため、端末内で描いた精霊カードを表示しています。",
+    galleryHint: "召喚した精霊のギャラリー。タップした精霊が鑑定書に添えられます。",
+    caption: "召喚された精霊：{name}",
+    pairCaption: "召喚された精霊：{first} と {second}",
+    ownerCaption: "{owner}の精霊：{name}",
+    defaultName: "精霊",
+    needReading: "先に鑑定を完了してください",
+    failed: "精霊の召喚に失敗しました",
+    unreadable: "精霊の定義を読み取れませんでした",
+    imagenEmpty: "Imagenから画像が返りませんでした",
+    fallbackFailed: "代替画像サービスでも生成に失敗しました",
+  },
+  chat: {
+    title: "深層対話 ✨",
+    intro: "鑑定結果についてさらに詳しく質問できます。",
+    thinking: "考察中...",
+    failed: "お答えを生成できませんでした。",
+    stopped: "（回答を停止しました）",
+    placeholder: "質問を入力...",
+    send: "送信",
+    stop: "停止",
+    suggestions: "次に聞けそうな質問",
+  },
+  quota: {
+    title: "ご利用制限について",
+  },
+  errors: {
+    selectImage: "画像ファイルを選択してください",
+    imageFailed: "画像の処理に失敗しました",
+    editFailed: "画像の編集に失敗しました",
+    maskFailed: "ぼかしの適用に失敗しました",
+    analysisEmpty: "解析結果が得られませんでした",
+    analysisStopped: "鑑定を途中で停止しました",
+    analysisInterrupted: "鑑定が途中で中断されました",
+    analysisFailed: "鑑定に失敗しました。時間をおいて再試行してください。",
+    copied: "鑑定結果をコピーしました",
+    copyFailed: "コピーに失敗しました",
+    exportFailed: "鑑定書の書き出しに失敗しました",
+    imageExportFailed: "画像の書き出しに失敗しました",
+    historySaveFailed: "鑑定履歴を保存できませんでした",
+    historyLoadFailed: "鑑定履歴を読み込めませんでした",
+    historyUnsupported: "このブラウザでは履歴を保存できません",
+    readingNotFound: "鑑定が見つかりませんでした",
+    renameFailed: "名前を変更できませんでした",
+    deleteFailed: "削除に失敗しました",
+    historyCleared: "鑑定履歴をすべて削除しました",
+    rateLimited: "リクエストが集中しています。しばらく待ってから再試行してください。",
+    billing: "Imagenは現在有料アカウント専用です。Google AI Studioで課金設定を有効にすると精霊生成が利用できます。",
+    quota: "無料枠を使い切ったため、本日はご利用いただけません。明日以降か、課金設定後にお試しください。",
+    network: "通信に失敗しました。接続を確認して、もう一度お試しください。",
+    safetyBlocked: "安全上の理由で、AIがこの内容への回答を控えました。写真や質問を変えてお試しください。",
+    invalidKey: "APIキーが無効か、サーバーに設定されていません。管理者にお問い合わせください。",
+    upstream: "AIの応答でエラーが発生しました。時間をおいて再試行してください。",
+  },
+  camera: {
+    title: "手のひらを撮影",
+    titleFor: "{label}を撮影",
+    preview: "カメラのプレビュー",
+    hint: "手のひらを枠に合わせ、指先は画面の外に出してください",
+    starting: "カメラを起動中...",
+    switchToBack: "背面カメラに切り替え",
+    switchToFront: "前面カメラに切り替え",
+    timer: "タイマー",
+    now: "すぐ撮る",
+    seconds: "{n}秒",
+    abort: "中止",
+    shoot: "撮影",
+    unsupported: "このブラウザではカメラを利用できません",
+    denied: "カメラの使用が許可されていません。ブラウザの設定でカメラへのアクセスを許可してください。",
+    notFound: "利用できるカメラが見つかりません",
+    busy: "カメラが他のアプリで使用中です",
+    failed: "カメラを起動できませんでした",
+    captureFailed: "撮影に失敗しました",
+  },
+  editor: {
+    title: "写真を調整",
+    titleFor: "{label}の写真を調整",
+    hint: "手のひらを囲むようにドラッグすると切り抜けます。向きが違う場合は回転してください。",
+    preview: "編集プレビュー",
+    rotateLeft: "⟲ 左に回転",
+    rotateRight: "⟳ 右に回転",
+    flipH: "左右反転",
+    flipV: "上下反転",
+    enhance: "線を強調",
+    clearCrop: "切り抜きを解除",
+    reset: "元に戻す",
+    apply: "この写真を使う",
+  },
+  privacy: {
+    title: "ぼかしを確認",
+    titleFor: "{label}のぼかしを確認",
+    hint: "指紋が写らないよう、検出した指先をぼかしています。自動検出は目安なので、ぼかしが指先から外れていればドラッグで動かし、足りない場所はタップで追加してください。送信・保存されるのはぼかし後の画像です。",
+    noneFound: "指先を検出できませんでした。指先が写っている場合はタップしてぼかしを追加してください。",
+    preview: "ぼかしのプレビュー",
+    smaller: "小さく",
+    larger: "大きく",
+    remove: "このぼかしを削除",
+    detecting: "検出中...",
+    redetect: "自動検出をやり直す",
+    keep: "変更せずに閉じる",
+    apply: "このぼかしで確定",
+  },
+  photoSlot: {
+    image: "画像",
+    remove: "{label}を削除",
+    edit: "編集",
+    blur: "ぼかし",
+    upload: "手のひらの画像をアップロード",
+    uploadFor: "{label}の画像をアップロード",
+    dropHint: "クリックして選択、またはドラッグ＆ドロップ",
+    camera: "カメラで撮影",
+  },
+  history: {
+    title: "鑑定履歴",
+    privacyTitle: "プライバシーについて:",
+    privacy: "鑑定履歴（手のひらのサムネイル、お名前、鑑定結果、精霊画像、対話の記録）は、このブラウザ内にのみ保存され、サーバーには送信されません。",
+    privacyWarning:
+      "手のひらの画像は生体情報に近い個人情報です。共有の端末やイベント会場の端末では保存をオフにするか、利用後に「すべて削除」を行ってください。",
+    saveToggle: "この端末に鑑定履歴を保存する",
+    empty: "保存された鑑定はまだありません",
+    open: "開く",
+    openAria: "{title}を開く",
+    rename: "名前を変更",
+    delete: "削除",
+    confirmDelete: "削除する",
+    clearAll: "すべて削除",
+    confirmClear: "{count}件をすべて削除する",
+  },
+  annotation: {
+    title: "手相マップ",
+    imageAlt: "鑑定に使った手のひら",
+    hint: "線や掌丘をタップすると、鑑定書の該当箇所へ移動します。位置はAIによる推定です。",
+  },
+  report: {
+    themeTitle: "{type}の鑑定",
+    lineNames: {
+      life: "生命線",
+      head: "知能線",
+      heart: "感情線",
+    },
+    hands: {
+      left: "左手",
+      right: "右手",
+    },
+    title: "{name}の鑑定書",
+    pairTitle: "{first}と{second}の相性鑑定書",
+    dualBadge: "両手鑑定 ・ 利き手：{hand}",
+    dualSummary: "両手鑑定（利き手：{hand}）",
+    innate: "先天（{hand}）",
+    acquired: "後天（{hand}）",
+    overall: "全体的な印象",
+    lines: "主要な線の解読",
+    mounts: "掌丘とサイン",
+    advice: "AIからの助言",
+    strength: "強さ",
+    length: "長さ",
+    totalScore: "総合相性",
+    totalScoreValue: "総合相性：{score}点",
+    lineScore: "{name}（{score}点）",
+    points: "{score}点",
+    pointsUnit: "点",
+    pairOverall: "二人の相性",
+    people: "それぞれの手相",
+    pairLines: "線ごとの相性",
+    pairAdvice: "二人への助言",
+  },
+  readingTypes: {
+    general: {
+      label: "総合運",
+      lead: "手相全体から、基本的な資質と運勢を読み解きます。",
+    },
+    love: {
+      label: "恋愛運",
+      lead: "恋愛の傾向や人とのご縁を中心に読み解きます。",
+      sections: {
+        tendency: "恋愛の傾向",
+        encounter: "出会い・ご縁",
+        partnership: "パートナーとの関係",
+      },
+    },
+    career: {
+      label: "仕事運",
+      lead: "才能の活かし方や仕事での強みを中心に読み解きます。",
+      sections: {
+        aptitude: "向いている仕事",
+        strengths: "仕事での強み",
+        growth: "伸ばしどころ",
+      },
+    },
+    money: {
+      label: "金運",
+      lead: "お金の巡りや付き合い方の傾向を中心に読み解きます。",
+      sections: {
+        flow: "お金の流れ",
+        habits: "お金との付き合い方",
+        opportunity: "チャンスの活かし方",
+      },
+    },
+    wellbeing: {
+      label: "心のコンディション",
+      lead: "心の持ち方や暮らしのリズムを読み解きます（健康・医療の判断はしません）。",
+      sections: {
+        balance: "心のバランス",
+        rhythm: "暮らしのリズム",
+        recharge: "心を整えるヒント",
+      },
+    },
+  },
+  quality: {
+    tooSmall: "画像が小さすぎます（短辺 {size}px）。手のひらが画面いっぱいに写るよう近づいて撮影するか、切り抜きを広げてください。",
+    tooDark: "暗すぎます。明るい場所で、手のひらに光が当たるようにして撮影してください。",
+    tooBright: "明るすぎます。白飛びして線が見えにくいので、フラッシュや直射日光を避けて撮影してください。",
+    blurry: "ピントが合っていないか、手ブレしています。手とカメラを固定して撮り直してください。",
+  },
+  prompts: {
+    analysis: `あなたは世界最高峰の手相鑑定士です。添付された画像を深く分析してください。
+対象者は「{name}」です。
+指定されたJSONスキーマに従って鑑定書を作成してください：
+- overall: 全体的な印象（基本的な資質）。
+- lines: 生命線(life)、知能線(head)、感情線(heart)の3本それぞれについて、強さと長さを1〜5で評価し、状態を解読。name には線の名前を日本語で。
+- mounts: 掌丘とサイン（手の特徴）。
+- advice: AIからの3つの助言。
+- points: 各線・各掌丘の画像上のおおよその位置。画像の左上を(0,0)、右下を(1000,1000)とした座標で、線は始点から終点へなぞる折れ線、掌丘は範囲を囲む点で示してください。
+各文章の中で必ず「{name}」と呼びかけ、すべて日本語で書いてください。`,
+    dual: `
+
+これは両手鑑定です。画像は2枚で、1枚目が左手、2枚目が右手です。{name}の利き手は{dominant}です。
+手相学の伝統に従い、利き手でない{innate}を生まれ持った先天的な資質、利き手の{dominant}を経験によって築かれた後天的な傾向として読み解いてください。
+overallContrast と、各 lines・mounts の contrast には innate（先天：{innate}）と acquired（後天：{dominant}）をそれぞれ記し、両者の違いや変化が伝わるよう対比してください。
+強さ・長さの評価と reading は両手を総合したものにしてください。
+points は利き手の{dominant}（{index}枚目）の画像上の座標で示してください。`,
+    pair: `あなたは世界最高峰の手相鑑定士です。添付された2枚の手のひらの画像から、二人の相性を深く鑑定してください。
+1枚目は「{first}」（1人目）、2枚目は「{second}」（2人目）の手のひらです。
+指定されたJSONスキーマに従って相性鑑定書を作成してください：
+- overall: 二人の全体的な相性。
+- score: 総合的な相性スコア（0〜100）。
+- people: 1人目、2人目の順に、それぞれの手相の要点。
+- lines: 生命線(life)、知能線(head)、感情線(heart)の各カテゴリについて、相性スコア（0〜100）、first に1人目の線の特徴、second に2人目の線の特徴、reading に組み合わせとしての解説。name には線の名前を日本語で。
+- advice: 二人への3つの助言。
+文中では必ず「{first}」「{second}」と名前で呼び分け、すべて日本語で書いてください。`,
+    palmCheck:
+      "この画像に、手相を鑑定できる程度に人間の手のひら（掌側）がはっきり写っているか判定してください。手の甲、顔、物体、風景のみの場合は false にしてください。reason は日本語で書いてください。",
+    readingType: "\n\nこれは「{type}」に焦点を当てた鑑定です。{focus}\nsections には {sections} の各項目を、この順に id と reading で記してください。overall と advice も{type}の観点でまとめてください。",
+    readingTypeSection: "{id}（{label}）",
+    readingTypes: {
+      love: {
+        focus: "感情線や金星丘など、恋愛や人との縁に関わる部分を重点的に読み解いてください。",
+        spirit: "\n恋愛運の守護精霊として、優しく華やかな姿（花・桃色・月明かりなどの意匠）にしてください。",
+      },
+      career: {
+        focus: "知能線や運命線、木星丘など、仕事や才能の活かし方に関わる部分を重点的に読み解いてください。",
+        spirit: "\n仕事運の守護精霊として、凛として頼もしい姿（鎧・翼・朝日などの意匠）にしてください。",
+      },
+      money: {
+        focus: "太陽線や財運線、水星丘など、お金の巡りに関わる部分を重点的に読み解いてください。投資や具体的な金融商品は勧めないでください。",
+        spirit: "\n金運の守護精霊として、豊かできらびやかな姿（黄金・宝玉・稲穂などの意匠）にしてください。",
+      },
+      wellbeing: {
+        focus: "心の持ち方や暮らしのリズムを中心に読み解いてください。病気・診断・治療・寿命など健康や医療に関することには触れず、休息や気分転換の工夫など日々の心がけにとどめてください。",
+        spirit: "\n心を癒やす守護精霊として、穏やかで澄んだ姿（森・水辺・やわらかな光などの意匠）にしてください。",
+      },
+    },
+    spiritFields: "name は和名、element は司る属性、personality は性格、lore は伝承で、いずれも日本語で書いてください。imagePrompt は画像生成用の英語プロンプトです。",
+    spiritAvoid: "\nすでに召喚した精霊（{names}）とは名前も姿も異なる精霊にしてください。",
+    spiritSingle: `以下の手相鑑定結果から{name}の魂を象徴する幻想的な守護精霊を1体定義してください。{fields}{avoid}
+結果：{analysis}`,
+    spiritPair: `以下は{first}と{second}の相性鑑定結果です。二人それぞれの魂を象徴し、並んだときに対になる幻想的な守護精霊を2体定義してください。
+spirits の1体目は{first}、2体目は{second}の精霊です。{fields}二体の色や意匠が呼応するようにしてください。{avoid}
+結果：{analysis}`,
+    chatQuestion: "{question}",
+    chatSubjectSingle: "{name}の手相鑑定結果",
+    chatSubjectPair: "{first}と{second}の相性鑑定結果",
+    chatAddressSingle: "回答では必ず「{name}」と呼びかけてください。",
+    chatAddressPair: "回答では「{first}」「{second}」を使い分け、どちらについての話か明確にしてください。質問者は二人のどちらか、または両方です。",
+    chatSystem: `あなたは世界最高峰の手相鑑定士です。以下は{subject}です。
+この鑑定結果とこれまでの会話の流れを踏まえて質問に答えてください。「それ」「さっきの」などの指示語は直前までの会話を参照して解釈してください。
+{address}
+回答は日本語で書いてください。
+
+# 鑑定結果
+{analysis}{summary}`,
+    chatSummaryHeading: "\n\n# これまでの会話の要約\n",
+    chatSummaryItem: "- 質問「{question}」→ 回答「{answer}」",
+    followUps:
+      "鑑定結果とここまでの会話を踏まえ、この人が次に尋ねたくなりそうな質問を{count}個、questions に挙げてください。本人が入力する言葉として、それぞれ30文字程度の短い疑問文にし、すでに答えた内容や互いに似た質問は避けてください。すべて日本語で書いてください。",
+    schema: {
+      contrast: "両手鑑定での対比。innateは利き手でない手から読む先天的な資質、acquiredは利き手から読む後天的な傾向。",
+      overall: "全体的な印象。基本的な資質を2〜4文で。",
+      lines: "主要な線（生命線・知能線・感情線）の解読。",
+      lineName: "線の表示名（例：生命線）",
+      lineStrength: "線の濃さ・はっきり度合い。1〜5の整数。",
+      lineLength: "線の長さ。1（短い）〜5（長い）の整数。",
+      lineReading: "この線から読み取れること。",
+      linePoints: "画像上で線をなぞる折れ線。始点から終点へ順に4〜8点。",
+      mounts: "掌丘や特徴的なサイン。",
+      mountPoints: "画像上で掌丘の範囲を囲む3〜6点。小さなサインはその位置の1点。",
+      advice: "AIからの助言。ちょうど3つ。",
+      pairOverall: "二人の全体的な相性を2〜4文で。",
+      pairScore: "総合的な相性スコア。0〜100の整数。",
+      pairPeople: "一人ずつの手相の要点。1つ目が1人目、2つ目が2人目。",
+      pairLines: "生命線・知能線・感情線それぞれのカテゴリでの相性。",
+      pairLineName: "線の表示名（例：感情線）",
+      pairLineScore: "このカテゴリの相性スコア。0〜100の整数。",
+      pairFirst: "1人目のこの線の特徴。",
+      pairSecond: "2人目のこの線の特徴。",
+      pairLineReading: "二人の組み合わせとしての解説。",
+      spiritName: "精霊の名前",
+      spiritElement: "司る属性（火・水・風・地・光・闇・月・星など一語）",
+      spiritPersonality: "性格や気質を一文で",
+      spiritLore: "精霊にまつわる伝承を2〜3文で",
+      spiritImagePrompt: "画像生成用の英語プロンプト",
+      pairSpirits: "1体目が1人目、2体目が2人目の守護精霊。",
+      palmIsPalm: "手のひら（掌側）がはっきり写っていれば true",
+      palmReason: "false の場合、何が写っているか・どう撮り直せばよいかの短い説明",
+      followUpQuestions: "ユーザーが次に尋ねそうな短い質問。ユーザー自身の言葉として書く。",
+      sections: "鑑定の種類に合わせたテーマ別の解読。指定された順に1つずつ。",
+    },
+  },
+};
@@ -0,0 +1,488 @@
+// 한국어
+export default {
+  common: {
+    honorific: "{name}님",
+    defaultName: "방문자",
+    defaultPartnerName: "상대",
+    personLabel: "{n}번째 사람",
+    close: "닫기",
+    cancel: "취소",
+    back: "뒤로",
+    listSeparator: ", ",
+    pairJoiner: ", ",
+  },
+  app: {
+    title: "AI お手を拝借 Pro",
+    tagline: "Gemini가 이끄는 과학과 신비의 만남",
+    documentTitle: "AI お手を拝借 Pro - AI 손금 풀이",
+    subtitle: "Professional AI Palmistry",
+    language: "언어",
+    history: "풀이 기록",
+    settings: "설정",
+    mockBadge: "데모 모드(모의 응답)",
+    copyright: "© 2025 AI お手を拝借 Pro. Powered by Gemini 2.5 Flash",
+  },
+  settings: {
+    lead: "표시 언어, 이 기기에 풀이 기록을 저장할지, 하루 사용량 예산을 설정할 수 있습니다.",
+    historyLink: "저장한 풀이는 주소창의 URL(#/reading/…)로도 열 수 있습니다. URL은 이 기기의 이 브라우저에서만 유효합니다.",
+  },
+  admin: {
+    title: "프롬프트 템플릿",
+    lead: "현재 표시 언어로 모델에 보내는 프롬프트를 편집할 수 있습니다. {name}처럼 중괄호로 감싼 변수는 호출할 때 표시 이름, 풀이 결과, 질문으로 바뀝니다. 저장할 때마다 버전이 올라가며, 이후 풀이 기록에는 사용한 버전이 남습니다. 덮어쓴 내용은 이 기기의 이 브라우저에만 저장됩니다.",
+    version: "사용 중인 버전: {version}",
+    unsaved: "저장하지 않은 변경 사항이 있습니다",
+    template: "템플릿",
+    variables: "사용할 수 있는 변수:",
+    noVariables: "없음",
+    save: "새 버전으로 저장",
+    resetTemplate: "이 템플릿을 기본값으로",
+    resetAll: "모두 기본값으로",
+    export: "JSON 내보내기",
+    import: "JSON 가져오기",
+    saved: "템플릿을 저장했습니다 ({version})",
+    imported: "템플릿을 가져왔습니다 ({version})",
+    importFailed: "템플릿 파일을 읽을 수 없습니다. 내보낸 JSON 파일인지 확인해 주세요.",
+    resetDone: "모든 템플릿을 기본값으로 되돌렸습니다",
+    savedVersions: "이전 버전 불러오기",
+    versionLoaded: "{version}의 문구를 불러왔습니다. 저장하면 새 버전이 됩니다",
+    preview: "미리보기",
+    previewNote: "저장하기 전의 문면에 변수를 채운 프롬프트입니다. 실행하면 사진 없이 이 문면만 보내 응답을 확인합니다.",
+    useMock: "모의 백엔드로 실행",
+    run: "실행",
+    running: "실행 중…",
+    response: "응답",
+    sampleAnalysis: "(풀이 예시) 생명선은 길고 힘차며, 두뇌선은 곧게 뻗어 있습니다.",
+    sampleQuestion: "올해 직장운은 어떤가요?",
+    templates: {
+      analysis: "풀이",
+      dual: "양손 풀이 추가 지시",
+      pair: "궁합 풀이",
+      readingType: "풀이 종류 추가 지시",
+      spiritSingle: "정령 소환",
+      spiritPair: "두 사람의 정령 소환",
+      spiritFields: "정령 항목 지시",
+      chatSystem: "깊은 대화 전제",
+      chatQuestion: "깊은 대화 질문",
+      followUps: "후속 질문 제안",
+    },
+  },
+  usage: {
+    title: "오늘의 사용량",
+    note: "이 기기에서 보낸 호출만 집계합니다. 다른 기기에서의 사용이나 제공자 측의 실제 남은 할당량과 다를 수 있습니다.",
+    features: {
+      analysis: "풀이",
+      spirit: "정령 소환",
+      chat: "깊은 대화",
+    },
+    feature: "기능",
+    requests: "호출",
+    tokens: "토큰",
+    images: "이미지",
+    total: "합계",
+    remaining: "남은 양 {value} / {limit}",
+    requestBudget: "하루 호출 횟수 예산",
+    tokenBudget: "하루 토큰 수 예산",
+    blockAtLimit: "예산을 다 쓰면 풀이와 정령 소환을 멈추기",
+    nearLimit: "오늘 예산이 약 {percent}% 남았습니다.",
+    limitReached: "오늘 예산을 모두 사용했습니다.",
+    blocked: "오늘 예산을 모두 사용해 풀이와 정령 소환을 멈췄습니다. 예산은 설정에서 바꿀 수 있습니다.",
+    details: "사용량 보기",
+  },
+  intro: {
+    title: "실용적인 조언",
+    lead: "이 앱을 안전하고 제대로 이용하기 위한 권장 사항입니다.",
+    fingertipsTitle: "손끝은 찍지 마세요:",
+    fingertips:
+      "풀이에 필요한 것은 손바닥 가운데의 선입니다. 지문 부분은 화면 밖으로 빼고 촬영하기를 권장합니다. 찍힌 손끝은 자동으로 흐리게 처리되며, 전송 전에 범위를 확인하고 조정할 수 있습니다. 사진의 위치 정보 등 메타데이터도 전송 전에 제거합니다.",
+    backgroundTitle: "배경에 주의하세요:",
+    background: "얼굴이나 주소를 알 수 있는 물건이 찍히지 않도록 해 주세요.",
+    anonymityTitle: "익명성 유지:",
+    anonymity: "이름은 닉네임이어도 괜찮습니다.",
+    historyTitle: "기록 저장:",
+    history: "풀이 결과와 손바닥 썸네일은 이 기기의 브라우저에만 저장됩니다. ‘풀이 기록’에서 언제든지 삭제하거나 저장을 중지할 수 있습니다.",
+    agree: "동의하고 시작하기",
+  },
+  footer: {
+    fingertips: "풀이에 필요한 것은 손바닥 가운데의 선입니다. 지문이 찍히지 않도록 주의해 주세요.",
+    background: "얼굴, 주소, 거울 등 개인 정보가 찍히지 않는 곳에서 촬영해 주세요.",
+    anonymity: "이름은 닉네임이어도 괜찮습니다. 사진과 실명이 연결되는 것을 피할 수 있습니다.",
+    disclaimerTitle: "이용 시 주의 사항 및 면책 조항",
+    sampleTitle: "샘플 앱으로 제공:",
+    sample: "이 앱은 기술 시연용 샘플입니다. 사용 방법, 기술 사양 및 기타 문의에는 개별적으로 답변해 드리기 어렵습니다.",
+    changesTitle: "서비스 내용의 변경 및 종료:",
+    changes: "이 앱의 기능과 제공 내용은 사전 예고 없이 변경되거나 제공이 종료될 수 있습니다. 양해 부탁드립니다.",
+    liabilityTitle: "책임의 제한:",
+    liability: "이 앱의 이용 및 풀이 결과로 인해 발생한 손해나 문제에 대해 당사는 일절 책임을 지지 않습니다. 본인의 책임하에 이용해 주세요.",
+  },
+  input: {
+    modeLabel: "풀이 모드",
+    modeSingle: "한 손 풀이",
+    modeDual: "양손 풀이 (선천・후천)",
+    modePair: "두 사람의 궁합",
+    typeLabel: "풀이 종류",
+    pairLead: "두 사람의 손바닥을 나란히 놓고 선마다 궁합을 보고, 한 쌍의 수호 정령을 불러냅니다.",
+    firstNamePlaceholder: "이름 (예: 하나)",
+    partnerNamePlaceholder: "상대의 이름 (예: 준)",
+    nameAria: "{label}의 이름",
+    dualLeadBefore: "주로 쓰지 않는 손에서는 타고난 ",
+    dualLeadInnate: "선천",
+    dualLeadMiddle: "적 자질을, 주로 쓰는 손에서는 경험으로 쌓은 ",
+    dualLeadAcquired: "후천",
+    dualLeadAfter: "적 경향을 읽어 항목마다 비교합니다.",
+    dominantHand: "주로 쓰는 손",
+    nameLabel: "이름 (선택)",
+    namePlaceholder: "예: 하나",
+    qualityTitle: "사진을 확인해 주세요",
+    proceedAnyway: "이대로 풀이하기",
+    checking: "사진 확인 중...",
+    start: "운명 풀이하기",
+    needSingle: "손바닥 사진을 올려 주세요",
+    needDual: "왼손과 오른손 손바닥 사진을 모두 올려 주세요",
+    needPair: "두 사람의 손바닥 사진을 올려 주세요",
+    notPalm: "손바닥이 찍혀 있지 않습니다. {reason}",
+  },
+  loading: {
+    single: "{name}의 미래를 풀이하는 중...",
+    pair: "{first}와(과) {second}의 인연을 풀이하는 중...",
+    subtitle: "AI가 우주의 이치를 읽어 내고 있습니다",
+    cancelled: "풀이를 취소했습니다",
+  },
+  result: {
+    restart: "다시 하기",
+    receiving: "풀이 결과를 받는 중...",
+    stop: "생성 중지",
+    exportPdf: "감정서를 PDF로 저장",
+    exportPng: "SNS용 이미지로 저장",
+    exporting: "내보내는 중...",
+    copy: "풀이 결과 복사",
+  },
+  spirit: {
+    titleSingle: "{name}의 수호 정령 ✨",
+    titlePair: "두 사람의 수호 정령 ✨",
+    introSingle: "당신의 본성을 상징하는 정령을 불러냅니다",
+    introPair: "두 사람의 인연을 상징하는 한 쌍의 정령을 불러냅니다",
+    summon: "정령 불러내기",
+    summoning: "정령이 모습을 드러내는 중...",
+    another: "다른 정령 불러내기",
+    anotherBusy: "불러내는 중...",
+    variations: "다른 모습 {count}가지 그리기",
+    variationsBusy: "그리는 중...",
+    variationsAdded: "다른 모습을 갤러리에 추가했습니다",
+    proceduralNote: "이미지 생성 서비스를 사용할 수 없어 기기에서 그린 정령 카드를 표시합니다.",
+    galleryHint: "불러낸 정령 갤러리입니다. 누른 정령이 감정서에 첨부됩니다.",
+    caption: "불러낸 정령: {name}",
+    pairCaption: "불러낸 정령: {first}, {second}",
+    ownerCaption: "{owner}의 정령: {name}",
+    defaultName: "정령",
+    needReading: "먼저 풀이를 완료해 주세요",
+    failed: "정령을 불러내지 못했습니다",
+    unreadable: "정령의 정의를 읽을 수 없습니다",
+    imagenEmpty: "Imagen에서 이미지가 반환되지 않았습니다",
+    fallbackFailed: "대체 이미지 서비스에서도 생성에 실패했습니다",
+  },
+  chat: {
+    title: "깊은 대화 ✨",
+    intro: "풀이 결과에 대해 더 자세히 질문할 수 있습니다.",
+    thinking: "생각 중...",
+    failed: "답변을 생성하지 못했습니다.",
+    stopped: "(답변을 중지했습니다)",
+    placeholder: "질문을 입력하세요...",
+    send: "보내기",
+    stop: "중지",
+    suggestions: "이어서 물어볼 만한 질문",
+  },
+  quota: {
+    title: "이용 제한 안내",
+  },
+  errors: {
+    selectImage: "이미지 파일을 선택해 주세요",
+    imageFailed: "이미지를 처리하지 못했습니다",
+    editFailed: "이미지를 편집하지 못했습니다",
+    maskFailed: "흐림 처리를 적용하지 못했습니다",
+    analysisEmpty: "풀이 결과를 받지 못했습니다",
+    analysisStopped: "풀이를 중간에 중지했습니다",
+    analysisInterrupted: "풀이가 중간에 중단되었습니다",
+    analysisFailed: "풀이에 실패했습니다. 잠시 후 다시 시도해 주세요.",
+    copied: "풀이 결과를 복사했습니다",
+    copyFailed: "복사하지 못했습니다",
+    exportFailed: "감정서를 내보내지 못했습니다",
+    imageExportFailed: "이미지를 내보내지 못했습니다",
+    historySaveFailed: "풀이 기록을 저장하지 못했습니다",
+    historyLoadFailed: "풀이 기록을 불러오지 못했습니다",
+    historyUnsupported: "이 브라우저에서는 기록을 저장할 수 없습니다",
+    readingNotFound: "풀이를 찾을 수 없습니다",
+    renameFailed: "이름을 변경하지 못했습니다",
+    deleteFailed: "삭제하지 못했습니다",
+    historyCleared: "풀이 기록을 모두 삭제했습니다",
+    rateLimited: "요청이 몰리고 있습니다. 잠시 후 다시 시도해 주세요.",
+    billing: "Imagen은 현재 유료 계정 전용입니다. Google AI Studio에서 결제를 활성화하면 정령 이미지를 생성할 수 있습니다.",
+    quota: "오늘의 무료 사용량을 모두 사용했습니다. 내일 이후 또는 결제 설정 후 다시 시도해 주세요.",
+    network: "서버에 연결하지 못했습니다. 연결 상태를 확인하고 다시 시도해 주세요.",
+    safetyBlocked: "안전상의 이유로 AI가 이 내용에 대한 답변을 보류했습니다. 다른 사진이나 질문으로 시도해 주세요.",
+    invalidKey: "API 키가 잘못되었거나 서버에 설정되지 않았습니다. 관리자에게 문의해 주세요.",
+    upstream: "AI 서비스에서 오류가 발생했습니다. 잠시 후 다시 시도해 주세요.",
+  },
+  camera: {
+    title: "손바닥 촬영",
+    titleFor: "{label} 촬영",
+    preview: "카메라 미리보기",
+    hint: "손바닥을 윤곽선에 맞추고 손끝은 화면 밖으로 빼 주세요",
+    starting: "카메라를 켜는 중...",
+    switchToBack: "후면 카메라로 전환",
+    switchToFront: "전면 카메라로 전환",
+    timer: "타이머",
+    now: "바로 찍기",
+    seconds: "{n}초",
+    abort: "중지",
+    shoot: "촬영",
+    unsupported: "이 브라우저에서는 카메라를 사용할 수 없습니다",
+    denied: "카메라 사용이 허용되지 않았습니다. 브라우저 설정에서 카메라 접근을 허용해 주세요.",
+    notFound: "사용할 수 있는 카메라가 없습니다",
+    busy: "다른 앱에서 카메라를 사용 중입니다",
+    failed: "카메라를 켤 수 없습니다",
+    captureFailed: "촬영에 실패했습니다",
+  },
+  editor: {
+    title: "사진 조정",
+    titleFor: "{label} 사진 조정",
+    hint: "손바닥을 감싸듯 드래그하면 잘라낼 수 있습니다. 방향이 다르면 회전해 주세요.",
+    preview: "편집 미리보기",
+    rotateLeft: "⟲ 왼쪽으로 회전",
+    rotateRight: "⟳ 오른쪽으로 회전",
+    flipH: "좌우 반전",
+    flipV: "상하 반전",
+    enhance: "선 강조",
+    clearCrop: "자르기 해제",
+    reset: "원래대로",
+    apply: "이 사진 사용",
+  },
+  privacy: {
+    title: "흐림 처리 확인",
+    titleFor: "{label} 흐림 처리 확인",
+    hint: "지문이 보이지 않도록 감지한 손끝을 흐리게 처리했습니다. 자동 감지는 참고용이므로, 흐림이 손끝에서 벗어났다면 드래그해서 옮기고 부족한 곳은 눌러서 추가해 주세요. 전송・저장되는 것은 흐림 처리 후의 이미지입니다.",
+    noneFound: "손끝을 감지하지 못했습니다. 손끝이 찍혀 있다면 눌러서 흐림을 추가해 주세요.",
+    preview: "흐림 미리보기",
+    smaller: "작게",
+    larger: "크게",
+    remove: "이 흐림 삭제",
+    detecting: "감지 중...",
+    redetect: "다시 자동 감지",
+    keep: "변경하지 않고 닫기",
+    apply: "이 흐림으로 확정",
+  },
+  photoSlot: {
+    image: "이미지",
+    remove: "{label} 삭제",
+    edit: "편집",
+    blur: "흐림",
+    upload: "손바닥 사진 올리기",
+    uploadFor: "{label} 사진 올리기",
+    dropHint: "클릭해서 선택하거나 끌어다 놓으세요",
+    camera: "카메라로 촬영",
+  },
+  history: {
+    title: "풀이 기록",
+    privacyTitle: "개인정보 안내:",
+    privacy: "풀이 기록(손바닥 썸네일, 이름, 풀이 결과, 정령 이미지, 대화 기록)은 이 브라우저에만 저장되며 서버로 전송되지 않습니다.",
+    privacyWarning: "손바닥 이미지는 생체 정보에 가까운 개인 정보입니다. 공용 기기나 행사장 기기에서는 저장을 끄거나, 이용 후 ‘모두 삭제’를 해 주세요.",
+    saveToggle: "이 기기에 풀이 기록 저장",
+    empty: "저장된 풀이가 아직 없습니다",
+    open: "열기",
+    openAria: "{title} 열기",
+    rename: "이름 변경",
+    delete: "삭제",
+    confirmDelete: "삭제하기",
+    clearAll: "모두 삭제",
+    confirmClear: "{count}건 모두 삭제하기",
+  },
+  annotation: {
+    title: "손금 지도",
+    imageAlt: "풀이에 사용한 손바닥",
+    hint: "선이나 구를 누르면 감정서의 해당 부분으로 이동합니다. 위치는 AI의 추정입니다.",
+  },
+  report: {
+    themeTitle: "{type} 풀이",
+    lineNames: {
+      life: "생명선",
+      head: "두뇌선",
+      heart: "감정선",
+    },
+    hands: {
+      left: "왼손",
+      right: "오른손",
+    },
+    title: "{name}의 손금 감정서",
+    pairTitle: "{first}와(과) {second}의 궁합 감정서",
+    dualBadge: "양손 풀이 · 주로 쓰는 손: {hand}",
+    dualSummary: "양손 풀이 (주로 쓰는 손: {hand})",
+    innate: "선천 ({hand})",
+    acquired: "후천 ({hand})",
+    overall: "전체적인 인상",
+    lines: "주요 선 풀이",
+    mounts: "구와 표식",
+    advice: "AI의 조언",
+    strength: "선명도",
+    length: "길이",
+    totalScore: "종합 궁합",
+    totalScoreValue: "종합 궁합: {score}점",
+    lineScore: "{name} ({score}점)",
+    points: "{score}점",
+    pointsUnit: "점",
+    pairOverall: "두 사람의 궁합",
+    people: "각자의 손금",
+    pairLines: "선별 궁합",
+    pairAdvice: "두 사람에게 드리는 조언",
+  },
+  readingTypes: {
+    general: {
+      label: "종합운",
+      lead: "손금 전체에서 기본적인 자질과 운세를 풀이합니다.",
+    },
+    love: {
+      label: "연애운",
+      lead: "연애 성향과 사람과의 인연을 중심으로 풀이합니다.",
+      sections: {
+        tendency: "연애 성향",
+        encounter: "만남과 인연",
+        partnership: "파트너와의 관계",
+      },
+    },
+    career: {
+      label: "직업운",
+      lead: "재능을 살리는 방법과 일에서의 강점을 중심으로 풀이합니다.",
+      sections: {
+        aptitude: "잘 맞는 일",
+        strengths: "일에서의 강점",
+        growth: "키워 나갈 점",
+      },
+    },
+    money: {
+      label: "금전운",
+      lead: "돈의 흐름과 돈을 대하는 습관을 중심으로 풀이합니다.",
+      sections: {
+        flow: "돈의 흐름",
+        habits: "돈을 대하는 방식",
+        opportunity: "기회를 살리는 법",
+      },
+    },
+    wellbeing: {
+      label: "마음 컨디션",
+      lead: "마음가짐과 생활 리듬을 풀이합니다(건강·의료에 관한 판단은 하지 않습니다).",
+      sections: {
+        balance: "마음의 균형",
+        rhythm: "생활 리듬",
+        recharge: "마음을 가다듬는 힌트",
+      },
+    },
+  },
+  quality: {
+    tooSmall: "이미지가 너무 작습니다 (짧은 변 {size}px). 손바닥이 화면을 가득 채우도록 가까이에서 찍거나 자르기 범위를 넓혀 주세요.",
+    tooDark: "너무 어둡습니다. 밝은 곳에서 손바닥에 빛이 닿도록 촬영해 주세요.",
+    tooBright: "너무 밝습니다. 하얗게 날아가 선이 잘 보이지 않으니 플래시나 직사광선을 피해 촬영해 주세요.",
+    blurry: "초점이 맞지 않거나 손이 흔들렸습니다. 손과 카메라를 고정하고 다시 찍어 주세요.",
+  },
+  prompts: {
+    analysis: `당신은 세계 최고의 손금 감정사입니다. 첨부된 이미지를 깊이 분석해 주세요.
+대상자는 "{name}"입니다.
+지정된 JSON 스키마에 따라 감정서를 작성해 주세요:
+- overall: 전체적인 인상(기본적인 자질).
+- lines: 생명선(life), 두뇌선(head), 감정선(heart) 세 개 각각에 대해 선명도와 길이를 1~5로 평가하고 상태를 풀이. name에는 선의 이름을 한국어로.
+- mounts: 구와 표식(손의 특징).
+- advice: AI의 조언 세 가지.
+- points: 각 선과 각 구의 이미지상 대략적인 위치. 이미지의 왼쪽 위를 (0,0), 오른쪽 아래를 (1000,1000)으로 한 좌표로, 선은 시작점에서 끝점까지 따라가는 꺾은선, 구는 범위를 둘러싸는 점으로 나타내 주세요.
+각 문장에서 반드시 "{name}"이라고 부르고, 모두 한국어로 작성해 주세요.`,
+    dual: `
+
+이것은 양손 풀이입니다. 이미지는 두 장이며 첫 번째가 왼손, 두 번째가 오른손입니다. {name}이 주로 쓰는 손은 {dominant}입니다.
+손금의 전통에 따라 주로 쓰지 않는 {innate}은 타고난 선천적 자질로, 주로 쓰는 {dominant}은 경험으로 쌓인 후천적 경향으로 풀이해 주세요.
+overallContrast와 각 lines・mounts의 contrast에는 innate(선천: {innate})와 acquired(후천: {dominant})를 각각 적고, 둘의 차이와 변화가 드러나도록 비교해 주세요.
+선명도・길이 평가와 reading은 양손을 종합해 주세요.
+points는 주로 쓰는 {dominant}({index}번째 이미지)의 이미지상 좌표로 나타내 주세요.`,
+    pair: `당신은 세계 최고의 손금 감정사입니다. 첨부된 두 장의 손바닥 이미지로 두 사람의 궁합을 깊이 감정해 주세요.
+첫 번째는 "{first}"(1번째 사람), 두 번째는 "{second}"(2번째 사람)의 손바닥입니다.
+지정된 JSON 스키마에 따라 궁합 감정서를 작성해 주세요:
+- overall: 두 사람의 전체적인 궁합.
+- score: 종합 궁합 점수(0~100).
+- people: 1번째, 2번째 사람 순서로 각자 손금의 요점.
+- lines: 생명선(life), 두뇌선(head), 감정선(heart) 각 카테고리에 대해 궁합 점수(0~100), first에 1번째 사람의 선의 특징, second에 2번째 사람의 선의 특징, reading에 조합으로서의 해설. name에는 선의 이름을 한국어로.
+- advice: 두 사람에게 주는 조언 세 가지.
+문장에서는 반드시 "{first}", "{second}"라고 이름으로 구분해 부르고, 모두 한국어로 작성해 주세요.`,
+    palmCheck:
+      "이 이미지에 손금을 볼 수 있을 만큼 사람의 손바닥(손바닥 쪽)이 뚜렷하게 찍혀 있는지 판정해 주세요. 손등, 얼굴, 물체, 풍경만 있는 경우에는 false로 해 주세요. reason은 한국어로 작성해 주세요.",
+    readingType: "\n\n이번 풀이는 「{type}」에 초점을 맞춥니다. {focus}\nsections에는 {sections} 항목을 이 순서대로 id와 reading으로 적어 주세요. overall과 advice도 {type}의 관점에서 정리해 주세요.",
+    readingTypeSection: "{id}({label})",
+    readingTypes: {
+      love: {
+        focus: "감정선과 금성구 등 연애와 인연에 관련된 부분을 중점적으로 풀이해 주세요.",
+        spirit: "\n연애운의 수호 정령으로서 부드럽고 화사한 모습(꽃, 분홍빛, 달빛 등의 모티프)으로 해 주세요.",
+      },
+      career: {
+        focus: "두뇌선, 운명선, 목성구 등 일과 재능에 관련된 부분을 중점적으로 풀이해 주세요.",
+        spirit: "\n직업운의 수호 정령으로서 늠름하고 믿음직한 모습(갑옷, 날개, 아침 해 등의 모티프)으로 해 주세요.",
+      },
+      money: {
+        focus: "태양선, 재운선, 수성구 등 돈의 흐름에 관련된 부분을 중점적으로 풀이해 주세요. 투자나 구체적인 금융 상품은 권하지 마세요.",
+        spirit: "\n금전운의 수호 정령으로서 풍요롭고 화려한 모습(황금, 보석, 벼이삭 등의 모티프)으로 해 주세요.",
+      },
+      wellbeing: {
+        focus: "마음가짐과 생활 리듬을 중심으로 풀이해 주세요. 질병, 진단, 치료, 수명 등 건강이나 의료에 관한 내용은 다루지 말고, 휴식과 기분 전환 같은 일상의 마음가짐에 그쳐 주세요.",
+        spirit: "\n마음을 치유하는 수호 정령으로서 온화하고 맑은 모습(숲, 물가, 부드러운 빛 등의 모티프)으로 해 주세요.",
+      },
+    },
+    spiritFields: "name은 정령의 이름, element는 관장하는 속성, personality는 성격, lore는 전설이며 모두 한국어로 작성해 주세요. imagePrompt는 이미지 생성용 영어 프롬프트입니다.",
+    spiritAvoid: "\n이미 불러낸 정령({names})과는 이름도 모습도 다른 정령으로 해 주세요.",
+    spiritSingle: `아래 손금 풀이 결과를 바탕으로 {name}의 영혼을 상징하는 환상적인 수호 정령을 하나 정의해 주세요. {fields}{avoid}
+결과: {analysis}`,
+    spiritPair: `아래는 {first}와(과) {second}의 궁합 풀이 결과입니다. 두 사람 각자의 영혼을 상징하고, 나란히 놓였을 때 한 쌍을 이루는 환상적인 수호 정령 둘을 정의해 주세요.
+spirits의 첫 번째는 {first}, 두 번째는 {second}의 정령입니다. {fields} 두 정령의 색과 문양이 서로 어울리도록 해 주세요.{avoid}
+결과: {analysis}`,
+    chatQuestion: "{question}",
+    chatSubjectSingle: "{name}의 손금 풀이 결과",
+    chatSubjectPair: "{first}와(과) {second}의 궁합 풀이 결과",
+    chatAddressSingle: "답변에서는 반드시 \"{name}\"이라고 불러 주세요.",
+    chatAddressPair: "답변에서는 \"{first}\", \"{second}\"를 구분해 어느 쪽 이야기인지 분명히 해 주세요. 질문자는 둘 중 한 명이거나 두 사람 모두입니다.",
+    chatSystem: `당신은 세계 최고의 손금 감정사입니다. 아래는 {subject}입니다.
+이 풀이 결과와 지금까지의 대화 흐름을 바탕으로 질문에 답해 주세요. "그것", "아까 그거" 같은 지시어는 직전까지의 대화를 참고해 해석해 주세요.
+{address}
+한국어로 답해 주세요.
+
+# 풀이 결과
+{analysis}{summary}`,
+    chatSummaryHeading: "\n\n# 지금까지의 대화 요약\n",
+    chatSummaryItem: "- 질문 \"{question}\" → 답변 \"{answer}\"",
+    followUps:
+      "풀이 결과와 지금까지의 대화를 바탕으로, 이 사람이 다음에 묻고 싶어 할 만한 질문 {count}개를 questions에 적어 주세요. 각각 본인이 입력하는 말투로 30자 정도의 짧은 질문으로 쓰고, 이미 답한 내용이나 서로 비슷한 질문은 피해 주세요. 모두 한국어로 작성해 주세요.",
+    schema: {
+      contrast: "양손 감정에서의 대비. innate는 주로 쓰지 않는 손에서 읽는 타고난 자질, acquired는 주로 쓰는 손에서 읽는 후천적 경향.",
+      overall: "전체적인 인상. 기본적인 자질을 2~4문장으로.",
+      lines: "주요 선(생명선, 두뇌선, 감정선)의 해석.",
+      lineName: "선의 표시 이름(예: 생명선)",
+      lineStrength: "선의 진하기와 뚜렷한 정도. 1~5의 정수.",
+      lineLength: "선의 길이. 1(짧음)~5(긺)의 정수.",
+      lineReading: "이 선에서 읽어 낼 수 있는 것.",
+      linePoints: "이미지 위에서 선을 따라 그리는 꺾은선. 시작점부터 끝점까지 순서대로 4~8개의 점.",
+      mounts: "구와 특징적인 표식.",
+      mountPoints: "이미지 위에서 구의 범위를 둘러싸는 3~6개의 점. 작은 표식은 그 위치의 점 1개.",
+      advice: "AI의 조언. 정확히 3개.",
+      pairOverall: "두 사람의 전체적인 궁합을 2~4문장으로.",
+      pairScore: "종합 궁합 점수. 0~100의 정수.",
+      pairPeople: "한 사람씩의 손금 요점. 첫 번째가 첫째 사람, 두 번째가 둘째 사람.",
+      pairLines: "생명선, 두뇌선, 감정선 각 카테고리의 궁합.",
+      pairLineName: "선의 표시 이름(예: 감정선)",
+      pairLineScore: "이 카테고리의 궁합 점수. 0~100의 정수.",
+      pairFirst: "첫째 사람의 이 선의 특징.",
+      pairSecond: "둘째 사람의 이 선의 특징.",
+      pairLineReading: "두 사람의 조합으로서의 해설.",
+      spiritName: "정령의 이름",
+      spiritElement: "관장하는 속성(불, 물, 바람, 땅, 빛, 어둠, 달, 별 등 한 단어)",
+      spiritPersonality: "성격과 기질을 한 문장으로",
+      spiritLore: "정령에 얽힌 전설을 2~3문장으로",
+      spiritImagePrompt: "이미지 생성용 영어 프롬프트",
+      pairSpirits: "수호 정령. 첫 번째는 첫째 사람, 두 번째는 둘째 사람의 정령.",
+      palmIsPalm: "손바닥(안쪽)이 또렷하게 찍혀 있으면 true",
+      palmReason: "false인 경우 무엇이 찍혀 있는지, 어떻게 다시 찍으면 되는지에 대한 짧은 설명",
+      followUpQuestions: "사용자가 다음에 물어볼 만한 짧은 질문. 사용자 본인의 말투로 쓴다.",
+      sections: "감정 종류에 맞춘 주제별 해석. 지정된 순서대로 하나씩.",
+    },
+  },
+};
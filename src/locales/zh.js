@@ -0,0 +1,487 @@
+// 简体中文
+export default {
+  common: {
+    honorific: "{name}",
+    defaultName: "你",
+    defaultPartnerName: "对方",
+    personLabel: "第{n}位",
+    close: "关闭",
+    cancel: "取消",
+    back: "返回",
+    listSeparator: "、",
+    pairJoiner: "与",
+  },
+  app: {
+    title: "AI お手を拝借 Pro",
+    tagline: "由 Gemini 引领，科学与神秘的交融",
+    documentTitle: "AI お手を拝借 Pro - AI 手相解读",
+    subtitle: "Professional AI Palmistry",
+    language: "语言",
+    history: "解读记录",
+    settings: "设置",
+    mockBadge: "演示模式（模拟响应）",
+    copyright: "© 2025 AI お手を拝借 Pro. Powered by Gemini 2.5 Flash",
+  },
+  settings: {
+    lead: "可以设置显示语言、是否在本设备上保存解读记录，以及每日的用量预算。",
+    historyLink: "已保存的解读也可以通过地址栏中的网址（#/reading/…）打开。该网址仅在本设备的此浏览器中有效。",
+  },
+  admin: {
+    title: "提示词模板",
+    lead: "可以编辑当前显示语言下发送给模型的提示词。{name} 这样用花括号括起的变量，会在调用时替换为显示名称、解读结果或提问。每次保存都会升级版本，之后的解读记录会保留所用的版本。覆盖内容只保存在本设备的此浏览器中。",
+    version: "当前版本：{version}",
+    unsaved: "有未保存的更改",
+    template: "模板",
+    variables: "可用变量：",
+    noVariables: "无",
+    save: "保存为新版本",
+    resetTemplate: "将此模板恢复默认",
+    resetAll: "全部恢复默认",
+    export: "导出 JSON",
+    import: "导入 JSON",
+    saved: "模板已保存（{version}）",
+    imported: "模板已导入（{version}）",
+    importFailed: "无法读取模板文件。请确认是导出的 JSON 文件。",
+    resetDone: "所有模板已恢复默认",
+    savedVersions: "载入以前的版本",
+    versionLoaded: "已载入{version}的文本。保存后将成为新版本",
+    preview: "预览",
+    previewNote: "这是填入变量后的未保存文本。运行时只发送这段文本（不附照片），用于确认回应。",
+    useMock: "使用模拟后端运行",
+    run: "运行",
+    running: "运行中…",
+    response: "回应",
+    sampleAnalysis: "（解读示例）生命线长而有力，智慧线笔直延伸。",
+    sampleQuestion: "今年的事业运如何？",
+    templates: {
+      analysis: "解读",
+      dual: "双手解读附加说明",
+      pair: "配对解读",
+      readingType: "解读类型附加说明",
+      spiritSingle: "召唤精灵",
+      spiritPair: "召唤双人精灵",
+      spiritFields: "精灵字段说明",
+      chatSystem: "深度对话前提",
+      chatQuestion: "深度对话提问",
+      followUps: "后续提问建议",
+    },
+  },
+  usage: {
+    title: "今日用量",
+    note: "仅统计从本设备发出的调用。与其他设备上的使用情况或服务商实际剩余额度可能不同。",
+    features: {
+      analysis: "解读",
+      spirit: "召唤精灵",
+      chat: "深度对话",
+    },
+    feature: "功能",
+    requests: "调用",
+    tokens: "Token",
+    images: "图片",
+    total: "合计",
+    remaining: "剩余 {value} / {limit}",
+    requestBudget: "每日调用次数预算",
+    tokenBudget: "每日 Token 数预算",
+    blockAtLimit: "预算用完后停止解读和召唤精灵",
+    nearLimit: "今日预算约剩 {percent}%。",
+    limitReached: "今日预算已用完。",
+    blocked: "今日预算已用完，解读和召唤精灵已暂停。可以在设置中更改预算。",
+    details: "查看用量",
+  },
+  intro: {
+    title: "实用建议",
+    lead: "以下是安全、专业地使用本应用的建议。",
+    fingertipsTitle: "不要拍到指尖：",
+    fingertips:
+      "解读只需要手掌中央的纹路。建议拍摄时让指纹部分留在画面之外。拍到的指尖会被自动模糊处理，发送前可以确认并调整模糊范围。照片的位置信息等元数据也会在发送前移除。",
+    backgroundTitle: "注意背景：",
+    background: "请避免拍到自己的脸或能看出住址的物品。",
+    anonymityTitle: "保持匿名：",
+    anonymity: "名字填写昵称即可。",
+    historyTitle: "记录的保存：",
+    history: "解读结果和手掌缩略图只保存在本设备的浏览器中。可以随时在“解读记录”中删除或停止保存。",
+    agree: "同意并开始",
+  },
+  footer: {
+    fingertips: "解读只需要手掌中央的纹路。请注意不要拍到指纹。",
+    background: "请在不会拍到脸、住址、镜子等个人信息的地方拍摄。",
+    anonymity: "名字填写昵称即可，避免照片与真实姓名关联。",
+    disclaimerTitle: "使用须知与免责声明",
+    sampleTitle: "作为示例应用提供：",
+    sample: "本应用是用于技术演示的示例。恕不单独回复有关操作方法、技术规格或其他方面的咨询。",
+    changesTitle: "服务内容的变更与终止：",
+    changes: "本应用的功能和内容可能会在未经通知的情况下变更或终止提供，敬请谅解。",
+    liabilityTitle: "责任限制：",
+    liability: "对于因使用本应用或解读内容而产生的任何损失或纠纷，我们概不负责。请自行承担使用责任。",
+  },
+  input: {
+    modeLabel: "解读模式",
+    modeSingle: "单手解读",
+    modeDual: "双手解读（先天・后天）",
+    modePair: "两人合盘",
+    typeLabel: "解读类型",
+    pairLead: "将两人的手掌并排，逐条解读纹路的契合度，并召唤一对守护精灵。",
+    firstNamePlaceholder: "你的名字（例：小夏）",
+    partnerNamePlaceholder: "对方的名字（例：小晴）",
+    nameAria: "{label}的名字",
+    dualLeadBefore: "从非惯用手解读与生俱来的",
+    dualLeadInnate: "先天",
+    dualLeadMiddle: "资质，从惯用手解读由经历塑造的",
+    dualLeadAcquired: "后天",
+    dualLeadAfter: "倾向，并逐项对比。",
+    dominantHand: "惯用手",
+    nameLabel: "名字（选填）",
+    namePlaceholder: "例：小夏",
+    qualityTitle: "请检查照片",
+    proceedAnyway: "仍然解读",
+    checking: "正在检查照片...",
+    start: "解读命运",
+    needSingle: "请上传手掌照片",
+    needDual: "请上传左右两只手的手掌照片",
+    needPair: "请上传两人的手掌照片",
+    notPalm: "照片中没有拍到手掌。{reason}",
+  },
+  loading: {
+    single: "正在解读{name}的未来...",
+    pair: "正在解读{first}与{second}的缘分...",
+    subtitle: "AI 正在解读宇宙的法则",
+    cancelled: "已取消解读",
+  },
+  result: {
+    restart: "重新开始",
+    receiving: "正在接收解读结果...",
+    stop: "停止生成",
+    exportPdf: "将鉴定书保存为 PDF",
+    exportPng: "保存为社交媒体图片",
+    exporting: "正在导出...",
+    copy: "复制解读结果",
+  },
+  spirit: {
+    titleSingle: "{name}的守护精灵 ✨",
+    titlePair: "两人的守护精灵 ✨",
+    introSingle: "召唤象征你本性的精灵",
+    introPair: "召唤象征两人缘分的一对精灵",
+    summon: "召唤精灵",
+    summoning: "精灵正在显形...",
+    another: "召唤另一位精灵",
+    anotherBusy: "召唤中...",
+    variations: "绘制 {count} 种形态",
+    variationsBusy: "绘制中...",
+    variationsAdded: "已将不同形态加入图库",
+    proceduralNote: "图像生成服务不可用，因此显示在本设备上绘制的精灵卡片。",
+    galleryHint: "已召唤精灵的图库。点击的精灵将附在鉴定书上。",
+    caption: "召唤的精灵：{name}",
+    pairCaption: "召唤的精灵：{first}与{second}",
+    ownerCaption: "{owner}的精灵：{name}",
+    defaultName: "精灵",
+    needReading: "请先完成解读",
+    failed: "精灵召唤失败",
+    unreadable: "无法读取精灵的定义",
+    imagenEmpty: "Imagen 没有返回图像",
+    fallbackFailed: "备用图像服务也生成失败",
+  },
+  chat: {
+    title: "深度对话 ✨",
+    intro: "可以就解读结果进一步提问。",
+    thinking: "思考中...",
+    failed: "未能生成回答。",
+    stopped: "（已停止回答）",
+    placeholder: "输入问题...",
+    send: "发送",
+    stop: "停止",
+    suggestions: "可以接着问的问题",
+  },
+  quota: {
+    title: "关于使用限制",
+  },
+  errors: {
+    selectImage: "请选择图片文件",
+    imageFailed: "图片处理失败",
+    editFailed: "图片编辑失败",
+    maskFailed: "模糊处理失败",
+    analysisEmpty: "未能获得解读结果",
+    analysisStopped: "已中途停止解读",
+    analysisInterrupted: "解读中途中断",
+    analysisFailed: "解读失败，请稍后重试。",
+    copied: "已复制解读结果",
+    copyFailed: "复制失败",
+    exportFailed: "鉴定书导出失败",
+    imageExportFailed: "图片导出失败",
+    historySaveFailed: "无法保存解读记录",
+    historyLoadFailed: "无法读取解读记录",
+    historyUnsupported: "此浏览器无法保存记录",
+    readingNotFound: "找不到该解读",
+    renameFailed: "无法重命名",
+    deleteFailed: "删除失败",
+    historyCleared: "已删除全部解读记录",
+    rateLimited: "请求过于集中，请稍候再试。",
+    billing: "Imagen 目前仅限付费账号使用。在 Google AI Studio 中启用结算后即可生成精灵图像。",
+    quota: "今日免费额度已用完。请明天再试，或启用结算后再试。",
+    network: "网络连接失败。请检查网络后重试。",
+    safetyBlocked: "出于安全原因，AI 未对此内容作出回应。请更换照片或问题后再试。",
+    invalidKey: "API 密钥无效或服务器未配置。请联系管理员。",
+    upstream: "AI 服务出错，请稍后重试。",
+  },
+  camera: {
+    title: "拍摄手掌",
+    titleFor: "拍摄{label}",
+    preview: "相机预览",
+    hint: "将手掌对准轮廓，并让指尖留在画面之外",
+    starting: "正在启动相机...",
+    switchToBack: "切换到后置相机",
+    switchToFront: "切换到前置相机",
+    timer: "定时",
+    now: "立即拍摄",
+    seconds: "{n}秒",
+    abort: "取消",
+    shoot: "拍摄",
+    unsupported: "此浏览器无法使用相机",
+    denied: "未获得相机权限。请在浏览器设置中允许访问相机。",
+    notFound: "找不到可用的相机",
+    busy: "相机正被其他应用使用",
+    failed: "无法启动相机",
+    captureFailed: "拍摄失败",
+  },
+  editor: {
+    title: "调整照片",
+    titleFor: "调整{label}的照片",
+    hint: "拖动框住手掌即可裁剪。方向不对时请旋转。",
+    preview: "编辑预览",
+    rotateLeft: "⟲ 向左旋转",
+    rotateRight: "⟳ 向右旋转",
+    flipH: "水平翻转",
+    flipV: "垂直翻转",
+    enhance: "强调纹路",
+    clearCrop: "取消裁剪",
+    reset: "还原",
+    apply: "使用这张照片",
+  },
+  privacy: {
+    title: "确认模糊",
+    titleFor: "确认{label}的模糊",
+    hint: "为避免拍到指纹，已对检测到的指尖进行模糊处理。自动检测仅供参考：模糊偏离指尖时请拖动调整，不足之处请点击添加。发送和保存的都是模糊后的图片。",
+    noneFound: "未检测到指尖。如果拍到了指尖，请点击添加模糊。",
+    preview: "模糊预览",
+    smaller: "缩小",
+    larger: "放大",
+    remove: "删除此模糊",
+    detecting: "检测中...",
+    redetect: "重新自动检测",
+    keep: "不做修改并关闭",
+    apply: "确认模糊",
+  },
+  photoSlot: {
+    image: "图片",
+    remove: "删除{label}",
+    edit: "编辑",
+    blur: "模糊",
+    upload: "上传手掌照片",
+    uploadFor: "上传{label}的照片",
+    dropHint: "点击选择，或拖放到此处",
+    camera: "用相机拍摄",
+  },
+  history: {
+    title: "解读记录",
+    privacyTitle: "关于隐私：",
+    privacy: "解读记录（手掌缩略图、名字、解读结果、精灵图像、对话记录）只保存在此浏览器中，不会发送到服务器。",
+    privacyWarning: "手掌图像是接近生物特征的个人信息。在共用设备或活动现场的设备上，请关闭保存，或在使用后执行“全部删除”。",
+    saveToggle: "在此设备上保存解读记录",
+    empty: "还没有保存的解读",
+    open: "打开",
+    openAria: "打开{title}",
+    rename: "重命名",
+    delete: "删除",
+    confirmDelete: "确认删除",
+    clearAll: "全部删除",
+    confirmClear: "删除全部 {count} 条",
+  },
+  annotation: {
+    title: "手相图",
+    imageAlt: "用于解读的手掌",
+    hint: "点击纹路或掌丘，可跳转到鉴定书的相应部分。位置为 AI 的推测。",
+  },
+  report: {
+    themeTitle: "{type}解读",
+    lineNames: {
+      life: "生命线",
+      head: "智慧线",
+      heart: "感情线",
+    },
+    hands: {
+      left: "左手",
+      right: "右手",
+    },
+    title: "{name}的手相鉴定书",
+    pairTitle: "{first}与{second}的合盘鉴定书",
+    dualBadge: "双手解读 · 惯用手：{hand}",
+    dualSummary: "双手解读（惯用手：{hand}）",
+    innate: "先天（{hand}）",
+    acquired: "后天（{hand}）",
+    overall: "整体印象",
+    lines: "主要纹路解读",
+    mounts: "掌丘与标记",
+    advice: "AI 的建议",
+    strength: "深浅",
+    length: "长短",
+    totalScore: "综合契合度",
+    totalScoreValue: "综合契合度：{score}分",
+    lineScore: "{name}（{score}分）",
+    points: "{score}分",
+    pointsUnit: "分",
+    pairOverall: "两人的契合度",
+    people: "各自的手相",
+    pairLines: "各纹路的契合度",
+    pairAdvice: "给两人的建议",
+  },
+  readingTypes: {
+    general: {
+      label: "综合运",
+      lead: "从整个手掌解读基本资质与运势。",
+    },
+    love: {
+      label: "恋爱运",
+      lead: "重点解读恋爱倾向与人际缘分。",
+      sections: {
+        tendency: "恋爱倾向",
+        encounter: "相遇与缘分",
+        partnership: "与伴侣的关系",
+      },
+    },
+    career: {
+      label: "事业运",
+      lead: "重点解读才能的发挥方式与工作中的优势。",
+      sections: {
+        aptitude: "适合的工作",
+        strengths: "工作中的优势",
+        growth: "可以成长的方向",
+      },
+    },
+    money: {
+      label: "财运",
+      lead: "重点解读金钱的流向与理财习惯。",
+      sections: {
+        flow: "金钱的流向",
+        habits: "与金钱相处的方式",
+        opportunity: "把握机会的方法",
+      },
+    },
+    wellbeing: {
+      label: "心灵状态",
+      lead: "解读心态与生活节奏（不做健康或医疗方面的判断）。",
+      sections: {
+        balance: "内心的平衡",
+        rhythm: "生活节奏",
+        recharge: "调整心情的提示",
+      },
+    },
+  },
+  quality: {
+    tooSmall: "图片太小（短边 {size}px）。请靠近拍摄让手掌占满画面，或扩大裁剪范围。",
+    tooDark: "太暗了。请在明亮的地方，让光线照到手掌后拍摄。",
+    tooBright: "太亮了。过曝会让纹路难以辨认，请避免闪光灯和阳光直射。",
+    blurry: "照片没有对焦或手抖了。请稳住手和相机重新拍摄。",
+  },
+  prompts: {
+    analysis: `你是世界顶级的手相师。请深入分析附上的图片。
+解读对象是“{name}”。
+请按照指定的 JSON 结构撰写鉴定书：
+- overall：整体印象（基本资质）。
+- lines：分别对生命线(life)、智慧线(head)、感情线(heart)三条线，以 1〜5 评价深浅与长短，并解读其状态。name 中用中文写线的名称。
+- mounts：掌丘与标记（手的特征）。
+- advice：AI 给出的三条建议。
+- points：各纹路、各掌丘在图片上的大致位置。以图片左上角为(0,0)、右下角为(1000,1000)的坐标表示，纹路用从起点到终点描出的折线，掌丘用围住范围的点表示。
+每段文字中都要称呼“{name}”，并全部用简体中文书写。`,
+    dual: `
+
+这是双手解读。共有两张图片，第一张是左手，第二张是右手。{name}的惯用手是{dominant}。
+按照手相学的传统，将非惯用手{innate}解读为与生俱来的先天资质，将惯用手{dominant}解读为由经历塑造的后天倾向。
+在 overallContrast 以及各 lines、mounts 的 contrast 中，分别写出 innate（先天：{innate}）与 acquired（后天：{dominant}），通过对比体现两者的差异与变化。
+深浅、长短的评价和 reading 请综合双手给出。
+points 请以惯用手{dominant}（第{index}张）图片上的坐标表示。`,
+    pair: `你是世界顶级的手相师。请根据附上的两张手掌图片，深入解读两人的契合度。
+第一张是“{first}”（第1位）的手掌，第二张是“{second}”（第2位）的手掌。
+请按照指定的 JSON 结构撰写合盘鉴定书：
+- overall：两人整体的契合度。
+- score：综合契合度分数（0〜100）。
+- people：按第1位、第2位的顺序，写出各自手相的要点。
+- lines：对生命线(life)、智慧线(head)、感情线(heart)各类别，给出契合度分数（0〜100），first 写第1位该线的特征，second 写第2位该线的特征，reading 写两人组合的解说。name 中用中文写线的名称。
+- advice：给两人的三条建议。
+文中请务必用“{first}”“{second}”区分称呼，并全部用简体中文书写。`,
+    palmCheck: "请判断这张图片是否清晰拍到了足以解读手相的人类手掌（掌心一侧）。如果只有手背、脸、物体或风景，请回答 false。reason 请用简体中文书写。",
+    readingType: "\n\n这次解读聚焦于「{type}」。{focus}\n请在 sections 中按顺序写出 {sections}，每项包含 id 和 reading。overall 和 advice 也请从{type}的角度总结。",
+    readingTypeSection: "{id}（{label}）",
+    readingTypes: {
+      love: {
+        focus: "请重点解读感情线、金星丘等与恋爱和人际缘分相关的部分。",
+        spirit: "\n作为恋爱运的守护精灵，请给它温柔华丽的样子（花朵、桃色、月光等意象）。",
+      },
+      career: {
+        focus: "请重点解读智慧线、命运线、木星丘等与工作和才能相关的部分。",
+        spirit: "\n作为事业运的守护精灵，请给它威严可靠的样子（铠甲、羽翼、朝阳等意象）。",
+      },
+      money: {
+        focus: "请重点解读太阳线、财运线、水星丘等与金钱流向相关的部分。不要推荐投资或具体的金融产品。",
+        spirit: "\n作为财运的守护精灵，请给它丰饶璀璨的样子（黄金、宝玉、稻穗等意象）。",
+      },
+      wellbeing: {
+        focus: "请以心态和生活节奏为中心解读。不要涉及疾病、诊断、治疗、寿命等健康或医疗相关内容，只谈休息与放松等日常心得。",
+        spirit: "\n作为疗愈心灵的守护精灵，请给它平和澄澈的样子（森林、水边、柔和的光等意象）。",
+      },
+    },
+    spiritFields: "name 是精灵的名字，element 是其掌管的属性，personality 是性格，lore 是传说，均用简体中文书写。imagePrompt 是用于图像生成的英文提示词。",
+    spiritAvoid: "\n请让它在名字和外形上都不同于已经召唤过的精灵（{names}）。",
+    spiritSingle: `请根据以下手相解读结果，定义一位象征{name}灵魂的奇幻守护精灵。{fields}{avoid}
+结果：{analysis}`,
+    spiritPair: `以下是{first}与{second}的合盘解读结果。请定义两位分别象征两人灵魂、并排时成对呼应的奇幻守护精灵。
+spirits 中第一位是{first}的精灵，第二位是{second}的精灵。{fields}请让两位精灵的色彩与纹样相互呼应。{avoid}
+结果：{analysis}`,
+    chatQuestion: "{question}",
+    chatSubjectSingle: "{name}的手相解读结果",
+    chatSubjectPair: "{first}与{second}的合盘解读结果",
+    chatAddressSingle: "回答中请务必称呼“{name}”。",
+    chatAddressPair: "回答中请区分使用“{first}”“{second}”，明确说的是哪一位。提问者可能是其中一位，也可能是两位。",
+    chatSystem: `你是世界顶级的手相师。以下是{subject}。
+请结合这份解读结果和之前的对话来回答问题。“那个”“刚才的”等指代词请参照之前的对话来理解。
+{address}
+请用简体中文回答。
+
+# 解读结果
+{analysis}{summary}`,
+    chatSummaryHeading: "\n\n# 之前对话的摘要\n",
+    chatSummaryItem: "- 提问“{question}”→ 回答“{answer}”",
+    followUps:
+      "请根据解读结果和到目前为止的对话，在 questions 中列出{count}个此人接下来可能想问的问题。每个问题都以本人输入的口吻写成约20字的简短问句，避免已经回答过的内容和彼此相似的问题。请全部用中文书写。",
+    schema: {
+      contrast: "双手解读中的对比。innate 为从非惯用手读出的先天资质，acquired 为从惯用手读出的后天倾向。",
+      overall: "整体印象。用2～4句话描述基本资质。",
+      lines: "主要掌纹（生命线、智慧线、感情线）的解读。",
+      lineName: "掌纹的显示名称（例：生命线）",
+      lineStrength: "掌纹的深浅与清晰程度。1～5的整数。",
+      lineLength: "掌纹的长度。1（短）～5（长）的整数。",
+      lineReading: "从这条掌纹中读出的内容。",
+      linePoints: "在图像上描绘掌纹的折线。从起点到终点依次给出4～8个点。",
+      mounts: "掌丘与特征性标记。",
+      mountPoints: "在图像上围住掌丘范围的3～6个点。较小的标记用其位置上的1个点表示。",
+      advice: "来自AI的建议。正好3条。",
+      pairOverall: "用2～4句话描述两人的整体契合度。",
+      pairScore: "综合契合度分数。0～100的整数。",
+      pairPeople: "每个人手相的要点。第1个是第一个人，第2个是第二个人。",
+      pairLines: "生命线、智慧线、感情线各类别的契合度。",
+      pairLineName: "掌纹的显示名称（例：感情线）",
+      pairLineScore: "该类别的契合度分数。0～100的整数。",
+      pairFirst: "第一个人这条掌纹的特征。",
+      pairSecond: "第二个人这条掌纹的特征。",
+      pairLineReading: "对两人组合的解说。",
+      spiritName: "精灵的名字",
+      spiritElement: "所掌管的属性（火、水、风、地、光、暗、月、星等，一个词）",
+      spiritPersonality: "用一句话描述性格与气质",
+      spiritLore: "用2～3句话讲述关于精灵的传说",
+      spiritImagePrompt: "用于图像生成的英文提示词",
+      pairSpirits: "守护精灵。第1个属于第一个人，第2个属于第二个人。",
+      palmIsPalm: "如果清楚拍到了手掌（掌心一侧）则为 true",
+      palmReason: "为 false 时，简短说明拍到了什么以及应如何重拍",
+      followUpQuestions: "用户接下来可能会问的简短问题。以用户本人的口吻书写。",
+      sections: "与解读类型相应的主题解读。按指定顺序各写一项。",
+    },
+  },
+};
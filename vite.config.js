@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    proxy: {
+      // `npm run server` で起動するAPIプロキシへ転送する
+      '/api': `http://localhost:${process.env.PORT || 8787}`,
+    },
+  },
 })